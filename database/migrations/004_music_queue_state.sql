@@ -0,0 +1,27 @@
+-- Migration: 004_music_queue_state.sql
+-- Description: Persist music queue state so queues survive bot restarts
+-- Date: 2025-08-20
+
+-- Music queue state table
+-- One row per guild holding the live queue, repeat mode, volume and last voice channel
+CREATE TABLE IF NOT EXISTS music_queue_state (
+    guild_id VARCHAR(20) PRIMARY KEY REFERENCES guilds(guild_id) ON DELETE CASCADE,
+
+    -- Queue contents (index 0 = current track)
+    queue JSONB NOT NULL DEFAULT '[]',
+
+    -- Playback settings
+    repeat_mode VARCHAR(10) DEFAULT 'off' CHECK (repeat_mode IN ('off', 'track', 'queue')),
+    volume DECIMAL(4,2) DEFAULT 0.50,
+
+    -- Last connection context
+    voice_channel_id VARCHAR(20),
+    text_channel_id VARCHAR(20),
+
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_music_queue_state_updated ON music_queue_state(updated_at);
+
+COMMENT ON TABLE music_queue_state IS 'Per-guild music queue snapshot restored on bot startup';
+COMMENT ON COLUMN music_queue_state.queue IS 'Serialized track objects, first element is the track that was playing';
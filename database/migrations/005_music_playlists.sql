@@ -0,0 +1,29 @@
+-- Migration: 005_music_playlists.sql
+-- Description: User-owned saved music playlists
+-- Date: 2025-08-21
+
+-- Saved playlists table
+-- Each user can save named track lists per guild and optionally share them with the guild
+CREATE TABLE IF NOT EXISTS music_playlists (
+    id SERIAL PRIMARY KEY,
+    guild_id VARCHAR(20) REFERENCES guilds(guild_id) ON DELETE CASCADE,
+    owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+
+    name VARCHAR(100) NOT NULL,
+    is_shared BOOLEAN DEFAULT FALSE,
+
+    -- Track metadata (title, url, duration, thumbnail, channelTitle)
+    tracks JSONB NOT NULL DEFAULT '[]',
+    track_count INTEGER DEFAULT 0,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(guild_id, owner_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_music_playlists_owner ON music_playlists(guild_id, owner_id);
+CREATE INDEX IF NOT EXISTS idx_music_playlists_shared ON music_playlists(guild_id, is_shared) WHERE is_shared = TRUE;
+
+COMMENT ON TABLE music_playlists IS 'User-owned saved playlists that can be loaded into the live queue';
+COMMENT ON COLUMN music_playlists.is_shared IS 'Shared playlists can be loaded by anyone in the guild';
@@ -0,0 +1,16 @@
+-- Migration: 006_music_skip_votes.sql
+-- Description: Allow vote-skip entries in music_logs
+-- Date: 2025-08-22
+
+-- Extend music_logs action types with skip votes
+-- Each listener vote is logged individually, the resulting skip is logged as play_skip
+ALTER TABLE music_logs DROP CONSTRAINT IF EXISTS music_logs_action_type_check;
+
+ALTER TABLE music_logs ADD CONSTRAINT music_logs_action_type_check
+CHECK (action_type IN (
+    'queue_add', 'play_start', 'play_pause', 'play_resume',
+    'play_stop', 'play_skip', 'volume_change', 'queue_clear',
+    'skip_vote'
+));
+
+COMMENT ON COLUMN music_logs.details IS 'Action metadata (vote-skip: vote weight, current and required vote totals)';
@@ -0,0 +1,17 @@
+-- Migration: 007_music_queue_editing.sql
+-- Description: Allow queue editing entries (move, swap, insert-next, jump) in music_logs
+-- Date: 2025-08-24
+
+-- Extend music_logs action types with queue editing operations
+-- queue_position holds the track's new position after the edit
+ALTER TABLE music_logs DROP CONSTRAINT IF EXISTS music_logs_action_type_check;
+
+ALTER TABLE music_logs ADD CONSTRAINT music_logs_action_type_check
+CHECK (action_type IN (
+    'queue_add', 'play_start', 'play_pause', 'play_resume',
+    'play_stop', 'play_skip', 'volume_change', 'queue_clear',
+    'skip_vote',
+    'queue_move', 'queue_swap', 'queue_insert_next', 'queue_jump'
+));
+
+COMMENT ON COLUMN music_logs.details IS 'Action metadata (vote-skip: vote weight and vote totals, queue editing: source/target positions and affected requesters)';
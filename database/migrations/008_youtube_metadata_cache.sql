@@ -0,0 +1,32 @@
+-- Migration: 008_youtube_metadata_cache.sql
+-- Description: Database-backed YouTube metadata cache to save Data API quota
+-- Date: 2025-08-25
+
+-- Video metadata cache keyed by YouTube video ID
+CREATE TABLE IF NOT EXISTS youtube_video_cache (
+    video_id VARCHAR(20) PRIMARY KEY,
+    title TEXT NOT NULL,
+    channel_title TEXT,
+    duration VARCHAR(32),
+    duration_seconds INTEGER DEFAULT 0,
+    published_at TIMESTAMP WITH TIME ZONE,
+    thumbnails JSONB DEFAULT '{}',
+
+    hit_count INTEGER DEFAULT 0,
+    cached_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Search result cache keyed by normalized search query
+CREATE TABLE IF NOT EXISTS youtube_query_cache (
+    query_key TEXT PRIMARY KEY,
+    video_ids TEXT[] NOT NULL DEFAULT '{}',
+
+    hit_count INTEGER DEFAULT 0,
+    cached_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_youtube_video_cache_cached_at ON youtube_video_cache(cached_at);
+CREATE INDEX IF NOT EXISTS idx_youtube_query_cache_cached_at ON youtube_query_cache(cached_at);
+
+COMMENT ON TABLE youtube_video_cache IS 'YouTube video metadata (title, duration, thumbnails) reused until the TTL expires';
+COMMENT ON TABLE youtube_query_cache IS 'Ordered search result video IDs per normalized query (lowercased, whitespace collapsed)';
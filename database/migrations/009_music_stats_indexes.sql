@@ -0,0 +1,15 @@
+-- Migration: 009_music_stats_indexes.sql
+-- Description: Index playback history for music statistics (play, skip and stop lookups per track)
+-- Date: 2025-08-26
+
+-- Matches each play_start with the skip or stop that ended it
+CREATE INDEX IF NOT EXISTS idx_music_logs_playback
+    ON music_logs(guild_id, track_url, timestamp)
+    WHERE action_type IN ('play_start', 'play_skip', 'play_stop');
+
+-- Requester rankings and per-period totals
+CREATE INDEX IF NOT EXISTS idx_music_logs_play_history
+    ON music_logs(guild_id, timestamp DESC, requester_id)
+    WHERE action_type = 'play_start';
+
+COMMENT ON COLUMN music_logs.details IS 'Action metadata (vote-skip: vote weight and vote totals, queue editing: source/target positions and affected requesters, skip/stop: playback position in seconds)';
@@ -0,0 +1,13 @@
+-- Migration: 010_voice_session_checkpoints.sql
+-- Description: Record open voice sessions and checkpoint them so a crash only loses time since the last checkpoint
+-- Date: 2026-10-18
+
+-- Open sessions (is_active = TRUE, end_time IS NULL) are checkpointed with the score accrued so far
+ALTER TABLE voice_sessions ADD COLUMN IF NOT EXISTS last_checkpoint_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE voice_sessions ADD COLUMN IF NOT EXISTS segments JSONB;
+
+-- Sessions saved before this migration were inserted with the is_active default even though they had ended
+UPDATE voice_sessions SET is_active = FALSE WHERE is_active = TRUE AND end_time IS NOT NULL;
+
+COMMENT ON COLUMN voice_sessions.last_checkpoint_at IS 'Last time the open session was checkpointed; stale sessions are closed at this time on startup';
+COMMENT ON COLUMN voice_sessions.segments IS 'Membership segments of the open session ({ startTime, endTime, humanCount }), cleared when the session ends';
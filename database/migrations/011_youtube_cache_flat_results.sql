@@ -0,0 +1,9 @@
+-- Migration: 011_youtube_cache_flat_results.sql
+-- Description: Drop partial video metadata cached from yt-dlp flat search results
+-- Date: 2026-10-18
+
+-- Flat search results have no upload date and may lack duration or channel;
+-- full Data API and yt-dlp lookups normally include published_at, and any row removed here is refetched on next use
+DELETE FROM youtube_video_cache WHERE published_at IS NULL;
+
+COMMENT ON TABLE youtube_video_cache IS 'YouTube video metadata (title, duration, thumbnails) from full video lookups, reused until the TTL expires';
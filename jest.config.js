@@ -59,7 +59,7 @@ module.exports = {
   setupFilesAfterEnv: ['<rootDir>/test/unit/setup.js'],
   
   // 모듈 경로 매핑
-  moduleNameMapping: {
+  moduleNameMapper: {
     '^@/(.*)$': '<rootDir>/src/$1',
     '^@test/(.*)$': '<rootDir>/test/$1'
   },
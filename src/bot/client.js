@@ -94,11 +94,8 @@ process.on('SIGINT', async () => {
       });
     }
     
-    // 활성 세션 데이터 저장
-    if (client.voiceSessions.size > 0) {
-      logger.info(`${client.voiceSessions.size}개의 활성 음성 세션 데이터를 저장합니다...`);
-      // TODO: 데이터베이스에 세션 데이터 저장 로직 추가
-    }
+    // 진행 중 음성 세션 중간 저장 후 데이터베이스 연결 종료 (연결 종료 전 작업으로 등록됨)
+    await require('../services/database').close();
     
     // 클라이언트 종료
     await client.destroy();
@@ -5,6 +5,7 @@
 
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
+const youtubeAPI = require('../../services/music/youtube-api');
 
 class MonitoringCommand extends BaseCommand {
   constructor() {
@@ -246,7 +247,25 @@ class MonitoringCommand extends BaseCommand {
         }
       ]);
 
-      // 5. 헬스체크 결과
+      // 5. YouTube API 할당량 및 메타데이터 캐시
+      const youtubeUsage = youtubeAPI.getUsageStats();
+      const { cache, quota } = youtubeUsage;
+      const quotaPercent = Math.round((quota.units / quota.limit) * 100);
+      mainEmbed.addFields([
+        {
+          name: '🎵 YouTube API',
+          value: [
+            `**오늘 할당량 (추정)**: ${this.getMetricColor(quotaPercent, 80)} ${quota.units.toLocaleString()} / ${quota.limit.toLocaleString()} 유닛 (${quotaPercent}%)` +
+              (quota.exhausted ? ' - ⚠️ 소진되어 yt-dlp로 검색 중' : ''),
+            `**호출**: 검색 ${quota.calls.search || 0}회 | 비디오 ${quota.calls.videos || 0}회 | 재생목록 ${quota.calls.playlistItems || 0}회`,
+            `**비디오 캐시**: 적중 ${cache.video.hits} / 미적중 ${cache.video.misses} (${Math.round(cache.video.hitRate * 100)}%)`,
+            `**검색 캐시**: 적중 ${cache.query.hits} / 미적중 ${cache.query.misses} (${Math.round(cache.query.hitRate * 100)}%) | **TTL**: ${cache.ttlHours}시간`
+          ].join('\n'),
+          inline: false
+        }
+      ]);
+
+      // 6. 헬스체크 결과
       let healthContent = '';
       try {
         await monitoringService.performHealthCheck();
@@ -7,6 +7,7 @@ const BaseCommand = require('../BaseCommand');
 const db = require('../../services/database');
 const seasonManager = require('../../services/season');
 const seasonUtils = require('../../services/season/utils');
+const guildTimezone = require('../../services/guild/timezone');
 
 class SeasonAdminCommand extends BaseCommand {
   constructor() {
@@ -185,7 +186,10 @@ class SeasonAdminCommand extends BaseCommand {
 
       // 시즌 정보 포맷팅
       const seasonInfo = seasonUtils.formatSeasonInfo(targetSeason, true);
-      const nextSeasonInfo = seasonUtils.predictNextSeason(targetSeason);
+      const nextSeasonInfo = seasonUtils.predictNextSeason(
+        targetSeason,
+        await guildTimezone.getGuildTimezone(interaction.guild.id)
+      );
 
       // 시즌 순위 조회
       const rankings = await seasonManager.getSeasonRankings(targetSeason.id, 10);
@@ -0,0 +1,577 @@
+/**
+ * 서버 설정 Admin 명령어
+ * 길드별 음악 권한 정책, 순위 등급별 요청 제한 확인/변경과 권한 판단 미리보기,
+ * 활동 점수 규칙(기본 점수, 보너스, 시간대 배율, 상한) 확인/변경, 서버 시간대 설정
+ */
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const musicSettings = require('../../services/music/settings');
+const permissions = require('../../services/music/permissions');
+const requestLimits = require('../../services/music/requestLimits');
+const scoringRules = require('../../services/activity/scoringRules');
+const guildTimezone = require('../../services/guild/timezone');
+const { DEFAULT_TIMEZONE, isValidTimezone, getTimezoneOffset } = require('../../utils/timezone');
+
+const MODE_LABELS = {
+  rank: '순위 계층 (높은 순위가 낮은 순위 제어)',
+  equal: '모두 동등'
+};
+
+const RANK_SOURCE_LABELS = {
+  current: '현재 시즌 순위',
+  lifetime: '누적 순위'
+};
+
+const ACTION_LABELS = {
+  skip: '건너뛰기',
+  stop: '중지',
+  control: '재생 제어',
+  add: '곡 추가'
+};
+
+const RULE_SECTION_LABELS = {
+  voice: '🎤 음성',
+  voiceActivities: '📹 음성 부가 활동',
+  streaming: '📺 스트리밍',
+  message: '💬 메시지',
+  reaction: '👍 반응',
+  caps: '🧢 상한'
+};
+
+class SettingsCommand extends BaseCommand {
+  constructor() {
+    super();
+
+    this.data = new SlashCommandBuilder()
+      .setName('설정')
+      .setDescription('[관리자] 서버 설정')
+      .setDefaultMemberPermissions(0) // 관리자만
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('음악권한')
+          .setDescription('음악 권한 정책을 확인하거나 변경합니다 (옵션 없이 실행하면 현재 정책 확인)')
+          .addStringOption(option =>
+            option
+              .setName('모드')
+              .setDescription('권한 모드')
+              .addChoices(
+                { name: '순위 계층', value: 'rank' },
+                { name: '모두 동등', value: 'equal' }
+              )
+          )
+          .addStringOption(option =>
+            option
+              .setName('순위기준')
+              .setDescription('권한 판단에 사용할 순위')
+              .addChoices(
+                { name: '현재 시즌 순위', value: 'current' },
+                { name: '누적 순위', value: 'lifetime' }
+              )
+          )
+          .addRoleOption(option =>
+            option
+              .setName('dj역할')
+              .setDescription('순위와 관계없이 모든 음악을 제어할 수 있는 역할')
+          )
+          .addBooleanOption(option =>
+            option
+              .setName('dj역할해제')
+              .setDescription('DJ 역할 설정을 해제합니다')
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('추가최소순위')
+              .setDescription('곡을 추가할 수 있는 최소 순위 (0은 제한 없음)')
+              .setMinValue(0)
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('제어최소순위')
+              .setDescription('다른 사람의 음악을 제어할 수 있는 최소 순위 (0은 제한 없음)')
+              .setMinValue(0)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('음악요청제한')
+          .setDescription('순위 등급별 곡 요청 제한을 확인하거나 변경합니다 (옵션 없이 실행하면 현재 설정 확인)')
+          .addBooleanOption(option =>
+            option
+              .setName('사용')
+              .setDescription('등급별 요청 제한 사용 여부')
+          )
+          .addStringOption(option =>
+            option
+              .setName('등급')
+              .setDescription('변경할 등급 (길이/대기 곡/시간당 요청 옵션과 함께 사용)')
+              .addChoices(
+                ...Object.entries(requestLimits.TIER_LABELS).map(([value, name]) => ({ name, value }))
+              )
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('최대길이')
+              .setDescription('최대 곡 길이 (분, 0은 제한 없음)')
+              .setMinValue(0)
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('최대대기곡')
+              .setDescription('대기열에 동시에 넣을 수 있는 곡 수 (0은 제한 없음)')
+              .setMinValue(0)
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('시간당요청')
+              .setDescription('1시간 동안 요청할 수 있는 곡 수 (0은 제한 없음)')
+              .setMinValue(0)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('음악권한미리보기')
+          .setDescription('두 사용자 사이의 음악 권한 판단 과정을 확인합니다')
+          .addUserOption(option =>
+            option
+              .setName('사용자')
+              .setDescription('동작을 수행할 사용자')
+              .setRequired(true)
+          )
+          .addUserOption(option =>
+            option
+              .setName('소유자')
+              .setDescription('트랙을 요청한 사용자')
+              .setRequired(true)
+          )
+          .addStringOption(option =>
+            option
+              .setName('동작')
+              .setDescription('확인할 동작 (기본값: 건너뛰기)')
+              .addChoices(
+                ...Object.entries(ACTION_LABELS).map(([value, name]) => ({ name, value }))
+              )
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('점수규칙')
+          .setDescription('활동 점수 규칙을 확인하거나 변경합니다 (옵션 없이 실행하면 현재 규칙 확인)')
+          .addStringOption(option =>
+            option
+              .setName('항목')
+              .setDescription('변경할 규칙 항목 (예: message.base, 목록은 옵션 없이 실행해 확인)')
+          )
+          .addNumberOption(option =>
+            option
+              .setName('값')
+              .setDescription('새 값')
+              .setMinValue(0)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('점수시간대')
+          .setDescription('시간대별 점수 배율을 변경합니다')
+          .addStringOption(option =>
+            option
+              .setName('구간')
+              .setDescription('시작-끝:배율 목록 (예: 0-6:0.2,6-9:0.8,9-18:1,18-23:1.4,23-24:0.6)')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('점수규칙초기화')
+          .setDescription('활동 점수 규칙을 기본값(환경 변수)으로 되돌립니다')
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('시간대')
+          .setDescription('서버 시간대를 확인하거나 변경합니다 (옵션 없이 실행하면 현재 시간대 확인)')
+          .addStringOption(option =>
+            option
+              .setName('시간대')
+              .setDescription('IANA 시간대 이름 (예: Asia/Seoul, America/New_York, Europe/London)')
+          )
+          .addBooleanOption(option =>
+            option
+              .setName('기본값')
+              .setDescription(`기본 시간대(${DEFAULT_TIMEZONE})로 되돌립니다`)
+          )
+      );
+
+    this.category = 'admin';
+    this.cooldown = 3;
+  }
+
+  async execute(interaction) {
+    try {
+      // 관리자 권한 확인
+      if (!this.checkAdminPermission(interaction)) {
+        return await interaction.reply({
+          content: '❌ 이 명령어는 관리자만 사용할 수 있습니다.',
+          ephemeral: true
+        });
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case '음악권한':
+          await this.handleMusicPermissions(interaction);
+          break;
+        case '음악요청제한':
+          await this.handleMusicRequestLimits(interaction);
+          break;
+        case '음악권한미리보기':
+          await this.handleMusicPermissionPreview(interaction);
+          break;
+        case '점수규칙':
+          await this.handleScoringRules(interaction);
+          break;
+        case '점수시간대':
+          await this.handleScoringTimeBands(interaction);
+          break;
+        case '점수규칙초기화':
+          await this.handleScoringReset(interaction);
+          break;
+        case '시간대':
+          await this.handleTimezone(interaction);
+          break;
+        default:
+          await interaction.reply({
+            content: '❌ 알 수 없는 하위 명령어입니다.',
+            ephemeral: true
+          });
+      }
+
+    } catch (error) {
+      this.logger.error('설정 명령어 실행 중 에러:', error);
+
+      const errorMessage = {
+        content: '❌ 명령어 실행 중 오류가 발생했습니다.',
+        ephemeral: true
+      };
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage);
+      } else {
+        await interaction.reply(errorMessage);
+      }
+    }
+  }
+
+  /**
+   * 음악 권한 정책 확인/변경
+   */
+  async handleMusicPermissions(interaction) {
+    const values = {};
+    const mode = interaction.options.getString('모드');
+    const rankSource = interaction.options.getString('순위기준');
+    const djRole = interaction.options.getRole('dj역할');
+    const clearDjRole = interaction.options.getBoolean('dj역할해제');
+    const minRankToQueue = interaction.options.getInteger('추가최소순위');
+    const minRankToControl = interaction.options.getInteger('제어최소순위');
+
+    if (mode !== null) values.mode = mode;
+    if (rankSource !== null) values.rankSource = rankSource;
+    if (djRole) values.djRoleId = djRole.id;
+    if (clearDjRole) values.djRoleId = null;
+    if (minRankToQueue !== null) values.minRankToQueue = minRankToQueue;
+    if (minRankToControl !== null) values.minRankToControl = minRankToControl;
+
+    const settings = Object.keys(values).length === 0
+      ? await musicSettings.getMusicSettings(interaction.guild.id)
+      : await musicSettings.updateMusicSettings(interaction.guild.id, 'permissions', values);
+
+    if (!settings) {
+      return await interaction.reply({
+        content: '❌ 설정 저장 중 오류가 발생했습니다.',
+        ephemeral: true
+      });
+    }
+
+    const policy = settings.permissions;
+    const embed = new EmbedBuilder()
+      .setColor(0x00CCFF)
+      .setTitle(Object.keys(values).length === 0 ? '🔐 음악 권한 정책' : '🔐 음악 권한 정책 변경됨')
+      .setDescription('관리자는 항상 모든 음악을 제어할 수 있고, 자신이 요청한 곡은 누구나 제어할 수 있습니다.')
+      .addFields(
+        { name: '모드', value: MODE_LABELS[policy.mode], inline: true },
+        { name: '순위 기준', value: RANK_SOURCE_LABELS[policy.rankSource], inline: true },
+        { name: 'DJ 역할', value: policy.djRoleId ? `<@&${policy.djRoleId}>` : '없음', inline: true },
+        { name: '곡 추가 최소 순위', value: policy.minRankToQueue ? `${policy.minRankToQueue}위 이내` : '제한 없음', inline: true },
+        { name: '제어 최소 순위', value: policy.minRankToControl ? `${policy.minRankToControl}위 이내` : '제한 없음', inline: true }
+      )
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  /**
+   * 순위 등급별 곡 요청 제한 확인/변경
+   */
+  async handleMusicRequestLimits(interaction) {
+    const enabled = interaction.options.getBoolean('사용');
+    const tierId = interaction.options.getString('등급');
+    const tierValues = {};
+    const maxMinutes = interaction.options.getInteger('최대길이');
+    const maxQueued = interaction.options.getInteger('최대대기곡');
+    const maxPerHour = interaction.options.getInteger('시간당요청');
+
+    if (maxMinutes !== null) tierValues.maxDuration = maxMinutes * 60;
+    if (maxQueued !== null) tierValues.maxQueued = maxQueued;
+    if (maxPerHour !== null) tierValues.maxPerHour = maxPerHour;
+
+    if (Object.keys(tierValues).length > 0 && !tierId) {
+      return await interaction.reply({
+        content: '❌ 변경할 등급을 함께 선택해주세요.',
+        ephemeral: true
+      });
+    }
+
+    let settings = await musicSettings.getMusicSettings(interaction.guild.id);
+    const values = {};
+    if (enabled !== null) values.enabled = enabled;
+    if (Object.keys(tierValues).length > 0) {
+      // 등급 목록은 항목 단위로 병합되지 않으므로 전체를 저장
+      const { tiers } = settings.requestLimits;
+      values.tiers = { ...tiers, [tierId]: { ...tiers[tierId], ...tierValues } };
+    }
+
+    if (Object.keys(values).length > 0) {
+      settings = await musicSettings.updateMusicSettings(interaction.guild.id, 'requestLimits', values);
+      if (!settings) {
+        return await interaction.reply({
+          content: '❌ 설정 저장 중 오류가 발생했습니다.',
+          ephemeral: true
+        });
+      }
+    }
+
+    const { enabled: active, tiers } = settings.requestLimits;
+    const limitText = (value, format) => value ? format(value) : '제한 없음';
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00CCFF)
+      .setTitle(Object.keys(values).length === 0 ? '🏅 음악 요청 제한' : '🏅 음악 요청 제한 변경됨')
+      .setDescription(`${active ? '✅ 사용 중' : '❌ 사용 안 함'} - 관리자와 DJ 역할은 제한을 받지 않습니다.`)
+      .addFields(
+        Object.entries(requestLimits.TIER_LABELS).map(([id, label]) => ({
+          name: id === 'top3' || id === 'top10' ? `${label} (${tiers[id].maxRank}위 이내)` : label,
+          value: [
+            `최대 길이: ${limitText(tiers[id].maxDuration, seconds => `${Math.round(seconds / 60)}분`)}`,
+            `최대 대기 곡: ${limitText(tiers[id].maxQueued, count => `${count}곡`)}`,
+            `시간당 요청: ${limitText(tiers[id].maxPerHour, count => `${count}곡`)}`
+          ].join('\n'),
+          inline: true
+        }))
+      )
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  /**
+   * 음악 권한 판단 미리보기 (실제 동작은 수행하지 않음)
+   */
+  async handleMusicPermissionPreview(interaction) {
+    const actor = interaction.options.getUser('사용자');
+    const owner = interaction.options.getUser('소유자');
+    const action = interaction.options.getString('동작') || 'skip';
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const result = await permissions.explainPermission(interaction.guild.id, actor.id, owner.id, action);
+
+    const embed = new EmbedBuilder()
+      .setColor(result.allowed ? 0x00FF00 : 0xFF0000)
+      .setTitle(`${result.allowed ? '✅ 허용' : '❌ 거부'} - ${ACTION_LABELS[action]}`)
+      .setDescription(`<@${actor.id}>님이 <@${owner.id}>님의 트랙에 **${ACTION_LABELS[action]}**을(를) 수행하는 경우`)
+      .addFields(
+        { name: '판단 과정', value: result.steps.map((step, index) => `${index + 1}. ${step}`).join('\n'), inline: false },
+        { name: '결과', value: result.message, inline: false }
+      )
+      .setFooter({ text: '음성 채널 참여는 충족된 것으로 가정합니다' })
+      .setTimestamp();
+
+    return await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * 활동 점수 규칙 확인/변경
+   */
+  async handleScoringRules(interaction) {
+    const key = interaction.options.getString('항목');
+    const value = interaction.options.getNumber('값');
+
+    if ((key === null) !== (value === null)) {
+      return await interaction.reply({
+        content: '❌ 규칙을 변경하려면 항목과 값을 함께 입력해주세요.',
+        ephemeral: true
+      });
+    }
+
+    if (key !== null && !scoringRules.RULE_LABELS[key]) {
+      return await interaction.reply({
+        content: `❌ 알 수 없는 규칙 항목입니다: \`${key}\`\n옵션 없이 \`/설정 점수규칙\`을 실행하면 항목 목록을 확인할 수 있습니다.`,
+        ephemeral: true
+      });
+    }
+
+    const rules = key === null
+      ? await scoringRules.getScoringRules(interaction.guild.id)
+      : await scoringRules.updateScoringRule(interaction.guild.id, key, value);
+
+    if (!rules) {
+      return await interaction.reply({
+        content: '❌ 설정 저장 중 오류가 발생했습니다.',
+        ephemeral: true
+      });
+    }
+
+    return await interaction.reply({
+      embeds: [this.createScoringRulesEmbed(rules, key === null ? '📊 활동 점수 규칙' : '📊 활동 점수 규칙 변경됨')],
+      ephemeral: true
+    });
+  }
+
+  /**
+   * 시간대별 점수 배율 변경
+   */
+  async handleScoringTimeBands(interaction) {
+    const input = interaction.options.getString('구간');
+
+    const timeBands = input.split(',').map(part => {
+      const match = part.trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})\s*:\s*(\d+(?:\.\d+)?)$/);
+      return match
+        ? { start: parseInt(match[1], 10), end: parseInt(match[2], 10), weight: parseFloat(match[3]) }
+        : null;
+    });
+
+    const error = timeBands.includes(null)
+      ? '형식이 올바르지 않습니다. `시작-끝:배율`을 쉼표로 구분해 입력해주세요. (예: 0-6:0.2,6-24:1)'
+      : scoringRules.validateTimeBands(timeBands);
+
+    if (error) {
+      return await interaction.reply({
+        content: `❌ ${error}`,
+        ephemeral: true
+      });
+    }
+
+    const rules = await scoringRules.updateTimeBands(
+      interaction.guild.id,
+      [...timeBands].sort((a, b) => a.start - b.start)
+    );
+
+    if (!rules) {
+      return await interaction.reply({
+        content: '❌ 설정 저장 중 오류가 발생했습니다.',
+        ephemeral: true
+      });
+    }
+
+    return await interaction.reply({
+      embeds: [this.createScoringRulesEmbed(rules, '📊 점수 시간대 변경됨')],
+      ephemeral: true
+    });
+  }
+
+  /**
+   * 활동 점수 규칙 초기화
+   */
+  async handleScoringReset(interaction) {
+    const rules = await scoringRules.resetScoringRules(interaction.guild.id);
+
+    if (!rules) {
+      return await interaction.reply({
+        content: '❌ 설정 저장 중 오류가 발생했습니다.',
+        ephemeral: true
+      });
+    }
+
+    return await interaction.reply({
+      embeds: [this.createScoringRulesEmbed(rules, '📊 활동 점수 규칙 초기화됨')],
+      ephemeral: true
+    });
+  }
+
+  /**
+   * 서버 시간대 확인/변경
+   */
+  async handleTimezone(interaction) {
+    const input = interaction.options.getString('시간대');
+    const reset = interaction.options.getBoolean('기본값');
+
+    if (input !== null && !isValidTimezone(input)) {
+      return await interaction.reply({
+        content: `❌ 알 수 없는 시간대입니다: \`${input}\`\n\`Asia/Seoul\`처럼 IANA 시간대 이름을 입력해주세요.`,
+        ephemeral: true
+      });
+    }
+
+    const changed = input !== null || reset === true;
+    const timeZone = changed
+      ? await guildTimezone.setGuildTimezone(interaction.guild.id, reset ? null : input)
+      : await guildTimezone.getGuildTimezone(interaction.guild.id);
+
+    if (!timeZone) {
+      return await interaction.reply({
+        content: '❌ 설정 저장 중 오류가 발생했습니다.',
+        ephemeral: true
+      });
+    }
+
+    const now = new Date();
+    const offset = getTimezoneOffset(now, timeZone);
+    const offsetText = `UTC${offset < 0 ? '-' : '+'}${String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0')}:${String(Math.abs(offset) % 60).padStart(2, '0')}`;
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00CCFF)
+      .setTitle(changed ? '🌏 서버 시간대 변경됨' : '🌏 서버 시간대')
+      .setDescription('시간대별 점수 배율, 시즌 종료 시각, 일일 통계 기준일이 이 시간대로 계산됩니다.')
+      .addFields(
+        { name: '시간대', value: timeZone === DEFAULT_TIMEZONE ? `${timeZone} (기본값)` : timeZone, inline: true },
+        { name: '현재 오프셋', value: offsetText, inline: true },
+        { name: '현지 시각', value: now.toLocaleString('ko-KR', { timeZone }), inline: true }
+      )
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  /**
+   * 점수 규칙 임베드 생성 (분류별 항목 키와 값, 시간대 배율)
+   * @param {Object} rules - 점수 규칙
+   * @param {string} title - 임베드 제목
+   * @returns {EmbedBuilder} 임베드
+   */
+  createScoringRulesEmbed(rules, title) {
+    const fields = Object.entries(RULE_SECTION_LABELS).map(([section, name]) => ({
+      name,
+      value: Object.entries(scoringRules.RULE_LABELS)
+        .filter(([key]) => key.startsWith(`${section}.`))
+        .map(([key, label]) => `\`${key}\` ${label.split(' - ')[1]}: **${rules[section][key.split('.')[1]]}**`)
+        .join('\n'),
+      inline: false
+    }));
+
+    fields.push({
+      name: '🕐 시간대 배율',
+      value: rules.timeBands
+        .map(band => `${band.start}시-${band.end}시: **x${band.weight}**`)
+        .join('\n'),
+      inline: false
+    });
+
+    return new EmbedBuilder()
+      .setColor(0x00CCFF)
+      .setTitle(title)
+      .setDescription('`/설정 점수규칙 항목:<키> 값:<숫자>`로 항목을 변경하고, `/설정 점수시간대`로 시간대 배율을 변경합니다.')
+      .addFields(fields)
+      .setTimestamp();
+  }
+}
+
+module.exports = new SettingsCommand();
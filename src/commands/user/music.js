@@ -2,9 +2,16 @@
  * 통합 음악 명령어
  * /노래 접두사로 모든 음악 관련 기능 제공
  */
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
 const musicPlayer = require('../../services/music');
+const playlistStore = require('../../services/music/playlists');
+const musicSettings = require('../../services/music/settings');
+const nowPlayingPanel = require('../../services/music/panel');
+const musicStats = require('../../services/music/stats');
+const crossfade = require('../../services/music/crossfade');
+
+const SEARCH_MENU_TIMEOUT = 60 * 1000; // 검색 결과 선택 메뉴 유효 시간
 
 class MusicCommand extends BaseCommand {
   constructor() {
@@ -16,13 +23,31 @@ class MusicCommand extends BaseCommand {
       .addSubcommand(subcommand =>
         subcommand
           .setName('재생')
-          .setDescription('YouTube 음악을 재생합니다')
+          .setDescription('YouTube, 로컬 라이브러리 또는 HTTP 오디오를 재생합니다')
           .addStringOption(option =>
             option
               .setName('url')
-              .setDescription('YouTube URL 또는 검색어')
+              .setDescription('YouTube/재생목록/오디오 URL, local:<검색어> 또는 검색어')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('검색')
+          .setDescription('검색 결과 중에서 골라 재생합니다')
+          .addStringOption(option =>
+            option
+              .setName('검색어')
+              .setDescription('검색어 (local:<검색어>는 로컬 라이브러리 검색)')
               .setRequired(true)
           )
+          .addIntegerOption(option =>
+            option
+              .setName('개수')
+              .setDescription('표시할 검색 결과 수 (기본값: 5)')
+              .setMinValue(1)
+              .setMaxValue(10)
+          )
       )
       .addSubcommand(subcommand =>
         subcommand
@@ -34,6 +59,111 @@ class MusicCommand extends BaseCommand {
           .setName('건너뛰기')
           .setDescription('현재 재생 중인 음악을 건너뜁니다')
       )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('현재재생')
+          .setDescription('현재 재생 중인 곡과 재생 위치를 확인합니다')
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('탐색')
+          .setDescription('현재 곡의 특정 위치로 이동합니다')
+          .addStringOption(option =>
+            option
+              .setName('시간')
+              .setDescription('이동할 위치 (예: 1:30, 1:02:30)')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('필터')
+          .setDescription('오디오 필터를 켜거나 끕니다')
+          .addStringOption(option =>
+            option
+              .setName('종류')
+              .setDescription('적용할 필터를 선택하세요')
+              .setRequired(true)
+              .addChoices(
+                { name: '베이스 부스트', value: 'bassboost' },
+                { name: '나이트코어', value: 'nightcore' },
+                { name: '8D', value: '8d' },
+                { name: '음량 평준화', value: 'loudnorm' },
+                { name: '모두 끄기', value: 'clear' }
+              )
+          )
+          .addBooleanOption(option =>
+            option
+              .setName('켜기')
+              .setDescription('켜기/끄기 (비어두면 현재 상태를 전환)')
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('자동재생')
+          .setDescription('대기열이 비면 서버 재생 기록에서 곡을 골라 이어서 재생합니다')
+          .addBooleanOption(option =>
+            option
+              .setName('사용')
+              .setDescription('자동 재생 사용 여부 (비어두면 현재 설정 확인)')
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('크로스페이드')
+          .setDescription('곡이 바뀔 때 이전 곡과 다음 곡을 겹쳐 재생하는 시간을 설정합니다')
+          .addIntegerOption(option =>
+            option
+              .setName('초')
+              .setDescription('크로스페이드 길이 (0은 끄기, 비어두면 현재 설정 확인)')
+              .setMinValue(0)
+              .setMaxValue(crossfade.MAX_CROSSFADE_SECONDS)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('투표설정')
+          .setDescription('투표 건너뛰기 설정을 확인하거나 변경합니다 (변경은 관리자 전용)')
+          .addBooleanOption(option =>
+            option
+              .setName('사용')
+              .setDescription('투표 건너뛰기 사용 여부')
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('비율')
+              .setDescription('건너뛰기에 필요한 청취자 투표 비율 (%)')
+              .setMinValue(10)
+              .setMaxValue(100)
+          )
+          .addBooleanOption(option =>
+            option
+              .setName('순위가중치')
+              .setDescription('상위 순위 사용자의 표를 더 높게 반영할지 여부')
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('공정대기열')
+          .setDescription('요청자별 번갈아 재생하는 공정 대기열 설정을 확인하거나 변경합니다 (변경은 관리자 전용)')
+          .addBooleanOption(option =>
+            option
+              .setName('사용')
+              .setDescription('공정 대기열 사용 여부')
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('1인최대')
+              .setDescription('1인당 최대 대기 곡 수 (0은 제한 없음)')
+              .setMinValue(0)
+              .setMaxValue(100)
+          )
+          .addBooleanOption(option =>
+            option
+              .setName('순위가중치')
+              .setDescription('상위 순위 사용자에게 더 자주 순서를 줄지 여부')
+          )
+      )
       .addSubcommand(subcommand =>
         subcommand
           .setName('대기열')
@@ -57,6 +187,88 @@ class MusicCommand extends BaseCommand {
               .setMinValue(2)
           )
       )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('이동')
+          .setDescription('대기열의 곡을 다른 위치로 옮깁니다')
+          .addIntegerOption(option =>
+            option
+              .setName('현재위치')
+              .setDescription('옮길 곡의 위치 (2부터 시작)')
+              .setRequired(true)
+              .setMinValue(2)
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('새위치')
+              .setDescription('옮길 위치 (2부터 시작)')
+              .setRequired(true)
+              .setMinValue(2)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('교체')
+          .setDescription('대기열의 두 곡 위치를 바꿉니다')
+          .addIntegerOption(option =>
+            option
+              .setName('첫번째')
+              .setDescription('첫 번째 곡의 위치 (2부터 시작)')
+              .setRequired(true)
+              .setMinValue(2)
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('두번째')
+              .setDescription('두 번째 곡의 위치 (2부터 시작)')
+              .setRequired(true)
+              .setMinValue(2)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('다음에재생')
+          .setDescription('곡을 현재 곡 바로 다음 순서에 추가합니다')
+          .addStringOption(option =>
+            option
+              .setName('url')
+              .setDescription('YouTube/오디오 URL, local:<검색어> 또는 검색어')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('점프')
+          .setDescription('사이의 곡들을 건너뛰고 대기열의 특정 곡을 바로 재생합니다')
+          .addIntegerOption(option =>
+            option
+              .setName('위치')
+              .setDescription('재생할 곡의 위치 (2부터 시작)')
+              .setRequired(true)
+              .setMinValue(2)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('통계')
+          .setDescription('음악 재생 기록 통계를 확인합니다')
+          .addStringOption(option =>
+            option
+              .setName('기간')
+              .setDescription('집계 기간 (기본값: 최근 7일)')
+              .addChoices(
+                { name: '최근 24시간', value: 'day' },
+                { name: '최근 7일', value: 'week' },
+                { name: '현재 시즌', value: 'season' },
+                { name: '전체 기간', value: 'all' }
+              )
+          )
+          .addUserOption(option =>
+            option
+              .setName('사용자')
+              .setDescription('개인 통계를 확인할 사용자 (비어두면 자신의 통계 확인)')
+          )
+      )
       .addSubcommand(subcommand =>
         subcommand
           .setName('권한')
@@ -81,6 +293,77 @@ class MusicCommand extends BaseCommand {
                 { name: '전체 반복', value: 'queue' }
               )
           )
+      )
+      .addSubcommandGroup(group =>
+        group
+          .setName('플레이리스트')
+          .setDescription('저장된 플레이리스트를 관리합니다')
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('저장')
+              .setDescription('곡 목록 또는 현재 대기열을 플레이리스트로 저장합니다')
+              .addStringOption(option =>
+                option
+                  .setName('이름')
+                  .setDescription('플레이리스트 이름')
+                  .setRequired(true)
+                  .setMaxLength(100)
+              )
+              .addStringOption(option =>
+                option
+                  .setName('곡')
+                  .setDescription('저장할 URL 또는 검색어 (쉼표로 구분, 비어두면 현재 대기열 저장)')
+              )
+          )
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('불러오기')
+              .setDescription('저장된 플레이리스트를 대기열에 추가합니다')
+              .addStringOption(option =>
+                option
+                  .setName('이름')
+                  .setDescription('플레이리스트 이름')
+                  .setRequired(true)
+              )
+              .addUserOption(option =>
+                option
+                  .setName('소유자')
+                  .setDescription('공유 플레이리스트 소유자 (비어두면 자신의 플레이리스트 우선)')
+              )
+          )
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('목록')
+              .setDescription('내 플레이리스트와 공유된 플레이리스트를 확인합니다')
+          )
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('삭제')
+              .setDescription('내 플레이리스트를 삭제합니다')
+              .addStringOption(option =>
+                option
+                  .setName('이름')
+                  .setDescription('플레이리스트 이름')
+                  .setRequired(true)
+              )
+          )
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('공유')
+              .setDescription('내 플레이리스트의 공유 여부를 설정합니다')
+              .addStringOption(option =>
+                option
+                  .setName('이름')
+                  .setDescription('플레이리스트 이름')
+                  .setRequired(true)
+              )
+              .addBooleanOption(option =>
+                option
+                  .setName('공유')
+                  .setDescription('서버 구성원에게 공유할지 여부')
+                  .setRequired(true)
+              )
+          )
       );
 
     this.category = 'music';
@@ -88,6 +371,9 @@ class MusicCommand extends BaseCommand {
     this.adminOnly = false;
     this.musicCommand = true;
     this.requiresVoiceChannel = true;
+
+    // 선택 대기 중인 검색 결과 (검색 ID -> { userId, tracks, timer })
+    this.pendingSearches = new Map();
   }
 
   async execute(interaction, validationData) {
@@ -95,11 +381,18 @@ class MusicCommand extends BaseCommand {
     this.logger.info(`MusicCommand.execute 시작 - 서브커맨드: ${subcommand}`);
 
     try {
+      if (interaction.options.getSubcommandGroup(false) === '플레이리스트') {
+        return await this.handlePlaylistCommand(interaction, validationData, subcommand);
+      }
+
       this.logger.info(`switch 문 진입 - 서브커맨드: ${subcommand}`);
       switch (subcommand) {
         case '재생':
           this.logger.info('재생 케이스 진입');
           return await this.handlePlay(interaction, validationData);
+        case '검색':
+          this.logger.info('검색 케이스 진입');
+          return await this.handleSearch(interaction, validationData);
         case '중지':
           this.logger.info('중지 케이스 진입');
           return await this.handleStop(interaction, validationData);
@@ -112,12 +405,45 @@ class MusicCommand extends BaseCommand {
         case '제거':
           this.logger.info('제거 케이스 진입');
           return await this.handleRemove(interaction, validationData);
+        case '이동':
+          this.logger.info('이동 케이스 진입');
+          return await this.handleMove(interaction, validationData);
+        case '교체':
+          this.logger.info('교체 케이스 진입');
+          return await this.handleSwap(interaction, validationData);
+        case '다음에재생':
+          this.logger.info('다음에재생 케이스 진입');
+          return await this.handlePlayNext(interaction, validationData);
+        case '점프':
+          this.logger.info('점프 케이스 진입');
+          return await this.handleJump(interaction, validationData);
         case '반복':
           this.logger.info('반복 케이스 진입');
           return await this.handleRepeat(interaction, validationData);
         case '현재재생':
           this.logger.info('현재재생 케이스 진입');
           return await this.handleNowPlaying(interaction, validationData);
+        case '탐색':
+          this.logger.info('탐색 케이스 진입');
+          return await this.handleSeek(interaction, validationData);
+        case '필터':
+          this.logger.info('필터 케이스 진입');
+          return await this.handleFilter(interaction, validationData);
+        case '자동재생':
+          this.logger.info('자동재생 케이스 진입');
+          return await this.handleAutoplay(interaction, validationData);
+        case '크로스페이드':
+          this.logger.info('크로스페이드 케이스 진입');
+          return await this.handleCrossfade(interaction, validationData);
+        case '투표설정':
+          this.logger.info('투표설정 케이스 진입');
+          return await this.handleVoteSkipSettings(interaction, validationData);
+        case '공정대기열':
+          this.logger.info('공정대기열 케이스 진입');
+          return await this.handleFairQueueSettings(interaction, validationData);
+        case '통계':
+          this.logger.info('통계 케이스 진입');
+          return await this.handleStats(interaction, validationData);
         case '권한':
           this.logger.info('권한 케이스 진입');
           return await this.handlePermissions(interaction, validationData);
@@ -161,18 +487,18 @@ class MusicCommand extends BaseCommand {
       return await interaction.reply({ embeds: [embed], ephemeral: true });
     }
     
+    // 재생목록은 곡 수 집계가 필요하므로 결과를 기다린 뒤 응답
+    if (musicPlayer.isPlaylistQuery(url)) {
+      return await this.handlePlaylistPlay(interaction, validationData, url);
+    }
+    
     try {
       this.logger.info('handlePlay: musicPlayer.play 호출 시작');
       
-      // 현재 재생 상태 확인
-      const isCurrentlyPlaying = musicPlayer.isPlaying(interaction.guild.id);
-      const hasQueue = musicPlayer.getQueue && musicPlayer.getQueue(interaction.guild.id) && 
-                      musicPlayer.getQueue(interaction.guild.id).length > 0;
-      
-      this.logger.info(`handlePlay: isPlaying=${isCurrentlyPlaying}, hasQueue=${hasQueue}`);
+      // 트랙 조회와 연결에 3초 이상 걸릴 수 있으므로 응답을 미루고 결과를 기다림
+      await interaction.deferReply();
       
-      // await을 제거하고, 에러 처리를 위해 .catch() 사용
-      musicPlayer.play(
+      const result = await musicPlayer.play(
         interaction.guild.id,
         validationData.voiceChannel.id,
         url,
@@ -181,17 +507,22 @@ class MusicCommand extends BaseCommand {
           voiceChannel: validationData.voiceChannel,
           textChannel: interaction.channel
         }
-      ).catch(error => {
-        this.logger.error('musicPlayer.play에서 치명적인 에러 발생:', error);
-      });
+      );
+      
+      this.logger.info(`handlePlay: 결과=${result.status}${result.code ? ` (${result.code})` : ''}`);
+      
+      // 권한 거부, 등급별 요청 제한, 1인 대기 곡 제한 등은 추가 안내 대신 거부 사유만 표시
+      if (result.status === 'error') {
+        return await interaction.editReply({ content: `❌ ${result.message}` });
+      }
       
       // 재생 상태에 따라 다른 메시지 제공
-      if (isCurrentlyPlaying || hasQueue) {
-        return await interaction.reply({
+      if (result.status === 'queued') {
+        return await interaction.editReply({
           content: `📝 **요청하신 곡이 대기열에 추가되었습니다!**\n🎵 ${url}\n\n\`/노래 대기열\` 명령어로 확인하세요.`
         });
       } else {
-        return await interaction.reply({
+        return await interaction.editReply({
           content: `🎵 **음악 재생을 시작합니다!**\n${url}\n\n잠시만 기다려주세요...`
         });
       }
@@ -205,11 +536,198 @@ class MusicCommand extends BaseCommand {
         fullError: error
       });
       
+      const content = `❌ 음악 재생 실패: ${error?.message || '알 수 없는 오류가 발생했습니다.'}`;
+      if (interaction.deferred) {
+        return await interaction.editReply({ content });
+      }
+      return await interaction.reply({ content, ephemeral: true });
+    }
+  }
+
+  // 검색 결과 선택 메뉴 표시
+  async handleSearch(interaction, validationData) {
+    const query = interaction.options.getString('검색어');
+    const limit = interaction.options.getInteger('개수') || 5;
+
+    if (!validationData.voiceChannel) {
       return await interaction.reply({
-        content: `❌ 음악 재생 실패: ${error?.message || '알 수 없는 오류가 발생했습니다.'}`,
+        content: '❌ 음성 채널에 참여한 후 검색할 수 있습니다.',
         ephemeral: true
       });
     }
+
+    await interaction.deferReply();
+
+    const tracks = await musicPlayer.searchTracks(query, limit);
+    if (tracks.length === 0) {
+      return await interaction.editReply({ content: `🔍 **${query}**에 대한 검색 결과가 없습니다.` });
+    }
+
+    const searchId = interaction.id;
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`music_search_${searchId}`)
+      .setPlaceholder('재생할 곡을 선택하세요')
+      .addOptions(tracks.map((track, index) => ({
+        label: track.title.slice(0, 100),
+        description: `${track.duration ? musicPlayer.formatTime(track.duration) : '라이브'} · ${track.channelTitle || '알 수 없음'}`.slice(0, 100),
+        value: String(index)
+      })));
+
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle(`🔍 "${query}" 검색 결과`)
+      .setDescription(tracks
+        .map((track, index) => 
+          `${index + 1}. **${track.title}** (${track.duration ? musicPlayer.formatTime(track.duration) : '라이브'}) - ${track.channelTitle || '알 수 없음'}`
+        )
+        .join('\n'))
+      .setFooter({ text: `${SEARCH_MENU_TIMEOUT / 1000}초 안에 선택하세요` })
+      .setTimestamp();
+
+    // 시간이 지나면 선택 메뉴를 닫음
+    const timer = setTimeout(async () => {
+      this.pendingSearches.delete(searchId);
+      try {
+        await interaction.editReply({ content: '⌛ 검색 결과 선택 시간이 만료되었습니다.', embeds: [], components: [] });
+      } catch (error) {
+        this.logger.debug(`만료된 검색 메뉴 정리 실패: ${error.message}`);
+      }
+    }, SEARCH_MENU_TIMEOUT);
+
+    this.pendingSearches.set(searchId, { userId: interaction.user.id, tracks, timer });
+
+    return await interaction.editReply({
+      embeds: [embed],
+      components: [new ActionRowBuilder().addComponents(menu)]
+    });
+  }
+
+  // 음악 선택 메뉴 처리 (customId: music_<동작>_...)
+  async handleSelectMenu(interaction, params) {
+    const [action, searchId] = params;
+
+    if (action !== 'search') {
+      return await interaction.reply({ content: '❌ 알 수 없는 음악 메뉴입니다.', ephemeral: true });
+    }
+
+    const pending = this.pendingSearches.get(searchId);
+    if (!pending) {
+      return await interaction.reply({ content: '⌛ 만료된 검색 결과입니다. 다시 검색해주세요.', ephemeral: true });
+    }
+
+    if (pending.userId !== interaction.user.id) {
+      return await interaction.reply({ content: '❌ 검색한 사용자만 곡을 선택할 수 있습니다.', ephemeral: true });
+    }
+
+    const voiceChannel = interaction.member?.voice?.channel;
+    if (!voiceChannel) {
+      return await interaction.reply({ content: '❌ 음성 채널에 참여한 후 선택해주세요.', ephemeral: true });
+    }
+
+    const track = pending.tracks[parseInt(interaction.values[0], 10)];
+    clearTimeout(pending.timer);
+    this.pendingSearches.delete(searchId);
+
+    // 곡 정보 조회와 재생 시작을 기다리는 동안 메뉴를 닫아 중복 선택 방지
+    await interaction.update({ content: `⏳ **${track.title}** 추가 중...`, embeds: [], components: [] });
+
+    const result = await musicPlayer.play(
+      interaction.guild.id,
+      voiceChannel.id,
+      track.url,
+      interaction.user,
+      {
+        voiceChannel,
+        textChannel: interaction.channel
+      }
+    );
+
+    if (result.status === 'error') {
+      return await interaction.editReply({ content: `❌ ${result.message}` });
+    }
+
+    return await interaction.editReply({ content: result.message });
+  }
+
+  // 재생목록 재생 처리
+  async handlePlaylistPlay(interaction, validationData, url) {
+    await interaction.deferReply();
+    
+    const result = await musicPlayer.play(
+      interaction.guild.id,
+      validationData.voiceChannel.id,
+      url,
+      interaction.user,
+      {
+        voiceChannel: validationData.voiceChannel,
+        textChannel: interaction.channel
+      }
+    );
+    
+    if (result.status === 'error' && !result.added) {
+      return await interaction.editReply({
+        content: `❌ 재생목록 추가 실패: ${result.message}`
+      });
+    }
+    
+    const skipped = result.skipped || {};
+    const skippedTotal = (skipped.private || 0) + (skipped.deleted || 0) + 
+                         (skipped.tooLong || 0) + (skipped.unavailable || 0);
+    
+    const embed = new EmbedBuilder()
+      .setColor('#00ff00')
+      .setTitle('📃 재생목록 추가')
+      .setDescription(`**${result.added}곡**이 대기열에 추가되었습니다.`)
+      .setTimestamp();
+    
+    if (skippedTotal > 0) {
+      const reasons = [
+        skipped.private ? `🔒 비공개 ${skipped.private}곡` : null,
+        skipped.deleted ? `🗑️ 삭제됨 ${skipped.deleted}곡` : null,
+        skipped.tooLong ? `⏱️ 너무 김 ${skipped.tooLong}곡` : null,
+        skipped.unavailable ? `🚫 재생 불가 ${skipped.unavailable}곡` : null
+      ].filter(Boolean);
+      
+      embed.addFields({
+        name: `⏭️ 건너뜀 (${skippedTotal}곡)`,
+        value: reasons.join('\n'),
+        inline: false
+      });
+    }
+    
+    if (result.truncated > 0) {
+      embed.addFields({
+        name: '📏 추가 제한',
+        value: `재생목록 최대 곡 수 제한으로 ${result.truncated}곡은 추가되지 않았습니다.`,
+        inline: false
+      });
+    }
+    
+    if (result.limited > 0) {
+      embed.addFields({
+        name: '⚖️ 1인 대기 곡 제한',
+        value: `1인당 최대 대기 곡 수 제한으로 ${result.limited}곡은 추가되지 않았습니다.`,
+        inline: false
+      });
+    }
+
+    if (result.tierLimits) {
+      embed.addFields({
+        name: `🏅 ${result.tierLimits.tier.label} 등급 제한`,
+        value: this.formatTierLimits(result.tierLimits),
+        inline: false
+      });
+    }
+    
+    if (result.status === 'error') {
+      embed.addFields({
+        name: '⚠️ 재생 시작 실패',
+        value: result.message,
+        inline: false
+      });
+    }
+    
+    return await interaction.editReply({ embeds: [embed] });
   }
 
   // 중지 처리
@@ -262,6 +780,12 @@ class MusicCommand extends BaseCommand {
       // 권한 확인
       const hasPermission = await this.checkMusicPermission(interaction, validationData);
       if (!hasPermission) {
+        // 투표 건너뛰기가 켜져 있으면 권한 대신 투표로 처리
+        const settings = await musicSettings.getMusicSettings(interaction.guild.id);
+        if (settings.voteSkip.enabled) {
+          return await this.handleVoteSkip(interaction, validationData);
+        }
+
         return await interaction.reply({
           content: '❌ 현재 재생 중인 음악을 건너뛸 권한이 없습니다.',
           ephemeral: true
@@ -310,73 +834,598 @@ class MusicCommand extends BaseCommand {
     }
   }
 
-  // 대기열 처리
-  async handleQueue(interaction, validationData) {
-    try {
-      const page = interaction.options.getInteger('페이지') || 1;
-      const result = await musicPlayer.getQueue(interaction.guild.id, page);
-
-      if (!result.currentTrack && result.queue.length === 0) {
-        const embed = new EmbedBuilder()
-          .setColor('#666666')
-          .setTitle('📋 대기열')
-          .setDescription('재생 중인 음악이 없습니다.')
-          .setTimestamp();
-
-        return await interaction.reply({ embeds: [embed] });
-      }
+  // 현재 재생 처리
+  async handleNowPlaying(interaction, validationData) {
+    const nowPlaying = musicPlayer.getNowPlaying(interaction.guild.id);
 
+    if (!nowPlaying.current) {
       const embed = new EmbedBuilder()
-        .setColor('#0099ff')
-        .setTitle('📋 대기열')
+        .setColor('#666666')
+        .setTitle('🎵 현재 재생')
+        .setDescription('재생 중인 음악이 없습니다.')
         .setTimestamp();
 
-      if (result.currentTrack) {
-        const requesterName = result.currentTrack.requester?.displayName || 
-                             result.currentTrack.requester?.tag || 
-                             result.currentTrack.requestedBy?.tag ||
-                             '알 수 없음';
-        
-        embed.addFields({
-          name: '🎵 현재 재생 중',
-          value: `**${result.currentTrack.title}**\n요청자: ${requesterName}`,
-          inline: false
-        });
-      }
+      return await interaction.reply({ embeds: [embed] });
+    }
 
-      if (result.queue.length > 0) {
-        const queueList = result.queue
-          .map((track, index) => {
-            const requesterName = track.requester?.displayName || 
-                                 track.requester?.tag || 
-                                 track.requestedBy?.tag ||
-                                 '알 수 없음';
-            return `${index + 2}. **${track.title}** - ${requesterName}`;
-          })
-          .join('\n');
+    const track = nowPlaying.current;
+    const requesterName = track.requestedBy?.tag || '알 수 없음';
 
-        embed.addFields({
-          name: `⏭️ 다음 곡들 (${result.totalCount || result.queue.length}곡)`,
-          value: queueList.length > 1024 ? queueList.substring(0, 1021) + '...' : queueList,
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle('🎵 현재 재생')
+      .setDescription(`**[${track.title}](${track.url})**`)
+      .addFields(
+        {
+          name: '⏱️ 재생 위치',
+          value: this.createProgressBar(nowPlaying.position, track.duration),
           inline: false
-        });
+        },
+        { name: '요청자', value: requesterName, inline: true },
+        { name: '대기 중', value: `${nowPlaying.queueLength}곡`, inline: true }
+      )
+      .setTimestamp();
 
-        if (result.hasMore) {
-          embed.addFields({
-            name: '📄 페이지 정보',
-            value: `${page}/${result.totalPages} 페이지`,
-            inline: true
-          });
-        }
-      }
+    if (nowPlaying.filters.length > 0) {
+      embed.addFields({ name: '🎛️ 필터', value: nowPlaying.filters.join(', '), inline: true });
+    }
 
-      return await interaction.reply({ embeds: [embed] });
-    } catch (error) {
-      return await interaction.reply({
-        content: `❌ 대기열 조회 실패: ${error.message}`,
-        ephemeral: true
+    if (track.thumbnail) {
+      embed.setThumbnail(track.thumbnail);
+    }
+
+    return await interaction.reply({ embeds: [embed] });
+  }
+
+  // 탐색 처리
+  async handleSeek(interaction, validationData) {
+    const input = interaction.options.getString('시간');
+    const seconds = this.parseTimestamp(input);
+
+    if (seconds === null) {
+      return await interaction.reply({
+        content: '❌ 시간 형식이 올바르지 않습니다. `분:초` 또는 `시:분:초` 형식으로 입력해주세요. (예: 1:30)',
+        ephemeral: true
       });
     }
+
+    // 파이프라인 재생성에 시간이 걸리므로 응답 지연
+    await interaction.deferReply();
+
+    const result = await musicPlayer.seek(interaction.guild.id, seconds, interaction.user.id);
+
+    if (result.status === 'error') {
+      return await interaction.editReply({ content: `❌ ${result.message}` });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ff00')
+      .setTitle('⏩ 탐색')
+      .setDescription(result.message)
+      .addFields({
+        name: '⏱️ 재생 위치',
+        value: this.createProgressBar(result.position, result.track.duration),
+        inline: false
+      })
+      .setTimestamp();
+
+    return await interaction.editReply({ embeds: [embed] });
+  }
+
+  // 필터 처리
+  async handleFilter(interaction, validationData) {
+    const filterName = interaction.options.getString('종류');
+    const enabled = interaction.options.getBoolean('켜기');
+
+    // 재생 중이면 파이프라인을 다시 생성하므로 응답 지연
+    await interaction.deferReply();
+
+    const result = await musicPlayer.setAudioFilter(interaction.guild.id, filterName, enabled, interaction.user.id);
+
+    if (result.status === 'error') {
+      return await interaction.editReply({ content: `❌ ${result.message}` });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ff00')
+      .setTitle('🎛️ 오디오 필터')
+      .setDescription(result.message)
+      .setFooter({
+        text: result.reapplied ? '현재 위치부터 필터가 적용되었습니다.' : '다음 곡부터 필터가 적용됩니다.'
+      })
+      .setTimestamp();
+
+    return await interaction.editReply({ embeds: [embed] });
+  }
+
+  // 투표 건너뛰기 처리 (명령어로 투표 시작)
+  async handleVoteSkip(interaction, validationData) {
+    const result = await musicPlayer.voteSkip(interaction.guild.id, interaction.user.id);
+
+    if (result.status === 'error') {
+      return await interaction.reply({ content: `❌ ${result.message}`, ephemeral: true });
+    }
+
+    return await interaction.reply(this.createVoteSkipMessage(result));
+  }
+
+  // 자동 재생 설정 처리
+  async handleAutoplay(interaction, validationData) {
+    const enabled = interaction.options.getBoolean('사용');
+
+    let settings;
+    if (enabled === null) {
+      settings = await musicSettings.getMusicSettings(interaction.guild.id);
+    } else {
+      const hasPermission = await this.checkMusicPermission(interaction, validationData);
+      if (!hasPermission) {
+        return await interaction.reply({
+          content: '❌ 자동 재생 설정을 변경할 권한이 없습니다.',
+          ephemeral: true
+        });
+      }
+
+      settings = await musicSettings.updateMusicSettings(interaction.guild.id, 'autoplay', { enabled });
+      if (!settings) {
+        return await interaction.reply({
+          content: '❌ 설정 저장 중 오류가 발생했습니다.',
+          ephemeral: true
+        });
+      }
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(settings.autoplay.enabled ? '#00ff00' : '#666666')
+      .setTitle('🎲 자동 재생')
+      .setDescription(settings.autoplay.enabled
+        ? '대기열이 비면 이 서버의 재생 기록에서 곡을 골라 이어서 재생합니다.'
+        : '자동 재생이 꺼져 있습니다. 대기열이 비면 음성 채널에서 나갑니다.')
+      .addFields({
+        name: '반복 방지',
+        value: `최근 ${settings.autoplay.repeatWindow}곡 이내에 재생된 곡은 제외`,
+        inline: false
+      })
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed] });
+  }
+
+  // 크로스페이드 설정 처리
+  async handleCrossfade(interaction, validationData) {
+    const duration = interaction.options.getInteger('초');
+
+    let settings;
+    if (duration === null) {
+      settings = await musicSettings.getMusicSettings(interaction.guild.id);
+    } else {
+      const hasPermission = await this.checkMusicPermission(interaction, validationData);
+      if (!hasPermission) {
+        return await interaction.reply({
+          content: '❌ 크로스페이드 설정을 변경할 권한이 없습니다.',
+          ephemeral: true
+        });
+      }
+
+      settings = await musicSettings.updateMusicSettings(interaction.guild.id, 'crossfade', { duration });
+      if (!settings) {
+        return await interaction.reply({
+          content: '❌ 설정 저장 중 오류가 발생했습니다.',
+          ephemeral: true
+        });
+      }
+
+      // 재생 중인 곡에도 바로 적용
+      musicPlayer.scheduleCrossfade(interaction.guild.id);
+    }
+
+    const seconds = settings.crossfade.duration;
+    const embed = new EmbedBuilder()
+      .setColor(seconds > 0 ? '#00ff00' : '#666666')
+      .setTitle('🔀 크로스페이드')
+      .setDescription(seconds > 0
+        ? `곡이 끝나기 **${seconds}초** 전부터 다음 곡과 겹쳐 재생합니다.`
+        : '크로스페이드가 꺼져 있습니다. 곡이 끝나면 바로 다음 곡을 재생합니다.')
+      .setFooter({ text: '라이브 스트림이거나 서버 메모리가 부족하면 크로스페이드 없이 전환됩니다' })
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed] });
+  }
+
+  // 투표 건너뛰기 설정 처리
+  async handleVoteSkipSettings(interaction, validationData) {
+    const values = {};
+    const enabled = interaction.options.getBoolean('사용');
+    const percent = interaction.options.getInteger('비율');
+    const rankWeighted = interaction.options.getBoolean('순위가중치');
+
+    if (enabled !== null) values.enabled = enabled;
+    if (percent !== null) values.threshold = percent / 100;
+    if (rankWeighted !== null) values.rankWeighted = rankWeighted;
+
+    let settings;
+    if (Object.keys(values).length === 0) {
+      settings = await musicSettings.getMusicSettings(interaction.guild.id);
+    } else {
+      if (!interaction.member.permissions.has('Administrator')) {
+        return await interaction.reply({
+          content: '❌ 투표 건너뛰기 설정은 관리자만 변경할 수 있습니다.',
+          ephemeral: true
+        });
+      }
+
+      settings = await musicSettings.updateMusicSettings(interaction.guild.id, 'voteSkip', values);
+      if (!settings) {
+        return await interaction.reply({
+          content: '❌ 설정 저장 중 오류가 발생했습니다.',
+          ephemeral: true
+        });
+      }
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ccff')
+      .setTitle('🗳️ 투표 건너뛰기 설정')
+      .addFields(
+        { name: '사용', value: settings.voteSkip.enabled ? '✅ 켜짐' : '❌ 꺼짐', inline: true },
+        { name: '필요 비율', value: `${Math.round(settings.voteSkip.threshold * 100)}%`, inline: true },
+        { name: '순위 가중치', value: settings.voteSkip.rankWeighted ? '✅ 켜짐' : '❌ 꺼짐', inline: true }
+      )
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  // 공정 대기열 설정 처리
+  async handleFairQueueSettings(interaction, validationData) {
+    const values = {};
+    const enabled = interaction.options.getBoolean('사용');
+    const maxTracksPerUser = interaction.options.getInteger('1인최대');
+    const rankWeighted = interaction.options.getBoolean('순위가중치');
+
+    if (enabled !== null) values.enabled = enabled;
+    if (maxTracksPerUser !== null) values.maxTracksPerUser = maxTracksPerUser;
+    if (rankWeighted !== null) values.rankWeighted = rankWeighted;
+
+    let settings;
+    if (Object.keys(values).length === 0) {
+      settings = await musicSettings.getMusicSettings(interaction.guild.id);
+    } else {
+      if (!interaction.member.permissions.has('Administrator')) {
+        return await interaction.reply({
+          content: '❌ 공정 대기열 설정은 관리자만 변경할 수 있습니다.',
+          ephemeral: true
+        });
+      }
+
+      settings = await musicSettings.updateMusicSettings(interaction.guild.id, 'fairQueue', values);
+      if (!settings) {
+        return await interaction.reply({
+          content: '❌ 설정 저장 중 오류가 발생했습니다.',
+          ephemeral: true
+        });
+      }
+    }
+
+    const { fairQueue } = settings;
+    const tierText = fairQueue.rankTiers
+      .map(tier => `${tier.maxRank}위 이내 ${tier.weight}배`)
+      .join(', ');
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ccff')
+      .setTitle('⚖️ 공정 대기열 설정')
+      .setDescription('켜져 있으면 새 곡이 요청자별로 번갈아 재생되도록 대기열 중간에 추가됩니다.')
+      .addFields(
+        { name: '사용', value: fairQueue.enabled ? '✅ 켜짐' : '❌ 꺼짐', inline: true },
+        { name: '1인 최대 대기 곡', value: fairQueue.maxTracksPerUser ? `${fairQueue.maxTracksPerUser}곡` : '제한 없음', inline: true },
+        { name: '순위 가중치', value: fairQueue.rankWeighted ? `✅ 켜짐 (${tierText})` : '❌ 꺼짐', inline: true }
+      )
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  // 등급별 요청 제한으로 제외된 곡 설명
+  formatTierLimits({ tier, tooLong, limited }) {
+    return [
+      tooLong ? `⏱️ ${musicPlayer.formatTime(tier.maxDuration)}보다 긴 곡 ${tooLong}곡 제외` : null,
+      limited ? `📏 대기 곡/시간당 요청 한도로 ${limited}곡 제외` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  // 음악 버튼 처리 (customId: music_<동작>_...)
+  async handleButton(interaction, params) {
+    const [action] = params;
+
+    switch (action) {
+      case 'voteskip': {
+        const result = await musicPlayer.voteSkip(interaction.guild.id, interaction.user.id);
+
+        if (result.status === 'error' || result.status === 'already_voted') {
+          return await interaction.reply({
+            content: result.status === 'error' ? `❌ ${result.message}` : `🗳️ ${result.message}`,
+            ephemeral: true
+          });
+        }
+
+        // 투표 메시지의 집계를 갱신
+        return await interaction.update(this.createVoteSkipMessage(result));
+      }
+      case 'panel':
+        return await this.handlePanelButton(interaction, params[1]);
+      default:
+        return await interaction.reply({
+          content: '❌ 알 수 없는 음악 버튼입니다.',
+          ephemeral: true
+        });
+    }
+  }
+
+  // 현재 재생 패널 버튼 처리 (각 동작은 음악 서비스의 순위 권한 확인을 거침)
+  async handlePanelButton(interaction, action) {
+    const guildId = interaction.guild.id;
+    const userId = interaction.user.id;
+    let result;
+
+    switch (action) {
+      case 'pause':
+        result = await musicPlayer.togglePause(guildId, userId);
+        break;
+      case 'skip':
+        result = await musicPlayer.skip(guildId, userId);
+        if (result.code === 'PERMISSION_DENIED') {
+          // 권한이 없으면 /노래 건너뛰기와 같이 투표로 처리
+          const settings = await musicSettings.getMusicSettings(guildId);
+          if (settings.voteSkip.enabled) {
+            const voteResult = await musicPlayer.voteSkip(guildId, userId);
+            if (voteResult.status === 'error' || voteResult.status === 'already_voted') {
+              return await interaction.reply({ content: `🗳️ ${voteResult.message}`, ephemeral: true });
+            }
+            return await interaction.reply(this.createVoteSkipMessage(voteResult));
+          }
+        }
+        break;
+      case 'stop':
+        result = await musicPlayer.stop(guildId, userId);
+        if (result.status !== 'error') {
+          // 패널은 연결 해제 시 삭제되므로 응답은 버튼을 누른 사용자에게만 표시
+          await interaction.reply({ content: '⏹️ 음악 재생을 중지했습니다.', ephemeral: true });
+          setTimeout(() => musicPlayer.disconnect(guildId), 500);
+          return;
+        }
+        break;
+      case 'repeat': {
+        const nextMode = { off: 'track', track: 'queue', queue: 'off' };
+        result = await musicPlayer.setRepeat(guildId, nextMode[musicPlayer.getRepeatMode(guildId)] || 'off', userId);
+        break;
+      }
+      case 'shuffle':
+        result = await musicPlayer.shuffle(guildId, userId);
+        break;
+      case 'voldown':
+      case 'volup': {
+        const current = Math.round(musicPlayer.getNowPlaying(guildId).volume * 100);
+        const step = action === 'volup' ? 10 : -10;
+        result = await musicPlayer.setVolume(guildId, Math.min(100, Math.max(1, current + step)), userId);
+        break;
+      }
+      default:
+        return await interaction.reply({
+          content: '❌ 알 수 없는 음악 버튼입니다.',
+          ephemeral: true
+        });
+    }
+
+    if (result.status === 'error') {
+      return await interaction.reply({ content: `❌ ${result.message}`, ephemeral: true });
+    }
+
+    // 현재 패널이면 변경된 상태로 갱신, 이전 패널이면 결과만 알림
+    const panelMessage = nowPlayingPanel.buildPanelMessage(guildId);
+    if (panelMessage && nowPlayingPanel.isPanelMessage(guildId, interaction.message.id)) {
+      return await interaction.update(panelMessage);
+    }
+
+    return await interaction.reply({ content: result.message || '✅ 처리되었습니다.', ephemeral: true });
+  }
+
+  // 투표 건너뛰기 메시지 생성
+  createVoteSkipMessage(result) {
+    const skipped = result.status === 'skipped';
+    const percent = Math.round(result.threshold * 100);
+
+    const embed = new EmbedBuilder()
+      .setColor(skipped ? '#ffff00' : '#00ccff')
+      .setTitle(skipped ? '⏭️ 투표 건너뛰기 통과' : '🗳️ 건너뛰기 투표')
+      .setDescription(skipped
+        ? `**${result.track.title}**을(를) 건너뛰었습니다.`
+        : `**${result.track.title}**을(를) 건너뛰려면 청취자 ${percent}% 이상이 투표해야 합니다.`)
+      .addFields(
+        { name: '투표 현황', value: `${result.votes} / ${result.required}`, inline: true },
+        { name: '청취자', value: `${result.listeners}명`, inline: true }
+      )
+      .setTimestamp();
+
+    if (result.rankWeighted) {
+      embed.setFooter({ text: '순위 가중치 적용: 1-3위 2표, 4-10위 1.5표' });
+    }
+
+    const button = new ButtonBuilder()
+      .setCustomId('music_voteskip')
+      .setLabel(skipped ? '투표 종료' : '건너뛰기 투표')
+      .setEmoji('⏭️')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(skipped);
+
+    return {
+      embeds: [embed],
+      components: [new ActionRowBuilder().addComponents(button)]
+    };
+  }
+
+  // 대기열 처리
+  async handleQueue(interaction, validationData) {
+    try {
+      const page = interaction.options.getInteger('페이지') || 1;
+      const result = musicPlayer.getQueue(interaction.guild.id, page);
+      const settings = await musicSettings.getMusicSettings(interaction.guild.id);
+
+      if (!result.current && result.queue.length === 0) {
+        const embed = new EmbedBuilder()
+          .setColor('#666666')
+          .setTitle('📋 대기열')
+          .setDescription('재생 중인 음악이 없습니다.')
+          .setTimestamp();
+
+        return await interaction.reply({ embeds: [embed] });
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle('📋 대기열')
+        .setTimestamp();
+
+      if (result.current) {
+        const requesterName = result.current.requester?.displayName || 
+                             result.current.requester?.tag || 
+                             result.current.requestedBy?.tag ||
+                             '알 수 없음';
+        
+        embed.addFields({
+          name: '🎵 현재 재생 중',
+          value: `**${result.current.title}**\n요청자: ${requesterName}`,
+          inline: false
+        });
+      }
+
+      if (result.queue.length > 0) {
+        // 각 곡이 요청자 기준 몇 번째 곡인지 함께 표시 (공정 대기열 순서 확인용)
+        const queueList = result.queue
+          .map((track, index) => {
+            const requesterName = track.requester?.displayName || 
+                                 track.requester?.tag || 
+                                 track.requestedBy?.tag ||
+                                 '알 수 없음';
+            return `${result.startPosition + index}. **${track.title}** - ${requesterName} (#${result.requesterSlots[index]})`;
+          })
+          .join('\n');
+
+        embed.addFields({
+          name: `⏭️ 다음 곡들 (${result.pagination.totalItems}곡)`,
+          value: queueList.length > 1024 ? queueList.substring(0, 1021) + '...' : queueList,
+          inline: false
+        });
+
+        if (result.pagination.totalPages > 1) {
+          embed.addFields({
+            name: '📄 페이지 정보',
+            value: `${result.pagination.currentPage}/${result.pagination.totalPages} 페이지`,
+            inline: true
+          });
+        }
+
+        if (settings.fairQueue.enabled) {
+          embed.setFooter({ text: '⚖️ 공정 대기열 사용 중 - (#N)은 요청자별 순서입니다' });
+        }
+      }
+
+      return await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+      return await interaction.reply({
+        content: `❌ 대기열 조회 실패: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+
+  // 음악 통계 처리
+  async handleStats(interaction, validationData) {
+    const period = interaction.options.getString('기간') || 'week';
+    const targetUser = interaction.options.getUser('사용자') || interaction.user;
+
+    await interaction.deferReply();
+
+    const [guildStats, userStats] = await Promise.all([
+      musicStats.getGuildStats(interaction.guild.id, period),
+      musicStats.getUserStats(interaction.guild.id, targetUser.id, period)
+    ]);
+
+    if (guildStats.status === 'error') {
+      return await interaction.editReply({ content: `❌ ${guildStats.message}` });
+    }
+
+    const formatDuration = (seconds) => {
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      return hours > 0 ? `${hours}시간 ${minutes}분` : `${minutes}분`;
+    };
+    const formatRate = (rate) => `${Math.round(rate * 100)}%`;
+    const truncate = (text) => text.length > 1024 ? text.substring(0, 1021) + '...' : text;
+    const orEmpty = (lines) => lines.length > 0 ? truncate(lines.join('\n')) : '기록 없음';
+
+    const { totals } = guildStats;
+    const embed = new EmbedBuilder()
+      .setColor('#9b59b6')
+      .setTitle(`📊 음악 통계 - ${guildStats.periodLabel}`)
+      .setDescription(
+        `재생 **${totals.plays}**곡 (서로 다른 곡 ${totals.uniqueTracks}곡) · ` +
+        `요청자 ${totals.requesters}명 · 건너뛰기 ${totals.skips}회 · 재생 시간 ${formatDuration(totals.listened)}`
+      )
+      .setTimestamp();
+
+    if (totals.plays === 0) {
+      embed.setDescription('이 기간의 재생 기록이 없습니다.');
+    } else {
+      embed.addFields(
+        {
+          name: '🔥 인기 곡',
+          value: orEmpty(guildStats.topTracks.map((track, index) => 
+            `${index + 1}. **${track.title}** - ${track.plays}회`
+          )),
+          inline: false
+        },
+        {
+          name: '🙋 많이 요청한 사용자 (건너뛰기 비율)',
+          value: orEmpty(guildStats.topRequesters.map((requester, index) => 
+            `${index + 1}. ${requester.name} - ${requester.plays}곡, ${formatDuration(requester.listened)} (${formatRate(requester.skipRate)})`
+          )),
+          inline: false
+        },
+        {
+          name: '⏭️ 많이 건너뛴 곡',
+          value: orEmpty(guildStats.mostSkipped.map((track, index) => 
+            `${index + 1}. **${track.title}** - ${track.skips}/${track.plays}회`
+          )),
+          inline: false
+        },
+        {
+          name: '🕒 많이 듣는 시간대',
+          value: orEmpty(guildStats.busiestHours.map(({ hour, plays }) => 
+            `${String(hour).padStart(2, '0')}:00~${String((hour + 1) % 24).padStart(2, '0')}:00 - ${plays}곡`
+          )),
+          inline: false
+        }
+      );
+    }
+
+    if (userStats.status === 'success') {
+      const lines = [
+        `요청 재생: **${userStats.plays}**곡 (${formatDuration(userStats.listened)})`,
+        `건너뛰어진 곡: ${userStats.skipped}곡 (${formatRate(userStats.skipRate)})`,
+        `직접 건너뛴 곡: ${userStats.skipsMade}곡`
+      ];
+      if (userStats.favorite) {
+        lines.push(`가장 많이 요청한 곡: **${userStats.favorite.title}** (${userStats.favorite.plays}회)`);
+      }
+
+      embed.addFields({
+        name: `👤 ${targetUser.username}님의 기록`,
+        value: truncate(lines.join('\n')),
+        inline: false
+      });
+    }
+
+    return await interaction.editReply({ embeds: [embed] });
   }
 
   // 제거 처리
@@ -410,6 +1459,104 @@ class MusicCommand extends BaseCommand {
     }
   }
 
+  // 대기열 이동 처리 (권한은 영향을 받는 곡의 요청자 기준으로 서비스에서 확인)
+  async handleMove(interaction, validationData) {
+    const from = interaction.options.getInteger('현재위치');
+    const to = interaction.options.getInteger('새위치');
+
+    const result = await musicPlayer.moveTrack(interaction.guild.id, from, to, interaction.user.id);
+
+    if (result.status === 'error') {
+      return await interaction.reply({ content: `❌ ${result.message}`, ephemeral: true });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ccff')
+      .setTitle('↕️ 곡 이동')
+      .setDescription(`**${result.track.title}**을(를) ${from}번에서 ${to}번으로 옮겼습니다.`)
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed] });
+  }
+
+  // 대기열 교체 처리
+  async handleSwap(interaction, validationData) {
+    const first = interaction.options.getInteger('첫번째');
+    const second = interaction.options.getInteger('두번째');
+
+    const result = await musicPlayer.swapTracks(interaction.guild.id, first, second, interaction.user.id);
+
+    if (result.status === 'error') {
+      return await interaction.reply({ content: `❌ ${result.message}`, ephemeral: true });
+    }
+
+    const [earlierTrack, laterTrack] = result.tracks;
+    const [earlier, later] = result.positions;
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ccff')
+      .setTitle('🔄 곡 위치 교체')
+      .addFields(
+        { name: `${earlier}번`, value: earlierTrack.title, inline: true },
+        { name: `${later}번`, value: laterTrack.title, inline: true }
+      )
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed] });
+  }
+
+  // 다음 순서에 추가 처리
+  async handlePlayNext(interaction, validationData) {
+    const url = interaction.options.getString('url');
+
+    if (!validationData.voiceChannel) {
+      return await interaction.reply({
+        content: '❌ 음성 채널에 참여한 후 음악을 추가할 수 있습니다.',
+        ephemeral: true
+      });
+    }
+
+    // 곡 정보 조회 후 응답
+    await interaction.deferReply();
+
+    const result = await musicPlayer.playNext(
+      interaction.guild.id,
+      validationData.voiceChannel.id,
+      url,
+      interaction.user,
+      {
+        voiceChannel: validationData.voiceChannel,
+        textChannel: interaction.channel
+      }
+    );
+
+    if (result.status === 'error') {
+      return await interaction.editReply({ content: `❌ ${result.message}` });
+    }
+
+    return await interaction.editReply({ content: result.message });
+  }
+
+  // 대기열 점프 처리
+  async handleJump(interaction, validationData) {
+    const position = interaction.options.getInteger('위치');
+
+    const result = await musicPlayer.jumpTo(interaction.guild.id, position, interaction.user.id);
+
+    if (result.status === 'error') {
+      return await interaction.reply({ content: `❌ ${result.message}`, ephemeral: true });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#ffff00')
+      .setTitle('⏩ 대기열 점프')
+      .setDescription(`**${result.track.title}**을(를) 재생합니다.`)
+      .addFields({ name: '건너뛴 곡', value: `${result.skipped}곡`, inline: true })
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed] });
+  }
+
   // 권한 확인 처리
   async handlePermissions(interaction, validationData) {
     try {
@@ -489,6 +1636,260 @@ class MusicCommand extends BaseCommand {
     }
   }
 
+  // 저장된 플레이리스트 명령어 분기
+  async handlePlaylistCommand(interaction, validationData, subcommand) {
+    switch (subcommand) {
+      case '저장':
+        return await this.handlePlaylistSave(interaction, validationData);
+      case '불러오기':
+        return await this.handlePlaylistLoad(interaction, validationData);
+      case '목록':
+        return await this.handlePlaylistList(interaction, validationData);
+      case '삭제':
+        return await this.handlePlaylistDelete(interaction, validationData);
+      case '공유':
+        return await this.handlePlaylistShare(interaction, validationData);
+      default:
+        return await interaction.reply({
+          content: '❌ 알 수 없는 명령어입니다.',
+          ephemeral: true
+        });
+    }
+  }
+
+  // 플레이리스트 저장 처리
+  async handlePlaylistSave(interaction, validationData) {
+    const name = interaction.options.getString('이름');
+    const songs = interaction.options.getString('곡');
+
+    await interaction.deferReply({ ephemeral: true });
+
+    let tracks = [];
+    let failed = [];
+
+    if (songs) {
+      // 입력된 곡마다 메타데이터 조회
+      const queries = songs.split(/[,\n]/).map(query => query.trim()).filter(Boolean)
+        .slice(0, playlistStore.PLAYLIST_LIMITS.MAX_TRACKS);
+
+      for (const query of queries) {
+        const trackInfo = await musicPlayer.getTrackInfo(query);
+        if (trackInfo) {
+          tracks.push(trackInfo);
+        } else {
+          failed.push(query);
+        }
+      }
+    } else {
+      // 현재 재생 중인 곡 + 대기열 저장
+      const nowPlaying = musicPlayer.getNowPlaying(interaction.guild.id);
+      tracks = [nowPlaying.current, ...nowPlaying.queue].filter(Boolean);
+    }
+
+    const result = await playlistStore.savePlaylist(interaction.guild.id, interaction.user, name, tracks);
+
+    if (!result.success) {
+      return await interaction.editReply({ content: `❌ ${result.message}` });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ff00')
+      .setTitle(result.overwritten ? '💾 플레이리스트 덮어쓰기' : '💾 플레이리스트 저장')
+      .setDescription(`**${result.name}**에 ${result.trackCount}곡이 저장되었습니다.`)
+      .setTimestamp();
+
+    if (failed.length > 0) {
+      embed.addFields({
+        name: `⚠️ 찾을 수 없는 곡 (${failed.length}개)`,
+        value: failed.join('\n').substring(0, 1024),
+        inline: false
+      });
+    }
+
+    if (result.truncated > 0) {
+      embed.addFields({
+        name: '📏 저장 제한',
+        value: `최대 곡 수 제한으로 ${result.truncated}곡은 저장되지 않았습니다.`,
+        inline: false
+      });
+    }
+
+    return await interaction.editReply({ embeds: [embed] });
+  }
+
+  // 플레이리스트 불러오기 처리
+  async handlePlaylistLoad(interaction, validationData) {
+    if (!validationData.voiceChannel) {
+      const embed = new EmbedBuilder()
+        .setColor('#ff0000')
+        .setTitle('❌ 오류')
+        .setDescription('음성 채널에 참여한 후 플레이리스트를 불러올 수 있습니다.');
+
+      return await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const name = interaction.options.getString('이름');
+    const owner = interaction.options.getUser('소유자');
+
+    await interaction.deferReply();
+
+    const found = await playlistStore.findPlaylist(
+      interaction.guild.id,
+      interaction.user.id,
+      name,
+      owner?.id || null
+    );
+
+    if (!found.success) {
+      return await interaction.editReply({ content: `❌ ${found.message}` });
+    }
+
+    const result = await musicPlayer.enqueueSavedPlaylist(
+      interaction.guild.id,
+      validationData.voiceChannel.id,
+      found.playlist,
+      interaction.user,
+      { textChannel: interaction.channel }
+    );
+
+    if (result.status === 'error' && !result.added) {
+      return await interaction.editReply({
+        content: `❌ 플레이리스트 불러오기 실패: ${result.message}`
+      });
+    }
+
+    const ownerText = found.playlist.owner_discord_id === interaction.user.id
+      ? ''
+      : ` (<@${found.playlist.owner_discord_id}>님의 공유 플레이리스트)`;
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ff00')
+      .setTitle('📂 플레이리스트 불러오기')
+      .setDescription(`**${found.playlist.name}**${ownerText}에서 **${result.added}곡**이 대기열에 추가되었습니다.`)
+      .setTimestamp();
+
+    if (result.limited > 0) {
+      embed.addFields({
+        name: '⚖️ 1인 대기 곡 제한',
+        value: `1인당 최대 대기 곡 수 제한으로 ${result.limited}곡은 추가되지 않았습니다.`,
+        inline: false
+      });
+    }
+
+    if (result.tierLimits) {
+      embed.addFields({
+        name: `🏅 ${result.tierLimits.tier.label} 등급 제한`,
+        value: this.formatTierLimits(result.tierLimits),
+        inline: false
+      });
+    }
+
+    if (result.status === 'error') {
+      embed.addFields({
+        name: '⚠️ 재생 시작 실패',
+        value: result.message,
+        inline: false
+      });
+    }
+
+    return await interaction.editReply({ embeds: [embed] });
+  }
+
+  // 플레이리스트 목록 처리
+  async handlePlaylistList(interaction, validationData) {
+    const { own, shared } = await playlistStore.listPlaylists(interaction.guild.id, interaction.user.id);
+
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle('📚 플레이리스트 목록')
+      .setTimestamp();
+
+    if (own.length === 0 && shared.length === 0) {
+      embed.setDescription('저장된 플레이리스트가 없습니다. `/노래 플레이리스트 저장`으로 만들어보세요.');
+      return await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (own.length > 0) {
+      const ownList = own
+        .map(playlist => `${playlist.is_shared ? '🌐' : '🔒'} **${playlist.name}** - ${playlist.track_count}곡`)
+        .join('\n');
+
+      embed.addFields({
+        name: `🙋 내 플레이리스트 (${own.length}/${playlistStore.PLAYLIST_LIMITS.MAX_PER_USER})`,
+        value: ownList.length > 1024 ? ownList.substring(0, 1021) + '...' : ownList,
+        inline: false
+      });
+    }
+
+    if (shared.length > 0) {
+      const sharedList = shared
+        .map(playlist => `**${playlist.name}** - ${playlist.track_count}곡 (<@${playlist.owner_discord_id}>)`)
+        .join('\n');
+
+      embed.addFields({
+        name: `🌐 공유된 플레이리스트 (${shared.length}개)`,
+        value: sharedList.length > 1024 ? sharedList.substring(0, 1021) + '...' : sharedList,
+        inline: false
+      });
+    }
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  // 플레이리스트 삭제 처리
+  async handlePlaylistDelete(interaction, validationData) {
+    const name = interaction.options.getString('이름');
+    const deleted = await playlistStore.deletePlaylist(interaction.guild.id, interaction.user.id, name);
+
+    if (!deleted) {
+      return await interaction.reply({
+        content: `❌ 내 플레이리스트 중 "${name}"을(를) 찾을 수 없습니다.`,
+        ephemeral: true
+      });
+    }
+
+    return await interaction.reply({
+      content: `🗑️ 플레이리스트 **${name}**이(가) 삭제되었습니다.`,
+      ephemeral: true
+    });
+  }
+
+  // 플레이리스트 공유 설정 처리
+  async handlePlaylistShare(interaction, validationData) {
+    const name = interaction.options.getString('이름');
+    const shared = interaction.options.getBoolean('공유');
+    const updated = await playlistStore.setPlaylistShared(interaction.guild.id, interaction.user.id, name, shared);
+
+    if (!updated) {
+      return await interaction.reply({
+        content: `❌ 내 플레이리스트 중 "${name}"을(를) 찾을 수 없습니다.`,
+        ephemeral: true
+      });
+    }
+
+    return await interaction.reply({
+      content: shared
+        ? `🌐 플레이리스트 **${name}**이(가) 서버에 공유되었습니다.`
+        : `🔒 플레이리스트 **${name}**의 공유가 해제되었습니다.`,
+      ephemeral: true
+    });
+  }
+
+  // 시간 문자열(초, 분:초, 시:분:초)을 초 단위로 변환
+  parseTimestamp(value) {
+    const parts = value.trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) {
+      return null;
+    }
+
+    return parts.reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  }
+
+  // 경과/전체 시간 진행 막대 생성
+  createProgressBar(position, duration, size = 15) {
+    return nowPlayingPanel.createProgressBar(position, duration, size);
+  }
+
   // 음악 권한 확인 헬퍼 메서드
   async checkMusicPermission(interaction, validationData) {
     // 실제 권한 확인 로직은 음악 서비스에서 구현
@@ -599,12 +599,16 @@ async function cleanupDatabase() {
       WHERE timestamp < NOW() - INTERVAL '30 days'
     `);
     
-    // 오래된 음악 로그 정리 (7일 이상)
+    // 오래된 음악 로그 정리 (7일 이상, 통계/자동 재생에 쓰는 재생 기록은 유지)
     await db.query(`
       DELETE FROM music_logs 
       WHERE timestamp < NOW() - INTERVAL '7 days'
+        AND action_type NOT IN ('play_start', 'play_skip', 'play_stop')
     `);
     
+    // 만료된 YouTube 메타데이터 캐시 정리
+    await require('../services/music/metadataCache').pruneExpired();
+    
     // 데이터베이스 최적화
     await db.query('VACUUM ANALYZE');
     
@@ -0,0 +1,29 @@
+/**
+ * GuildDelete 이벤트 핸들러
+ * 봇이 서버에서 나가거나 추방되었을 때 서버별 상태 정리
+ */
+const logger = require('../utils/logger');
+
+module.exports = {
+  name: 'guildDelete',
+  once: false,
+
+  async execute(guild, client) {
+    try {
+      // Discord 장애로 일시적으로 사용할 수 없는 서버는 정리하지 않음
+      if (guild.available === false) {
+        logger.warn(`⚠️ 서버를 일시적으로 사용할 수 없음: ${guild.id}`);
+        return;
+      }
+
+      logger.info(`👋 서버에서 나감: ${guild.name} (ID: ${guild.id})`);
+
+      // 음악 연결과 저장된 대기열 정리
+      const musicPlayer = require('../services/music');
+      await musicPlayer.removeGuild(guild.id);
+
+    } catch (error) {
+      logger.error(`❌ 서버 퇴장 처리 실패: ${guild.id}`, error);
+    }
+  }
+};
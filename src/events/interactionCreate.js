@@ -156,6 +156,9 @@ module.exports = {
       const [type, ...params] = interaction.customId.split('_');
       
       switch (type) {
+        case 'music':
+          await this.handleMusicMenu(interaction, params, client);
+          break;
         case 'filter':
           await this.handleFilterMenu(interaction, params, client);
           break;
@@ -210,7 +213,14 @@ module.exports = {
 
   // 구체적인 핸들러들 (향후 구현)
   async handleMusicButton(interaction, params, client) {
-    await interaction.reply({ content: '🎵 음악 버튼 기능은 개발 중입니다.', ephemeral: true });
+    // 음악 버튼 UI는 /노래 명령어에서 생성하므로 같은 명령어 객체에서 처리
+    const musicCommand = client.commands.get('노래');
+    if (!musicCommand || typeof musicCommand.handleButton !== 'function') {
+      await interaction.reply({ content: '❌ 음악 명령어를 찾을 수 없습니다.', ephemeral: true });
+      return;
+    }
+
+    await musicCommand.handleButton(interaction, params);
   },
 
   async handleRankingButton(interaction, params, client) {
@@ -221,6 +231,17 @@ module.exports = {
     await interaction.reply({ content: '📊 통계 버튼 기능은 개발 중입니다.', ephemeral: true });
   },
 
+  async handleMusicMenu(interaction, params, client) {
+    // 음악 선택 메뉴도 버튼과 같이 /노래 명령어 객체에서 처리
+    const musicCommand = client.commands.get('노래');
+    if (!musicCommand || typeof musicCommand.handleSelectMenu !== 'function') {
+      await interaction.reply({ content: '❌ 음악 명령어를 찾을 수 없습니다.', ephemeral: true });
+      return;
+    }
+
+    await musicCommand.handleSelectMenu(interaction, params);
+  },
+
   async handleFilterMenu(interaction, params, client) {
     await interaction.reply({ content: '🔍 필터 메뉴 기능은 개발 중입니다.', ephemeral: true });
   },
@@ -6,37 +6,7 @@
 const db = require('../services/database');
 const dbUtils = require('../services/database/utils');
 const logger = require('../utils/logger');
-
-// 반응 점수 설정
-const REACTION_SCORING = {
-  GIVE_REACTION: 0.1,        // 반응을 준 사용자
-  RECEIVE_REACTION: 0.2,     // 반응을 받은 사용자 (메시지 작성자)
-  TIME_WEIGHTS: {
-    MORNING: 0.9,           // 06:00-12:00
-    AFTERNOON: 1.0,         // 12:00-18:00
-    EVENING: 1.2,           // 18:00-24:00
-    NIGHT: 0.7              // 00:00-06:00
-  }
-};
-
-/**
- * 시간대별 가중치 계산
- * @param {Date} timestamp - 시간
- * @returns {number} 시간 가중치
- */
-function getTimeWeight(timestamp) {
-  const hour = timestamp.getHours();
-  
-  if (hour >= 6 && hour < 12) {
-    return REACTION_SCORING.TIME_WEIGHTS.MORNING;
-  } else if (hour >= 12 && hour < 18) {
-    return REACTION_SCORING.TIME_WEIGHTS.AFTERNOON;
-  } else if (hour >= 18 && hour < 24) {
-    return REACTION_SCORING.TIME_WEIGHTS.EVENING;
-  } else {
-    return REACTION_SCORING.TIME_WEIGHTS.NIGHT;
-  }
-}
+const scoring = require('../services/activity/scoring');
 
 module.exports = {
   name: 'messageReactionAdd',
@@ -79,14 +49,11 @@ module.exports = {
         return;
       }
       
-      // 시간 가중치
-      const timeWeight = getTimeWeight(now);
-      
       // 반응을 준 사용자 처리
-      await processReactionGiver(userId, guildId, reaction, user, timeWeight, now);
+      await processReactionGiver(userId, guildId, reaction, user, now);
 
       // 반응을 받은 사용자 처리 (메시지 작성자)
-      await processReactionReceiver(messageAuthorId, guildId, reaction, timeWeight, now);
+      await processReactionReceiver(messageAuthorId, guildId, reaction, now);
       
     } catch (error) {
       logger.error('messageReactionAdd 이벤트 처리 중 오류:', error);
@@ -100,10 +67,9 @@ module.exports = {
  * @param {string} guildId - 길드 ID
  * @param {MessageReaction} reaction - 반응 객체
  * @param {User} user - 사용자 객체
- * @param {number} timeWeight - 시간 가중치
  * @param {Date} timestamp - 시간
  */
-async function processReactionGiver(userId, guildId, reaction, user, timeWeight, timestamp) {
+async function processReactionGiver(userId, guildId, reaction, user, timestamp) {
   try {
     let internalUserId = await dbUtils.getUserIdByDiscordId(userId, guildId);
     if (!internalUserId) {
@@ -116,9 +82,9 @@ async function processReactionGiver(userId, guildId, reaction, user, timeWeight,
       return;
     }
     
-    // 점수 계산
-    const baseScore = REACTION_SCORING.GIVE_REACTION;
-    const finalScore = baseScore * timeWeight;
+    // 점수 계산 (길드 점수 규칙, 하루 상한 적용)
+    const { score, baseScore, timeWeight } = await scoring.scoreReaction(guildId, 'give', timestamp);
+    const finalScore = await scoring.applyDailyCap(guildId, userId, 'reaction', score, timestamp);
     
     // 활동 데이터
     const activityData = {
@@ -168,10 +134,9 @@ async function processReactionGiver(userId, guildId, reaction, user, timeWeight,
  * @param {string} messageAuthorId - 메시지 작성자 ID
  * @param {string} guildId - 길드 ID
  * @param {MessageReaction} reaction - 반응 객체
- * @param {number} timeWeight - 시간 가중치
  * @param {Date} timestamp - 시간
  */
-async function processReactionReceiver(messageAuthorId, guildId, reaction, timeWeight, timestamp) {
+async function processReactionReceiver(messageAuthorId, guildId, reaction, timestamp) {
   try {
     let internalUserId = await dbUtils.getUserIdByDiscordId(messageAuthorId, guildId);
     if (!internalUserId) {
@@ -184,9 +149,9 @@ async function processReactionReceiver(messageAuthorId, guildId, reaction, timeW
       return;
     }
     
-    // 점수 계산
-    const baseScore = REACTION_SCORING.RECEIVE_REACTION;
-    const finalScore = baseScore * timeWeight;
+    // 점수 계산 (길드 점수 규칙, 하루 상한 적용)
+    const { score, baseScore, timeWeight } = await scoring.scoreReaction(guildId, 'receive', timestamp);
+    const finalScore = await scoring.applyDailyCap(guildId, messageAuthorId, 'reaction', score, timestamp);
     
     // 활동 데이터
     const activityData = {
@@ -111,24 +111,14 @@ async function initializeServices(client) {
 
 /**
  * 기존 음성 세션 복구
+ * 재시작 전 진행 중이던 세션을 현재 음성 채널 상태와 맞춰 이어가거나 마지막 중간 저장 시점에 종료
  */
 async function recoverVoiceSessions(client) {
   try {
-    // 음성 채널에 있는 사용자들의 세션 복구
-    client.guilds.cache.forEach(guild => {
-      guild.channels.cache
-        .filter(channel => channel.type === 'GUILD_VOICE' && channel.members.size > 0)
-        .forEach(channel => {
-          channel.members.forEach(member => {
-            if (!member.user.bot) {
-              // 음성 세션 복구 로직 (필요시 구현)
-              logger.debug(`음성 세션 복구: ${member.user.tag} in ${channel.name}`);
-            }
-          });
-        });
-    });
+    const voiceTracking = require('../services/activity/voice');
+    const { resumed, closed, started } = await voiceTracking.recoverActiveSessions(client);
     
-    logger.info('✅ 음성 세션 복구 완료');
+    logger.info(`✅ 음성 세션 복구 완료 (이어감: ${resumed}, 종료: ${closed}, 새로 시작: ${started})`);
   } catch (error) {
     logger.error('❌ 음성 세션 복구 실패:', error);
   }
@@ -197,34 +187,9 @@ async function initializeDailyStatsSystem() {
  */
 async function initializeVoiceTracking(client) {
   try {
-    // 음성 활동 추적 관련 초기화
+    // 진행 중 세션 주기적 중간 저장 (비정상 종료 대비)
     const voiceTracking = require('../services/activity/voice');
-    
-    // 기존 음성 세션 복구
-    client.guilds.cache.forEach(guild => {
-      guild.channels.cache
-        .filter(channel => channel.type === 2 && channel.members.size > 0) // GUILD_VOICE = 2
-        .forEach(channel => {
-          channel.members.forEach(member => {
-            if (!member.user.bot) {
-              // 음성 세션 시작 (복구)
-              if (!client.voiceSessions) {
-                client.voiceSessions = new Map();
-              }
-              
-              const sessionId = `${guild.id}-${member.id}`;
-              if (!client.voiceSessions.has(sessionId)) {
-                client.voiceSessions.set(sessionId, {
-                  userId: member.id,
-                  guildId: guild.id,
-                  channelId: channel.id,
-                  joinTime: new Date()
-                });
-              }
-            }
-          });
-        });
-    });
+    voiceTracking.startCheckpointing();
     
     logger.info('✅ 음성 활동 추적 시스템 초기화 완료');
   } catch (error) {
@@ -244,7 +209,13 @@ async function initializeMusicSystem(client) {
       client.musicQueues = new Map();
     }
     
-    // 음악 관련 유틸리티 초기화
+    // 재시작 전 저장된 대기열 복구
+    const musicPlayer = require('../services/music');
+    const { restored, resumed } = await musicPlayer.restoreQueues(client);
+    if (restored > 0) {
+      logger.info(`🎵 저장된 대기열 복구: ${restored}개 서버 (자동 재개: ${resumed}개)`);
+    }
+    
     logger.info('✅ 음악 플레이어 시스템 초기화 완료');
   } catch (error) {
     logger.error('❌ 음악 플레이어 시스템 초기화 실패:', error);
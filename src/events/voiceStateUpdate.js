@@ -1,6 +1,7 @@
 /**
  * voiceStateUpdate 이벤트 핸들러
  * 음성 채널 활동을 추적하고 점수를 계산
+ * 음악 봇이 있는 채널의 청취자 변화를 음악 서비스에 전달
  */
 
 const { trackVoiceActivity, handleSpeakingActivity } = require('../services/activity/voice');
@@ -12,6 +13,9 @@ module.exports = {
   
   async execute(oldState, newState) {
     try {
+      // 음악 봇 채널의 청취자 변화 전달 (빈 채널 일시정지/연결 해제)
+      await notifyMusicPlayer(oldState, newState);
+      
       // 메인 음성 활동 추적 처리
       await trackVoiceActivity(oldState, newState);
       
@@ -37,6 +41,20 @@ module.exports = {
   }
 };
 
+/**
+ * 음악 서비스에 음성 상태 변경 전달
+ * @param {VoiceState} oldState - 이전 음성 상태
+ * @param {VoiceState} newState - 새로운 음성 상태
+ */
+async function notifyMusicPlayer(oldState, newState) {
+  try {
+    const musicPlayer = require('../services/music');
+    await musicPlayer.handleVoiceStateUpdate(oldState, newState);
+  } catch (error) {
+    logger.error('음악 서비스 음성 상태 전달 중 오류:', error);
+  }
+}
+
 /**
  * 기타 음성 활동 추적 (스트리밍, 비디오, 화면공유)
  * @param {VoiceState} oldState - 이전 음성 상태
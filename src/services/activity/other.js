@@ -6,66 +6,7 @@
 const db = require('../database');
 const dbUtils = require('../database/utils');
 const logger = require('../../utils/logger');
-
-// 기타 활동 점수 설정 (환경변수에서 로드)
-const OTHER_ACTIVITY_SCORING = {
-  REACTIONS: {
-    GIVE_REACTION: parseFloat(process.env.REACTION_GIVE_POINTS) || 0.1,         // 반응을 준 사용자
-    RECEIVE_REACTION: parseFloat(process.env.REACTION_RECEIVE_POINTS) || 0.2,      // 반응을 받은 사용자 (메시지 작성자)
-    SELF_REACTION_PENALTY: parseFloat(process.env.REACTION_SELF_PENALTY) || 0    // 자신의 메시지에 반응하면 점수 없음
-  },
-  STREAMING: {
-    SESSION_START: parseFloat(process.env.STREAMING_SESSION_START_POINTS) || 8,           // 스트리밍/화면공유 시작 시 점수
-    QUALITY_BONUS: {
-      'LOW': parseFloat(process.env.STREAMING_QUALITY_LOW_BONUS) || 0,                 // 저화질 보너스 없음
-      'MEDIUM': parseFloat(process.env.STREAMING_QUALITY_MEDIUM_BONUS) || 2,              // 중화질 +2점
-      'HIGH': parseFloat(process.env.STREAMING_QUALITY_HIGH_BONUS) || 4                 // 고화질 +4점
-    }
-  },
-  VOICE_ACTIVITIES: {
-    VIDEO_ENABLED: parseFloat(process.env.VIDEO_ENABLED_POINTS) || 3,           // 비디오 켜기
-    SCREEN_SHARE: parseFloat(process.env.SCREEN_SHARE_POINTS) || 5,            // 화면 공유 시작
-    GO_LIVE: parseFloat(process.env.GO_LIVE_POINTS) || 8                  // 라이브 스트리밍 시작
-  },
-  TIME_WEIGHTS: {
-    MORNING: parseFloat(process.env.TIME_WEIGHT_MORNING) || 0.8,               // 06:00-09:00 (수정)
-    AFTERNOON: parseFloat(process.env.TIME_WEIGHT_DAY) || 1.0,             // 09:00-18:00 (기본)
-    EVENING: parseFloat(process.env.TIME_WEIGHT_EVENING) || 1.4,               // 18:00-23:00 (보너스)
-    NIGHT: parseFloat(process.env.TIME_WEIGHT_DAWN) || 0.2                  // 00:00-06:00 (페널티)
-  },
-  TIME_BOUNDARIES: {
-    DAWN_START: parseInt(process.env.TIME_DAWN_START) || 0,
-    DAWN_END: parseInt(process.env.TIME_DAWN_END) || 6,
-    MORNING_START: parseInt(process.env.TIME_MORNING_START) || 6,
-    MORNING_END: parseInt(process.env.TIME_MORNING_END) || 9,
-    DAY_START: parseInt(process.env.TIME_DAY_START) || 9,
-    DAY_END: parseInt(process.env.TIME_DAY_END) || 18,
-    EVENING_START: parseInt(process.env.TIME_EVENING_START) || 18,
-    EVENING_END: parseInt(process.env.TIME_EVENING_END) || 23,
-    LATE_NIGHT_START: parseInt(process.env.TIME_LATE_NIGHT_START) || 23,
-    LATE_NIGHT_END: parseInt(process.env.TIME_LATE_NIGHT_END) || 24
-  }
-};
-
-/**
- * 시간대별 가중치 계산
- * @param {Date} timestamp - 시간
- * @returns {number} 시간 가중치
- */
-function getTimeWeight(timestamp) {
-  const hour = timestamp.getHours();
-  const boundaries = OTHER_ACTIVITY_SCORING.TIME_BOUNDARIES;
-  
-  if (hour >= boundaries.MORNING_START && hour < boundaries.MORNING_END) {
-    return OTHER_ACTIVITY_SCORING.TIME_WEIGHTS.MORNING;
-  } else if (hour >= boundaries.DAY_START && hour < boundaries.DAY_END) {
-    return OTHER_ACTIVITY_SCORING.TIME_WEIGHTS.AFTERNOON;
-  } else if (hour >= boundaries.EVENING_START && hour < boundaries.LATE_NIGHT_START) {
-    return OTHER_ACTIVITY_SCORING.TIME_WEIGHTS.EVENING;
-  } else {
-    return OTHER_ACTIVITY_SCORING.TIME_WEIGHTS.NIGHT;
-  }
-}
+const scoring = require('./scoring');
 
 /**
  * 반응을 준 사용자 활동 추적
@@ -80,7 +21,6 @@ async function trackReactionGiven(reaction, user, guildId) {
 
     const userId = user.id;
     const now = new Date();
-    const timeWeight = getTimeWeight(now);
     
     // 자기 자신의 메시지에 반응하는 경우 점수 없음
     if (reaction.message.author && reaction.message.author.id === userId) {
@@ -88,8 +28,8 @@ async function trackReactionGiven(reaction, user, guildId) {
       return;
     }
 
-    const baseScore = OTHER_ACTIVITY_SCORING.REACTIONS.GIVE_REACTION;
-    const finalScore = baseScore * timeWeight;
+    const { score, baseScore, timeWeight } = await scoring.scoreReaction(guildId, 'give', now);
+    const finalScore = await scoring.applyDailyCap(guildId, userId, 'reaction', score, now);
 
     // 사용자 확인 및 생성
     await dbUtils.ensureUser(userId, guildId, user.tag);
@@ -147,10 +87,9 @@ async function trackReactionReceived(reaction, user, guildId) {
 
     const messageAuthorId = messageAuthor.id;
     const now = new Date();
-    const timeWeight = getTimeWeight(now);
     
-    const baseScore = OTHER_ACTIVITY_SCORING.REACTIONS.RECEIVE_REACTION;
-    const finalScore = baseScore * timeWeight;
+    const { score, baseScore, timeWeight } = await scoring.scoreReaction(guildId, 'receive', now);
+    const finalScore = await scoring.applyDailyCap(guildId, messageAuthorId, 'reaction', score, now);
 
     // 사용자 확인 및 생성
     await dbUtils.ensureUser(messageAuthorId, guildId, messageAuthor.tag);
@@ -200,18 +139,10 @@ async function trackReactionReceived(reaction, user, guildId) {
 async function trackStreaming(userId, guildId, streamingInfo = {}) {
   try {
     const now = new Date();
-    const timeWeight = getTimeWeight(now);
-    
-    const baseScore = OTHER_ACTIVITY_SCORING.STREAMING.SESSION_START;
-    
-    // 화질에 따른 보너스 점수
-    let qualityBonus = 0;
-    if (streamingInfo.quality) {
-      qualityBonus = OTHER_ACTIVITY_SCORING.STREAMING.QUALITY_BONUS[streamingInfo.quality.toUpperCase()] || 0;
-    }
     
-    const totalBaseScore = baseScore + qualityBonus;
-    const finalScore = totalBaseScore * timeWeight;
+    // 화질 보너스를 포함한 시작 점수
+    const { score: finalScore, baseScore: totalBaseScore, qualityBonus, timeWeight } =
+      await scoring.scoreStreaming(guildId, streamingInfo.quality, now);
 
     // 사용자 확인
     const userExists = await db.query(
@@ -271,22 +202,21 @@ async function trackStreaming(userId, guildId, streamingInfo = {}) {
 async function trackVoiceActivity(userId, guildId, activityType, activityInfo = {}) {
   try {
     const now = new Date();
-    const timeWeight = getTimeWeight(now);
     
-    let baseScore = 0;
+    let ruleKey = '';
     let activityTypeName = '';
 
     switch (activityType) {
       case 'video':
-        baseScore = OTHER_ACTIVITY_SCORING.VOICE_ACTIVITIES.VIDEO_ENABLED;
+        ruleKey = 'video';
         activityTypeName = 'video_enabled';
         break;
       case 'screenshare':
-        baseScore = OTHER_ACTIVITY_SCORING.VOICE_ACTIVITIES.SCREEN_SHARE;
+        ruleKey = 'screenShare';
         activityTypeName = 'screen_share';
         break;
       case 'golive':
-        baseScore = OTHER_ACTIVITY_SCORING.VOICE_ACTIVITIES.GO_LIVE;
+        ruleKey = 'goLive';
         activityTypeName = 'go_live';
         break;
       default:
@@ -294,7 +224,7 @@ async function trackVoiceActivity(userId, guildId, activityType, activityInfo =
         return;
     }
 
-    const finalScore = baseScore * timeWeight;
+    const { score: finalScore, baseScore, timeWeight } = await scoring.scoreVoiceActivity(guildId, ruleKey, now);
 
     // 사용자 확인
     const userExists = await db.query(
@@ -446,7 +376,5 @@ module.exports = {
   trackStreaming,
   trackVoiceActivity,
   getOtherActivityStats,
-  getOtherActivityRanking,
-  getTimeWeight,
-  OTHER_ACTIVITY_SCORING
+  getOtherActivityRanking
 }; 
\ No newline at end of file
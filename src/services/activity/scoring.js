@@ -0,0 +1,339 @@
+/**
+ * 통합 점수 계산 엔진
+ * 음성/메시지/반응/스트리밍 활동 점수를 길드별 점수 규칙(scoringRules)으로 계산
+ * 모든 활동 추적기가 이 모듈을 거쳐 점수를 계산하므로 시간대 가중치와 상한이 한 곳에서 적용됨
+ * 시간대 가중치와 하루 상한의 기준일은 길드 시간대로 계산
+ */
+
+const db = require('../database');
+const scoringRules = require('./scoringRules');
+const guildTimezone = require('../guild/timezone');
+const { getZonedHour, getZonedParts, getDateKey, addDays, zonedTimeToUtc, startOfDay } = require('../../utils/timezone');
+const logger = require('../../utils/logger');
+
+// 하루 상한을 적용할 활동 분류별 activities.activity_type
+const CAP_ACTIVITY_TYPES = {
+  message: ['message_create'],
+  reaction: ['reaction_add']
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const EMOJI_PATTERN = /[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F700}-\u{1F77F}]|[\u{1F780}-\u{1F7FF}]|[\u{1F800}-\u{1F8FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/u;
+
+/**
+ * 시각이 속한 시간대 조회
+ * @param {Object} rules - 점수 규칙
+ * @param {Date} date - 시각
+ * @param {string} timeZone - 길드 시간대 (IANA)
+ * @returns {Object} { start, end, weight }
+ */
+function getTimeBand(rules, date, timeZone) {
+  const hour = getZonedHour(date, timeZone);
+  return rules.timeBands.find(band => hour >= band.start && hour < band.end) ||
+    { start: hour, end: hour + 1, weight: 1 };
+}
+
+/**
+ * 시각의 시간대 가중치
+ * @param {Object} rules - 점수 규칙
+ * @param {Date} date - 시각
+ * @param {string} timeZone - 길드 시간대 (IANA)
+ * @returns {number} 가중치
+ */
+function getTimeWeight(rules, date, timeZone) {
+  return getTimeBand(rules, date, timeZone).weight;
+}
+
+/**
+ * 구간을 시간대 경계에서 나눔
+ * @param {Object} rules - 점수 규칙
+ * @param {Date} startTime - 구간 시작
+ * @param {Date} endTime - 구간 끝
+ * @param {string} timeZone - 길드 시간대 (IANA)
+ * @returns {Array<Object>} [{ startTime, endTime, weight }]
+ */
+function splitByTimeBands(rules, startTime, endTime, timeZone) {
+  const pieces = [];
+  let cursor = new Date(startTime);
+
+  while (cursor < endTime) {
+    const band = getTimeBand(rules, cursor, timeZone);
+
+    // 시간대가 끝나는 현지 시각 (24시는 다음 날 0시)
+    const [year, month, day] = (band.end >= 24 ? addDays(getDateKey(cursor, timeZone), 1) : getDateKey(cursor, timeZone))
+      .split('-').map(Number);
+    let boundary = zonedTimeToUtc({ year, month, day, hour: band.end % 24 }, timeZone);
+
+    // 서머타임 종료로 같은 시각이 반복되는 등 경계가 앞서면 1시간 단위로 진행
+    if (boundary <= cursor) {
+      boundary = new Date(cursor.getTime() + HOUR_MS - getZonedParts(cursor, timeZone).minute * 60000);
+    }
+
+    const pieceEnd = boundary < endTime ? boundary : new Date(endTime);
+    pieces.push({ startTime: cursor, endTime: pieceEnd, weight: band.weight });
+    cursor = pieceEnd;
+  }
+
+  return pieces;
+}
+
+/**
+ * 길드 점수 규칙과 시간대를 함께 조회
+ * @param {string} guildId - 길드 ID
+ * @returns {Promise<Object>} { rules, timeZone }
+ */
+async function loadGuildContext(guildId) {
+  const [rules, timeZone] = await Promise.all([
+    scoringRules.getScoringRules(guildId),
+    guildTimezone.getGuildTimezone(guildId)
+  ]);
+  return { rules, timeZone };
+}
+
+/**
+ * 메시지 길이 보너스
+ * @param {Object} rules - 점수 규칙
+ * @param {number} length - 메시지 길이
+ * @returns {number} 길이 보너스
+ */
+function calculateLengthBonus(rules, length) {
+  const { message } = rules;
+  let bonus = 0;
+
+  if (length >= message.lengthShort) {
+    bonus += message.lengthShortBonus;
+  }
+  if (length >= message.lengthMedium) {
+    bonus += message.lengthMediumBonus;
+  }
+  if (length >= message.lengthLong) {
+    bonus += message.lengthLongBonus;
+  }
+
+  return bonus;
+}
+
+/**
+ * 메시지 내용 보너스 (코드 블록, 링크, 첨부파일, 멘션, 이모지, 스레드)
+ * @param {Object} rules - 점수 규칙
+ * @param {Object} message - Discord 메시지 객체
+ * @returns {number} 내용 보너스 (품질 보너스 상한 이하)
+ */
+function calculateContentBonus(rules, message) {
+  const content = message.content;
+  const bonuses = rules.message;
+  let bonus = 0;
+
+  if (content.includes('```') || content.includes('`')) {
+    bonus += bonuses.codeBlockBonus;
+  }
+  if (content.includes('http://') || content.includes('https://')) {
+    bonus += bonuses.linkBonus;
+  }
+  if (message.attachments && message.attachments.size > 0) {
+    bonus += bonuses.attachmentBonus;
+  }
+  if (message.mentions && (message.mentions.users.size > 0 || message.mentions.roles.size > 0)) {
+    bonus += bonuses.mentionBonus;
+  }
+  if (content.includes('<:') || EMOJI_PATTERN.test(content)) {
+    bonus += bonuses.emojiBonus;
+  }
+  if (message.hasThread) {
+    bonus += bonuses.threadStarterBonus;
+  }
+
+  return Math.min(bonus, rules.caps.messageQualityBonus);
+}
+
+/**
+ * 메시지 점수 계산
+ * @param {string} guildId - 길드 ID
+ * @param {Object} message - Discord 메시지 객체
+ * @param {Date} date - 메시지 시각
+ * @returns {Promise<Object>} { score, baseScore, lengthBonus, contentBonus, qualityBonus, timeWeight }
+ */
+async function scoreMessage(guildId, message, date = new Date()) {
+  const { rules, timeZone } = await loadGuildContext(guildId);
+
+  const lengthBonus = calculateLengthBonus(rules, message.content.length);
+  const contentBonus = calculateContentBonus(rules, message);
+  const qualityBonus = Math.min(lengthBonus + contentBonus, rules.caps.messageQualityBonus);
+  const timeWeight = getTimeWeight(rules, date, timeZone);
+
+  return {
+    score: (rules.message.base + qualityBonus) * timeWeight,
+    baseScore: rules.message.base,
+    lengthBonus,
+    contentBonus,
+    qualityBonus,
+    timeWeight
+  };
+}
+
+/**
+ * 반응 점수 계산
+ * @param {string} guildId - 길드 ID
+ * @param {string} role - 'give' (반응을 준 사용자) 또는 'receive' (반응을 받은 사용자)
+ * @param {Date} date - 반응 시각
+ * @returns {Promise<Object>} { score, baseScore, timeWeight }
+ */
+async function scoreReaction(guildId, role, date = new Date()) {
+  const { rules, timeZone } = await loadGuildContext(guildId);
+  const baseScore = rules.reaction[role] || 0;
+  const timeWeight = getTimeWeight(rules, date, timeZone);
+
+  return { score: baseScore * timeWeight, baseScore, timeWeight };
+}
+
+/**
+ * 스트리밍 시작 점수 계산
+ * @param {string} guildId - 길드 ID
+ * @param {string} quality - 화질 ('low', 'medium', 'high')
+ * @param {Date} date - 시작 시각
+ * @returns {Promise<Object>} { score, baseScore, qualityBonus, timeWeight } (baseScore는 화질 보너스 포함)
+ */
+async function scoreStreaming(guildId, quality, date = new Date()) {
+  const { rules, timeZone } = await loadGuildContext(guildId);
+  const { streaming } = rules;
+
+  const qualityKey = quality ? `quality${quality.charAt(0).toUpperCase()}${quality.slice(1).toLowerCase()}` : null;
+  const qualityBonus = (qualityKey && streaming[qualityKey]) || 0;
+  const baseScore = streaming.sessionStart + qualityBonus;
+  const timeWeight = getTimeWeight(rules, date, timeZone);
+
+  return { score: baseScore * timeWeight, baseScore, qualityBonus, timeWeight };
+}
+
+/**
+ * 음성 부가 활동 점수 계산 (비디오, 화면 공유, 라이브)
+ * @param {string} guildId - 길드 ID
+ * @param {string} type - 'video', 'screenShare', 'goLive'
+ * @param {Date} date - 시작 시각
+ * @returns {Promise<Object|null>} { score, baseScore, timeWeight }, 알 수 없는 활동이면 null
+ */
+async function scoreVoiceActivity(guildId, type, date = new Date()) {
+  const { rules, timeZone } = await loadGuildContext(guildId);
+  const baseScore = rules.voiceActivities[type];
+  if (baseScore === undefined) {
+    return null;
+  }
+
+  const timeWeight = getTimeWeight(rules, date, timeZone);
+  return { score: baseScore * timeWeight, baseScore, timeWeight };
+}
+
+/**
+ * 음성 세션 점수 계산
+ * 세션은 채널 인원이 바뀔 때마다 구간으로 나뉘며, 각 구간을 다시 시간대 경계에서 나눠
+ * 구간별 인원(혼자/2명 이상)과 시간대 배율로 점수를 계산
+ * 세션 시간은 구간 길이의 합이므로 구간이 기록되지 않은 시간(봇이 꺼져 있던 시간 등)은 포함되지 않음
+ * @param {string} guildId - 길드 ID
+ * @param {Object} session - { segments }
+ *   segments: [{ startTime, endTime, humanCount }] (humanCount: 봇 제외 채널 인원, 모르면 null)
+ * @returns {Promise<Object>} { score, eligible, duration, aloneTime, withOthersTime, pieces }
+ *   eligible: 최소 세션 시간 충족 여부 (미충족 시 점수 0), duration/aloneTime/withOthersTime: 초,
+ *   pieces: 점수를 계산한 구간 [{ startTime, endTime, humanCount, pointsPerMinute, timeWeight, score }]
+ */
+async function scoreVoiceSession(guildId, { segments }) {
+  const { rules, timeZone } = await loadGuildContext(guildId);
+  const duration = segments.reduce(
+    (sum, segment) => sum + (new Date(segment.endTime) - new Date(segment.startTime)) / 1000,
+    0
+  );
+  const eligible = duration >= rules.voice.minSessionSeconds;
+
+  const pieces = [];
+  let total = 0;
+  let aloneTime = 0;
+  let withOthersTime = 0;
+
+  for (const segment of segments) {
+    // 혼자 있으면 낮은 점수, 인원을 알 수 없으면 2명 이상 기준
+    const alone = segment.humanCount !== null && segment.humanCount <= 1;
+    const pointsPerMinute = alone ? rules.voice.soloPerMinute : rules.voice.multiPerMinute;
+
+    for (const piece of splitByTimeBands(rules, new Date(segment.startTime), new Date(segment.endTime), timeZone)) {
+      const seconds = (piece.endTime - piece.startTime) / 1000;
+      const score = (seconds / 60) * pointsPerMinute * piece.weight;
+
+      total += score;
+      if (alone) {
+        aloneTime += seconds;
+      } else {
+        withOthersTime += seconds;
+      }
+
+      pieces.push({
+        startTime: piece.startTime,
+        endTime: piece.endTime,
+        humanCount: segment.humanCount,
+        pointsPerMinute,
+        timeWeight: piece.weight,
+        score
+      });
+    }
+  }
+
+  return {
+    score: eligible ? Math.round(total * 100) / 100 : 0,
+    eligible,
+    duration,
+    aloneTime: Math.round(aloneTime),
+    withOthersTime: Math.round(withOthersTime),
+    pieces
+  };
+}
+
+/**
+ * 하루 점수 상한 적용
+ * @param {string} guildId - 길드 ID
+ * @param {string} discordId - 사용자 Discord ID
+ * @param {string} category - 'message' 또는 'reaction'
+ * @param {number} score - 이번 활동 점수
+ * @param {Date} date - 활동 시각
+ * @returns {Promise<number>} 상한을 넘지 않도록 조정된 점수
+ */
+async function applyDailyCap(guildId, discordId, category, score, date = new Date()) {
+  const { rules, timeZone } = await loadGuildContext(guildId);
+  const cap = rules.caps[`${category}PerDay`];
+  if (!cap) {
+    return score;
+  }
+
+  try {
+    const dayStart = startOfDay(date, timeZone);
+
+    const result = await db.query(`
+      SELECT COALESCE(SUM(a.score_awarded), 0) AS total
+      FROM activities a
+      JOIN users u ON u.id = a.user_id
+      WHERE a.guild_id = $1
+        AND u.discord_id = $2
+        AND a.activity_type = ANY($3)
+        AND a.timestamp >= $4
+    `, [guildId, discordId, CAP_ACTIVITY_TYPES[category], dayStart]);
+
+    const earned = parseFloat(result.rows[0].total) || 0;
+    return Math.max(0, Math.min(score, cap - earned));
+
+  } catch (error) {
+    logger.error('하루 점수 상한 확인 중 오류:', error);
+    return score;
+  }
+}
+
+module.exports = {
+  getTimeBand,
+  getTimeWeight,
+  splitByTimeBands,
+  calculateLengthBonus,
+  calculateContentBonus,
+  scoreMessage,
+  scoreReaction,
+  scoreStreaming,
+  scoreVoiceActivity,
+  scoreVoiceSession,
+  applyDailyCap
+};
@@ -0,0 +1,265 @@
+/**
+ * 길드별 점수 규칙
+ * guilds.settings.scoring (JSONB)에 저장된 규칙 문서를 환경 변수 기본값 위에 병합해 사용
+ * 활동마다 조회하므로 짧게 캐시하고, 변경 시 해당 길드 캐시를 바로 비움
+ */
+
+const db = require('../database');
+const logger = require('../../utils/logger');
+
+const CACHE_TTL = 60 * 1000; // 규칙 캐시 유지 시간 (ms)
+
+// 환경 변수 기반 기본 규칙
+const DEFAULT_SCORING_RULES = {
+  voice: {
+    soloPerMinute: parseFloat(process.env.VOICE_SOLO_POINTS_PER_MINUTE) || 0.1,   // 혼자 있을 때 분당 점수
+    multiPerMinute: parseFloat(process.env.VOICE_MULTI_POINTS_PER_MINUTE) || 2.0, // 2명 이상일 때 분당 점수
+    minSessionSeconds: parseInt(process.env.VOICE_MIN_SESSION_DURATION) || 30     // 점수를 받는 최소 세션 시간 (초)
+  },
+  voiceActivities: {
+    video: parseFloat(process.env.VIDEO_ENABLED_POINTS) || 3,       // 비디오 켜기
+    screenShare: parseFloat(process.env.SCREEN_SHARE_POINTS) || 5,  // 화면 공유 시작
+    goLive: parseFloat(process.env.GO_LIVE_POINTS) || 8             // 라이브 스트리밍 시작
+  },
+  streaming: {
+    sessionStart: parseFloat(process.env.STREAMING_SESSION_START_POINTS) || 8,  // 스트리밍 시작 점수
+    qualityLow: parseFloat(process.env.STREAMING_QUALITY_LOW_BONUS) || 0,       // 저화질 보너스
+    qualityMedium: parseFloat(process.env.STREAMING_QUALITY_MEDIUM_BONUS) || 2, // 중화질 보너스
+    qualityHigh: parseFloat(process.env.STREAMING_QUALITY_HIGH_BONUS) || 4      // 고화질 보너스
+  },
+  message: {
+    base: parseFloat(process.env.MESSAGE_BASE_POINTS) || 0.15,                        // 모든 메시지 기본 점수
+    lengthShort: parseInt(process.env.MESSAGE_LENGTH_SHORT_THRESHOLD) || 20,          // 짧은 메시지 기준 (자)
+    lengthMedium: parseInt(process.env.MESSAGE_LENGTH_MEDIUM_THRESHOLD) || 50,        // 중간 메시지 기준 (자)
+    lengthLong: parseInt(process.env.MESSAGE_LENGTH_LONG_THRESHOLD) || 100,           // 긴 메시지 기준 (자)
+    lengthShortBonus: parseFloat(process.env.MESSAGE_LENGTH_SHORT_BONUS) || 0.1,
+    lengthMediumBonus: parseFloat(process.env.MESSAGE_LENGTH_MEDIUM_BONUS) || 0.1,
+    lengthLongBonus: parseFloat(process.env.MESSAGE_LENGTH_LONG_BONUS) || 0.1,
+    codeBlockBonus: parseFloat(process.env.MESSAGE_CODE_BLOCK_BONUS) || 0.1,
+    linkBonus: parseFloat(process.env.MESSAGE_LINK_BONUS) || 0.1,
+    attachmentBonus: parseFloat(process.env.MESSAGE_ATTACHMENT_BONUS) || 0.2,
+    mentionBonus: parseFloat(process.env.MESSAGE_MENTION_BONUS) || 0.05,
+    emojiBonus: parseFloat(process.env.MESSAGE_EMOJI_BONUS) || 0.05,
+    threadStarterBonus: parseFloat(process.env.MESSAGE_THREAD_STARTER_BONUS) || 0.15
+  },
+  reaction: {
+    give: parseFloat(process.env.REACTION_GIVE_POINTS) || 0.1,      // 반응을 준 사용자
+    receive: parseFloat(process.env.REACTION_RECEIVE_POINTS) || 0.2 // 반응을 받은 사용자 (메시지 작성자)
+  },
+  caps: {
+    messageQualityBonus: parseFloat(process.env.MESSAGE_MAX_QUALITY_BONUS) || 0.35, // 메시지 품질 보너스 최대치
+    messagePerDay: parseFloat(process.env.SCORE_CAP_MESSAGE_PER_DAY) || 0,          // 하루 메시지 점수 상한 (0은 제한 없음)
+    reactionPerDay: parseFloat(process.env.SCORE_CAP_REACTION_PER_DAY) || 0         // 하루 반응 점수 상한 (0은 제한 없음)
+  },
+  // 시간대별 가중치 (시작 시각 이상, 끝 시각 미만. 0시부터 24시까지 빈틈없이 이어져야 함)
+  timeBands: [
+    { start: parseInt(process.env.TIME_DAWN_START) || 0, end: parseInt(process.env.TIME_DAWN_END) || 6, weight: parseFloat(process.env.TIME_WEIGHT_DAWN) || 0.2 },
+    { start: parseInt(process.env.TIME_MORNING_START) || 6, end: parseInt(process.env.TIME_MORNING_END) || 9, weight: parseFloat(process.env.TIME_WEIGHT_MORNING) || 0.8 },
+    { start: parseInt(process.env.TIME_DAY_START) || 9, end: parseInt(process.env.TIME_DAY_END) || 18, weight: parseFloat(process.env.TIME_WEIGHT_DAY) || 1.0 },
+    { start: parseInt(process.env.TIME_EVENING_START) || 18, end: parseInt(process.env.TIME_EVENING_END) || 23, weight: parseFloat(process.env.TIME_WEIGHT_EVENING) || 1.4 },
+    { start: parseInt(process.env.TIME_LATE_NIGHT_START) || 23, end: parseInt(process.env.TIME_LATE_NIGHT_END) || 24, weight: parseFloat(process.env.TIME_WEIGHT_LATE_NIGHT) || 0.6 }
+  ]
+};
+
+// 관리자 명령어로 변경할 수 있는 규칙 항목 (시간대 제외)
+const RULE_LABELS = {
+  'voice.soloPerMinute': '음성 - 혼자 있을 때 분당 점수',
+  'voice.multiPerMinute': '음성 - 2명 이상일 때 분당 점수',
+  'voice.minSessionSeconds': '음성 - 최소 세션 시간 (초)',
+  'voiceActivities.video': '음성 - 비디오 켜기',
+  'voiceActivities.screenShare': '음성 - 화면 공유',
+  'voiceActivities.goLive': '음성 - 라이브 스트리밍',
+  'streaming.sessionStart': '스트리밍 - 시작 점수',
+  'streaming.qualityLow': '스트리밍 - 저화질 보너스',
+  'streaming.qualityMedium': '스트리밍 - 중화질 보너스',
+  'streaming.qualityHigh': '스트리밍 - 고화질 보너스',
+  'message.base': '메시지 - 기본 점수',
+  'message.lengthShort': '메시지 - 짧은 메시지 기준 (자)',
+  'message.lengthMedium': '메시지 - 중간 메시지 기준 (자)',
+  'message.lengthLong': '메시지 - 긴 메시지 기준 (자)',
+  'message.lengthShortBonus': '메시지 - 짧은 메시지 보너스',
+  'message.lengthMediumBonus': '메시지 - 중간 메시지 보너스',
+  'message.lengthLongBonus': '메시지 - 긴 메시지 보너스',
+  'message.codeBlockBonus': '메시지 - 코드 블록 보너스',
+  'message.linkBonus': '메시지 - 링크 보너스',
+  'message.attachmentBonus': '메시지 - 첨부파일 보너스',
+  'message.mentionBonus': '메시지 - 멘션 보너스',
+  'message.emojiBonus': '메시지 - 이모지 보너스',
+  'message.threadStarterBonus': '메시지 - 스레드 시작 보너스',
+  'reaction.give': '반응 - 준 사용자',
+  'reaction.receive': '반응 - 받은 사용자',
+  'caps.messageQualityBonus': '상한 - 메시지 품질 보너스',
+  'caps.messagePerDay': '상한 - 하루 메시지 점수 (0은 제한 없음)',
+  'caps.reactionPerDay': '상한 - 하루 반응 점수 (0은 제한 없음)'
+};
+
+// guildId -> { rules, expiresAt }
+const cache = new Map();
+
+/**
+ * 길드 점수 규칙 조회
+ * @param {string} guildId - 길드 ID
+ * @returns {Promise<Object>} 기본값이 병합된 점수 규칙
+ */
+async function getScoringRules(guildId) {
+  const cached = cache.get(guildId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rules;
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT settings FROM guilds WHERE guild_id = $1',
+      [guildId]
+    );
+
+    const rules = mergeRules(DEFAULT_SCORING_RULES, result.rows[0]?.settings?.scoring || {});
+    cache.set(guildId, { rules, expiresAt: Date.now() + CACHE_TTL });
+    return rules;
+
+  } catch (error) {
+    logger.error('점수 규칙 조회 중 오류:', error);
+    return mergeRules(DEFAULT_SCORING_RULES, {});
+  }
+}
+
+/**
+ * 길드 점수 규칙 문서 저장 (전달한 항목만 변경)
+ * @param {string} guildId - 길드 ID
+ * @param {Function} update - 저장된 규칙 문서를 받아 변경된 문서를 반환하는 함수
+ * @returns {Promise<Object|null>} 갱신된 점수 규칙, 실패 시 null
+ */
+async function saveScoringRules(guildId, update) {
+  try {
+    const result = await db.query(
+      'SELECT settings FROM guilds WHERE guild_id = $1',
+      [guildId]
+    );
+
+    const updated = update(result.rows[0]?.settings?.scoring || {});
+
+    await db.query(
+      `UPDATE guilds
+       SET settings = jsonb_set(
+         COALESCE(settings, '{}'),
+         '{scoring}',
+         $2
+       ),
+       updated_at = NOW()
+       WHERE guild_id = $1`,
+      [guildId, JSON.stringify(updated)]
+    );
+
+    cache.delete(guildId);
+    return mergeRules(DEFAULT_SCORING_RULES, updated);
+
+  } catch (error) {
+    logger.error('점수 규칙 저장 중 오류:', error);
+    return null;
+  }
+}
+
+/**
+ * 규칙 항목 하나 변경
+ * @param {string} guildId - 길드 ID
+ * @param {string} key - 규칙 항목 (예: 'message.base')
+ * @param {number} value - 새 값
+ * @returns {Promise<Object|null>} 갱신된 점수 규칙, 실패 시 null
+ */
+async function updateScoringRule(guildId, key, value) {
+  const [section, field] = key.split('.');
+
+  const rules = await saveScoringRules(guildId, stored => ({
+    ...stored,
+    [section]: { ...(stored[section] || {}), [field]: value }
+  }));
+
+  if (rules) {
+    logger.info(`점수 규칙 변경 (길드: ${guildId}): ${key} = ${value}`);
+  }
+  return rules;
+}
+
+/**
+ * 시간대별 가중치 전체 교체
+ * @param {string} guildId - 길드 ID
+ * @param {Array<Object>} timeBands - [{ start, end, weight }] (validateTimeBands 통과한 값)
+ * @returns {Promise<Object|null>} 갱신된 점수 규칙, 실패 시 null
+ */
+async function updateTimeBands(guildId, timeBands) {
+  const rules = await saveScoringRules(guildId, stored => ({ ...stored, timeBands }));
+
+  if (rules) {
+    logger.info(`점수 시간대 변경 (길드: ${guildId}):`, timeBands);
+  }
+  return rules;
+}
+
+/**
+ * 길드 점수 규칙을 기본값으로 초기화
+ * @param {string} guildId - 길드 ID
+ * @returns {Promise<Object|null>} 기본 점수 규칙, 실패 시 null
+ */
+async function resetScoringRules(guildId) {
+  const rules = await saveScoringRules(guildId, () => ({}));
+
+  if (rules) {
+    logger.info(`점수 규칙 초기화 (길드: ${guildId})`);
+  }
+  return rules;
+}
+
+/**
+ * 시간대 목록 검증 (0시부터 24시까지 겹치거나 빈 구간 없이 이어져야 함)
+ * @param {Array<Object>} timeBands - [{ start, end, weight }]
+ * @returns {string|null} 오류 메시지, 올바르면 null
+ */
+function validateTimeBands(timeBands) {
+  if (!Array.isArray(timeBands) || timeBands.length === 0) {
+    return '시간대가 하나 이상 필요합니다.';
+  }
+
+  const sorted = [...timeBands].sort((a, b) => a.start - b.start);
+  let expectedStart = 0;
+
+  for (const band of sorted) {
+    if (![band.start, band.end].every(Number.isInteger) || band.start >= band.end) {
+      return `${band.start}-${band.end}: 시작 시각은 끝 시각보다 앞선 정수여야 합니다.`;
+    }
+    if (band.start !== expectedStart) {
+      return `${expectedStart}시부터 시작하는 시간대가 없거나 시간대가 겹칩니다.`;
+    }
+    if (!Number.isFinite(band.weight) || band.weight < 0) {
+      return `${band.start}-${band.end}: 배율은 0 이상의 숫자여야 합니다.`;
+    }
+    expectedStart = band.end;
+  }
+
+  return expectedStart === 24 ? null : '마지막 시간대는 24시에 끝나야 합니다.';
+}
+
+/**
+ * 항목 단위로 기본값과 저장값 병합 (시간대 목록은 통째로 교체)
+ * @param {Object} defaults - 기본 규칙
+ * @param {Object} stored - 저장된 규칙 문서
+ * @returns {Object} 병합된 규칙
+ */
+function mergeRules(defaults, stored) {
+  const merged = {};
+  for (const [section, values] of Object.entries(defaults)) {
+    merged[section] = Array.isArray(values)
+      ? (stored[section] || values).map(band => ({ ...band }))
+      : { ...values, ...(stored[section] || {}) };
+  }
+  return merged;
+}
+
+module.exports = {
+  DEFAULT_SCORING_RULES,
+  RULE_LABELS,
+  getScoringRules,
+  updateScoringRule,
+  updateTimeBands,
+  resetScoringRules,
+  validateTimeBands
+};
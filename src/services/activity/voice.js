@@ -1,24 +1,84 @@
 /**
  * 음성 활동 추적 시스템
  * 사용자의 음성 채널 참여를 모니터링하고 점수를 계산
+ * 세션은 같은 채널에 누가 들어오거나 나갈 때마다 구간으로 나뉘어 구간별 인원으로 점수가 계산됨
+ * 진행 중인 세션은 voice_sessions에 is_active = TRUE로 기록되고 주기적으로 중간 저장되어,
+ * 비정상 종료 후 재시작 시 마지막 중간 저장 시점까지의 점수가 복구됨
  */
 
 const db = require('../database');
 const { getUserIdByDiscordId, updateUserScore: updateUserScoreInDb, findOrCreateUser } = require('../database/utils');
-const { getTimeWeight } = require('../../utils/timeWeights');
+const scoring = require('./scoring');
 // AFK 감지 시스템 제거됨
 const logger = require('../../utils/logger');
 
-// 활성 음성 세션 추적
+// 활성 음성 세션 추적 (키: sessionKey(guildId, userId), 같은 사용자가 여러 서버에 동시에 있을 수 있음)
+// { userId, channelId, guildId, startTime, lastActivity, user, segmentStart, humanCount, segments, recordId, recordReady }
 const activeSessions = new Map();
 
-// 점수 계산 설정 (환경변수에서 로드)
-const VOICE_SCORING = {
-  SOLO_POINTS_PER_MINUTE: parseFloat(process.env.VOICE_SOLO_POINTS_PER_MINUTE) || 0.1,    // 혼자 있을 때 분당 점수
-  MULTI_POINTS_PER_MINUTE: parseFloat(process.env.VOICE_MULTI_POINTS_PER_MINUTE) || 2.0,   // 2명 이상일 때 분당 점수
-  MIN_SESSION_DURATION: parseInt(process.env.VOICE_MIN_SESSION_DURATION) || 30,       // 최소 세션 시간 (초)
-  // 말하기 보너스 제거됨 (Discord API 제한으로 인해 작동하지 않음)
-};
+const CHECKPOINT_INTERVAL = parseInt(process.env.VOICE_CHECKPOINT_INTERVAL) || 5 * 60 * 1000; // 진행 중 세션 중간 저장 주기 (ms)
+
+let checkpointTimer = null;
+let shutdownHookRegistered = false;
+
+/**
+ * 활성 세션 키
+ * @param {string} guildId - 길드 ID
+ * @param {string} userId - 사용자 ID
+ * @returns {string} 세션 키
+ */
+function sessionKey(guildId, userId) {
+  return `${guildId}-${userId}`;
+}
+
+/**
+ * 채널의 실제 사용자 수 (봇 제외)
+ * @param {VoiceChannel} channel - 음성 채널
+ * @returns {number|null} 인원 수, 채널 정보가 없으면 null
+ */
+function countHumans(channel) {
+  if (!channel?.members) {
+    return null;
+  }
+  return channel.members.filter(member => !member.user.bot).size;
+}
+
+/**
+ * 세션의 현재 구간을 닫고 새 구간 시작
+ * @param {Object} session - 세션 정보
+ * @param {Date} time - 구간 경계 시각
+ */
+function closeSegment(session, time) {
+  if (time > session.segmentStart) {
+    session.segments.push({
+      startTime: session.segmentStart,
+      endTime: time,
+      humanCount: session.humanCount
+    });
+  }
+  session.segmentStart = time;
+}
+
+/**
+ * 채널 인원이 바뀌었을 때 그 채널에 있는 다른 사용자들의 구간 나누기
+ * @param {VoiceChannel} channel - 인원이 바뀐 채널
+ * @param {Date} time - 변경 시각
+ * @param {string} excludeUserId - 들어오거나 나간 사용자 (자기 세션은 직접 처리)
+ */
+function splitChannelSegments(channel, time, excludeUserId) {
+  if (!channel) return;
+
+  const humanCount = countHumans(channel);
+
+  for (const session of activeSessions.values()) {
+    if (session.userId === excludeUserId || session.guildId !== channel.guild.id || session.channelId !== channel.id) {
+      continue;
+    }
+
+    closeSegment(session, time);
+    session.humanCount = humanCount;
+  }
+}
 
 /**
  * 음성 상태 변경 이벤트 처리 (메인 함수)
@@ -66,21 +126,32 @@ async function handleVoiceJoin(userId, newState) {
     const now = new Date();
     const guildId = newState.guild.id;
     
-    // 데이터베이스에서 사용자 정보 조회/생성
-    await findOrCreateUser(userId, guildId, newState.member.user);
-    
-    // 활성 세션 정보 저장
-    activeSessions.set(userId, {
+    // 활성 세션 정보 저장 (참가 시각의 채널 인원으로 첫 구간 시작)
+    const session = {
+      userId,
       channelId: newState.channelId,
       guildId: guildId,
       startTime: now,
       lastActivity: now,
       // 말하기 추적 제거됨 (Discord API 제한)
-      user: newState.member.user
-    });
+      user: newState.member.user,
+      segmentStart: now,
+      humanCount: countHumans(newState.channel),
+      segments: [],
+      recordId: null,
+      recordReady: null
+    };
+    activeSessions.set(sessionKey(guildId, userId), session);
+
+    // 같은 채널 사용자들의 구간 나누기
+    splitChannelSegments(newState.channel, now, userId);
 
     // AFK 감지 시스템 제거됨
 
+    // 진행 중 세션 기록 (퇴장 처리가 먼저 실행되어도 기록이 끝날 때까지 기다림)
+    session.recordReady = openSessionRecord(userId, session, newState.member.user);
+    await session.recordReady;
+
     // 활동 로그 저장
     await logVoiceActivity(userId, guildId, 'join', {
       channelId: newState.channelId,
@@ -101,34 +172,45 @@ async function handleVoiceJoin(userId, newState) {
  */
 async function handleVoiceLeave(userId, oldState) {
   try {
-    const session = activeSessions.get(userId);
+    const key = sessionKey(oldState.guild.id, userId);
+    const session = activeSessions.get(key);
     if (!session) return;
 
     const now = new Date();
-    const duration = (now - session.startTime) / 1000; // 초 단위
+
+    // 마지막 구간을 닫고 세션 정리 (이후 인원 변경이 이 세션에 반영되지 않도록 먼저 제거)
+    closeSegment(session, now);
+    activeSessions.delete(key);
+
+    // 남은 사용자들의 구간 나누기
+    splitChannelSegments(oldState.channel, now, userId);
 
     // AFK 감지 시스템 제거됨
 
-    // 최소 세션 시간 체크
-    if (duration >= VOICE_SCORING.MIN_SESSION_DURATION) {
-      // 점수 계산 및 저장 (users 테이블 업데이트 포함)
-      const score = await calculateVoiceScore(userId, session, now, oldState.client);
-      await saveVoiceSession(userId, session, now, duration, score);
-      // updateUserScore 제거 - saveVoiceSession에서 이미 처리함
+    // 참가 시 시작한 세션 기록이 끝날 때까지 대기
+    await session.recordReady;
+
+    // 점수 계산 (최소 세션 시간 미만이면 0점, 세션 시간은 구간 길이의 합)
+    const result = await calculateVoiceScore(session);
+    if (result.eligible) {
+      // 점수 저장 (users 테이블 업데이트 포함)
+      await saveVoiceSession(userId, session, now, result);
+    } else {
+      await discardVoiceSession(session);
     }
 
     // 활동 로그 저장
     await logVoiceActivity(userId, session.guildId, 'leave', {
       channelId: oldState.channelId,
       timestamp: now,
-      duration: duration,
-      score: duration >= VOICE_SCORING.MIN_SESSION_DURATION ? await calculateVoiceScore(userId, session, now, oldState.client) : 0
+      duration: result.duration,
+      score: result.score,
+      aloneTime: result.aloneTime,
+      withOthersTime: result.withOthersTime,
+      segments: session.segments.length
     });
 
-    // 세션 정보 정리
-    activeSessions.delete(userId);
-
-    logger.info(`음성 채널 퇴장: ${oldState.member.user.tag} (세션 시간: ${Math.round(duration)}초)`);
+    logger.info(`음성 채널 퇴장: ${oldState.member.user.tag} (세션 시간: ${Math.round(result.duration)}초)`);
 
   } catch (error) {
     logger.error('음성 채널 퇴장 처리 중 오류:', error);
@@ -166,6 +248,11 @@ async function handleVoiceStateChange(userId, oldState, newState) {
   try {
     // AFK 감지 시스템 제거됨
 
+    const session = activeSessions.get(sessionKey(newState.guild.id, userId));
+    if (session) {
+      session.lastActivity = new Date();
+    }
+
     // 상태 변경 로그
     const changes = [];
     if (oldState.mute !== newState.mute) {
@@ -202,50 +289,27 @@ function handleSpeakingActivity(userId, speaking) {
 }
 
 /**
- * 음성 점수 계산
- * @param {string} userId - 사용자 ID
- * @param {Object} session - 세션 정보
- * @param {Date} endTime - 종료 시간
- * @param {Client} client - Discord 클라이언트 (채널 정보 조회용)
- * @returns {number} 계산된 점수
+ * 음성 점수 계산 (구간별 인원과 시간대 배율 적용)
+ * @param {Object} session - 세션 정보 (마지막 구간까지 닫힌 상태)
+ * @returns {Promise<Object>} { score, eligible, duration, aloneTime, withOthersTime } (eligible: 최소 세션 시간 충족 여부)
  */
-async function calculateVoiceScore(userId, session, endTime, client = null) {
+async function calculateVoiceScore(session) {
   try {
-    const duration = (endTime - session.startTime) / 60000; // 분 단위
-    const timeWeight = getTimeWeight(session.startTime);
-    
-    // 채널 내 인원수에 따른 점수 계산
-    let pointsPerMinute = VOICE_SCORING.MULTI_POINTS_PER_MINUTE; // 기본값
-    
-    if (client && session.channelId) {
-      try {
-        const channel = await client.channels.fetch(session.channelId);
-        if (channel && channel.members) {
-          // 봇을 제외한 실제 사용자 수만 카운트
-          const humanMemberCount = channel.members.filter(member => !member.user.bot).size;
-          // 혼자 있으면 낮은 점수, 2명 이상이면 높은 점수
-          if (humanMemberCount <= 1) {
-            pointsPerMinute = VOICE_SCORING.SOLO_POINTS_PER_MINUTE;
-          }
-          logger.debug(`채널 ${session.channelId} 인원수: ${humanMemberCount}명 (봇 제외), 점수: ${pointsPerMinute}점/분`);
-        }
-      } catch (channelError) {
-        logger.debug('채널 정보 조회 실패, 기본 점수 적용:', channelError.message);
-        // 채널 정보를 가져올 수 없는 경우 기본 점수 적용
-      }
-    }
-    
-    let score = duration * pointsPerMinute * timeWeight;
-
-    // 말하기 활동 보너스 제거됨 (Discord API 제한으로 인해 작동하지 않음)
-
-    // AFK 패널티 제거됨 - 모든 활동에 동일한 점수 적용
+    const result = await scoring.scoreVoiceSession(session.guildId, { segments: session.segments });
+
+    logger.debug(`음성 점수 계산: ${session.segments.length}개 구간, ${result.pieces.length}개 점수 구간`, {
+      pieces: result.pieces.map(piece => ({
+        seconds: Math.round((piece.endTime - piece.startTime) / 1000),
+        humanCount: piece.humanCount,
+        timeWeight: piece.timeWeight
+      }))
+    });
 
-    return Math.round(score * 100) / 100; // 소수점 둘째 자리까지
+    return result;
 
   } catch (error) {
     logger.error('음성 점수 계산 중 오류:', error);
-    return 0;
+    return { score: 0, eligible: false, duration: 0, aloneTime: 0, withOthersTime: 0 };
   }
 }
 
@@ -254,10 +318,9 @@ async function calculateVoiceScore(userId, session, endTime, client = null) {
  * @param {string} userId - 사용자 ID
  * @param {Object} session - 세션 정보
  * @param {Date} endTime - 종료 시간
- * @param {number} duration - 지속 시간 (초)
- * @param {number} score - 점수
+ * @param {Object} result - 점수 계산 결과 { score, duration, aloneTime, withOthersTime } (duration: 구간 길이의 합, 초)
  */
-async function saveVoiceSession(userId, session, endTime, duration, score) {
+async function saveVoiceSession(userId, session, endTime, { score, duration, aloneTime, withOthersTime }) {
   try {
     const internalUserId = await getUserIdByDiscordId(userId, session.guildId);
     if (!internalUserId) {
@@ -271,16 +334,31 @@ async function saveVoiceSession(userId, session, endTime, duration, score) {
 
     // 트랜잭션으로 음성 세션 저장과 사용자 통계 업데이트를 함께 처리
     await db.transaction(async (query) => {
-      // 음성 세션 저장
-      await query(`
-        INSERT INTO voice_sessions 
-        (user_id, channel_id, start_time, end_time, duration, speaking_time, total_score, created_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      `, [
-        internalUserId, session.channelId,
-        session.startTime, endTime, durationInt,
-        speakingTimeInt, score, new Date()
-      ]);
+      if (session.recordId) {
+        // 진행 중 세션 기록 종료
+        await query(`
+          UPDATE voice_sessions
+          SET end_time = $2, duration = $3, speaking_time = $4,
+              alone_time = $5, with_others_time = $6, total_score = $7,
+              is_active = FALSE, last_checkpoint_at = $2, segments = NULL
+          WHERE id = $1
+        `, [
+          session.recordId, endTime, durationInt,
+          speakingTimeInt, aloneTime, withOthersTime, score
+        ]);
+      } else {
+        // 참가 시 기록하지 못한 세션은 새로 저장
+        await query(`
+          INSERT INTO voice_sessions 
+          (user_id, guild_id, channel_id, start_time, end_time, duration, speaking_time,
+           alone_time, with_others_time, total_score, is_active, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, FALSE, $11)
+        `, [
+          internalUserId, session.guildId, session.channelId,
+          session.startTime, endTime, durationInt,
+          speakingTimeInt, aloneTime, withOthersTime, score, new Date()
+        ]);
+      }
 
       // users 테이블의 음성 시간 및 점수 업데이트
       await query(`
@@ -295,13 +373,259 @@ async function saveVoiceSession(userId, session, endTime, duration, score) {
       `, [durationInt, score, endTime, userId, session.guildId]);
     });
 
-    logger.debug(`음성 세션 저장 완료: ${userId} - ${score}점, ${durationInt}초`);
+    logger.debug(`음성 세션 저장 완료: ${userId} - ${score}점, ${durationInt}초 (혼자 ${aloneTime}초, 함께 ${withOthersTime}초)`);
 
   } catch (error) {
     logger.error('음성 세션 저장 중 오류:', error);
   }
 }
 
+/**
+ * 최소 세션 시간에 못 미친 세션 기록 삭제
+ * @param {Object} session - 세션 정보
+ */
+async function discardVoiceSession(session) {
+  if (!session.recordId) return;
+
+  try {
+    await db.query('DELETE FROM voice_sessions WHERE id = $1 AND is_active = TRUE', [session.recordId]);
+  } catch (error) {
+    logger.error('음성 세션 기록 삭제 중 오류:', error);
+  }
+}
+
+/**
+ * 진행 중 세션 기록 생성
+ * @param {string} userId - 사용자 ID
+ * @param {Object} session - 세션 정보
+ * @param {User} user - 사용자 객체
+ * @returns {Promise<number|null>} 세션 기록 ID, 실패 시 null (퇴장 시 새로 저장)
+ */
+async function openSessionRecord(userId, session, user) {
+  try {
+    // 데이터베이스에서 사용자 정보 조회/생성
+    await findOrCreateUser(userId, session.guildId, user);
+
+    const internalUserId = await getUserIdByDiscordId(userId, session.guildId);
+    if (!internalUserId) {
+      logger.error('음성 세션 기록 실패: 사용자의 내부 ID를 찾을 수 없습니다.', { userId, guildId: session.guildId });
+      return null;
+    }
+
+    const result = await db.query(`
+      INSERT INTO voice_sessions
+      (user_id, guild_id, channel_id, start_time, is_active, last_checkpoint_at, segments, created_at)
+      VALUES ($1, $2, $3, $4, TRUE, $4, '[]', $5)
+      RETURNING id
+    `, [internalUserId, session.guildId, session.channelId, session.startTime, new Date()]);
+
+    session.recordId = result.rows[0].id;
+    return session.recordId;
+
+  } catch (error) {
+    logger.error('음성 세션 기록 생성 중 오류:', error);
+    return null;
+  }
+}
+
+/**
+ * 현재까지의 구간 목록 (열린 구간은 지정 시각까지로 계산, 세션은 변경하지 않음)
+ * @param {Object} session - 세션 정보
+ * @param {Date} time - 기준 시각
+ * @returns {Array<Object>} 구간 목록
+ */
+function snapshotSegments(session, time) {
+  if (time <= session.segmentStart) {
+    return [...session.segments];
+  }
+
+  return [
+    ...session.segments,
+    { startTime: session.segmentStart, endTime: time, humanCount: session.humanCount }
+  ];
+}
+
+/**
+ * 저장된 구간 목록 복원 (JSONB의 시각 문자열을 Date로 변환)
+ * @param {Array<Object>|null} segments - 저장된 구간 목록
+ * @returns {Array<Object>} 구간 목록
+ */
+function restoreSegments(segments) {
+  return (segments || []).map(segment => ({
+    startTime: new Date(segment.startTime),
+    endTime: new Date(segment.endTime),
+    humanCount: segment.humanCount
+  }));
+}
+
+/**
+ * 진행 중 세션 중간 저장 (지금까지 쌓인 점수와 구간 기록)
+ * 점수는 세션이 끝날 때 사용자에게 반영되며, 중간 저장은 비정상 종료 시 복구용
+ * @param {Object} session - 세션 정보
+ * @param {Date} time - 중간 저장 시각
+ */
+async function checkpointSession(session, time) {
+  if (!session.recordId) return;
+
+  const segments = snapshotSegments(session, time);
+  const result = await scoring.scoreVoiceSession(session.guildId, { segments });
+
+  await db.query(`
+    UPDATE voice_sessions
+    SET duration = $2, alone_time = $3, with_others_time = $4, total_score = $5,
+        segments = $6, last_checkpoint_at = $7
+    WHERE id = $1 AND is_active = TRUE
+  `, [
+    session.recordId, Math.round(result.duration),
+    result.aloneTime, result.withOthersTime, result.score,
+    JSON.stringify(segments), time
+  ]);
+}
+
+/**
+ * 모든 진행 중 세션 중간 저장
+ * @returns {Promise<number>} 저장된 세션 수
+ */
+async function checkpointActiveSessions() {
+  const now = new Date();
+  let saved = 0;
+
+  for (const [key, session] of activeSessions) {
+    try {
+      await checkpointSession(session, now);
+      if (session.recordId) saved++;
+    } catch (error) {
+      logger.error(`음성 세션 중간 저장 중 오류 (${key}):`, error);
+    }
+  }
+
+  if (saved > 0) {
+    logger.debug(`음성 세션 중간 저장: ${saved}개`);
+  }
+  return saved;
+}
+
+/**
+ * 주기적인 중간 저장 시작
+ */
+function startCheckpointing() {
+  if (checkpointTimer) return;
+
+  checkpointTimer = setInterval(() => {
+    checkpointActiveSessions().catch(error => {
+      logger.error('음성 세션 중간 저장 중 오류:', error);
+    });
+  }, CHECKPOINT_INTERVAL);
+
+  // 재시작/배포 시 마지막 중간 저장 이후 시간이 사라지지 않도록 연결 종료 전에 저장
+  if (!shutdownHookRegistered) {
+    shutdownHookRegistered = true;
+    db.beforeClose(async () => {
+      stopCheckpointing();
+      const saved = await checkpointActiveSessions();
+      logger.info(`종료 전 음성 세션 중간 저장 완료: ${saved}개`);
+    });
+  }
+
+  logger.info(`음성 세션 중간 저장 시작 (${Math.round(CHECKPOINT_INTERVAL / 1000)}초 주기)`);
+}
+
+/**
+ * 주기적인 중간 저장 중지
+ */
+function stopCheckpointing() {
+  if (checkpointTimer) {
+    clearInterval(checkpointTimer);
+    checkpointTimer = null;
+  }
+}
+
+/**
+ * 재시작 시 진행 중이던 세션 복구
+ * 같은 채널에 아직 있는 사용자는 세션을 이어가고 (봇이 꺼져 있던 시간은 구간이 없으므로 점수와 세션 시간에서 제외),
+ * 나갔거나 채널이 바뀐 사용자는 마지막 중간 저장 시점에 세션을 종료하며,
+ * 기록 없이 음성 채널에 있는 사용자는 새 세션을 시작
+ * @param {Client} client - Discord.js 클라이언트
+ * @returns {Promise<Object>} { resumed, closed, started }
+ */
+async function recoverActiveSessions(client) {
+  const now = new Date();
+  const stats = { resumed: 0, closed: 0, started: 0 };
+
+  const result = await db.query(`
+    SELECT vs.id, vs.guild_id, vs.channel_id, vs.start_time, vs.last_checkpoint_at, vs.segments,
+           u.discord_id
+    FROM voice_sessions vs
+    JOIN users u ON vs.user_id = u.id
+    WHERE vs.is_active = TRUE AND vs.end_time IS NULL
+    ORDER BY vs.start_time
+  `);
+
+  for (const row of result.rows) {
+    try {
+      const voiceState = client.guilds.cache.get(row.guild_id)?.voiceStates.cache.get(row.discord_id);
+      const segments = restoreSegments(row.segments);
+
+      // 같은 채널에 아직 있으면 세션 이어가기
+      const key = sessionKey(row.guild_id, row.discord_id);
+      if (voiceState?.channelId === row.channel_id && voiceState.member && !activeSessions.has(key)) {
+        activeSessions.set(key, {
+          userId: row.discord_id,
+          channelId: row.channel_id,
+          guildId: row.guild_id,
+          startTime: new Date(row.start_time),
+          lastActivity: now,
+          user: voiceState.member.user,
+          segmentStart: now,
+          humanCount: countHumans(voiceState.channel),
+          segments,
+          recordId: row.id,
+          recordReady: Promise.resolve(row.id)
+        });
+        stats.resumed++;
+        continue;
+      }
+
+      // 마지막 중간 저장 시점에 세션 종료
+      const session = {
+        userId: row.discord_id,
+        channelId: row.channel_id,
+        guildId: row.guild_id,
+        startTime: new Date(row.start_time),
+        segments,
+        recordId: row.id
+      };
+      const endTime = new Date(row.last_checkpoint_at || row.start_time);
+
+      const scored = await calculateVoiceScore(session);
+      if (scored.eligible) {
+        await saveVoiceSession(row.discord_id, session, endTime, scored);
+      } else {
+        await discardVoiceSession(session);
+      }
+      stats.closed++;
+
+      logger.info(`음성 세션 복구 종료: ${row.discord_id} (${Math.round(scored.duration)}초, ${scored.score}점)`);
+
+    } catch (error) {
+      logger.error(`음성 세션 복구 중 오류 (세션 ${row.id}):`, error);
+    }
+  }
+
+  // 기록 없이 음성 채널에 있는 사용자는 새 세션 시작
+  for (const guild of client.guilds.cache.values()) {
+    for (const voiceState of guild.voiceStates.cache.values()) {
+      if (!voiceState.channelId || !voiceState.member || voiceState.member.user.bot) continue;
+      if (activeSessions.has(sessionKey(guild.id, voiceState.id))) continue;
+
+      await handleVoiceJoin(voiceState.id, voiceState);
+      stats.started++;
+    }
+  }
+
+  return stats;
+}
+
 /**
  * 사용자 점수 업데이트
  * @param {string} userId - 사용자 ID
@@ -342,36 +666,50 @@ async function logVoiceActivity(userId, guildId, type, data) {
 }
 
 /**
- * 활성 음성 세션 정보 조회
+ * 길드의 활성 음성 세션 정보 조회
+ * @param {string} guildId - 길드 ID
  * @param {string} userId - 사용자 ID (선택사항)
- * @returns {Map|Object} 세션 정보
+ * @returns {Map|Object|null} 사용자 ID를 지정하면 세션 정보, 아니면 사용자 ID -> 세션 정보 Map
  */
-function getActiveSessions(userId = null) {
+function getActiveSessions(guildId, userId = null) {
   if (userId) {
-    return activeSessions.get(userId) || null;
+    return activeSessions.get(sessionKey(guildId, userId)) || null;
   }
-  return activeSessions;
+
+  const sessions = new Map();
+  for (const session of activeSessions.values()) {
+    if (session.guildId === guildId) {
+      sessions.set(session.userId, session);
+    }
+  }
+  return sessions;
 }
 
 /**
- * 음성 활동 통계 조회
+ * 길드의 음성 활동 통계 조회
  * @param {string} guildId - 길드 ID
  * @param {string} userId - 사용자 ID (선택사항)
- * @returns {Object} 통계 정보
+ * @returns {Object} 통계 정보 (active_sessions: 이 길드의 진행 중 세션 수)
  */
 async function getVoiceStats(guildId, userId = null) {
+  if (!guildId) {
+    return {};
+  }
+
   try {
     let query = `
       SELECT 
         COUNT(*) as total_sessions,
         SUM(duration) as total_duration,
         SUM(speaking_time) as total_speaking_time, -- 항상 0 (Discord API 제한)
+        SUM(alone_time) as total_alone_time,
+        SUM(with_others_time) as total_with_others_time,
         SUM(total_score) as total_score,
         AVG(total_score) as avg_score_per_session,
         AVG(duration) as avg_session_duration
       FROM voice_sessions vs
       JOIN users u ON vs.user_id = u.id
-      WHERE u.guild_id = $1
+      WHERE u.guild_id = $1 AND vs.is_active = FALSE -- 종료된 세션만 (진행 중 세션은 중간 점수)
     `;
 
     const params = [guildId];
@@ -382,7 +720,14 @@ async function getVoiceStats(guildId, userId = null) {
     }
 
     const result = await db.query(query, params);
-    return result.rows[0] || {};
+    const stats = result.rows[0] || {};
+
+    // 진행 중 세션은 다른 길드 세션과 섞이지 않도록 길드 기준으로 계산
+    stats.active_sessions = userId
+      ? (getActiveSessions(guildId, userId) ? 1 : 0)
+      : getActiveSessions(guildId).size;
+
+    return stats;
 
   } catch (error) {
     logger.error('음성 활동 통계 조회 중 오류:', error);
@@ -402,7 +747,10 @@ module.exports = {
   trackVoiceActivity,
   handleSpeakingActivity,
   getActiveSessions,
+  checkpointActiveSessions,
+  startCheckpointing,
+  stopCheckpointing,
+  recoverActiveSessions,
   getVoiceStats,
-  setGlobalClient,
-  VOICE_SCORING
+  setGlobalClient
 }; 
\ No newline at end of file
@@ -240,16 +240,47 @@ async function batchInsert(table, columns, values) {
   return await query(text, flatValues);
 }
 
+// 연결 풀 종료 전에 실행할 작업 (진행 중 데이터 저장 등)
+const closeHooks = [];
+const CLOSE_HOOK_TIMEOUT = 10000; // 종료 전 작업 최대 대기 시간 (ms)
+let closing = null;
+
+/**
+ * 연결 풀 종료 전에 실행할 작업 등록
+ * @param {Function} hook - 종료 전 실행할 async 함수
+ */
+function beforeClose(hook) {
+  closeHooks.push(hook);
+}
+
 /**
  * 안전한 연결 종료
+ * 여러 종료 경로(SIGINT/SIGTERM 핸들러)에서 호출되어도 종료 전 작업과 풀 종료는 한 번만 실행
  */
-async function close() {
-  try {
-    await pool.end();
-    logger.info('데이터베이스 연결 풀이 안전하게 종료되었습니다');
-  } catch (error) {
-    logger.error('데이터베이스 연결 풀 종료 중 에러:', error);
+function close() {
+  if (!closing) {
+    closing = (async () => {
+      for (const hook of closeHooks) {
+        try {
+          await Promise.race([
+            hook(),
+            new Promise(resolve => setTimeout(resolve, CLOSE_HOOK_TIMEOUT).unref())
+          ]);
+        } catch (error) {
+          logger.error('종료 전 작업 실행 중 에러:', error);
+        }
+      }
+
+      try {
+        await pool.end();
+        logger.info('데이터베이스 연결 풀이 안전하게 종료되었습니다');
+      } catch (error) {
+        logger.error('데이터베이스 연결 풀 종료 중 에러:', error);
+      }
+    })();
   }
+
+  return closing;
 }
 
 // 프로세스 종료 시 연결 풀 정리 (명시적 종료 시에만)
@@ -290,6 +321,7 @@ module.exports = {
   getPoolStatus,
   preparedQuery,
   batchInsert,
+  beforeClose,
   close,
   pool // 직접 풀 접근이 필요한 경우
 }; 
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * 길드 시간대 설정
+ * guilds.settings.timezone (IANA 시간대)을 조회/변경하며, 설정이 없으면 DEFAULT_TIMEZONE 사용
+ * 시간대 가중치, 시즌 경계, 일일 통계 기준일, 예약 작업이 모두 이 시간대로 계산됨
+ */
+
+const db = require('../database');
+const logger = require('../../utils/logger');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../../utils/timezone');
+
+const CACHE_TTL = 5 * 60 * 1000; // 시간대 캐시 유지 시간 (ms)
+
+// guildId -> { timeZone, expiresAt }
+const cache = new Map();
+
+/**
+ * 길드 시간대 조회
+ * @param {string} guildId - 길드 ID
+ * @returns {Promise<string>} IANA 시간대
+ */
+async function getGuildTimezone(guildId) {
+  if (!guildId) {
+    return DEFAULT_TIMEZONE;
+  }
+
+  const cached = cache.get(guildId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.timeZone;
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT settings->>\'timezone\' AS timezone FROM guilds WHERE guild_id = $1',
+      [guildId]
+    );
+
+    const stored = result.rows[0]?.timezone;
+    const timeZone = isValidTimezone(stored) ? stored : DEFAULT_TIMEZONE;
+    cache.set(guildId, { timeZone, expiresAt: Date.now() + CACHE_TTL });
+    return timeZone;
+
+  } catch (error) {
+    logger.error('길드 시간대 조회 중 오류:', error);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * 길드 시간대 변경
+ * @param {string} guildId - 길드 ID
+ * @param {string|null} timeZone - IANA 시간대 (null이면 기본값으로 되돌림)
+ * @returns {Promise<string|null>} 적용된 시간대, 실패 시 null
+ */
+async function setGuildTimezone(guildId, timeZone) {
+  if (timeZone !== null && !isValidTimezone(timeZone)) {
+    return null;
+  }
+
+  try {
+    await db.query(
+      `UPDATE guilds
+       SET settings = CASE
+         WHEN $2::TEXT IS NULL THEN COALESCE(settings, '{}') - 'timezone'
+         ELSE jsonb_set(COALESCE(settings, '{}'), '{timezone}', to_jsonb($2::TEXT))
+       END,
+       updated_at = NOW()
+       WHERE guild_id = $1`,
+      [guildId, timeZone]
+    );
+
+    cache.delete(guildId);
+    logger.info(`길드 시간대 변경 (길드: ${guildId}): ${timeZone || `기본값 (${DEFAULT_TIMEZONE})`}`);
+    return timeZone || DEFAULT_TIMEZONE;
+
+  } catch (error) {
+    logger.error('길드 시간대 저장 중 오류:', error);
+    return null;
+  }
+}
+
+/**
+ * 모든 길드의 시간대 조회 (예약 작업용)
+ * @returns {Promise<Array<Object>>} [{ guildId, timeZone }]
+ */
+async function getAllGuildTimezones() {
+  try {
+    const result = await db.query(
+      'SELECT guild_id, settings->>\'timezone\' AS timezone FROM guilds'
+    );
+
+    return result.rows.map(row => ({
+      guildId: row.guild_id,
+      timeZone: isValidTimezone(row.timezone) ? row.timezone : DEFAULT_TIMEZONE
+    }));
+
+  } catch (error) {
+    logger.error('길드 시간대 목록 조회 중 오류:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getGuildTimezone,
+  setGuildTimezone,
+  getAllGuildTimezones
+};
@@ -0,0 +1,134 @@
+/**
+ * 자동 재생 (라디오 모드)
+ * 대기열이 비었을 때 길드의 music_logs 재생 기록에서 다음 곡을 선택
+ * 외부 추천 서비스 없이 재생 빈도, 최근성, 현재 요청자의 재생 기록으로 가중치 계산
+ */
+
+const db = require('../database');
+const dbUtils = require('../database/utils');
+const sources = require('./sources');
+const logger = require('../../utils/logger');
+
+// 후보 점수 가중치
+const AUTOPLAY_WEIGHTS = {
+  FREQUENCY: 1.0,        // 길드 전체 재생 횟수 (로그 스케일)
+  RECENCY: 1.5,          // 마지막 재생 시점 (지수 감소)
+  REQUESTER: 2.0,        // 현재 요청자의 재생 횟수 (로그 스케일)
+  RECENCY_HALF_LIFE_DAYS: 14,
+  HISTORY_DAYS: 90,      // 후보로 사용할 재생 기록 기간
+  CANDIDATE_LIMIT: 30    // 무작위 선택 대상 상위 후보 수
+};
+
+/**
+ * 재생 기록 기반 자동 재생 곡 선택
+ * @param {string} guildId - 길드 ID
+ * @param {Object} options - 선택 옵션
+ * @param {string|null} options.requesterId - 기준 요청자 Discord ID
+ * @param {number} options.repeatWindow - 최근 N곡 이내 재생된 곡 제외
+ * @param {Array<string>} options.excludeUrls - 추가로 제외할 URL (세션 기록 등)
+ * @returns {Promise<Object|null>} 트랙 정보 또는 null
+ */
+async function pickAutoplayTrack(guildId, options = {}) {
+  try {
+    const repeatWindow = options.repeatWindow || 20;
+    const requesterDbId = options.requesterId
+      ? await dbUtils.getUserIdByDiscordId(options.requesterId, guildId)
+      : null;
+
+    const result = await db.query(`
+      WITH recent AS (
+        SELECT track_url
+        FROM music_logs
+        WHERE guild_id = $1 AND action_type = 'play_start' AND track_url IS NOT NULL
+        ORDER BY timestamp DESC
+        LIMIT $3
+      )
+      SELECT
+        track_url,
+        MAX(track_title) AS title,
+        MAX(track_duration) AS duration,
+        MAX(track_thumbnail) AS thumbnail,
+        COUNT(*) AS plays,
+        COUNT(*) FILTER (WHERE requester_id = $2) AS requester_plays,
+        EXTRACT(EPOCH FROM (NOW() - MAX(timestamp))) / 86400 AS days_since
+      FROM music_logs
+      WHERE guild_id = $1
+        AND action_type = 'play_start'
+        AND track_url IS NOT NULL
+        AND timestamp > NOW() - make_interval(days => $4)
+        AND track_url NOT IN (SELECT track_url FROM recent)
+      GROUP BY track_url
+    `, [guildId, requesterDbId, repeatWindow, AUTOPLAY_WEIGHTS.HISTORY_DAYS]);
+
+    const excluded = new Set(options.excludeUrls || []);
+    const candidates = result.rows
+      .filter(row => !excluded.has(row.track_url))
+      .map(row => ({ row, score: scoreCandidate(row) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, AUTOPLAY_WEIGHTS.CANDIDATE_LIMIT);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const { row } = weightedPick(candidates);
+
+    return {
+      title: row.title,
+      url: row.track_url,
+      duration: row.duration || 0,
+      thumbnail: row.thumbnail,
+      source: sources.findProvider(row.track_url).name
+    };
+
+  } catch (error) {
+    logger.error('자동 재생 곡 선택 중 오류:', error);
+    return null;
+  }
+}
+
+/**
+ * 후보 곡 점수 계산
+ * @param {Object} row - 집계된 재생 기록
+ * @returns {number} 점수
+ */
+function scoreCandidate(row) {
+  const plays = parseInt(row.plays) || 0;
+  const requesterPlays = parseInt(row.requester_plays) || 0;
+  const daysSince = Math.max(0, parseFloat(row.days_since) || 0);
+
+  const frequency = Math.log1p(plays);
+  const recency = Math.pow(0.5, daysSince / AUTOPLAY_WEIGHTS.RECENCY_HALF_LIFE_DAYS);
+  const requester = Math.log1p(requesterPlays);
+
+  return AUTOPLAY_WEIGHTS.FREQUENCY * frequency +
+         AUTOPLAY_WEIGHTS.RECENCY * recency +
+         AUTOPLAY_WEIGHTS.REQUESTER * requester;
+}
+
+/**
+ * 점수 비례 무작위 선택 (같은 곡만 반복 선택되지 않도록)
+ * @param {Array<Object>} candidates - { row, score } 목록
+ * @returns {Object} 선택된 후보
+ */
+function weightedPick(candidates) {
+  const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+  if (total <= 0) {
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  let threshold = Math.random() * total;
+  for (const candidate of candidates) {
+    threshold -= candidate.score;
+    if (threshold <= 0) {
+      return candidate;
+    }
+  }
+
+  return candidates[candidates.length - 1];
+}
+
+module.exports = {
+  pickAutoplayTrack,
+  AUTOPLAY_WEIGHTS
+};
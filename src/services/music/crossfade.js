@@ -0,0 +1,123 @@
+/**
+ * 크로스페이드 믹서
+ * 끝나가는 곡과 다음 곡의 PCM(48kHz 스테레오 s16le) 스트림을 Opus 인코딩 전에 섞어 하나의 스트림으로 출력
+ * 페이드 구간이 끝나면 이전 곡 스트림을 닫고 다음 곡을 그대로 전달
+ */
+
+const { Readable } = require('stream');
+
+const SAMPLE_RATE = 48000;
+const FRAME_BYTES = 4; // 스테레오 16비트 샘플 1쌍
+const MAX_CROSSFADE_SECONDS = 12;
+
+/**
+ * 두 PCM 청크를 등전력 곡선으로 섞음
+ * @param {Buffer} incoming - 다음 곡 PCM (프레임 단위로 정렬됨)
+ * @param {Buffer} outgoing - 이전 곡 PCM (짧으면 나머지는 무음으로 처리)
+ * @param {number} startFrame - 페이드 시작부터 이 청크 첫 프레임까지의 프레임 수
+ * @param {number} fadeFrames - 페이드 전체 프레임 수
+ * @returns {Buffer} 섞인 PCM
+ */
+function mixChunk(incoming, outgoing, startFrame, fadeFrames) {
+  const mixed = Buffer.allocUnsafe(incoming.length);
+
+  for (let offset = 0; offset < incoming.length; offset += FRAME_BYTES) {
+    const progress = Math.min(1, (startFrame + offset / FRAME_BYTES) / fadeFrames);
+    const incomingGain = Math.sin(progress * Math.PI / 2);
+    const outgoingGain = Math.cos(progress * Math.PI / 2);
+
+    for (let position = offset; position < offset + FRAME_BYTES; position += 2) {
+      const outgoingSample = position + 2 <= outgoing.length ? outgoing.readInt16LE(position) : 0;
+      const sample = incoming.readInt16LE(position) * incomingGain + outgoingSample * outgoingGain;
+      mixed.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample))), position);
+    }
+  }
+
+  return mixed;
+}
+
+/**
+ * 다음 곡 청크에 맞춰 이전 곡 PCM을 읽어 섞는 제너레이터
+ * @param {Readable} outgoing - 이전 곡 스트림
+ * @param {Readable} incoming - 다음 곡 스트림
+ * @param {number} fadeFrames - 페이드 전체 프레임 수
+ */
+async function* mixStreams(outgoing, incoming, fadeFrames) {
+  const outgoingChunks = outgoing[Symbol.asyncIterator]();
+  let outgoingBuffer = Buffer.alloc(0);
+  let outgoingEnded = false;
+  let remainder = Buffer.alloc(0); // 프레임 경계에 걸린 다음 곡 바이트
+  let mixedFrames = 0;
+
+  try {
+    for await (const chunk of incoming) {
+      if (mixedFrames >= fadeFrames) {
+        yield chunk;
+        continue;
+      }
+
+      const data = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+      const alignedLength = data.length - (data.length % FRAME_BYTES);
+      remainder = data.subarray(alignedLength);
+
+      // 이전 곡이 먼저 끝나거나 오류가 나면 나머지 구간은 무음과 섞음
+      while (!outgoingEnded && outgoingBuffer.length < alignedLength) {
+        try {
+          const { value, done } = await outgoingChunks.next();
+          if (done) {
+            outgoingEnded = true;
+          } else {
+            outgoingBuffer = Buffer.concat([outgoingBuffer, value]);
+          }
+        } catch (error) {
+          outgoingEnded = true;
+        }
+      }
+
+      yield mixChunk(data.subarray(0, alignedLength), outgoingBuffer, mixedFrames, fadeFrames);
+      outgoingBuffer = outgoingBuffer.subarray(Math.min(alignedLength, outgoingBuffer.length));
+      mixedFrames += alignedLength / FRAME_BYTES;
+
+      if (mixedFrames >= fadeFrames) {
+        // 페이드가 끝나면 이전 곡 프로세스를 정리하고 남은 바이트부터 그대로 전달
+        outgoing.destroy();
+        if (remainder.length > 0) {
+          yield remainder;
+          remainder = Buffer.alloc(0);
+        }
+      }
+    }
+
+    if (remainder.length > 0) {
+      yield remainder;
+    }
+  } finally {
+    outgoing.destroy();
+  }
+}
+
+/**
+ * 크로스페이드 스트림 생성
+ * @param {Readable} outgoing - 이전 곡 PCM 스트림 (재생 중인 리소스에서 떼어낸 스트림)
+ * @param {Readable} incoming - 다음 곡 PCM 스트림
+ * @param {number} seconds - 페이드 길이 (초)
+ * @returns {Readable} 섞인 PCM 스트림 (닫히면 두 스트림 모두 정리됨)
+ */
+function createCrossfadeStream(outgoing, incoming, seconds) {
+  const fadeFrames = Math.max(1, Math.round(seconds * SAMPLE_RATE));
+  const stream = Readable.from(mixStreams(outgoing, incoming, fadeFrames), { objectMode: false });
+
+  // 재생 중 건너뛰기/탐색으로 교체되면 두 곡의 프로세스를 모두 정리
+  stream.once('close', () => {
+    outgoing.destroy();
+    incoming.destroy();
+  });
+
+  return stream;
+}
+
+module.exports = {
+  MAX_CROSSFADE_SECONDS,
+  mixChunk,
+  createCrossfadeStream
+};
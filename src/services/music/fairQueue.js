@@ -0,0 +1,92 @@
+/**
+ * 공정 대기열 (요청자별 라운드 로빈)
+ * 요청자마다 자신의 곡 순서(슬롯)를 유지하면서, 가중치가 반영된 가상 시간(슬롯 / 가중치)이
+ * 빠른 곡부터 재생되도록 새 곡을 끼워 넣음. 이미 있는 곡의 순서는 바꾸지 않으므로
+ * 수동으로 편집한 대기열도 유지됨
+ */
+
+const AUTOPLAY_REQUESTER = 'autoplay';
+
+/**
+ * 대기열 순서를 나누는 요청자 키
+ * @param {Object} track - 트랙
+ * @returns {string} 요청자 Discord ID (자동 재생 곡은 'autoplay')
+ */
+function getRequesterKey(track) {
+  return track.requestedBy?.id || AUTOPLAY_REQUESTER;
+}
+
+/**
+ * 순위에 따른 슬롯 가중치
+ * @param {number} rank - 현재 순위
+ * @param {Array<Object>} rankTiers - [{ maxRank, weight }] (maxRank 오름차순)
+ * @returns {number} 가중치 (기본 1)
+ */
+function getRankWeight(rank, rankTiers = []) {
+  const tier = rankTiers.find(candidate => rank <= candidate.maxRank);
+  return tier ? tier.weight : 1;
+}
+
+/**
+ * 각 트랙이 요청자 기준 몇 번째 곡인지 계산
+ * @param {Array<Object>} tracks - 대기 중인 트랙 (현재 곡 제외)
+ * @returns {Array<number>} 트랙별 요청자 슬롯 (1부터 시작)
+ */
+function getRequesterSlots(tracks) {
+  const counts = new Map();
+
+  return tracks.map(track => {
+    const key = getRequesterKey(track);
+    const slot = (counts.get(key) || 0) + 1;
+    counts.set(key, slot);
+    return slot;
+  });
+}
+
+/**
+ * 새 곡들을 공정 순서에 맞게 대기 목록에 삽입
+ * @param {Array<Object>} upcoming - 대기 중인 트랙 (현재 곡 제외, 직접 수정됨)
+ * @param {Array<Object>} tracks - 추가할 트랙
+ * @param {Map<string, number>} weights - 요청자별 가중치 (없으면 1)
+ */
+function insertFairly(upcoming, tracks, weights = new Map()) {
+  const weightOf = key => weights.get(key) || 1;
+
+  for (const track of tracks) {
+    const key = getRequesterKey(track);
+    const slots = getRequesterSlots(upcoming);
+
+    // 요청자의 마지막 곡 뒤에서부터, 가상 시간이 더 늦은 곡 앞에 삽입
+    const lastOwnIndex = upcoming.map(getRequesterKey).lastIndexOf(key);
+    const ownCount = lastOwnIndex === -1 ? 0 : slots[lastOwnIndex];
+    const virtualTime = (ownCount + 1) / weightOf(key);
+
+    let index = upcoming.length;
+    for (let i = lastOwnIndex + 1; i < upcoming.length; i++) {
+      if (slots[i] / weightOf(getRequesterKey(upcoming[i])) > virtualTime) {
+        index = i;
+        break;
+      }
+    }
+
+    upcoming.splice(index, 0, track);
+  }
+}
+
+/**
+ * 요청자의 대기 곡 수
+ * @param {Array<Object>} upcoming - 대기 중인 트랙 (현재 곡 제외)
+ * @param {string} requesterId - 요청자 Discord ID
+ * @returns {number} 대기 곡 수
+ */
+function countRequesterTracks(upcoming, requesterId) {
+  return upcoming.filter(track => track.requestedBy?.id === requesterId).length;
+}
+
+module.exports = {
+  getRequesterKey,
+  getRankWeight,
+  getRequesterSlots,
+  insertFairly,
+  countRequesterTracks
+};
@@ -0,0 +1,84 @@
+/**
+ * 오디오 필터 정의
+ * createAudioStream의 ffmpeg 단계에서 -af 필터 체인으로 적용
+ */
+
+// 필터 정의 (speed: 재생 속도 배율, 재생 위치 계산에 사용)
+const AUDIO_FILTERS = {
+  bassboost: {
+    name: '베이스 부스트',
+    filter: 'bass=g=8:f=110:w=0.6',
+    speed: 1
+  },
+  nightcore: {
+    name: '나이트코어',
+    filter: 'aresample=48000,asetrate=48000*1.25,aresample=48000',
+    speed: 1.25
+  },
+  '8d': {
+    name: '8D',
+    filter: 'apulsator=hz=0.125',
+    speed: 1
+  },
+  loudnorm: {
+    name: '음량 평준화',
+    filter: 'loudnorm=I=-16:TP=-1.5:LRA=11', // EBU R128 기준
+    speed: 1
+  }
+};
+
+// 필터 체인 적용 순서 (속도 변경 → 음색 → 공간감 → 음량 평준화)
+const FILTER_ORDER = ['nightcore', 'bassboost', '8d', 'loudnorm'];
+
+// 기본 볼륨(0.5)에서 적용되는 헤드룸 (고음 클리핑 방지)
+const BASE_GAIN = 0.85;
+const DEFAULT_VOLUME = 0.5;
+
+/**
+ * 활성 필터 목록으로 ffmpeg -af 인자 생성
+ * @param {Iterable<string>} filterNames - 활성 필터 이름
+ * @param {number} volume - 플레이어 볼륨 (0-1, 기본값 0.5가 기존 헤드룸과 같음)
+ * @returns {string} ffmpeg 필터 체인
+ */
+function buildFilterChain(filterNames = [], volume = DEFAULT_VOLUME) {
+  const active = new Set(filterNames);
+  const chain = FILTER_ORDER
+    .filter(name => active.has(name))
+    .map(name => AUDIO_FILTERS[name].filter);
+
+  const gain = BASE_GAIN * ((volume ?? DEFAULT_VOLUME) / DEFAULT_VOLUME);
+  chain.push(`volume=${gain.toFixed(2)}`);
+  return chain.join(',');
+}
+
+/**
+ * 활성 필터의 재생 속도 배율 계산
+ * @param {Iterable<string>} filterNames - 활성 필터 이름
+ * @returns {number} 속도 배율
+ */
+function getSpeedMultiplier(filterNames = []) {
+  let speed = 1;
+  for (const name of filterNames) {
+    speed *= AUDIO_FILTERS[name]?.speed || 1;
+  }
+  return speed;
+}
+
+/**
+ * 필터 표시 이름 목록
+ * @param {Iterable<string>} filterNames - 활성 필터 이름
+ * @returns {Array<string>} 표시 이름
+ */
+function getFilterNames(filterNames = []) {
+  const active = new Set(filterNames);
+  return FILTER_ORDER
+    .filter(name => active.has(name))
+    .map(name => AUDIO_FILTERS[name].name);
+}
+
+module.exports = {
+  AUDIO_FILTERS,
+  buildFilterChain,
+  getSpeedMultiplier,
+  getFilterNames
+};
@@ -1,7 +1,7 @@
 /**
  * 코어 음악 플레이어 서비스
  * 라즈베리파이 최적화된 YouTube 음악 재생 시스템
- * YouTube API + yt-dlp 사용
+ * 소스 제공자(YouTube, 로컬 라이브러리, HTTP) + FFmpeg 사용
  */
 
 const { 
@@ -16,13 +16,25 @@ const {
   StreamType
 } = require('@discordjs/voice');
 const youtubeAPI = require('./youtube-api');
+const sources = require('./sources');
 const { spawn } = require('child_process');
 const { Readable, PassThrough } = require('stream');
 const db = require('../database');
 const dbUtils = require('../database/utils');
 const permissions = require('./permissions');
+const queueStore = require('./queueStore');
+const audioFilters = require('./filters');
+const musicSettings = require('./settings');
+const autoplay = require('./autoplay');
+const nowPlayingPanel = require('./panel');
+const fairQueue = require('./fairQueue');
+const requestLimits = require('./requestLimits');
+const crossfade = require('./crossfade');
 const logger = require('../../utils/logger');
 
+// 스트림 버퍼 크기 (48kHz 스테레오 16비트 PCM 약 5초 분량)
+const STREAM_BUFFER_BYTES = 1024 * 1024;
+
 /**
  * 음악 플레이어 클래스
  */
@@ -34,18 +46,37 @@ class MusicPlayer {
     this.currentTracks = new Map(); // guildId -> 현재 재생 중인 트랙
     this.volumes = new Map();     // guildId -> 볼륨 설정
     this.repeatModes = new Map(); // guildId -> 반복 모드
+    this.voiceChannels = new Map(); // guildId -> 마지막 음성 채널 ID (재시작 복구용)
+    this.textChannels = new Map();  // guildId -> 마지막 텍스트 채널 ID
+    this.playbackOffsets = new Map(); // guildId -> 현재 스트림 시작 위치 (초, 탐색 시 사용)
+    this.filters = new Map();         // guildId -> 활성 오디오 필터 Set
+    this.skipVotes = new Map();       // guildId -> { trackId, votes: Map(userId -> 가중치) }
+    this.prefetches = new Map();      // guildId -> { trackId, streamKey, stream, promise, timer } 다음 곡 미리 불러오기
+    this.activeStreams = new Map();   // guildId -> { source, output, detached } 재생 중인 리소스의 원본 스트림
+    this.crossfadeTimers = new Map(); // guildId -> 크로스페이드 시작 타이머
     
     // 라즈베리파이 최적화 설정 (최적화 시스템과 통합)
     this.config = {
       audioQuality: 'highest',     // 최고음질로 설정 (고음 깨짐 방지 처리 포함)
       connectionTimeout: 15000,    // 연결 타임아웃
       retryAttempts: 3,           // 재시도 횟수
-      ytdlpPath: '/usr/local/bin/yt-dlp', // yt-dlp 경로
-      autoDisconnectDelay: 3000    // 대기열 없을 때 자동 종료 지연 시간 (ms) - 3초
+      autoDisconnectDelay: 3000,   // 대기열 없을 때 자동 종료 지연 시간 (ms) - 3초
+      autoResume: process.env.MUSIC_AUTO_RESUME === 'true', // 재시작 후 복구된 대기열 자동 재생
+      playlistLimit: parseInt(process.env.MUSIC_PLAYLIST_LIMIT) || 50, // 재생목록 1회 추가 최대 곡 수
+      playlistMaxTrackDuration: parseInt(process.env.MUSIC_PLAYLIST_MAX_TRACK_DURATION) || 3600, // 재생목록 곡 최대 길이 (초)
+      prefetchLeadTime: parseInt(process.env.MUSIC_PREFETCH_LEAD_TIME ?? 20), // 다음 곡 미리 불러오기 시점 (종료 n초 전, 0은 사용 안 함)
+      emptyChannelGracePeriod: (parseInt(process.env.MUSIC_EMPTY_CHANNEL_GRACE_PERIOD) || 60) * 1000 // 채널에 사람이 없을 때 연결 해제까지 유예 시간 (ms)
     };
     
     // 자동 종료 타이머 관리
     this.disconnectTimers = new Map(); // guildId -> 타이머 ID
+    this.emptyChannelTimers = new Map(); // guildId -> { timer, pausedByBot } 빈 채널 유예 타이머
+    
+    // 종료 신호 수신 시 트랙 종료 처리로 저장된 대기열이 훼손되지 않도록 표시
+    this.isShuttingDown = false;
+    const markShuttingDown = () => { this.isShuttingDown = true; };
+    process.once('SIGINT', markShuttingDown);
+    process.once('SIGTERM', markShuttingDown);
     
     // 다운로드 관리는 최적화 시스템에서 처리
   }
@@ -66,44 +97,54 @@ class MusicPlayer {
       
       logger.info(`음악 재생 요청: ${query} (요청자: ${requesterName})`);
       
+      if (options.textChannel) {
+        this.textChannels.set(guildId, options.textChannel.id);
+      }
+      
       // 사용자 권한 확인 (Task 12에서 구현될 예정)
       const hasPermission = await this.checkUserPermission(guildId, requestedBy.id, 'add');
       if (!hasPermission.allowed) {
         return { 
           status: 'error', 
-          message: hasPermission.reason,
+          message: hasPermission.message,
           code: 'PERMISSION_DENIED'
         };
       }
       
+      // 재생목록 URL은 전체 곡을 대기열에 추가
+      if (this.isPlaylistQuery(query)) {
+        return await this.enqueuePlaylist(guildId, channelId, query, requestedBy);
+      }
+      
       // 트랙 정보 추출
       const trackInfo = await this.getTrackInfo(query);
       if (!trackInfo) {
         return { 
           status: 'error', 
-          message: '유효한 YouTube URL을 찾을 수 없습니다.',
+          message: '재생할 수 있는 곡을 찾을 수 없습니다.',
           code: 'INVALID_URL'
         };
       }
       
+      // 공정 대기열의 1인 최대 곡 수 확인
+      if (await this.getRequesterQueueCapacity(guildId, requestedBy.id) === 0) {
+        return await this.createQueueLimitError(guildId);
+      }
+      
+      // 순위 등급별 요청 제한 확인 (곡 길이, 대기 곡 수, 시간당 요청 수)
+      const rank = await this.getUserRank(guildId, requestedBy.id);
+      const limits = await requestLimits.applyRequestLimits(
+        guildId, requestedBy, rank, [trackInfo], (this.queues.get(guildId) || []).slice(1)
+      );
+      if (limits.error) {
+        return limits.error;
+      }
+      
       // 트랙 객체 생성
-      const track = {
-        id: this.generateTrackId(),
-        title: trackInfo.title,
-        url: trackInfo.url,
-        duration: trackInfo.duration,
-        thumbnail: trackInfo.thumbnail,
-        requestedBy: {
-          id: requestedBy.id,
-          tag: requestedBy.tag,
-          rank: await this.getUserRank(guildId, requestedBy.id)
-        },
-        addedAt: new Date(),
-        source: 'youtube'
-      };
+      const track = this.createTrack(trackInfo, requestedBy, rank);
       
       // 대기열에 추가
-      await this.addToQueue(guildId, track);
+      const queuePosition = await this.addToQueue(guildId, track);
       
       // 음악 로그 기록
       await this.logMusicActivity(guildId, requestedBy.id, 'queue', {
@@ -125,7 +166,6 @@ class MusicPlayer {
           message: `🎵 **${track.title}** 재생을 시작합니다!`
         };
       } else {
-        const queuePosition = this.queues.get(guildId).length;
         return {
           status: 'queued',
           track: track,
@@ -144,6 +184,180 @@ class MusicPlayer {
     }
   }
 
+  /**
+   * 재생목록 URL의 곡들을 대기열에 추가
+   * @param {string} guildId - 길드 ID
+   * @param {string} channelId - 음성 채널 ID
+   * @param {string} query - 재생목록 URL
+   * @param {Object} requestedBy - 요청한 사용자 정보
+   * @returns {Object} 추가 결과 (추가/건너뛴 곡 수 포함)
+   */
+  async enqueuePlaylist(guildId, channelId, query, requestedBy) {
+    try {
+      const playlistId = youtubeAPI.extractPlaylistId(query);
+      const playlist = await youtubeAPI.getPlaylistVideos(playlistId, {
+        limit: this.config.playlistLimit,
+        maxDurationSeconds: this.config.playlistMaxTrackDuration
+      });
+      
+      if (playlist.videos.length === 0) {
+        return {
+          status: 'error',
+          message: '재생목록에서 재생 가능한 곡을 찾을 수 없습니다.',
+          code: 'EMPTY_PLAYLIST',
+          skipped: playlist.skipped
+        };
+      }
+      
+      // 공정 대기열의 1인 최대 곡 수를 넘는 곡은 제외
+      const capacity = await this.getRequesterQueueCapacity(guildId, requestedBy.id);
+      if (capacity === 0) {
+        return await this.createQueueLimitError(guildId);
+      }
+      
+      const rank = await this.getUserRank(guildId, requestedBy.id);
+      const limits = await requestLimits.applyRequestLimits(
+        guildId,
+        requestedBy,
+        rank,
+        playlist.videos.map(video => this.toTrackInfo(video)),
+        (this.queues.get(guildId) || []).slice(1)
+      );
+      if (limits.error) {
+        return limits.error;
+      }
+      
+      const tracks = limits.allowed.slice(0, capacity).map(trackInfo => 
+        this.createTrack(trackInfo, requestedBy, rank)
+      );
+      const limited = limits.allowed.length - tracks.length;
+      
+      await this.addTracksToQueue(guildId, tracks);
+      
+      await this.logMusicActivity(guildId, requestedBy.id, 'queue', {
+        playlistId,
+        added: tracks.length,
+        skipped: playlist.skipped,
+        truncated: playlist.truncated
+      });
+      
+      logger.info(`재생목록 추가: ${tracks.length}곡 (길드: ${guildId}, 재생목록: ${playlistId})`);
+      
+      const result = {
+        status: 'playlist',
+        playlistId,
+        added: tracks.length,
+        skipped: playlist.skipped,
+        truncated: playlist.truncated,
+        limited,
+        tierLimits: this.summarizeRequestLimits(limits),
+        firstTrack: tracks[0]
+      };
+      
+      if (!this.isPlaying(guildId)) {
+        const playResult = await this.startPlaying(guildId, channelId);
+        if (playResult.status === 'error') {
+          return { ...playResult, added: tracks.length, skipped: playlist.skipped };
+        }
+      }
+      
+      return result;
+      
+    } catch (error) {
+      logger.error('재생목록 추가 중 오류:', error);
+      return {
+        status: 'error',
+        message: `재생목록을 불러오지 못했습니다: ${error.message}`,
+        code: 'PLAYLIST_ERROR'
+      };
+    }
+  }
+
+  /**
+   * 저장된 플레이리스트의 곡들을 대기열에 추가
+   * @param {string} guildId - 길드 ID
+   * @param {string} channelId - 음성 채널 ID
+   * @param {Object} playlist - 저장된 플레이리스트 (music_playlists 행)
+   * @param {Object} requestedBy - 요청한 사용자 정보
+   * @param {Object} options - 재생 옵션
+   * @returns {Object} 추가 결과
+   */
+  async enqueueSavedPlaylist(guildId, channelId, playlist, requestedBy, options = {}) {
+    try {
+      if (options.textChannel) {
+        this.textChannels.set(guildId, options.textChannel.id);
+      }
+
+      const hasPermission = await this.checkUserPermission(guildId, requestedBy.id, 'add');
+      if (!hasPermission.allowed) {
+        return {
+          status: 'error',
+          message: hasPermission.message,
+          code: 'PERMISSION_DENIED'
+        };
+      }
+
+      const savedTracks = playlist.tracks || [];
+      if (savedTracks.length === 0) {
+        return {
+          status: 'error',
+          message: '플레이리스트에 곡이 없습니다.',
+          code: 'EMPTY_PLAYLIST'
+        };
+      }
+
+      const capacity = await this.getRequesterQueueCapacity(guildId, requestedBy.id);
+      if (capacity === 0) {
+        return await this.createQueueLimitError(guildId);
+      }
+
+      const rank = await this.getUserRank(guildId, requestedBy.id);
+      const limits = await requestLimits.applyRequestLimits(
+        guildId, requestedBy, rank, savedTracks, (this.queues.get(guildId) || []).slice(1)
+      );
+      if (limits.error) {
+        return limits.error;
+      }
+
+      const tracks = limits.allowed.slice(0, capacity).map(trackInfo => this.createTrack(trackInfo, requestedBy, rank));
+      const limited = limits.allowed.length - tracks.length;
+
+      await this.addTracksToQueue(guildId, tracks);
+
+      await this.logMusicActivity(guildId, requestedBy.id, 'queue', {
+        savedPlaylist: playlist.name,
+        playlistOwner: playlist.owner_discord_id,
+        added: tracks.length
+      });
+
+      logger.info(`저장된 플레이리스트 추가: ${playlist.name} ${tracks.length}곡 (길드: ${guildId})`);
+
+      if (!this.isPlaying(guildId)) {
+        const playResult = await this.startPlaying(guildId, channelId);
+        if (playResult.status === 'error') {
+          return { ...playResult, added: tracks.length };
+        }
+      }
+
+      return {
+        status: 'playlist',
+        name: playlist.name,
+        added: tracks.length,
+        limited,
+        tierLimits: this.summarizeRequestLimits(limits),
+        firstTrack: tracks[0]
+      };
+
+    } catch (error) {
+      logger.error('저장된 플레이리스트 추가 중 오류:', error);
+      return {
+        status: 'error',
+        message: '플레이리스트를 불러오는 중 오류가 발생했습니다.',
+        code: 'PLAYLIST_ERROR'
+      };
+    }
+  }
+
   /**
    * 음성 채널 연결 및 재생 시작
    * @param {string} guildId - 길드 ID
@@ -169,19 +383,20 @@ class MusicPlayer {
       const player = await this.createAudioPlayer(guildId);
       
       // 오디오 스트림 생성
-      const audioStream = await this.createAudioStream(track.url);
+      const audioStream = await this.createAudioStream(track, {
+        filters: this.getAudioFilters(guildId),
+        volume: this.volumes.get(guildId)
+      });
       if (!audioStream) {
         return { status: 'error', message: '오디오 스트림 생성에 실패했습니다.' };
       }
+      this.playbackOffsets.set(guildId, 0);
       
       // Discord.js v14 - 테스트에서 성공한 방식 적용
       logger.debug('테스트 검증된 방식으로 오디오 리소스 생성...');
       
       // 테스트에서 성공한 방식: raw 타입으로 직접 생성 (demuxProbe 제거)
-      const resource = createAudioResource(audioStream, {
-        inputType: 'raw',        // 테스트에서 성공한 타입
-        inlineVolume: false      // 테스트에서 성공한 설정
-      });
+      const resource = this.createTrackResource(guildId, audioStream);
       
       logger.debug(`오디오 리소스 생성 완료 (타입: raw, 길드: ${guildId})`);
       
@@ -190,6 +405,13 @@ class MusicPlayer {
       
       // 현재 트랙 설정
       this.currentTracks.set(guildId, track);
+      this.recordMusicLog(guildId, track, 'play_start', {
+        details: { autoplay: !!track.autoplay }
+      });
+      nowPlayingPanel.refresh(guildId);
+      
+      // 연결된 음성 채널 정보 저장 (재시작 복구용)
+      await this.persistQueueState(guildId);
       
       // 재생 시작 전 연결 상태 확인
       if (connection.state.status !== VoiceConnectionStatus.Ready) {
@@ -213,6 +435,8 @@ class MusicPlayer {
       }
       
       logger.info(`재생 시작: ${track.title} (길드: ${guildId})`);
+      this.schedulePrefetch(guildId);
+      this.scheduleCrossfade(guildId);
       
       // 재생 시작 후 상태 모니터링
       setTimeout(() => {
@@ -236,6 +460,45 @@ class MusicPlayer {
     }
   }
 
+
+  /**
+   * 트랙 오디오 리소스 생성
+   * 크로스페이드 때 재생 중인 원본 스트림을 리소스에서 떼어내 다음 곡과 섞을 수 있도록 중간 스트림을 거침
+   * @param {string} guildId - 길드 ID
+   * @param {Readable} audioStream - PCM 오디오 스트림
+   * @returns {AudioResource} 오디오 리소스
+   */
+  createTrackResource(guildId, audioStream) {
+    const output = new PassThrough();
+    const active = { source: audioStream, output, detached: false };
+    
+    audioStream.pipe(output);
+    
+    // 원본 스트림이 오류로 닫히면 리소스도 종료 (정상 종료는 pipe가 처리)
+    audioStream.once('close', () => {
+      if (!active.detached && !output.writableEnded) {
+        output.destroy(audioStream.errored || undefined);
+      }
+    });
+    
+    // 건너뛰기/탐색/중지로 리소스가 정리되면 떼어내지 않은 원본 스트림과 프로세스도 정리
+    output.once('close', () => {
+      if (!active.detached) {
+        audioStream.destroy();
+      }
+      if (this.activeStreams.get(guildId) === active) {
+        this.activeStreams.delete(guildId);
+      }
+    });
+    
+    this.activeStreams.set(guildId, active);
+    
+    return createAudioResource(output, {
+      inputType: 'raw',        // 테스트에서 성공한 타입
+      inlineVolume: false      // 테스트에서 성공한 설정
+    });
+  }
+
   /**
    * 음성 채널 연결
    * @param {string} guildId - 길드 ID
@@ -272,6 +535,7 @@ class MusicPlayer {
       this.setupConnectionHandlers(guildId, connection);
       
       this.connections.set(guildId, connection);
+      this.voiceChannels.set(guildId, channelId);
       
       logger.info(`음성 채널 연결 성공: ${guildId} -> ${channelId}`);
       return connection;
@@ -308,11 +572,21 @@ class MusicPlayer {
   }
 
   /**
-   * 오디오 스트림 생성 (YouTube API + yt-dlp 사용) - 개선된 버전
-   * @param {string} url - YouTube URL
+   * 오디오 스트림 생성 (소스 제공자 입력 + FFmpeg 변환) - 개선된 버전
+   * @param {Object|string} track - 트랙 (source/url 포함) 또는 YouTube URL
+   * @param {Object} options - 스트림 옵션
+   * @param {number} options.seekSeconds - 재생 시작 위치 (초)
+   * @param {Array<string>} options.filters - 적용할 오디오 필터 이름
+   * @param {number} options.volume - 볼륨 (0-1, 기본 0.5)
    * @returns {Readable|null} 오디오 스트림
    */
-  async createAudioStream(url) {
+  async createAudioStream(track, options = {}) {
+    if (typeof track === 'string') {
+      track = { url: track, source: 'youtube' };
+    }
+    const seekSeconds = Math.max(0, Math.floor(options.seekSeconds || 0));
+    const filterChain = audioFilters.buildFilterChain(options.filters, options.volume);
+    
     try {
       // 라즈베리파이 최적화 시스템 사용
       const optimization = require('../../config/optimization');
@@ -329,72 +603,55 @@ class MusicPlayer {
       }
       
       // 최적화된 다운로드 대기열 사용
-      return await optimization.queueDownload(async (url) => {
-        logger.debug(`오디오 스트림 생성 시작: ${url}`);
+      return await optimization.queueDownload(async (track) => {
+        logger.debug(`오디오 스트림 생성 시작: ${track.url} (소스: ${track.source || 'youtube'})`);
         
         try {
-          // 1. YouTube API로 비디오 정보 확인
-          let verifiedUrl = url;
-          try {
-            const videoInfo = await youtubeAPI.getVideoFromQuery(url);
-            logger.info(`✅ YouTube API 확인: ${videoInfo.title} (${youtubeAPI.formatDuration(videoInfo.durationSeconds)})`);
-            verifiedUrl = videoInfo.url;
-          } catch (apiError) {
-            logger.warn('YouTube API 실패, 원본 URL 사용:', apiError.message);
-          }
+          // 1. 소스 제공자별 입력 준비
+          // YouTube는 yt-dlp 프로세스 출력을 파이프로, 로컬/HTTP는 FFmpeg가 직접 읽음
+          const provider = sources.getProvider(track.source);
+          const sourceInput = await provider.createInput(track);
+          const sourceProcess = sourceInput.process || null;
+          const sourceName = sourceInput.processName || provider.name;
           
-          // 2. yt-dlp → FFmpeg → Discord 파이프라인 구성
-          logger.debug('yt-dlp → FFmpeg → Discord 파이프라인 생성');
-          
-          // yt-dlp 프로세스 (오디오 URL 추출 및 스트림)
-          const ytdlpProcess = spawn(this.config.ytdlpPath, [
-            verifiedUrl,
-            '--format', 'bestaudio[ext=webm]/bestaudio/best',
-            '--no-playlist',
-            '--quiet',
-            '--no-warnings',
-            '--buffer-size', '16384',
-            '--http-chunk-size', '524288',
-            '--retries', '5',
-            '--fragment-retries', '5',
-            '--ignore-errors',
-            '--no-abort-on-error',
-            '--output', '-'  // stdout으로 출력
-          ], {
-            stdio: ['ignore', 'pipe', 'pipe']
-          });
+          // 2. 소스 → FFmpeg → Discord 파이프라인 구성
+          logger.debug(`${sourceName} → FFmpeg → Discord 파이프라인 생성`);
           
           // FFmpeg 프로세스 (Discord 호환 포맷으로 변환) - 고음 깨짐 방지 최적화
           const ffmpegProcess = spawn('ffmpeg', [
-            '-i', 'pipe:0',           // yt-dlp 출력을 입력으로 받음
+            ...(sourceInput.inputOptions || []), // 소스별 입력 옵션 (HTTP 재연결 등)
+            ...(seekSeconds > 0 ? ['-ss', String(seekSeconds)] : []), // 탐색 위치부터 디코딩
+            '-i', sourceInput.input,  // 소스 프로세스 출력(pipe:0) 또는 파일/URL
             '-f', 's16le',            // Discord 호환 포맷
             '-ar', '48000',           // 48kHz 샘플링 레이트 (Discord 표준)
             '-ac', '2',               // 스테레오
-            '-af', 'volume=0.85',     // 85% 볼륨으로 헤드룸 확보 (클리핑 방지)
+            '-af', filterChain,       // 오디오 필터 + 85% 볼륨 헤드룸 (클리핑 방지)
             '-loglevel', 'error',     // 에러만 로그
             '-buffer_size', '128k',   // 큰 버퍼로 안정성 확보
             '-avoid_negative_ts', 'make_zero', // 타임스탬프 정규화
             'pipe:1'                  // stdout으로 출력
           ], {
-            stdio: ['pipe', 'pipe', 'pipe']
+            stdio: [sourceProcess ? 'pipe' : 'ignore', 'pipe', 'pipe']
           });
           
           // PassThrough 스트림으로 최종 출력 안정화
-          const passThrough = new PassThrough();
+          const passThrough = new PassThrough({ highWaterMark: STREAM_BUFFER_BYTES });
           let hasStarted = false;
-          let ytdlpError = '';
+          let sourceError = '';
           let ffmpegError = '';
           let dataChunks = 0;
           
-          ytdlpProcess.stderr.on('data', (data) => {
-            const errorMsg = data.toString();
-            if (!errorMsg.includes('Deleting original file') && 
-                !errorMsg.includes('WARNING') &&
-                !errorMsg.includes('[download]')) {
-              ytdlpError += errorMsg;
-              logger.debug('yt-dlp stderr:', errorMsg.trim());
-            }
-          });
+          if (sourceProcess) {
+            sourceProcess.stderr.on('data', (data) => {
+              const errorMsg = data.toString();
+              if (!errorMsg.includes('Deleting original file') && 
+                  !errorMsg.includes('WARNING') &&
+                  !errorMsg.includes('[download]')) {
+                sourceError += errorMsg;
+                logger.debug(`${sourceName} stderr:`, errorMsg.trim());
+              }
+            });
+          }
           
           ffmpegProcess.stderr.on('data', (data) => {
             const errorMsg = data.toString();
@@ -406,8 +663,10 @@ class MusicPlayer {
             }
           });
           
-          // yt-dlp → FFmpeg 파이프 연결
-          ytdlpProcess.stdout.pipe(ffmpegProcess.stdin);
+          // 소스 프로세스 → FFmpeg 파이프 연결
+          if (sourceProcess) {
+            sourceProcess.stdout.pipe(ffmpegProcess.stdin);
+          }
           
           // FFmpeg 출력을 PassThrough로 파이프
           ffmpegProcess.stdout.on('data', (chunk) => {
@@ -422,37 +681,42 @@ class MusicPlayer {
             }
             
             // PassThrough 스트림으로 데이터 전달
-            if (!passThrough.destroyed) {
-              passThrough.write(chunk);
+            // 아직 재생되지 않는 스트림(다음 곡 미리 불러오기)이 메모리에 무한정 쌓이지 않도록
+            // 버퍼가 차면 FFmpeg 출력을 멈추고 소비될 때 재개
+            if (!passThrough.destroyed && !passThrough.write(chunk)) {
+              ffmpegProcess.stdout.pause();
+              passThrough.once('drain', () => ffmpegProcess.stdout.resume());
             }
           });
           
-          // yt-dlp 프로세스 모니터링
-          ytdlpProcess.stdout.on('data', () => {
-            // yt-dlp가 데이터를 생성하고 있음을 확인
-            logger.debug('yt-dlp 원시 데이터 수신 중...');
-          });
-          
-          // 스트림 종료 처리
-          ytdlpProcess.stdout.on('end', () => {
-            logger.debug('yt-dlp 스트림 종료, FFmpeg stdin 닫기');
-            ffmpegProcess.stdin.end();
-          });
-          
-          // EPIPE 에러 처리
-          ytdlpProcess.stdout.on('error', (error) => {
-            if (error.code === 'EPIPE') {
-              logger.debug('EPIPE 에러 감지 - PassThrough 스트림으로 처리');
-              if (!passThrough.destroyed) {
-                passThrough.end();
-              }
-            } else {
-              logger.error('스트림 에러:', error);
-              if (!passThrough.destroyed) {
-                passThrough.destroy(error);
+          if (sourceProcess) {
+            // 소스 프로세스 모니터링
+            sourceProcess.stdout.on('data', () => {
+              // 소스 프로세스가 데이터를 생성하고 있음을 확인
+              logger.debug(`${sourceName} 원시 데이터 수신 중...`);
+            });
+            
+            // 스트림 종료 처리
+            sourceProcess.stdout.on('end', () => {
+              logger.debug(`${sourceName} 스트림 종료, FFmpeg stdin 닫기`);
+              ffmpegProcess.stdin.end();
+            });
+            
+            // EPIPE 에러 처리
+            sourceProcess.stdout.on('error', (error) => {
+              if (error.code === 'EPIPE') {
+                logger.debug('EPIPE 에러 감지 - PassThrough 스트림으로 처리');
+                if (!passThrough.destroyed) {
+                  passThrough.end();
+                }
+              } else {
+                logger.error('스트림 에러:', error);
+                if (!passThrough.destroyed) {
+                  passThrough.destroy(error);
+                }
               }
-            }
-          });
+            });
+          }
 
           ffmpegProcess.stdout.on('end', () => {
             logger.debug(`ffmpeg 스트림 종료 (총 청크: ${dataChunks}개)`);
@@ -480,17 +744,28 @@ class MusicPlayer {
             logger.error('PassThrough 스트림 에러:', error);
           });
           
-          ytdlpProcess.on('error', (error) => {
-            if (!hasStarted) {
-              logger.error('yt-dlp 프로세스 오류:', error);
-              if (!passThrough.destroyed) {
-                passThrough.destroy(error);
+          // 탐색/건너뛰기로 스트림이 교체되면 남은 프로세스 정리
+          passThrough.on('close', () => {
+            for (const child of [sourceProcess, ffmpegProcess].filter(Boolean)) {
+              if (child.exitCode === null && !child.killed) {
+                child.kill('SIGKILL');
               }
-              throw error;
-            } else {
-              logger.debug('yt-dlp 프로세스 오류 (스트림 시작 후):', error.message);
             }
           });
+          
+          if (sourceProcess) {
+            sourceProcess.on('error', (error) => {
+              if (!hasStarted) {
+                logger.error(`${sourceName} 프로세스 오류:`, error);
+                if (!passThrough.destroyed) {
+                  passThrough.destroy(error);
+                }
+                throw error;
+              } else {
+                logger.debug(`${sourceName} 프로세스 오류 (스트림 시작 후):`, error.message);
+              }
+            });
+          }
 
           ffmpegProcess.on('error', (error) => {
             if (!hasStarted) {
@@ -505,17 +780,19 @@ class MusicPlayer {
           });
           
           // 프로세스 종료 시 로그
-          ytdlpProcess.on('close', (code) => {
-            if (code !== 0 && !hasStarted) {
-              logger.error(`yt-dlp 프로세스 실패 (코드: ${code}):`, ytdlpError);
-              const error = new Error(`yt-dlp failed with code ${code}: ${ytdlpError}`);
-              if (!passThrough.destroyed) {
-                passThrough.destroy(error);
+          if (sourceProcess) {
+            sourceProcess.on('close', (code) => {
+              if (code !== 0 && !hasStarted) {
+                logger.error(`${sourceName} 프로세스 실패 (코드: ${code}):`, sourceError);
+                const error = new Error(`${sourceName} failed with code ${code}: ${sourceError}`);
+                if (!passThrough.destroyed) {
+                  passThrough.destroy(error);
+                }
+                throw error;
               }
-              throw error;
-            }
-            logger.debug(`yt-dlp 프로세스 종료 (코드: ${code}, 스트림 시작됨: ${hasStarted}, 청크: ${dataChunks}개)`);
-          });
+              logger.debug(`${sourceName} 프로세스 종료 (코드: ${code}, 스트림 시작됨: ${hasStarted}, 청크: ${dataChunks}개)`);
+            });
+          }
 
           ffmpegProcess.on('close', (code) => {
             if (code !== 0 && !hasStarted) {
@@ -529,7 +806,7 @@ class MusicPlayer {
             logger.debug(`ffmpeg 프로세스 종료 (코드: ${code}, 스트림 시작됨: ${hasStarted}, 청크: ${dataChunks}개)`);
           });
           
-                      logger.debug('yt-dlp → FFmpeg → PassThrough 파이프라인 생성 성공');
+                      logger.debug(`${sourceName} → FFmpeg → PassThrough 파이프라인 생성 성공`);
             return passThrough;
           
         } catch (error) {
@@ -537,7 +814,7 @@ class MusicPlayer {
           throw error;
         }
         
-      }, url);
+      }, track);
       
     } catch (error) {
       logger.error('오디오 스트림 생성 실패:', error);
@@ -557,28 +834,55 @@ class MusicPlayer {
   }
 
   /**
-   * 트랙 정보 추출 (YouTube API 전용)
-   * @param {string} query - YouTube URL 또는 검색어
+   * 트랙 정보 추출 (소스 제공자 판별 후 조회)
+   * @param {string} query - URL, local:<경로/검색어> 또는 YouTube 검색어
    * @returns {Object|null} 트랙 정보
    */
   async getTrackInfo(query) {
-    try {
-      // YouTube API로 정보 추출 (URL과 검색어 모두 지원)
-      const videoInfo = await youtubeAPI.getVideoFromQuery(query);
-      
-      return {
-        title: videoInfo.title,
-        url: videoInfo.url,
-        duration: videoInfo.durationSeconds,
-        thumbnail: videoInfo.thumbnails.medium?.url || videoInfo.thumbnails.default?.url,
-        channelTitle: videoInfo.channelTitle,
-        publishedAt: videoInfo.publishedAt
-      };
-      
-    } catch (error) {
-      logger.error('트랙 정보 추출 실패:', error);
-      return null;
-    }
+    return await sources.resolve(query);
+  }
+
+  /**
+   * 검색 결과 목록 조회 (검색 결과 선택 메뉴용)
+   * @param {string} query - 검색어 (local: 접두사면 로컬 라이브러리 검색)
+   * @param {number} limit - 최대 결과 수
+   * @returns {Promise<Array>} 트랙 정보 목록
+   */
+  async searchTracks(query, limit = 5) {
+    return await sources.search(query, { limit });
+  }
+
+  /**
+   * YouTube 비디오 정보를 트랙 정보로 변환
+   * @param {Object} videoInfo - YouTube API 비디오 정보
+   * @returns {Object} 트랙 정보
+   */
+  toTrackInfo(videoInfo) {
+    return sources.youtube.toTrackInfo(videoInfo);
+  }
+
+  /**
+   * 대기열에 넣을 트랙 객체 생성
+   * @param {Object} trackInfo - 트랙 정보
+   * @param {Object} requestedBy - 요청한 사용자 정보
+   * @param {number} rank - 요청자 순위
+   * @returns {Object} 트랙 객체
+   */
+  createTrack(trackInfo, requestedBy, rank) {
+    return {
+      id: this.generateTrackId(),
+      title: trackInfo.title,
+      url: trackInfo.url,
+      duration: trackInfo.duration,
+      thumbnail: trackInfo.thumbnail,
+      requestedBy: {
+        id: requestedBy.id,
+        tag: requestedBy.tag,
+        rank
+      },
+      addedAt: new Date(),
+      source: trackInfo.source || 'youtube'
+    };
   }
 
   /**
@@ -587,17 +891,139 @@ class MusicPlayer {
    * @param {Object} track - 트랙 정보
    */
   async addToQueue(guildId, track) {
+    const [position] = await this.insertIntoQueue(guildId, [track]);
+    
+    // 새로운 트랙이 추가되면 자동 종료 타이머 취소
+    this.cancelAutoDisconnect(guildId);
+    
+    await this.persistQueueState(guildId);
+    this.schedulePrefetch(guildId);
+    
+    logger.debug(`트랙 대기열 추가: ${track.title} (위치: ${position})`);
+    
+    return position;
+  }
+
+  /**
+   * 대기열에 여러 트랙을 한번에 추가 (저장은 한 번만 수행)
+   * @param {string} guildId - 길드 ID
+   * @param {Array} tracks - 트랙 목록
+   */
+  async addTracksToQueue(guildId, tracks) {
+    await this.insertIntoQueue(guildId, tracks);
+    
+    this.cancelAutoDisconnect(guildId);
+    
+    await this.persistQueueState(guildId);
+    this.schedulePrefetch(guildId);
+    
+    logger.debug(`트랙 ${tracks.length}개 대기열 추가 (대기열 길이: ${this.queues.get(guildId).length})`);
+  }
+
+  /**
+   * 대기열에 트랙 삽입 (공정 대기열이 켜져 있으면 요청자별 라운드 로빈 위치에 삽입)
+   * @param {string} guildId - 길드 ID
+   * @param {Array} tracks - 트랙 목록
+   * @returns {Promise<Array<number>>} 추가된 트랙의 대기열 위치 (1부터 시작)
+   */
+  async insertIntoQueue(guildId, tracks) {
     if (!this.queues.has(guildId)) {
       this.queues.set(guildId, []);
     }
     
     const queue = this.queues.get(guildId);
-    queue.push(track);
+    const settings = await musicSettings.getMusicSettings(guildId);
     
-    // 새로운 트랙이 추가되면 자동 종료 타이머 취소
-    this.cancelAutoDisconnect(guildId);
+    if (!settings.fairQueue.enabled) {
+      queue.push(...tracks);
+      return tracks.map((_, index) => queue.length - tracks.length + index + 1);
+    }
+    
+    // 현재 재생 중인 곡(맨 앞)은 그대로 두고 대기 곡들 사이에 삽입
+    const pending = [...tracks];
+    if (queue.length === 0) {
+      queue.push(pending.shift());
+    }
+    
+    const upcoming = queue.slice(1);
+    const weights = await this.getFairQueueWeights(guildId, [...upcoming, ...pending], settings.fairQueue);
+    fairQueue.insertFairly(upcoming, pending, weights);
+    queue.splice(1, queue.length - 1, ...upcoming);
+    
+    return tracks.map(track => queue.indexOf(track) + 1);
+  }
+
+  /**
+   * 공정 대기열 요청자별 가중치 (현재 순위 기준)
+   * @param {string} guildId - 길드 ID
+   * @param {Array} tracks - 대기 중인 트랙과 추가할 트랙
+   * @param {Object} fairQueueSettings - 공정 대기열 설정
+   * @returns {Promise<Map<string, number>>} 요청자 ID별 가중치
+   */
+  async getFairQueueWeights(guildId, tracks, fairQueueSettings) {
+    const weights = new Map();
+    if (!fairQueueSettings.rankWeighted) {
+      return weights;
+    }
+    
+    const permissions = require('./permissions');
+    const requesterIds = [...new Set(tracks.map(track => track.requestedBy?.id).filter(Boolean))];
+    const ranks = await permissions.getUserRanks(guildId, requesterIds);
     
-    logger.debug(`트랙 대기열 추가: ${track.title} (위치: ${queue.length})`);
+    for (const [requesterId, rank] of ranks) {
+      weights.set(requesterId, fairQueue.getRankWeight(rank, fairQueueSettings.rankTiers));
+    }
+    
+    return weights;
+  }
+
+  /**
+   * 공정 대기열의 1인 최대 대기 곡 수 기준으로 추가 가능한 곡 수 계산
+   * @param {string} guildId - 길드 ID
+   * @param {string} requesterId - 요청자 Discord ID
+   * @returns {Promise<number>} 추가 가능한 곡 수 (제한이 없으면 Infinity)
+   */
+  async getRequesterQueueCapacity(guildId, requesterId) {
+    const settings = await musicSettings.getMusicSettings(guildId);
+    const { enabled, maxTracksPerUser } = settings.fairQueue;
+    
+    if (!enabled || !maxTracksPerUser) {
+      return Infinity;
+    }
+    
+    const upcoming = (this.queues.get(guildId) || []).slice(1);
+    return Math.max(0, maxTracksPerUser - fairQueue.countRequesterTracks(upcoming, requesterId));
+  }
+
+  /**
+   * 등급별 요청 제한으로 제외된 곡 요약 (재생목록 결과 표시용)
+   * @param {Object} limits - requestLimits.applyRequestLimits 결과
+   * @returns {Object|null} { tier, tooLong, limited } (제외된 곡이 없으면 null)
+   */
+  summarizeRequestLimits(limits) {
+    if (!limits.tier || limits.tooLong + limits.limited === 0) {
+      return null;
+    }
+    
+    return {
+      tier: limits.tier,
+      tooLong: limits.tooLong,
+      limited: limits.limited
+    };
+  }
+
+  /**
+   * 1인 최대 대기 곡 수 초과 시 오류 결과
+   * @param {string} guildId - 길드 ID
+   * @returns {Promise<Object>} 오류 결과
+   */
+  async createQueueLimitError(guildId) {
+    const settings = await musicSettings.getMusicSettings(guildId);
+    return {
+      status: 'error',
+      message: `대기열에는 1인당 최대 ${settings.fairQueue.maxTracksPerUser}곡까지 추가할 수 있습니다.`,
+      code: 'USER_QUEUE_LIMIT'
+    };
   }
 
   /**
@@ -613,7 +1039,7 @@ class MusicPlayer {
       if (!hasPermission.allowed) {
         return { 
           status: 'error', 
-          message: hasPermission.reason,
+          message: hasPermission.message,
           code: 'PERMISSION_DENIED'
         };
       }
@@ -638,6 +1064,11 @@ class MusicPlayer {
         skippedTrack: currentTrack.title,
         skippedBy: userId
       });
+      await this.recordMusicLog(guildId, currentTrack, 'play_skip', {
+        controllerId: userId,
+        controllerRank: hasPermission.userRank,
+        details: { position: this.getPlaybackPosition(guildId), method: 'command' }
+      });
       
       // 플레이어 정지 (idle 이벤트가 다음 트랙 재생을 처리)
       player.stop();
@@ -661,26 +1092,398 @@ class MusicPlayer {
   }
 
   /**
-   * 재생 중지
+   * 투표 건너뛰기
+   * 봇과 같은 음성 채널의 사람 청취자 중 설정된 비율 이상이 투표하면 현재 트랙을 건너뜀
    * @param {string} guildId - 길드 ID
-   * @param {string} userId - 요청한 사용자 ID
-   * @returns {Object} 중지 결과
+   * @param {string} userId - 투표한 사용자 ID
+   * @returns {Object} 투표 결과
    */
-  async stop(guildId, userId) {
+  async voteSkip(guildId, userId) {
     try {
-      // 권한 확인
+      const settings = await musicSettings.getMusicSettings(guildId);
+      if (!settings.voteSkip.enabled) {
+        return { 
+          status: 'error', 
+          message: '이 서버에서는 투표 건너뛰기가 비활성화되어 있습니다.',
+          code: 'VOTE_SKIP_DISABLED'
+        };
+      }
+      
+      const player = this.players.get(guildId);
+      const currentTrack = this.currentTracks.get(guildId);
+      
+      if (!player || !currentTrack) {
+        return { 
+          status: 'error', 
+          message: '현재 재생 중인 트랙이 없습니다.',
+          code: 'NO_TRACK_PLAYING'
+        };
+      }
+      
+      const listeners = this.getListeners(guildId);
+      if (!listeners.includes(userId)) {
+        return { 
+          status: 'error', 
+          message: '봇과 같은 음성 채널에 있어야 투표할 수 있습니다.',
+          code: 'NOT_IN_CHANNEL'
+        };
+      }
+      
+      // 트랙이 바뀌면 투표 초기화
+      let voteState = this.skipVotes.get(guildId);
+      if (!voteState || voteState.trackId !== currentTrack.id) {
+        voteState = { trackId: currentTrack.id, votes: new Map() };
+        this.skipVotes.set(guildId, voteState);
+      }
+      
+      // 청취자별 투표 가중치 (순위 가중치 미사용 시 1표)
+      const ranks = settings.voteSkip.rankWeighted
+        ? await permissions.getUserRanks(guildId, listeners)
+        : new Map();
+      const weightOf = (id) => settings.voteSkip.rankWeighted ? this.getVoteWeight(ranks.get(id)) : 1;
+      
+      const alreadyVoted = voteState.votes.has(userId);
+      if (!alreadyVoted) {
+        voteState.votes.set(userId, weightOf(userId));
+      }
+      
+      // 채널을 떠난 사용자의 표는 제외하고 현재 청취자 기준으로 집계
+      const totalWeight = listeners.reduce((sum, id) => sum + weightOf(id), 0);
+      const votedWeight = listeners
+        .filter(id => voteState.votes.has(id))
+        .reduce((sum, id) => sum + weightOf(id), 0);
+      const requiredWeight = Math.max(1, totalWeight * settings.voteSkip.threshold);
+      const passed = votedWeight >= requiredWeight;
+      
+      const tally = {
+        votes: votedWeight,
+        required: Math.round(requiredWeight * 100) / 100,
+        listeners: listeners.length,
+        threshold: settings.voteSkip.threshold,
+        rankWeighted: settings.voteSkip.rankWeighted
+      };
+      
+      if (!alreadyVoted) {
+        await this.recordMusicLog(guildId, currentTrack, 'skip_vote', {
+          controllerId: userId,
+          controllerRank: ranks.get(userId),
+          details: { weight: weightOf(userId), ...tally }
+        });
+      }
+      
+      if (!passed) {
+        return { 
+          status: alreadyVoted ? 'already_voted' : 'voted', 
+          track: currentTrack,
+          ...tally,
+          message: alreadyVoted
+            ? `이미 투표했습니다. (${tally.votes}/${tally.required})`
+            : `🗳️ 건너뛰기 투표 (${tally.votes}/${tally.required})`
+        };
+      }
+      
+      // 투표 통과: 반복 모드를 무시하고 건너뛰기
+      this.skipVotes.delete(guildId);
+      this.skipFlags = this.skipFlags || new Map();
+      this.skipFlags.set(guildId, true);
+      
+      await this.logMusicActivity(guildId, userId, 'skip', {
+        skippedTrack: currentTrack.title,
+        skippedBy: 'vote',
+        votes: tally.votes,
+        required: tally.required
+      });
+      await this.recordMusicLog(guildId, currentTrack, 'play_skip', {
+        controllerId: userId,
+        controllerRank: ranks.get(userId),
+        details: { position: this.getPlaybackPosition(guildId), method: 'vote', ...tally }
+      });
+      
+      player.stop();
+      
+      logger.info(`투표 건너뛰기 통과: ${currentTrack.title} (${tally.votes}/${tally.required}, 길드: ${guildId})`);
+      
+      return { 
+        status: 'skipped', 
+        track: currentTrack,
+        ...tally,
+        message: `⏭️ 투표로 **${currentTrack.title}**을(를) 건너뛰었습니다. (${tally.votes}/${tally.required})`
+      };
+      
+    } catch (error) {
+      logger.error('투표 건너뛰기 중 오류:', error);
+      return { 
+        status: 'error', 
+        message: '투표 처리 중 오류가 발생했습니다.',
+        code: 'VOTE_SKIP_ERROR'
+      };
+    }
+  }
+
+  /**
+   * 순위별 투표 가중치
+   * @param {number} rank - 사용자 순위
+   * @returns {number} 투표 가중치
+   */
+  getVoteWeight(rank) {
+    if (!rank || rank <= 0) return 1;
+    if (rank <= 3) return 2;
+    if (rank <= 10) return 1.5;
+    return 1;
+  }
+
+  /**
+   * 봇이 연결된 음성 채널의 사람 청취자 ID 목록
+   * @param {string} guildId - 길드 ID
+   * @returns {Array<string>} 사용자 ID 목록
+   */
+  getListeners(guildId) {
+    const channelId = this.voiceChannels.get(guildId);
+    const guild = global.discordClient?.guilds.cache.get(guildId);
+    const channel = channelId && guild?.channels.cache.get(channelId);
+    
+    if (!channel) {
+      return [];
+    }
+    
+    return channel.members
+      .filter(member => !member.user.bot)
+      .map(member => member.id);
+  }
+
+  /**
+   * music_logs에 트랙 단위 음악 동작 기록
+   * @param {string} guildId - 길드 ID
+   * @param {Object} track - 대상 트랙
+   * @param {string} actionType - music_logs.action_type
+   * @param {Object} options - 추가 정보
+   * @param {string} options.controllerId - 동작을 수행한 사용자 Discord ID
+   * @param {number} options.controllerRank - 수행자 순위
+   * @param {number} options.queuePosition - 대기열 위치 (기본 1, 현재 재생 트랙)
+   * @param {Object} options.details - 상세 정보
+   */
+  async recordMusicLog(guildId, track, actionType, options = {}) {
+    try {
+      await dbUtils.logMusicAction({
+        guildId,
+        requesterId: track.requestedBy?.id
+          ? await dbUtils.getUserIdByDiscordId(track.requestedBy.id, guildId)
+          : null,
+        controllerId: options.controllerId
+          ? await dbUtils.getUserIdByDiscordId(options.controllerId, guildId)
+          : null,
+        trackUrl: track.url,
+        trackTitle: track.title,
+        trackDuration: track.duration,
+        trackThumbnail: track.thumbnail,
+        actionType,
+        requesterRank: track.requestedBy?.rank,
+        controllerRank: options.controllerRank || null,
+        permissionGranted: true,
+        channelId: this.voiceChannels.get(guildId) || null,
+        volumeLevel: this.getVolume(guildId),
+        queuePosition: options.queuePosition || 1,
+        details: options.details || {}
+      });
+    } catch (error) {
+      logger.error(`음악 로그 저장 중 오류 (${actionType}):`, error);
+    }
+  }
+
+  /**
+   * 현재 트랙의 특정 위치로 이동
+   * yt-dlp/ffmpeg 파이프라인을 해당 위치부터 다시 생성해 리소스를 교체
+   * @param {string} guildId - 길드 ID
+   * @param {number} seconds - 이동할 위치 (초)
+   * @param {string} userId - 요청한 사용자 ID
+   * @returns {Object} 탐색 결과
+   */
+  async seek(guildId, seconds, userId) {
+    try {
+      const hasPermission = await this.checkUserPermission(guildId, userId, 'control');
+      if (!hasPermission.allowed) {
+        return { 
+          status: 'error', 
+          message: hasPermission.message,
+          code: 'PERMISSION_DENIED'
+        };
+      }
+      
+      const player = this.players.get(guildId);
+      const currentTrack = this.currentTracks.get(guildId);
+      
+      if (!player || !currentTrack || player.state.status === AudioPlayerStatus.Idle) {
+        return { 
+          status: 'error', 
+          message: '현재 재생 중인 트랙이 없습니다.',
+          code: 'NO_TRACK_PLAYING'
+        };
+      }
+      
+      if (currentTrack.duration && seconds >= currentTrack.duration) {
+        return { 
+          status: 'error', 
+          message: `트랙 길이(${this.formatTime(currentTrack.duration)})를 넘는 위치로 이동할 수 없습니다.`,
+          code: 'INVALID_POSITION'
+        };
+      }
+      
+      const restartError = await this.restartCurrentTrack(guildId, seconds);
+      if (restartError) {
+        return restartError;
+      }
+      
+      logger.info(`트랙 탐색: ${currentTrack.title} -> ${this.formatTime(seconds)} (요청자: ${userId})`);
+      
+      return { 
+        status: 'seeked', 
+        track: currentTrack,
+        position: seconds,
+        message: `⏩ **${currentTrack.title}**을(를) ${this.formatTime(seconds)} 위치부터 재생합니다.`
+      };
+      
+    } catch (error) {
+      logger.error('트랙 탐색 중 오류:', error);
+      return { 
+        status: 'error', 
+        message: '탐색 중 오류가 발생했습니다.',
+        code: 'SEEK_ERROR'
+      };
+    }
+  }
+
+  /**
+   * 현재 트랙의 파이프라인을 지정 위치부터 다시 생성해 리소스 교체
+   * 탐색과 필터 변경에서 대기열을 건드리지 않고 재생을 이어가기 위해 사용
+   * @param {string} guildId - 길드 ID
+   * @param {number} seconds - 재생 시작 위치 (초)
+   * @returns {Object|null} 실패 시 오류 결과, 성공 시 null
+   */
+  async restartCurrentTrack(guildId, seconds) {
+    const player = this.players.get(guildId);
+    const currentTrack = this.currentTracks.get(guildId);
+    
+    const audioStream = await this.createAudioStream(currentTrack, {
+      seekSeconds: seconds,
+      filters: this.getAudioFilters(guildId),
+      volume: this.volumes.get(guildId)
+    });
+    if (!audioStream) {
+      return { 
+        status: 'error', 
+        message: '오디오 스트림 생성에 실패했습니다.',
+        code: 'STREAM_ERROR'
+      };
+    }
+    
+    // 스트림 생성 중 트랙이 바뀌었으면 새 스트림 폐기
+    if (this.currentTracks.get(guildId) !== currentTrack) {
+      audioStream.destroy();
+      return { 
+        status: 'error', 
+        message: '처리 중 트랙이 변경되었습니다.',
+        code: 'TRACK_CHANGED'
+      };
+    }
+    
+    const resource = this.createTrackResource(guildId, audioStream);
+    
+    // 리소스 교체 (Idle 상태를 거치지 않으므로 트랙 종료 처리가 실행되지 않음)
+    this.playbackOffsets.set(guildId, seconds);
+    player.play(resource);
+    
+    // 남은 시간이나 필터/볼륨이 바뀌었으므로 다음 곡 미리 불러오기와 크로스페이드를 다시 예약
+    this.schedulePrefetch(guildId);
+    this.scheduleCrossfade(guildId);
+    
+    return null;
+  }
+
+  /**
+   * 일시정지/재개 전환
+   * @param {string} guildId - 길드 ID
+   * @param {string} userId - 요청한 사용자 ID
+   * @returns {Object} 전환 결과
+   */
+  async togglePause(guildId, userId) {
+    try {
+      const hasPermission = await this.checkUserPermission(guildId, userId, 'control');
+      if (!hasPermission.allowed) {
+        return { 
+          status: 'error', 
+          message: hasPermission.message,
+          code: 'PERMISSION_DENIED'
+        };
+      }
+      
+      const player = this.players.get(guildId);
+      const currentTrack = this.currentTracks.get(guildId);
+      
+      if (!player || !currentTrack || player.state.status === AudioPlayerStatus.Idle) {
+        return { 
+          status: 'error', 
+          message: '현재 재생 중인 트랙이 없습니다.',
+          code: 'NO_TRACK_PLAYING'
+        };
+      }
+      
+      if (this.isPaused(guildId)) {
+        player.unpause();
+        this.schedulePrefetch(guildId);
+        this.scheduleCrossfade(guildId);
+        logger.info(`재생 재개: ${currentTrack.title} (길드: ${guildId}, 사용자: ${userId})`);
+        return { status: 'resumed', track: currentTrack, message: `▶️ **${currentTrack.title}** 재생을 재개합니다.` };
+      }
+      
+      player.pause();
+      // 일시정지가 길어지면 미리 연 스트림 연결이 끊길 수 있으므로 재개할 때 다시 불러옴
+      this.discardPrefetch(guildId);
+      this.cancelCrossfade(guildId);
+      logger.info(`일시정지: ${currentTrack.title} (길드: ${guildId}, 사용자: ${userId})`);
+      return { status: 'paused', track: currentTrack, message: `⏸️ **${currentTrack.title}**을(를) 일시정지했습니다.` };
+      
+    } catch (error) {
+      logger.error('일시정지 전환 중 오류:', error);
+      return { 
+        status: 'error', 
+        message: '일시정지 처리 중 오류가 발생했습니다.',
+        code: 'PAUSE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * 재생 중지
+   * @param {string} guildId - 길드 ID
+   * @param {string} userId - 요청한 사용자 ID
+   * @returns {Object} 중지 결과
+   */
+  async stop(guildId, userId) {
+    try {
+      // 권한 확인
       const hasPermission = await this.checkStopPermission(guildId, userId);
       if (!hasPermission.allowed) {
         return { 
           status: 'error', 
-          message: hasPermission.reason,
+          message: hasPermission.message,
           code: 'PERMISSION_DENIED'
         };
       }
       
+      // 재생 중이던 트랙은 중지 위치와 함께 기록
+      const currentTrack = this.currentTracks.get(guildId);
+      if (currentTrack) {
+        await this.recordMusicLog(guildId, currentTrack, 'play_stop', {
+          controllerId: userId,
+          controllerRank: hasPermission.userRank,
+          details: { position: this.getPlaybackPosition(guildId) }
+        });
+      }
+      
       // 대기열 및 현재 트랙 정리
       this.queues.set(guildId, []);
       this.currentTracks.delete(guildId);
+      await this.persistQueueState(guildId);
       
       // 플레이어 정지
       const player = this.players.get(guildId);
@@ -734,9 +1537,15 @@ class MusicPlayer {
       
       // 상태 정리
       this.currentTracks.delete(guildId);
+      this.discardPrefetch(guildId);
+      this.cancelCrossfade(guildId);
       
       // 자동 종료 타이머 취소
       this.cancelAutoDisconnect(guildId);
+      this.cancelEmptyChannelTimer(guildId);
+      
+      // 현재 재생 패널 정리
+      await nowPlayingPanel.remove(guildId);
       
       logger.debug(`음성 연결 해제: ${guildId}`);
       
@@ -745,6 +1554,29 @@ class MusicPlayer {
     }
   }
 
+  /**
+   * 봇이 길드에서 나갔을 때 음악 상태 정리
+   * 연결과 메모리 상태를 정리하고 저장된 대기열도 삭제 (다음 시작 시 복구되지 않도록)
+   * @param {string} guildId - 길드 ID
+   */
+  async removeGuild(guildId) {
+    // 정지로 인한 트랙 종료 처리가 대기열을 다시 저장하지 않도록 리스너 먼저 제거
+    this.players.get(guildId)?.removeAllListeners();
+    await this.disconnect(guildId);
+
+    this.queues.delete(guildId);
+    this.repeatModes.delete(guildId);
+    this.volumes.delete(guildId);
+    this.voiceChannels.delete(guildId);
+    this.textChannels.delete(guildId);
+    this.playbackOffsets.delete(guildId);
+    this.filters.delete(guildId);
+    this.skipVotes.delete(guildId);
+
+    await queueStore.deleteQueueState(guildId);
+    logger.info(`길드 음악 상태 정리 완료: ${guildId}`);
+  }
+
   // ==================== 헬퍼 메소드 ====================
 
   /**
@@ -757,6 +1589,24 @@ class MusicPlayer {
     return youtubeRegex.test(url);
   }
 
+  /**
+   * 재생목록 URL 여부 확인
+   * @param {string} query - URL 또는 검색어
+   * @returns {boolean} 재생목록 여부
+   */
+  isPlaylistQuery(query) {
+    return !!youtubeAPI.extractPlaylistId(query);
+  }
+
+  /**
+   * 초 단위 시간을 분:초 / 시:분:초 형식으로 변환
+   * @param {number} seconds - 시간 (초)
+   * @returns {string} 형식화된 시간
+   */
+  formatTime(seconds) {
+    return youtubeAPI.formatDuration(Math.max(0, Math.floor(seconds || 0)));
+  }
+
   /**
    * 고유 트랙 ID 생성
    * @returns {string} 트랙 ID
@@ -767,12 +1617,23 @@ class MusicPlayer {
 
   /**
    * 현재 재생 상태 확인
+   * 일시정지/버퍼링 중인 트랙도 재생 중으로 취급 (새 곡 추가 시 현재 트랙을 다시 시작하지 않도록)
    * @param {string} guildId - 길드 ID
    * @returns {boolean} 재생 중 여부
    */
   isPlaying(guildId) {
     const player = this.players.get(guildId);
-    return player && player.state.status === AudioPlayerStatus.Playing;
+    return !!player && player.state.status !== AudioPlayerStatus.Idle;
+  }
+
+  /**
+   * 일시정지 상태 확인
+   * @param {string} guildId - 길드 ID
+   * @returns {boolean} 일시정지 여부
+   */
+  isPaused(guildId) {
+    const player = this.players.get(guildId);
+    return !!player && player.state.status === AudioPlayerStatus.Paused;
   }
 
   // 다운로드 대기는 최적화 시스템에서 처리
@@ -838,6 +1699,35 @@ class MusicPlayer {
     return await this.checkUserPermission(guildId, userId, 'stop');
   }
 
+  /**
+   * 대기열 편집 권한 확인 (영향을 받는 트랙 요청자들과 순위 비교)
+   * @param {string} guildId - 길드 ID
+   * @param {string} userId - 사용자 ID
+   * @param {Array<Object>} affectedTracks - 순서가 밀리거나 건너뛰어지는 트랙
+   * @param {string} action - 편집 종류 (권한 로그용)
+   * @returns {Object} 권한 확인 결과
+   */
+  async checkQueueEditPermission(guildId, userId, affectedTracks, action) {
+    try {
+      const permissions = require('./permissions');
+      const result = await permissions.canEditQueue(guildId, userId, affectedTracks);
+      
+      await permissions.logMusicPermissionAction(guildId, userId, action, result, {
+        affectedTracks: affectedTracks.map(track => track.title)
+      });
+      
+      return result;
+      
+    } catch (error) {
+      logger.error('대기열 편집 권한 확인 중 오류:', error);
+      return { 
+        allowed: false, 
+        reason: 'error',
+        message: '권한 확인 중 오류가 발생했습니다.' 
+      };
+    }
+  }
+
   /**
    * 사용자 순위 조회
    * @param {string} guildId - 길드 ID
@@ -877,6 +1767,9 @@ class MusicPlayer {
       this.connections.delete(guildId);
       this.players.delete(guildId);
       this.currentTracks.delete(guildId);
+      this.playbackOffsets.delete(guildId);
+      this.skipVotes.delete(guildId);
+      nowPlayingPanel.remove(guildId);
       logger.info(`음성 연결 소멸됨: ${guildId}`);
     });
   }
@@ -938,6 +1831,12 @@ class MusicPlayer {
    */
   async handleTrackEnd(guildId) {
     try {
+      // 종료 중에는 현재 트랙을 대기열에 남겨 재시작 후 복구되도록 함
+      if (this.isShuttingDown) {
+        logger.debug(`종료 중 트랙 종료 처리 생략 (길드: ${guildId})`);
+        return;
+      }
+      
       const queue = this.queues.get(guildId);
       const finishedTrack = this.currentTracks.get(guildId);
       
@@ -977,6 +1876,8 @@ class MusicPlayer {
         }
       }
       
+      await this.persistQueueState(guildId);
+      
       // 다음 트랙 재생
       if (queue && queue.length > 0) {
         const connection = this.connections.get(guildId);
@@ -985,6 +1886,13 @@ class MusicPlayer {
           this.cancelAutoDisconnect(guildId);
           await this.playNextTrack(guildId);
         }
+      } else if (finishedTrack && await this.queueAutoplayTrack(guildId, finishedTrack)) {
+        // 자동 재생 곡을 대기열에 추가했으면 바로 재생
+        this.cancelAutoDisconnect(guildId);
+        await this.playNextTrack(guildId);
+      } else if (queue && queue.length > 0) {
+        // 자동 재생 곡을 고르는 동안 새 곡이 추가되어 이미 재생이 시작됨
+        logger.debug(`자동 재생 선택 중 새 곡 추가됨 (길드: ${guildId})`);
       } else {
         // 대기열이 비었으면 자동 종료 설정
         logger.info(`대기열이 비어있음, ${this.config.autoDisconnectDelay / 1000}초 후 자동 종료 (길드: ${guildId})`);
@@ -1004,54 +1912,403 @@ class MusicPlayer {
   }
 
   /**
-   * 다음 트랙 재생
+   * 자동 재생이 켜져 있으면 재생 기록에서 다음 곡을 골라 대기열에 추가
+   * 중지 명령으로 인한 종료(현재 트랙 없음)에는 호출되지 않음
    * @param {string} guildId - 길드 ID
+   * @param {Object} finishedTrack - 방금 끝난 트랙
+   * @returns {Promise<boolean>} 곡 추가 여부
    */
-  async playNextTrack(guildId) {
+  async queueAutoplayTrack(guildId, finishedTrack) {
     try {
-      const queue = this.queues.get(guildId);
-      if (!queue || queue.length === 0) return;
+      if (!this.connections.get(guildId)) {
+        return false;
+      }
       
-      const nextTrack = queue[0];
-      const player = this.players.get(guildId);
-      const connection = this.connections.get(guildId);
+      const settings = await musicSettings.getMusicSettings(guildId);
+      if (!settings.autoplay.enabled) {
+        return false;
+      }
       
-      if (!player || !connection) return;
+      // 자동 재생 곡이 이어질 때도 처음 곡을 요청한 사용자를 기준으로 유지
+      const seedRequesterId = finishedTrack.autoplay
+        ? finishedTrack.seedRequesterId
+        : finishedTrack.requestedBy?.id;
       
-      // 오디오 스트림 생성
-      const audioStream = await this.createAudioStream(nextTrack.url);
-      if (!audioStream) {
-        logger.error(`다음 트랙 스트림 생성 실패: ${nextTrack.title}`);
-        // 실패한 트랙 제거하고 다음 트랙 시도
-        queue.shift();
-        if (queue.length > 0) {
-          await this.playNextTrack(guildId);
-        }
-        return;
-      }
+      const trackInfo = await autoplay.pickAutoplayTrack(guildId, {
+        requesterId: seedRequesterId,
+        repeatWindow: settings.autoplay.repeatWindow,
+        excludeUrls: [finishedTrack.url]
+      });
+      
+      if (!trackInfo) {
+        logger.info(`자동 재생 후보 없음 (길드: ${guildId})`);
+        return false;
+      }
+      
+      const track = {
+        ...this.createTrack(trackInfo, { id: null, tag: '🎲 자동 재생' }, 9999),
+        autoplay: true,
+        seedRequesterId
+      };
+      
+      const queue = this.queues.get(guildId);
+      if (!queue || queue.length > 0) {
+        // 처리 중 다른 곡이 추가됐으면 자동 재생 곡은 버림
+        return false;
+      }
+      
+      await this.addToQueue(guildId, track);
+      logger.info(`자동 재생 곡 추가: ${track.title} (길드: ${guildId})`);
+      
+      return true;
+      
+    } catch (error) {
+      logger.error('자동 재생 곡 추가 중 오류:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 다음 트랙 재생
+   * @param {string} guildId - 길드 ID
+   */
+  async playNextTrack(guildId) {
+    try {
+      const queue = this.queues.get(guildId);
+      if (!queue || queue.length === 0) return;
+      
+      const nextTrack = queue[0];
+      const player = this.players.get(guildId);
+      const connection = this.connections.get(guildId);
+      
+      if (!player || !connection) return;
+      
+      // 미리 불러온 스트림이 있으면 사용하고, 없으면 새로 생성
+      const audioStream = await this.takePrefetchedStream(guildId, nextTrack) ||
+        await this.createAudioStream(nextTrack, {
+          filters: this.getAudioFilters(guildId),
+          volume: this.volumes.get(guildId)
+        });
+      if (!audioStream) {
+        logger.error(`다음 트랙 스트림 생성 실패: ${nextTrack.title}`);
+        // 실패한 트랙 제거하고 다음 트랙 시도
+        queue.shift();
+        await this.persistQueueState(guildId);
+        if (queue.length > 0) {
+          await this.playNextTrack(guildId);
+        }
+        return;
+      }
       
       // 테스트 검증된 방식으로 리소스 생성 (demuxProbe 제거)
-      const resource = createAudioResource(audioStream, {
-        inputType: 'raw',        // 테스트에서 성공한 타입
-        inlineVolume: false      // 테스트에서 성공한 설정
-      });
+      const resource = this.createTrackResource(guildId, audioStream);
       
       // 볼륨 설정 (inlineVolume: false이므로 생략)
       logger.debug(`다음 트랙 볼륨 설정 생략 (raw 타입 사용, 길드: ${guildId})`);
       
       // 현재 트랙 업데이트
       this.currentTracks.set(guildId, nextTrack);
+      this.playbackOffsets.set(guildId, 0);
+      this.recordMusicLog(guildId, nextTrack, 'play_start', {
+        details: { autoplay: !!nextTrack.autoplay }
+      });
+      nowPlayingPanel.refresh(guildId);
       
       // 재생 시작
       player.play(resource);
       
       logger.info(`다음 트랙 재생: ${nextTrack.title} (길드: ${guildId})`);
+      this.schedulePrefetch(guildId);
+      this.scheduleCrossfade(guildId);
       
     } catch (error) {
       logger.error('다음 트랙 재생 중 오류:', error);
     }
   }
 
+  // ==================== 다음 곡 미리 불러오기 ====================
+
+  /**
+   * 현재 곡이 끝나면 재생될 트랙 (반복 모드 반영, 자동 재생 곡은 미리 알 수 없음)
+   * @param {string} guildId - 길드 ID
+   * @returns {Object|null} 다음 트랙
+   */
+  getUpcomingTrack(guildId) {
+    const queue = this.queues.get(guildId) || [];
+    const repeatMode = this.repeatModes.get(guildId) || 'off';
+    
+    if (repeatMode === 'track') {
+      return queue[0] || null;
+    }
+    return queue[1] || (repeatMode === 'queue' ? queue[0] || null : null);
+  }
+
+  /**
+   * 스트림 설정 키 (필터/볼륨이 바뀌면 미리 불러온 스트림을 사용할 수 없음)
+   * @param {string} guildId - 길드 ID
+   * @returns {string} 설정 키
+   */
+  getStreamKey(guildId) {
+    return JSON.stringify([this.getAudioFilters(guildId), this.volumes.get(guildId) ?? null]);
+  }
+
+  /**
+   * 다음 곡 미리 불러오기 예약 (현재 곡 종료 prefetchLeadTime초 전)
+   * 재생 시작/탐색/재개와 대기열, 반복 모드 변경 후 호출하며
+   * 다음 곡이나 스트림 설정이 바뀌었으면 이전에 불러온 스트림은 폐기
+   * @param {string} guildId - 길드 ID
+   */
+  schedulePrefetch(guildId) {
+    const leadTime = this.config.prefetchLeadTime;
+    const currentTrack = this.currentTracks.get(guildId);
+    const nextTrack = this.getUpcomingTrack(guildId);
+    const streamKey = this.getStreamKey(guildId);
+    const existing = this.prefetches.get(guildId);
+    
+    // 이미 불러오는 중이거나 불러온 스트림이 그대로 유효하면 유지
+    if (existing && !existing.timer && nextTrack &&
+        existing.trackId === nextTrack.id && existing.streamKey === streamKey) {
+      return;
+    }
+    this.discardPrefetch(guildId);
+    
+    // 라이브 스트림은 끝나는 시점을 알 수 없으므로 미리 불러오지 않음
+    if (!(leadTime > 0) || !currentTrack?.duration || !nextTrack || this.isPaused(guildId)) {
+      return;
+    }
+    
+    const speed = audioFilters.getSpeedMultiplier(this.getAudioFilters(guildId));
+    const remaining = (currentTrack.duration - this.getPlaybackPosition(guildId)) / speed;
+    const entry = { trackId: nextTrack.id, streamKey, stream: null, promise: null, timer: null };
+    
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      entry.promise = this.prefetchTrack(guildId, entry, nextTrack);
+    }, Math.max(0, remaining - leadTime) * 1000);
+    
+    this.prefetches.set(guildId, entry);
+  }
+
+  /**
+   * 다음 곡 스트림 생성 (다운로드 대기열의 동시 실행 제한을 그대로 따름)
+   * @param {string} guildId - 길드 ID
+   * @param {Object} entry - 미리 불러오기 항목
+   * @param {Object} track - 불러올 트랙
+   */
+  async prefetchTrack(guildId, entry, track) {
+    const optimization = require('../../config/optimization');
+    
+    // 메모리가 부족하면 평소처럼 현재 곡이 끝난 뒤 불러옴
+    if (!optimization.isMemoryAvailable()) {
+      logger.debug(`메모리 부족으로 다음 곡 미리 불러오기 생략 (길드: ${guildId})`);
+      if (this.prefetches.get(guildId) === entry) {
+        this.prefetches.delete(guildId);
+      }
+      return;
+    }
+    
+    logger.debug(`다음 곡 미리 불러오기 시작: ${track.title} (길드: ${guildId})`);
+    const stream = await this.createAudioStream(track, {
+      filters: this.getAudioFilters(guildId),
+      volume: this.volumes.get(guildId)
+    });
+    
+    // 불러오는 동안 폐기되었으면 바로 정리
+    if (this.prefetches.get(guildId) !== entry) {
+      stream?.destroy();
+      return;
+    }
+    
+    if (!stream) {
+      this.prefetches.delete(guildId);
+      return;
+    }
+    
+    entry.stream = stream;
+    logger.debug(`다음 곡 미리 불러오기 완료: ${track.title} (길드: ${guildId})`);
+  }
+
+  /**
+   * 미리 불러온 스트림 꺼내기
+   * 다른 곡이거나 스트림 설정이 바뀌었으면 폐기하고, 불러오는 중이면 완료를 기다림
+   * @param {string} guildId - 길드 ID
+   * @param {Object} track - 재생할 트랙
+   * @returns {Promise<PassThrough|null>} 오디오 스트림
+   */
+  async takePrefetchedStream(guildId, track) {
+    const entry = this.prefetches.get(guildId);
+    if (!entry) {
+      return null;
+    }
+    
+    if (entry.timer || entry.trackId !== track.id || entry.streamKey !== this.getStreamKey(guildId)) {
+      this.discardPrefetch(guildId);
+      return null;
+    }
+    
+    await entry.promise;
+    if (this.prefetches.get(guildId) !== entry) {
+      return null;
+    }
+    
+    this.prefetches.delete(guildId);
+    if (!entry.stream || entry.stream.destroyed) {
+      return null;
+    }
+    
+    logger.debug(`미리 불러온 스트림 사용: ${track.title} (길드: ${guildId})`);
+    return entry.stream;
+  }
+
+  /**
+   * 미리 불러온 스트림 폐기 (스트림이 닫히면 yt-dlp/FFmpeg 프로세스도 종료됨)
+   * @param {string} guildId - 길드 ID
+   */
+  discardPrefetch(guildId) {
+    const entry = this.prefetches.get(guildId);
+    if (!entry) {
+      return;
+    }
+    
+    this.prefetches.delete(guildId);
+    clearTimeout(entry.timer);
+    if (entry.stream && !entry.stream.destroyed) {
+      entry.stream.destroy();
+    }
+  }
+
+  // ==================== 크로스페이드 ====================
+
+  /**
+   * 크로스페이드 시작 예약 (현재 곡 종료 설정된 초 전)
+   * 재생 시작/탐색/재개 시 호출하며, 기존 예약은 취소됨
+   * @param {string} guildId - 길드 ID
+   */
+  async scheduleCrossfade(guildId) {
+    this.cancelCrossfade(guildId);
+    
+    const currentTrack = this.currentTracks.get(guildId);
+    if (!currentTrack?.duration) {
+      return;
+    }
+    
+    const settings = await musicSettings.getMusicSettings(guildId);
+    const seconds = settings.crossfade.duration;
+    
+    // 설정을 불러오는 동안 트랙이 바뀌었으면 새 트랙에서 다시 예약됨
+    if (!(seconds > 0) || currentTrack.duration <= seconds * 2 ||
+        this.currentTracks.get(guildId) !== currentTrack || this.isPaused(guildId)) {
+      return;
+    }
+    
+    this.cancelCrossfade(guildId);
+    const speed = audioFilters.getSpeedMultiplier(this.getAudioFilters(guildId));
+    const remaining = (currentTrack.duration - this.getPlaybackPosition(guildId)) / speed;
+    
+    const timer = setTimeout(() => {
+      this.crossfadeTimers.delete(guildId);
+      this.startCrossfade(guildId, currentTrack, seconds);
+    }, Math.max(0, remaining - seconds) * 1000);
+    
+    this.crossfadeTimers.set(guildId, timer);
+  }
+
+  /**
+   * 예약된 크로스페이드 취소
+   * @param {string} guildId - 길드 ID
+   */
+  cancelCrossfade(guildId) {
+    const timer = this.crossfadeTimers.get(guildId);
+    if (timer) {
+      clearTimeout(timer);
+      this.crossfadeTimers.delete(guildId);
+    }
+  }
+
+  /**
+   * 재생 중인 리소스에서 원본 스트림을 떼어냄 (이후 리소스가 정리되어도 원본은 유지)
+   * @param {string} guildId - 길드 ID
+   * @returns {Readable|null} 원본 스트림
+   */
+  detachActiveStream(guildId) {
+    const active = this.activeStreams.get(guildId);
+    if (!active || active.detached || active.source.destroyed) {
+      return null;
+    }
+    
+    active.detached = true;
+    active.source.unpipe(active.output);
+    this.activeStreams.delete(guildId);
+    
+    return active.source;
+  }
+
+  /**
+   * 크로스페이드 시작
+   * 현재 곡과 다음 곡을 섞은 스트림을 다음 곡의 미리 불러온 스트림으로 등록한 뒤 현재 곡을 종료해
+   * 평소 트랙 종료 처리(반복 모드, 대기열 정리, 기록)를 거쳐 이 스트림으로 재생을 이어감
+   * @param {string} guildId - 길드 ID
+   * @param {Object} track - 예약 당시 재생 중이던 트랙
+   * @param {number} seconds - 페이드 길이 (초)
+   */
+  async startCrossfade(guildId, track, seconds) {
+    try {
+      const optimization = require('../../config/optimization');
+      const player = this.players.get(guildId);
+      const nextTrack = this.getUpcomingTrack(guildId);
+      
+      if (!player || player.state.status !== AudioPlayerStatus.Playing ||
+          this.currentTracks.get(guildId) !== track || !nextTrack) {
+        return;
+      }
+      
+      // 메모리가 부족하면 두 곡을 동시에 디코딩하지 않고 평소처럼 전환
+      if (!optimization.isMemoryAvailable()) {
+        logger.debug(`메모리 부족으로 크로스페이드 생략 (길드: ${guildId})`);
+        return;
+      }
+      
+      const incoming = await this.takePrefetchedStream(guildId, nextTrack) ||
+        await this.createAudioStream(nextTrack, {
+          filters: this.getAudioFilters(guildId),
+          volume: this.volumes.get(guildId)
+        });
+      if (!incoming) {
+        return;
+      }
+      
+      // 스트림을 준비하는 동안 재생 상태나 다음 곡이 바뀌었으면 취소
+      if (player.state.status !== AudioPlayerStatus.Playing ||
+          this.currentTracks.get(guildId) !== track || this.getUpcomingTrack(guildId) !== nextTrack) {
+        incoming.destroy();
+        return;
+      }
+      
+      const outgoing = this.detachActiveStream(guildId);
+      if (!outgoing) {
+        incoming.destroy();
+        return;
+      }
+      
+      this.discardPrefetch(guildId);
+      this.prefetches.set(guildId, {
+        trackId: nextTrack.id,
+        streamKey: this.getStreamKey(guildId),
+        stream: crossfade.createCrossfadeStream(outgoing, incoming, seconds),
+        promise: null,
+        timer: null
+      });
+      
+      logger.info(`크로스페이드 시작 (${seconds}초): ${track.title} → ${nextTrack.title} (길드: ${guildId})`);
+      
+      // 무음 패딩 없이 바로 트랙 종료 처리
+      player.stop(true);
+      
+    } catch (error) {
+      logger.error('크로스페이드 시작 중 오류:', error);
+    }
+  }
+
   // ==================== 로깅 메소드 ====================
 
   /**
@@ -1084,6 +2341,29 @@ class MusicPlayer {
 
   // ==================== 공개 API 메소드 ====================
 
+  /**
+   * 현재 트랙의 재생 위치 조회
+   * 스트림 시작 위치(탐색 오프셋) + 현재 리소스의 재생 시간
+   * @param {string} guildId - 길드 ID
+   * @returns {number} 재생 위치 (초)
+   */
+  getPlaybackPosition(guildId) {
+    const player = this.players.get(guildId);
+    const resource = player?.state?.resource;
+    const offset = this.playbackOffsets.get(guildId) || 0;
+
+    if (!resource) {
+      return offset;
+    }
+
+    // 속도 변경 필터가 켜져 있으면 원본 기준 위치로 환산
+    const speed = audioFilters.getSpeedMultiplier(this.getAudioFilters(guildId));
+    const position = offset + Math.floor((resource.playbackDuration / 1000) * speed);
+    const duration = this.currentTracks.get(guildId)?.duration;
+
+    return duration ? Math.min(position, duration) : position;
+  }
+
   /**
    * 현재 재생 정보 조회
    * @param {string} guildId - 길드 ID
@@ -1096,11 +2376,13 @@ class MusicPlayer {
     
     return {
       current: currentTrack || null,
+      position: currentTrack ? this.getPlaybackPosition(guildId) : 0,
       queue: queue.slice(1), // 현재 트랙 제외
       queueLength: Math.max(0, queue.length - 1),
       isPlaying: isPlaying,
       volume: this.volumes.get(guildId) || 0.5,
-      repeatMode: this.repeatModes.get(guildId) || 'none'
+      repeatMode: this.repeatModes.get(guildId) || 'none',
+      filters: audioFilters.getFilterNames(this.getAudioFilters(guildId))
     };
   }
 
@@ -1109,7 +2391,7 @@ class MusicPlayer {
    * @param {string} guildId - 길드 ID
    * @param {number} page - 페이지 번호
    * @param {number} perPage - 페이지당 항목 수
-   * @returns {Object} 대기열 정보
+   * @returns {Object} 대기열 정보 (requesterSlots: 곡별 요청자 기준 순서)
    */
   getQueue(guildId, page = 1, perPage = 10) {
     const queue = this.queues.get(guildId) || [];
@@ -1120,10 +2402,13 @@ class MusicPlayer {
     const endIndex = Math.min(startIndex + perPage, queue.length);
     
     const pageItems = queue.slice(startIndex, endIndex);
+    const requesterSlots = fairQueue.getRequesterSlots(queue.slice(1)).slice(startIndex - 1, endIndex - 1);
     
     return {
       current: this.currentTracks.get(guildId) || null,
       queue: pageItems,
+      startPosition: startIndex + 1,
+      requesterSlots,
       pagination: {
         currentPage: page,
         totalPages: totalPages,
@@ -1159,7 +2444,7 @@ class MusicPlayer {
       if (!hasPermission.allowed) {
         return { 
           status: 'error', 
-          message: hasPermission.reason,
+          message: hasPermission.message,
           code: 'PERMISSION_DENIED'
         };
       }
@@ -1177,11 +2462,15 @@ class MusicPlayer {
       // 볼륨 설정 (0-1 범위로 변환)
       const normalizedVolume = volume / 100;
       this.volumes.set(guildId, normalizedVolume);
+      await this.persistQueueState(guildId);
       
       // 현재 리소스에 볼륨 적용
       const currentResource = player.state.resource;
       if (currentResource && currentResource.volume) {
         currentResource.volume.setVolume(normalizedVolume);
+      } else if (this.currentTracks.get(guildId) && player.state.status !== AudioPlayerStatus.Idle) {
+        // raw 타입(inlineVolume: false)은 FFmpeg 단계에서 볼륨을 적용하므로 현재 위치부터 다시 생성
+        await this.restartCurrentTrack(guildId, this.getPlaybackPosition(guildId));
       }
       
       // 로그 기록 (볼륨 변경은 스키마에 없는 타입이므로 디버그 로그만 사용)
@@ -1228,7 +2517,7 @@ class MusicPlayer {
       if (!hasPermission.allowed) {
         return { 
           status: 'error', 
-          message: hasPermission.reason,
+          message: hasPermission.message,
           code: 'PERMISSION_DENIED'
         };
       }
@@ -1245,6 +2534,8 @@ class MusicPlayer {
       
       // 반복 모드 설정
       this.repeatModes.set(guildId, mode);
+      await this.persistQueueState(guildId);
+      this.schedulePrefetch(guildId);
       
       // 모드별 메시지
       const modeMessages = {
@@ -1287,7 +2578,7 @@ class MusicPlayer {
       if (!hasPermission.allowed) {
         return { 
           status: 'error', 
-          message: hasPermission.reason,
+          message: hasPermission.message,
           code: 'PERMISSION_DENIED'
         };
       }
@@ -1315,6 +2606,8 @@ class MusicPlayer {
       // 셔플된 대기열 업데이트
       const shuffledQueue = [currentTrack, ...remainingTracks];
       this.queues.set(guildId, shuffledQueue);
+      await this.persistQueueState(guildId);
+      this.schedulePrefetch(guildId);
       
       // 로그 기록
       // 셔플 로그 (shuffle은 스키마에 없는 타입이므로 디버그 로그만 사용)
@@ -1353,7 +2646,7 @@ class MusicPlayer {
       if (!hasPermission.allowed) {
         return { 
           status: 'error', 
-          message: hasPermission.reason,
+          message: hasPermission.message,
           code: 'PERMISSION_DENIED'
         };
       }
@@ -1389,6 +2682,8 @@ class MusicPlayer {
       // 트랙 제거 (배열 인덱스는 0부터 시작)
       const arrayIndex = position - 1;
       const removedTrack = queue.splice(arrayIndex, 1)[0];
+      await this.persistQueueState(guildId);
+      this.schedulePrefetch(guildId);
       
       // 로그 기록 (remove_track은 스키마에 없는 타입이므로 디버그 로그만 사용)
       logger.debug(`트랙 제거: ${removedTrack.title} (위치: ${position}, 길드: ${guildId}, 사용자: ${userId})`);
@@ -1416,6 +2711,344 @@ class MusicPlayer {
     }
   }
 
+  /**
+   * 편집할 대기열 위치 검증
+   * @param {string} guildId - 길드 ID
+   * @param {Array<number>} positions - 대기열 위치 (1부터 시작, 1은 현재 재생 중인 트랙)
+   * @returns {Object} { queue } 또는 오류 결과
+   */
+  getEditableQueue(guildId, positions) {
+    const queue = this.queues.get(guildId);
+    if (!queue || queue.length <= 1) {
+      return { 
+        status: 'error', 
+        message: '대기 중인 곡이 없습니다.',
+        code: 'EMPTY_QUEUE'
+      };
+    }
+    
+    // 현재 재생 중인 트랙(1번)은 편집 대상에서 제외
+    const invalid = positions.find(position => 
+      !Number.isInteger(position) || position < 2 || position > queue.length
+    );
+    if (invalid !== undefined) {
+      return { 
+        status: 'error', 
+        message: `유효하지 않은 위치입니다. (2-${queue.length} 범위)`,
+        code: 'INVALID_POSITION'
+      };
+    }
+    
+    return { queue };
+  }
+
+  /**
+   * 대기열의 트랙을 다른 위치로 이동
+   * 앞으로 옮기면 사이의 트랙들이, 뒤로 옮기면 옮긴 트랙이 밀리므로 해당 트랙 요청자와 순위 비교
+   * @param {string} guildId - 길드 ID
+   * @param {number} from - 현재 위치
+   * @param {number} to - 이동할 위치
+   * @param {string} userId - 사용자 ID
+   * @returns {Object} 이동 결과
+   */
+  async moveTrack(guildId, from, to, userId) {
+    try {
+      const { queue, ...error } = this.getEditableQueue(guildId, [from, to]);
+      if (!queue) {
+        return error;
+      }
+      
+      if (from === to) {
+        return { 
+          status: 'error', 
+          message: '같은 위치로는 이동할 수 없습니다.',
+          code: 'SAME_POSITION'
+        };
+      }
+      
+      const track = queue[from - 1];
+      const affectedTracks = to > from ? [track] : queue.slice(to - 1, from - 1);
+      
+      const hasPermission = await this.checkQueueEditPermission(guildId, userId, affectedTracks, 'queue_move');
+      if (!hasPermission.allowed) {
+        return { 
+          status: 'error', 
+          message: hasPermission.message,
+          code: 'PERMISSION_DENIED'
+        };
+      }
+      
+      queue.splice(from - 1, 1);
+      queue.splice(to - 1, 0, track);
+      await this.persistQueueState(guildId);
+      this.schedulePrefetch(guildId);
+      
+      await this.recordMusicLog(guildId, track, 'queue_move', {
+        controllerId: userId,
+        controllerRank: hasPermission.userRank,
+        queuePosition: to,
+        details: { from, to }
+      });
+      
+      logger.info(`트랙 이동: ${track.title} (${from} -> ${to}, 길드: ${guildId}, 사용자: ${userId})`);
+      
+      return { 
+        status: 'success', 
+        track,
+        from,
+        to,
+        message: `"${track.title}"을(를) ${from}번에서 ${to}번으로 이동했습니다.`
+      };
+      
+    } catch (error) {
+      logger.error('트랙 이동 중 오류:', error);
+      return { 
+        status: 'error', 
+        message: '트랙 이동 중 오류가 발생했습니다.',
+        code: 'MOVE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * 대기열의 두 트랙 위치 교체
+   * 뒤로 밀리는 앞쪽 트랙의 요청자와 순위 비교
+   * @param {string} guildId - 길드 ID
+   * @param {number} first - 첫 번째 위치
+   * @param {number} second - 두 번째 위치
+   * @param {string} userId - 사용자 ID
+   * @returns {Object} 교체 결과
+   */
+  async swapTracks(guildId, first, second, userId) {
+    try {
+      const { queue, ...error } = this.getEditableQueue(guildId, [first, second]);
+      if (!queue) {
+        return error;
+      }
+      
+      if (first === second) {
+        return { 
+          status: 'error', 
+          message: '서로 다른 두 위치를 입력해주세요.',
+          code: 'SAME_POSITION'
+        };
+      }
+      
+      const earlier = Math.min(first, second);
+      const later = Math.max(first, second);
+      
+      const hasPermission = await this.checkQueueEditPermission(guildId, userId, [queue[earlier - 1]], 'queue_swap');
+      if (!hasPermission.allowed) {
+        return { 
+          status: 'error', 
+          message: hasPermission.message,
+          code: 'PERMISSION_DENIED'
+        };
+      }
+      
+      [queue[earlier - 1], queue[later - 1]] = [queue[later - 1], queue[earlier - 1]];
+      await this.persistQueueState(guildId);
+      this.schedulePrefetch(guildId);
+      
+      // 앞으로 옮겨진 트랙 기준으로 기록
+      await this.recordMusicLog(guildId, queue[earlier - 1], 'queue_swap', {
+        controllerId: userId,
+        controllerRank: hasPermission.userRank,
+        queuePosition: earlier,
+        details: { from: later, to: earlier, swappedWith: queue[later - 1].title }
+      });
+      
+      logger.info(`트랙 교체: ${earlier} <-> ${later} (길드: ${guildId}, 사용자: ${userId})`);
+      
+      return { 
+        status: 'success', 
+        tracks: [queue[earlier - 1], queue[later - 1]],
+        positions: [earlier, later],
+        message: `${earlier}번과 ${later}번 곡의 위치를 바꿨습니다.`
+      };
+      
+    } catch (error) {
+      logger.error('트랙 교체 중 오류:', error);
+      return { 
+        status: 'error', 
+        message: '트랙 교체 중 오류가 발생했습니다.',
+        code: 'SWAP_ERROR'
+      };
+    }
+  }
+
+  /**
+   * 곡을 현재 트랙 바로 다음(2번)에 추가
+   * 다음 순서를 빼앗기는 기존 2번 트랙의 요청자와 순위 비교
+   * @param {string} guildId - 길드 ID
+   * @param {string} channelId - 음성 채널 ID
+   * @param {string} query - URL 또는 검색어
+   * @param {Object} requestedBy - 요청한 사용자 정보
+   * @param {Object} options - 재생 옵션
+   * @returns {Object} 추가 결과
+   */
+  async playNext(guildId, channelId, query, requestedBy, options = {}) {
+    try {
+      // 재생 중인 곡이 없으면 일반 재생과 동일
+      if (!this.isPlaying(guildId)) {
+        return await this.play(guildId, channelId, query, requestedBy, options);
+      }
+      
+      if (this.isPlaylistQuery(query)) {
+        return { 
+          status: 'error', 
+          message: '재생목록은 다음 순서에 추가할 수 없습니다. `/노래 재생`을 사용해주세요.',
+          code: 'PLAYLIST_NOT_SUPPORTED'
+        };
+      }
+      
+      const trackInfo = await this.getTrackInfo(query);
+      if (!trackInfo) {
+        return { 
+          status: 'error', 
+          message: '재생할 수 있는 곡을 찾을 수 없습니다.',
+          code: 'INVALID_URL'
+        };
+      }
+      
+      if (await this.getRequesterQueueCapacity(guildId, requestedBy.id) === 0) {
+        return await this.createQueueLimitError(guildId);
+      }
+      
+      const queue = this.queues.get(guildId);
+      const rank = await this.getUserRank(guildId, requestedBy.id);
+      const limits = await requestLimits.applyRequestLimits(guildId, requestedBy, rank, [trackInfo], queue.slice(1));
+      if (limits.error) {
+        return limits.error;
+      }
+      
+      const affectedTracks = queue.length > 1 ? [queue[1]] : [];
+      
+      const hasPermission = await this.checkQueueEditPermission(guildId, requestedBy.id, affectedTracks, 'queue_insert_next');
+      if (!hasPermission.allowed) {
+        return { 
+          status: 'error', 
+          message: hasPermission.message,
+          code: 'PERMISSION_DENIED'
+        };
+      }
+      
+      const track = this.createTrack(trackInfo, requestedBy, rank);
+      
+      queue.splice(1, 0, track);
+      this.cancelAutoDisconnect(guildId);
+      await this.persistQueueState(guildId);
+      this.schedulePrefetch(guildId);
+      
+      // 시간당 요청 수 집계에 포함
+      await this.logMusicActivity(guildId, requestedBy.id, 'queue', {
+        track: track.title,
+        url: track.url,
+        duration: track.duration
+      });
+      
+      await this.recordMusicLog(guildId, track, 'queue_insert_next', {
+        controllerId: requestedBy.id,
+        controllerRank: hasPermission.userRank,
+        queuePosition: 2,
+        details: { displaced: affectedTracks[0]?.title || null }
+      });
+      
+      logger.info(`다음 순서에 추가: ${track.title} (길드: ${guildId}, 사용자: ${requestedBy.id})`);
+      
+      return { 
+        status: 'queued', 
+        track,
+        position: 2,
+        message: `⏭️ **${track.title}**이(가) 다음 곡으로 추가되었습니다.`
+      };
+      
+    } catch (error) {
+      logger.error('다음 순서 추가 중 오류:', error);
+      return { 
+        status: 'error', 
+        message: '곡을 추가하는 중 오류가 발생했습니다.',
+        code: 'PLAY_NEXT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * 대기열의 특정 위치로 바로 이동
+   * 현재 트랙과 사이의 트랙들은 대기열에서 빠지므로 모두의 요청자와 순위 비교
+   * @param {string} guildId - 길드 ID
+   * @param {number} position - 이동할 위치
+   * @param {string} userId - 사용자 ID
+   * @returns {Object} 이동 결과
+   */
+  async jumpTo(guildId, position, userId) {
+    try {
+      const { queue, ...error } = this.getEditableQueue(guildId, [position]);
+      if (!queue) {
+        return error;
+      }
+      
+      const player = this.players.get(guildId);
+      if (!player) {
+        return { 
+          status: 'error', 
+          message: '현재 재생 중인 음악이 없습니다.',
+          code: 'NO_PLAYER'
+        };
+      }
+      
+      const skippedTracks = queue.slice(0, position - 1);
+      const target = queue[position - 1];
+      
+      const hasPermission = await this.checkQueueEditPermission(guildId, userId, skippedTracks, 'queue_jump');
+      if (!hasPermission.allowed) {
+        return { 
+          status: 'error', 
+          message: hasPermission.message,
+          code: 'PERMISSION_DENIED'
+        };
+      }
+      
+      // 현재 트랙은 트랙 종료 처리에서 제거되므로 사이의 트랙만 제거
+      queue.splice(1, position - 2);
+      await this.persistQueueState(guildId);
+      
+      await this.recordMusicLog(guildId, target, 'queue_jump', {
+        controllerId: userId,
+        controllerRank: hasPermission.userRank,
+        queuePosition: position,
+        details: { skipped: skippedTracks.map(track => track.title) }
+      });
+      await this.recordMusicLog(guildId, queue[0], 'play_skip', {
+        controllerId: userId,
+        controllerRank: hasPermission.userRank,
+        details: { position: this.getPlaybackPosition(guildId), method: 'jump' }
+      });
+      
+      // 건너뛰기와 같이 반복 모드를 무시하고 다음 트랙(이동 대상) 재생
+      this.skipFlags = this.skipFlags || new Map();
+      this.skipFlags.set(guildId, true);
+      player.stop();
+      
+      logger.info(`대기열 점프: ${position}번 ${target.title} (건너뛴 곡: ${skippedTracks.length}, 길드: ${guildId}, 사용자: ${userId})`);
+      
+      return { 
+        status: 'success', 
+        track: target,
+        skipped: skippedTracks.length,
+        message: `⏩ ${skippedTracks.length}곡을 건너뛰고 **${target.title}**을(를) 재생합니다.`
+      };
+      
+    } catch (error) {
+      logger.error('대기열 점프 중 오류:', error);
+      return { 
+        status: 'error', 
+        message: '대기열 이동 중 오류가 발생했습니다.',
+        code: 'JUMP_ERROR'
+      };
+    }
+  }
+
   /**
    * 대기열 정리 (빈 대기열 제거)
    * @param {string} guildId - 길드 ID
@@ -1449,6 +3082,8 @@ class MusicPlayer {
       const clearedCount = queue.length - 1;
       
       this.queues.set(guildId, [currentTrack]);
+      await this.persistQueueState(guildId);
+      this.schedulePrefetch(guildId);
       
       // 로그 기록
       // 대기열 초기화 로그 (clear_queue는 스키마에 없는 타입이므로 디버그 로그만 사용)
@@ -1472,6 +3107,88 @@ class MusicPlayer {
     }
   }
 
+  /**
+   * 오디오 필터 설정
+   * 재생 중이면 현재 위치부터 필터를 다시 적용 (대기열 유지)
+   * @param {string} guildId - 길드 ID
+   * @param {string} filterName - 필터 이름 ('clear'는 모든 필터 해제)
+   * @param {boolean|null} enabled - 활성화 여부 (null이면 토글)
+   * @param {string} userId - 사용자 ID
+   * @returns {Object} 설정 결과
+   */
+  async setAudioFilter(guildId, filterName, enabled, userId) {
+    try {
+      const hasPermission = await this.checkUserPermission(guildId, userId, 'control');
+      if (!hasPermission.allowed) {
+        return { 
+          status: 'error', 
+          message: hasPermission.message,
+          code: 'PERMISSION_DENIED'
+        };
+      }
+      
+      if (filterName !== 'clear' && !audioFilters.AUDIO_FILTERS[filterName]) {
+        return { 
+          status: 'error', 
+          message: '알 수 없는 필터입니다.',
+          code: 'INVALID_FILTER'
+        };
+      }
+      
+      // 필터 변경 전 위치 기록 (속도 필터 변경 시 환산 기준이 바뀌므로 먼저 계산)
+      const position = this.getPlaybackPosition(guildId);
+      const active = new Set(this.getAudioFilters(guildId));
+      
+      if (filterName === 'clear') {
+        active.clear();
+      } else {
+        const shouldEnable = enabled ?? !active.has(filterName);
+        if (shouldEnable) {
+          active.add(filterName);
+        } else {
+          active.delete(filterName);
+        }
+      }
+      
+      this.filters.set(guildId, active);
+      
+      // 재생 중이면 현재 위치에서 필터 재적용
+      const player = this.players.get(guildId);
+      const isActive = player && this.currentTracks.get(guildId) && 
+                       player.state.status !== AudioPlayerStatus.Idle;
+      let reapplied = false;
+      
+      if (isActive) {
+        const restartError = await this.restartCurrentTrack(guildId, position);
+        if (restartError) {
+          return restartError;
+        }
+        reapplied = true;
+      }
+      
+      const names = audioFilters.getFilterNames(active);
+      logger.info(`오디오 필터 변경: [${names.join(', ') || '없음'}] (길드: ${guildId}, 사용자: ${userId})`);
+      
+      return { 
+        status: 'success', 
+        filters: [...active],
+        names,
+        reapplied,
+        message: names.length > 0
+          ? `🎛️ 활성 필터: **${names.join(', ')}**`
+          : '🎛️ 모든 필터가 해제되었습니다.'
+      };
+      
+    } catch (error) {
+      logger.error('오디오 필터 설정 중 오류:', error);
+      return { 
+        status: 'error', 
+        message: '필터 설정 중 오류가 발생했습니다.',
+        code: 'FILTER_ERROR'
+      };
+    }
+  }
+
   /**
    * 현재 볼륨 조회
    * @param {string} guildId - 길드 ID
@@ -1491,6 +3208,15 @@ class MusicPlayer {
     return this.repeatModes.get(guildId) || 'off';
   }
 
+  /**
+   * 활성 오디오 필터 조회
+   * @param {string} guildId - 길드 ID
+   * @returns {Array<string>} 활성 필터 이름
+   */
+  getAudioFilters(guildId) {
+    return [...(this.filters.get(guildId) || [])];
+  }
+
   /**
    * 시스템 정리 (봇 종료 시)
    */
@@ -1498,6 +3224,9 @@ class MusicPlayer {
     try {
       logger.info('음악 플레이어 시스템 정리 시작...');
       
+      // 연결 해제 시 발생하는 트랙 종료 이벤트가 저장된 대기열을 바꾸지 않도록 함
+      this.isShuttingDown = true;
+      
       for (const [guildId] of this.connections) {
         await this.disconnect(guildId);
       }
@@ -1506,6 +3235,8 @@ class MusicPlayer {
       this.currentTracks.clear();
       this.volumes.clear();
       this.repeatModes.clear();
+      this.voiceChannels.clear();
+      this.textChannels.clear();
       this.disconnectTimers.clear(); // 타이머도 함께 정리
       
       logger.info('음악 플레이어 시스템 정리 완료');
@@ -1553,9 +3284,16 @@ class MusicPlayer {
       const permissionInfo = await permissions.getUserMusicPermissions(guildId, userId);
       
       // 사용자 친화적인 형태로 변환
+      const policy = permissionInfo.policy;
       let canControlMessage = '아무도 제어할 수 없음';
       if (permissionInfo.isAdmin) {
         canControlMessage = '👑 관리자 - 모든 음악 제어 가능';
+      } else if (permissionInfo.isDj) {
+        canControlMessage = '🎧 DJ 역할 - 모든 음악 제어 가능';
+      } else if (policy.minRankToControl > 0 && permissionInfo.rank > policy.minRankToControl) {
+        canControlMessage = `📊 ${permissionInfo.rank}위 - 자신의 음악만 제어 가능 (다른 사람의 음악은 ${policy.minRankToControl}위 이내)`;
+      } else if (policy.mode === 'equal') {
+        canControlMessage = '🤝 모두 동등 - 모든 음악 제어 가능';
       } else if (permissionInfo.rank === 1) {
         canControlMessage = '👑 1위 - 2위~꼴찌 음악 제어 가능';
       } else if (permissionInfo.rank <= 10) {
@@ -1602,6 +3340,8 @@ class MusicPlayer {
       // 두 곳 모두에 반복 모드 저장
       player.repeatMode = mode;
       this.repeatModes.set(guildId, mode);
+      await this.persistQueueState(guildId);
+      this.schedulePrefetch(guildId);
       
       logger.info(`반복 모드 설정: ${mode} (길드: ${guildId})`);
       
@@ -1615,6 +3355,88 @@ class MusicPlayer {
     }
   }
 
+  // ==================== 대기열 영속화 ====================
+
+  /**
+   * 현재 길드 대기열 상태를 데이터베이스에 저장
+   * @param {string} guildId - 길드 ID
+   * @returns {Promise<boolean>} 저장 성공 여부
+   */
+  async persistQueueState(guildId) {
+    if (this.isShuttingDown) {
+      return false;
+    }
+    
+    return await queueStore.saveQueueState(guildId, {
+      queue: this.queues.get(guildId) || [],
+      repeatMode: this.repeatModes.get(guildId) || 'off',
+      volume: this.volumes.get(guildId) || 0.5,
+      voiceChannelId: this.voiceChannels.get(guildId) || null,
+      textChannelId: this.textChannels.get(guildId) || null
+    });
+  }
+
+  /**
+   * 봇 시작 시 저장된 대기열 복구
+   * @param {Client} client - Discord 클라이언트
+   * @returns {Promise<Object>} 복구 결과
+   */
+  async restoreQueues(client) {
+    const result = { restored: 0, resumed: 0 };
+    
+    try {
+      const states = await queueStore.loadQueueStates();
+      
+      for (const state of states) {
+        const guild = client.guilds.cache.get(state.guildId);
+        if (!guild) {
+          // 봇이 꺼져 있는 동안 추방/퇴장된 길드는 저장된 대기열 삭제
+          await queueStore.deleteQueueState(state.guildId);
+          logger.info(`대기열 복구 생략 - 길드 없음, 저장된 대기열 삭제: ${state.guildId}`);
+          continue;
+        }
+        
+        this.queues.set(state.guildId, state.queue);
+        this.repeatModes.set(state.guildId, state.repeatMode);
+        this.volumes.set(state.guildId, state.volume);
+        if (state.voiceChannelId) {
+          this.voiceChannels.set(state.guildId, state.voiceChannelId);
+        }
+        if (state.textChannelId) {
+          this.textChannels.set(state.guildId, state.textChannelId);
+        }
+        result.restored++;
+        
+        logger.info(`대기열 복구: ${state.queue.length}곡, 반복 ${state.repeatMode} (길드: ${guild.name})`);
+        
+        if (!this.config.autoResume || !state.voiceChannelId) {
+          continue;
+        }
+        
+        // 사람이 남아있는 음성 채널에서만 자동 재개
+        const channel = guild.channels.cache.get(state.voiceChannelId);
+        const humanCount = channel?.members?.filter(member => !member.user.bot).size || 0;
+        if (humanCount === 0) {
+          logger.info(`자동 재개 생략 - 음성 채널에 사용자가 없음 (길드: ${guild.name})`);
+          continue;
+        }
+        
+        const playResult = await this.startPlaying(state.guildId, state.voiceChannelId);
+        if (playResult.status === 'playing') {
+          result.resumed++;
+          logger.info(`대기열 자동 재개: ${playResult.track.title} (길드: ${guild.name})`);
+        } else {
+          logger.warn(`대기열 자동 재개 실패 (길드: ${guild.name}): ${playResult.message}`);
+        }
+      }
+      
+    } catch (error) {
+      logger.error('대기열 복구 중 오류:', error);
+    }
+    
+    return result;
+  }
+
   /**
    * 자동 종료 타이머 취소
    * @param {string} guildId - 길드 ID
@@ -1627,6 +3449,103 @@ class MusicPlayer {
       logger.debug(`자동 종료 타이머 취소 (길드: ${guildId})`);
     }
   }
+
+  /**
+   * 음성 상태 변경 처리 (voiceStateUpdate 이벤트에서 호출)
+   * 봇이 있는 채널의 사람 수가 바뀌었을 때만 빈 채널 여부를 다시 확인
+   * @param {VoiceState} oldState - 이전 음성 상태
+   * @param {VoiceState} newState - 새로운 음성 상태
+   */
+  async handleVoiceStateUpdate(oldState, newState) {
+    const guildId = newState.guild.id;
+    if (!this.connections.has(guildId)) {
+      return;
+    }
+    
+    // 봇이 다른 채널로 옮겨졌으면 채널 정보 갱신 (연결 해제는 연결 이벤트에서 처리)
+    if (newState.id === newState.client.user.id) {
+      if (!newState.channelId || oldState.channelId === newState.channelId) {
+        return;
+      }
+      this.voiceChannels.set(guildId, newState.channelId);
+      await this.persistQueueState(guildId);
+    } else {
+      const channelId = this.voiceChannels.get(guildId);
+      if (newState.member?.user.bot || oldState.channelId === newState.channelId ||
+          (oldState.channelId !== channelId && newState.channelId !== channelId)) {
+        return;
+      }
+    }
+    
+    this.checkEmptyChannel(guildId);
+  }
+
+  /**
+   * 빈 채널 확인
+   * 사람이 모두 나가면 재생을 일시정지하고 유예 시간 뒤 연결 해제, 그 전에 누군가 돌아오면 재개
+   * @param {string} guildId - 길드 ID
+   */
+  checkEmptyChannel(guildId) {
+    const hasListeners = this.getListeners(guildId).length > 0;
+    const pending = this.emptyChannelTimers.get(guildId);
+    const player = this.players.get(guildId);
+    
+    if (hasListeners && pending) {
+      this.cancelEmptyChannelTimer(guildId);
+      
+      // 봇이 멈춘 재생만 재개 (사용자가 직접 일시정지한 곡은 그대로 둠)
+      if (pending.pausedByBot && player && this.isPaused(guildId)) {
+        player.unpause();
+        this.schedulePrefetch(guildId);
+        this.scheduleCrossfade(guildId);
+        logger.info(`청취자가 돌아와 재생 재개 (길드: ${guildId})`);
+      }
+      return;
+    }
+    
+    if (hasListeners || pending) {
+      return;
+    }
+    
+    const pausedByBot = !!player && !!this.currentTracks.get(guildId) && !this.isPaused(guildId) &&
+                        player.state.status !== AudioPlayerStatus.Idle && player.pause();
+    if (pausedByBot) {
+      this.discardPrefetch(guildId);
+      this.cancelCrossfade(guildId);
+    }
+    
+    const gracePeriod = this.config.emptyChannelGracePeriod;
+    logger.info(`음성 채널에 청취자가 없음, ${gracePeriod / 1000}초 후 연결 해제 (길드: ${guildId})`);
+    
+    const timer = setTimeout(async () => {
+      this.emptyChannelTimers.delete(guildId);
+      logger.info(`청취자 없음으로 연결 해제 (길드: ${guildId})`);
+      
+      // 통계에서 끝까지 들은 곡으로 계산되지 않도록 중지 위치 기록
+      const currentTrack = this.currentTracks.get(guildId);
+      if (currentTrack) {
+        await this.recordMusicLog(guildId, currentTrack, 'play_stop', {
+          details: { position: this.getPlaybackPosition(guildId), reason: 'empty_channel' }
+        });
+      }
+      
+      await this.disconnect(guildId);
+    }, gracePeriod);
+    
+    this.emptyChannelTimers.set(guildId, { timer, pausedByBot });
+  }
+
+  /**
+   * 빈 채널 유예 타이머 취소
+   * @param {string} guildId - 길드 ID
+   */
+  cancelEmptyChannelTimer(guildId) {
+    const pending = this.emptyChannelTimers.get(guildId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.emptyChannelTimers.delete(guildId);
+    }
+  }
 }
 
 // 싱글톤 인스턴스 생성 및 내보내기
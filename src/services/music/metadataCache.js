@@ -0,0 +1,229 @@
+/**
+ * YouTube 메타데이터 캐시
+ * 비디오 ID별 정보와 정규화된 검색어별 검색 결과를 DB에 저장해 Data API 할당량을 절약
+ * 조회 실패 시에는 캐시 없이 API를 그대로 사용하도록 null을 반환
+ */
+
+const db = require('../database');
+const logger = require('../../utils/logger');
+
+const CACHE_TTL_HOURS = parseInt(process.env.MUSIC_METADATA_CACHE_TTL_HOURS) || 168; // 기본 7일
+
+// 프로세스 시작 이후 적중/미적중 횟수
+const stats = {
+  video: { hits: 0, misses: 0 },
+  query: { hits: 0, misses: 0 }
+};
+
+/**
+ * 검색어 정규화 (대소문자/공백/전각 문자 차이를 같은 키로 취급)
+ * @param {string} query - 검색어
+ * @returns {string} 캐시 키
+ */
+function normalizeQuery(query) {
+  return query.normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * 캐시 행을 youtube-api의 비디오 정보 형태로 변환
+ * @param {Object} row - youtube_video_cache 행
+ * @returns {Object} 비디오 정보
+ */
+function toVideoInfo(row) {
+  return {
+    id: row.video_id,
+    title: row.title,
+    channelTitle: row.channel_title,
+    duration: row.duration,
+    durationSeconds: row.duration_seconds,
+    publishedAt: row.published_at ? new Date(row.published_at).toISOString() : null,
+    thumbnails: row.thumbnails || {},
+    url: `https://www.youtube.com/watch?v=${row.video_id}`
+  };
+}
+
+/**
+ * 캐시된 비디오 정보 일괄 조회
+ * @param {Array<string>} videoIds - 비디오 ID 목록
+ * @returns {Promise<Map<string, Object>>} 비디오 ID별 정보 (만료/미저장 항목 제외)
+ */
+async function getVideos(videoIds) {
+  const found = new Map();
+  if (videoIds.length === 0) {
+    return found;
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE youtube_video_cache
+       SET hit_count = hit_count + 1
+       WHERE video_id = ANY($1)
+         AND cached_at > NOW() - make_interval(hours => $2)
+       RETURNING *`,
+      [videoIds, CACHE_TTL_HOURS]
+    );
+
+    result.rows.forEach(row => found.set(row.video_id, toVideoInfo(row)));
+  } catch (error) {
+    logger.warn('비디오 메타데이터 캐시 조회 실패:', error.message);
+  }
+
+  stats.video.hits += found.size;
+  stats.video.misses += videoIds.length - found.size;
+
+  return found;
+}
+
+/**
+ * 캐시된 비디오 정보 조회
+ * @param {string} videoId - 비디오 ID
+ * @returns {Promise<Object|null>} 비디오 정보
+ */
+async function getVideo(videoId) {
+  const found = await getVideos([videoId]);
+  return found.get(videoId) || null;
+}
+
+/**
+ * 비디오 정보 저장 (이미 있으면 갱신)
+ * @param {Array<Object>} videos - youtube-api 비디오 정보 목록
+ * @returns {Promise<void>}
+ */
+async function saveVideos(videos) {
+  try {
+    for (const video of videos) {
+      await db.query(
+        `INSERT INTO youtube_video_cache
+           (video_id, title, channel_title, duration, duration_seconds, published_at, thumbnails, cached_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+         ON CONFLICT (video_id) DO UPDATE SET
+           title = EXCLUDED.title,
+           channel_title = EXCLUDED.channel_title,
+           duration = EXCLUDED.duration,
+           duration_seconds = EXCLUDED.duration_seconds,
+           published_at = EXCLUDED.published_at,
+           thumbnails = EXCLUDED.thumbnails,
+           cached_at = NOW()`,
+        [
+          video.id,
+          video.title,
+          video.channelTitle,
+          video.duration,
+          video.durationSeconds,
+          video.publishedAt || null,
+          JSON.stringify(video.thumbnails || {})
+        ]
+      );
+    }
+  } catch (error) {
+    logger.warn('비디오 메타데이터 캐시 저장 실패:', error.message);
+  }
+}
+
+/**
+ * 캐시된 검색 결과 조회
+ * @param {string} query - 검색어
+ * @param {number} minResults - 필요한 최소 결과 수 (더 적게 저장된 결과는 미적중으로 처리)
+ * @returns {Promise<Array<string>|null>} 검색 결과 비디오 ID 목록 (순서 유지)
+ */
+async function getQueryResults(query, minResults = 1) {
+  let videoIds = null;
+
+  try {
+    const result = await db.query(
+      `UPDATE youtube_query_cache
+       SET hit_count = hit_count + 1
+       WHERE query_key = $1
+         AND cached_at > NOW() - make_interval(hours => $2)
+         AND cardinality(video_ids) >= $3
+       RETURNING video_ids`,
+      [normalizeQuery(query), CACHE_TTL_HOURS, minResults]
+    );
+
+    videoIds = result.rows[0]?.video_ids || null;
+  } catch (error) {
+    logger.warn('검색 결과 캐시 조회 실패:', error.message);
+  }
+
+  if (videoIds) {
+    stats.query.hits++;
+  } else {
+    stats.query.misses++;
+  }
+
+  return videoIds;
+}
+
+/**
+ * 검색 결과 저장
+ * @param {string} query - 검색어
+ * @param {Array<string>} videoIds - 검색 결과 비디오 ID 목록
+ * @returns {Promise<void>}
+ */
+async function saveQueryResults(query, videoIds) {
+  try {
+    await db.query(
+      `INSERT INTO youtube_query_cache (query_key, video_ids, cached_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (query_key) DO UPDATE SET
+         video_ids = EXCLUDED.video_ids,
+         cached_at = NOW()`,
+      [normalizeQuery(query), videoIds]
+    );
+  } catch (error) {
+    logger.warn('검색 결과 캐시 저장 실패:', error.message);
+  }
+}
+
+/**
+ * 만료된 캐시 항목 삭제
+ * @returns {Promise<number>} 삭제된 항목 수
+ */
+async function pruneExpired() {
+  try {
+    const videos = await db.query(
+      'DELETE FROM youtube_video_cache WHERE cached_at <= NOW() - make_interval(hours => $1)',
+      [CACHE_TTL_HOURS]
+    );
+    const queries = await db.query(
+      'DELETE FROM youtube_query_cache WHERE cached_at <= NOW() - make_interval(hours => $1)',
+      [CACHE_TTL_HOURS]
+    );
+
+    const removed = videos.rowCount + queries.rowCount;
+    logger.info(`YouTube 메타데이터 캐시 정리: ${removed}개 만료 항목 삭제`);
+    return removed;
+  } catch (error) {
+    logger.error('YouTube 메타데이터 캐시 정리 중 오류:', error);
+    return 0;
+  }
+}
+
+/**
+ * 캐시 적중 통계
+ * @returns {Object} { video, query, ttlHours } (각 항목: hits, misses, hitRate)
+ */
+function getStats() {
+  const withRate = ({ hits, misses }) => ({
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? hits / (hits + misses) : 0
+  });
+
+  return {
+    video: withRate(stats.video),
+    query: withRate(stats.query),
+    ttlHours: CACHE_TTL_HOURS
+  };
+}
+
+module.exports = {
+  normalizeQuery,
+  getVideo,
+  getVideos,
+  saveVideos,
+  getQueryResults,
+  saveQueryResults,
+  pruneExpired,
+  getStats
+};
@@ -0,0 +1,198 @@
+/**
+ * 현재 재생 컨트롤 패널
+ * 길드별로 하나의 패널 메시지를 유지하며 트랙이 바뀔 때마다 내용을 갱신
+ * 버튼 customId 형식: music_panel_<동작> (노래 명령어의 handleButton에서 처리)
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const logger = require('../../utils/logger');
+
+// 패널 메시지 (guildId -> Message)
+const panels = new Map();
+
+const REPEAT_LABELS = {
+  off: '끄기',
+  track: '한 곡',
+  queue: '대기열'
+};
+
+/**
+ * 플레이어 조회 (index.js와의 순환 참조를 피하기 위해 지연 로드)
+ * @returns {Object} 음악 플레이어
+ */
+function getMusicPlayer() {
+  return require('./index');
+}
+
+/**
+ * 경과/전체 시간 진행 막대 생성
+ * @param {number} position - 재생 위치 (초)
+ * @param {number} duration - 전체 길이 (초, 0이면 라이브)
+ * @param {number} size - 막대 길이
+ * @returns {string} 진행 막대
+ */
+function createProgressBar(position, duration, size = 15) {
+  const musicPlayer = getMusicPlayer();
+  const elapsed = musicPlayer.formatTime(position);
+
+  if (!duration) {
+    return `🔴 ${elapsed}`;
+  }
+
+  const ratio = Math.min(position / duration, 1);
+  const markerIndex = Math.min(Math.round(ratio * size), size - 1);
+  const bar = '▬'.repeat(markerIndex) + '🔘' + '▬'.repeat(size - markerIndex - 1);
+
+  return `${bar}\n\`${elapsed} / ${musicPlayer.formatTime(duration)}\``;
+}
+
+/**
+ * 패널 버튼 생성
+ * @param {string} action - 동작 이름
+ * @param {string} emoji - 버튼 이모지
+ * @param {ButtonStyle} style - 버튼 스타일
+ * @returns {ButtonBuilder} 버튼
+ */
+function createButton(action, emoji, style = ButtonStyle.Secondary) {
+  return new ButtonBuilder()
+    .setCustomId(`music_panel_${action}`)
+    .setEmoji(emoji)
+    .setStyle(style);
+}
+
+/**
+ * 패널 메시지 내용 생성
+ * @param {string} guildId - 길드 ID
+ * @returns {Object|null} 메시지 옵션 (재생 중인 트랙이 없으면 null)
+ */
+function buildPanelMessage(guildId) {
+  const musicPlayer = getMusicPlayer();
+  const nowPlaying = musicPlayer.getNowPlaying(guildId);
+  const track = nowPlaying.current;
+
+  if (!track) {
+    return null;
+  }
+
+  const paused = musicPlayer.isPaused(guildId);
+  const repeatMode = musicPlayer.getRepeatMode(guildId);
+
+  const embed = new EmbedBuilder()
+    .setColor(paused ? '#666666' : '#0099ff')
+    .setTitle(paused ? '⏸️ 일시정지됨' : '🎵 현재 재생')
+    .setDescription(`**[${track.title}](${track.url})**`)
+    .addFields(
+      {
+        name: '⏱️ 재생 위치',
+        value: createProgressBar(nowPlaying.position, track.duration),
+        inline: false
+      },
+      { name: '요청자', value: track.requestedBy?.tag || '알 수 없음', inline: true },
+      { name: '대기 중', value: `${nowPlaying.queueLength}곡`, inline: true },
+      { name: '볼륨', value: `${Math.round(nowPlaying.volume * 100)}%`, inline: true },
+      { name: '반복', value: REPEAT_LABELS[repeatMode] || REPEAT_LABELS.off, inline: true }
+    )
+    .setTimestamp();
+
+  if (nowPlaying.filters.length > 0) {
+    embed.addFields({ name: '🎛️ 필터', value: nowPlaying.filters.join(', '), inline: true });
+  }
+
+  if (track.thumbnail) {
+    embed.setThumbnail(track.thumbnail);
+  }
+
+  const playbackRow = new ActionRowBuilder().addComponents(
+    createButton('pause', paused ? '▶️' : '⏸️', ButtonStyle.Primary),
+    createButton('skip', '⏭️'),
+    createButton('stop', '⏹️', ButtonStyle.Danger),
+    createButton('repeat', repeatMode === 'track' ? '🔂' : '🔁', repeatMode === 'off' ? ButtonStyle.Secondary : ButtonStyle.Success),
+    createButton('shuffle', '🔀')
+  );
+
+  const volumeRow = new ActionRowBuilder().addComponents(
+    createButton('voldown', '🔉'),
+    createButton('volup', '🔊')
+  );
+
+  return {
+    embeds: [embed],
+    components: [playbackRow, volumeRow]
+  };
+}
+
+/**
+ * 패널 게시 또는 갱신
+ * 기존 메시지를 수정하고, 삭제되었거나 수정할 수 없으면 마지막 텍스트 채널에 새로 게시
+ * @param {string} guildId - 길드 ID
+ * @returns {Promise<void>}
+ */
+async function refresh(guildId) {
+  try {
+    const message = buildPanelMessage(guildId);
+    if (!message) {
+      await remove(guildId);
+      return;
+    }
+
+    const existing = panels.get(guildId);
+    if (existing) {
+      try {
+        await existing.edit(message);
+        return;
+      } catch (editError) {
+        logger.debug(`패널 수정 실패, 다시 게시합니다 (길드: ${guildId}): ${editError.message}`);
+        panels.delete(guildId);
+      }
+    }
+
+    const channelId = getMusicPlayer().textChannels.get(guildId);
+    const channel = channelId && global.discordClient?.channels.cache.get(channelId);
+    if (!channel) {
+      return;
+    }
+
+    panels.set(guildId, await channel.send(message));
+  } catch (error) {
+    logger.error('현재 재생 패널 갱신 중 오류:', error);
+  }
+}
+
+/**
+ * 패널 메시지 삭제
+ * @param {string} guildId - 길드 ID
+ * @returns {Promise<void>}
+ */
+async function remove(guildId) {
+  const message = panels.get(guildId);
+  if (!message) {
+    return;
+  }
+
+  panels.delete(guildId);
+
+  try {
+    await message.delete();
+  } catch (error) {
+    // 이미 삭제된 메시지는 무시
+    logger.debug(`패널 삭제 실패 (길드: ${guildId}): ${error.message}`);
+  }
+}
+
+/**
+ * 패널 메시지 여부 확인
+ * @param {string} guildId - 길드 ID
+ * @param {string} messageId - 메시지 ID
+ * @returns {boolean} 현재 패널 메시지인지 여부
+ */
+function isPanelMessage(guildId, messageId) {
+  return panels.get(guildId)?.id === messageId;
+}
+
+module.exports = {
+  buildPanelMessage,
+  createProgressBar,
+  refresh,
+  remove,
+  isPanelMessage
+};
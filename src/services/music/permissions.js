@@ -1,19 +1,22 @@
 /**
  * 순위 기반 음악 권한 시스템
  * 사용자의 Discord 순위에 따른 계층적 음악 제어 권한 관리
+ * 길드별 정책(guilds.settings.music.permissions)으로 DJ 역할, 최소 순위, 순위 기준, 모두 동등 모드를 설정
  */
 
 const db = require('../database');
 const dbUtils = require('../database/utils');
+const musicSettings = require('./settings');
 const logger = require('../../utils/logger');
 
 /**
- * 사용자의 현재 순위 조회 (실시간 계산)
+ * 사용자의 순위 조회 (실시간 계산)
  * @param {string} guildId - 길드 ID
  * @param {string} userId - 사용자 ID
+ * @param {string} rankSource - 순위 기준 ('current': 현재 시즌 점수, 'lifetime': 누적 점수)
  * @returns {Promise<number>} 사용자 순위 (1부터 시작)
  */
-async function getUserRank(guildId, userId) {
+async function getUserRank(guildId, userId, rankSource = 'current') {
   try {
     // 매개변수 검증
     if (!guildId || !userId) {
@@ -21,18 +24,30 @@ async function getUserRank(guildId, userId) {
       return 9999;
     }
     
-    // 실시간 순위 계산 (current_score 기준)
-    const result = await db.query(`
-      WITH user_ranks AS (
-        SELECT 
-          discord_id,
-          current_score,
-          RANK() OVER (ORDER BY current_score DESC) as rank
-        FROM users 
-        WHERE guild_id = $1 AND current_score > 0
-      )
-      SELECT rank FROM user_ranks WHERE discord_id = $2
-    `, [guildId, userId]);
+    // 실시간 순위 계산 (current_score 또는 lifetime_stats.total_score 기준)
+    const result = rankSource === 'lifetime'
+      ? await db.query(`
+        WITH user_ranks AS (
+          SELECT 
+            u.discord_id,
+            RANK() OVER (ORDER BY ls.total_score DESC) as rank
+          FROM users u
+          JOIN lifetime_stats ls ON ls.user_id = u.id
+          WHERE u.guild_id = $1 AND ls.total_score > 0
+        )
+        SELECT rank FROM user_ranks WHERE discord_id = $2
+      `, [guildId, userId])
+      : await db.query(`
+        WITH user_ranks AS (
+          SELECT 
+            discord_id,
+            current_score,
+            RANK() OVER (ORDER BY current_score DESC) as rank
+          FROM users 
+          WHERE guild_id = $1 AND current_score > 0
+        )
+        SELECT rank FROM user_ranks WHERE discord_id = $2
+      `, [guildId, userId]);
     
     return result.rows[0]?.rank || 9999; // 기본값: 매우 낮은 순위
     
@@ -83,12 +98,28 @@ async function getUserRanks(guildId, userIds) {
   }
 }
 
+/**
+ * 트랙 요청자의 순위 조회
+ * 요청 시점에 저장된 순위는 현재 시즌 기준이므로 누적 순위 정책에서는 다시 계산
+ * @param {string} guildId - 길드 ID
+ * @param {Object} requestedBy - 트랙 요청자 정보
+ * @param {string} rankSource - 순위 기준 ('current', 'lifetime')
+ * @returns {Promise<number>} 요청자 순위
+ */
+async function getRequesterRank(guildId, requestedBy, rankSource = 'current') {
+  if (rankSource === 'current' && requestedBy.rank) {
+    return requestedBy.rank;
+  }
+  return await getUserRank(guildId, requestedBy.id, rankSource);
+}
+
 /**
  * 현재 재생 중인 트랙의 소유자 정보 조회
  * @param {string} guildId - 길드 ID
+ * @param {string} rankSource - 순위 기준 ('current', 'lifetime')
  * @returns {Promise<Object|null>} 트랙 소유자 정보
  */
-async function getCurrentTrackOwner(guildId) {
+async function getCurrentTrackOwner(guildId, rankSource = 'current') {
   try {
     const musicPlayer = require('./index');
     const currentTrack = musicPlayer.currentTracks.get(guildId);
@@ -99,7 +130,7 @@ async function getCurrentTrackOwner(guildId) {
     
     return {
       userId: currentTrack.requestedBy.id,
-      rank: currentTrack.requestedBy.rank || await getUserRank(guildId, currentTrack.requestedBy.id),
+      rank: await getRequesterRank(guildId, currentTrack.requestedBy, rankSource),
       tag: currentTrack.requestedBy.tag,
       trackTitle: currentTrack.title
     };
@@ -193,6 +224,150 @@ async function isUserInVoiceChannel(guildId, userId) {
   }
 }
 
+/**
+ * 길드 DJ 역할 보유 확인
+ * @param {string} guildId - 길드 ID
+ * @param {string} userId - 사용자 ID
+ * @param {string|null} roleId - DJ 역할 ID (없으면 false)
+ * @returns {Promise<boolean>} DJ 역할 보유 여부
+ */
+async function isUserDj(guildId, userId, roleId) {
+  try {
+    if (!roleId) {
+      return false;
+    }
+    
+    const guild = global.discordClient?.guilds.cache.get(guildId);
+    if (!guild) return false;
+    
+    const member = await guild.members.fetch(userId).catch(() => null);
+    return !!member?.roles?.cache.has(roleId);
+    
+  } catch (error) {
+    logger.error('DJ 역할 확인 중 오류:', error);
+    return false;
+  }
+}
+
+/**
+ * 권한 판단에 필요한 사용자 정보 수집
+ * @param {string} guildId - 길드 ID
+ * @param {string} userId - 사용자 ID
+ * @param {Object} policy - 길드 음악 권한 정책
+ * @returns {Promise<Object>} { userId, isAdmin, isDj, inVoice, userRank }
+ */
+async function getPermissionContext(guildId, userId, policy) {
+  const [isAdmin, isDj, inVoice, userRank] = await Promise.all([
+    isUserAdmin(guildId, userId),
+    isUserDj(guildId, userId, policy.djRoleId),
+    isUserInVoiceChannel(guildId, userId),
+    getUserRank(guildId, userId, policy.rankSource)
+  ]);
+  
+  return { userId, isAdmin, isDj, inVoice, userRank };
+}
+
+/**
+ * 정책에 따른 권한 판단 (조회 없이 수집된 정보만 사용)
+ * 판단 과정은 steps에 순서대로 남겨 미리보기에서 그대로 보여줌
+ * @param {Object} context - getPermissionContext 결과 + owner (대상 트랙 소유자, 없으면 null)
+ * @param {string} action - 수행할 액션 ('skip', 'stop', 'control', 'add', 대기열 편집 등)
+ * @param {Object} policy - 길드 음악 권한 정책
+ * @returns {Object} 권한 확인 결과 (allowed, reason, message, steps, ...)
+ */
+function evaluatePermission(context, action, policy) {
+  const { userId, userRank, owner } = context;
+  const steps = [];
+  const decide = (allowed, reason, message, extra = {}) => ({
+    allowed,
+    reason,
+    message,
+    steps,
+    userRank,
+    ...extra
+  });
+  
+  // 1. 관리자와 DJ 역할은 순위와 관계없이 모든 권한을 가짐
+  if (context.isAdmin) {
+    steps.push('✅ 관리자 권한 보유');
+    return decide(true, 'administrator', '관리자 권한으로 허용되었습니다.');
+  }
+  steps.push('관리자 아님');
+  
+  if (policy.djRoleId) {
+    if (context.isDj) {
+      steps.push(`✅ DJ 역할(<@&${policy.djRoleId}>) 보유`);
+      return decide(true, 'dj_role', 'DJ 역할로 허용되었습니다.');
+    }
+    steps.push('DJ 역할 없음');
+  }
+  
+  // 2. 곡 추가는 최소 순위만 확인
+  if (action === 'add') {
+    if (policy.minRankToQueue > 0 && userRank > policy.minRankToQueue) {
+      steps.push(`❌ 곡 추가 최소 순위 ${policy.minRankToQueue}위 미달 (현재 ${userRank}위)`);
+      return decide(false, 'below_min_rank', `곡 추가는 ${policy.minRankToQueue}위 이내만 가능합니다. (현재 순위: ${userRank}위)`);
+    }
+    steps.push('✅ 곡 추가 허용');
+    return decide(true, 'add_allowed_for_all', '모든 사용자가 곡을 추가할 수 있습니다.');
+  }
+  
+  // 3. 음성 채널 참여 확인
+  if (!context.inVoice) {
+    steps.push('❌ 음성 채널 미참여');
+    return decide(false, 'not_in_voice', '음성 채널에 참여한 후 사용해주세요.');
+  }
+  steps.push('음성 채널 참여 중');
+  
+  // 4. 대상 트랙이 없거나 본인 트랙이면 허용
+  if (!owner) {
+    steps.push('✅ 재생 중인 트랙 없음');
+    return decide(true, 'no_current_track', '현재 재생 중인 트랙이 없습니다.');
+  }
+  
+  const ownerInfo = {
+    ownerRank: owner.rank,
+    trackOwner: owner.tag,
+    trackTitle: owner.trackTitle
+  };
+  
+  if (owner.userId === userId) {
+    steps.push('✅ 본인이 요청한 트랙');
+    return decide(true, 'track_owner', '자신이 요청한 트랙을 제어할 수 있습니다.', ownerInfo);
+  }
+  
+  // 5. 다른 사람의 트랙 제어는 최소 순위 확인
+  if (policy.minRankToControl > 0 && userRank > policy.minRankToControl) {
+    steps.push(`❌ 제어 최소 순위 ${policy.minRankToControl}위 미달 (현재 ${userRank}위)`);
+    return decide(false, 'below_min_rank', `다른 사람의 음악 제어는 ${policy.minRankToControl}위 이내만 가능합니다. (현재 순위: ${userRank}위)`, ownerInfo);
+  }
+  
+  // 6. 모두 동등 모드에서는 순위 비교 없이 허용
+  if (policy.mode === 'equal') {
+    steps.push('✅ 모두 동등 모드');
+    return decide(true, 'equal_mode', '모든 사용자가 동등하게 음악을 제어할 수 있습니다.', ownerInfo);
+  }
+  
+  // 7. 순위 기반 권한 확인 (더 높은 순위, 즉 낮은 숫자가 제어 가능)
+  if (userRank < owner.rank) {
+    steps.push(`✅ ${userRank}위 < 소유자 ${owner.rank}위`);
+    return decide(true, 'higher_rank', `${userRank}위가 ${owner.rank}위의 음악을 제어할 수 있습니다.`, ownerInfo);
+  }
+  
+  steps.push(`❌ ${userRank}위 ≥ 소유자 ${owner.rank}위`);
+  return decide(false, 'insufficient_rank', `${owner.rank}위 ${owner.tag}님의 음악을 제어할 권한이 없습니다. (현재 순위: ${userRank}위)`, ownerInfo);
+}
+
+/**
+ * 길드 음악 권한 정책 조회
+ * @param {string} guildId - 길드 ID
+ * @returns {Promise<Object>} 권한 정책
+ */
+async function getPermissionPolicy(guildId) {
+  const settings = await musicSettings.getMusicSettings(guildId);
+  return settings.permissions;
+}
+
 /**
  * 음악 제어 권한 확인 (핵심 권한 시스템)
  * @param {string} guildId - 길드 ID
@@ -203,88 +378,72 @@ async function isUserInVoiceChannel(guildId, userId) {
  */
 async function canControlMusic(guildId, userId, action, options = {}) {
   try {
-    // 1. 관리자는 모든 권한을 가짐
-    const isAdmin = await isUserAdmin(guildId, userId);
-    if (isAdmin) {
-      return {
-        allowed: true,
-        reason: 'administrator',
-        message: '관리자 권한으로 허용되었습니다.'
-      };
-    }
-    
-    // 2. 음성 채널 참여 확인 (add 액션 제외)
-    if (action !== 'add') {
-      const inVoice = await isUserInVoiceChannel(guildId, userId);
-      if (!inVoice) {
-        return {
-          allowed: false,
-          reason: 'not_in_voice',
-          message: '음성 채널에 참여한 후 사용해주세요.'
-        };
-      }
-    }
-    
-    // 3. add 액션은 모든 사용자에게 허용 (PRD 요구사항)
-    if (action === 'add') {
-      return {
-        allowed: true,
-        reason: 'add_allowed_for_all',
-        message: '모든 사용자가 곡을 추가할 수 있습니다.'
-      };
-    }
+    const policy = await getPermissionPolicy(guildId);
+    const context = await getPermissionContext(guildId, userId, policy);
+    const owner = action === 'add' ? null : await getCurrentTrackOwner(guildId, policy.rankSource);
     
-    // 4. 현재 재생 중인 트랙 확인
-    const currentTrackOwner = await getCurrentTrackOwner(guildId);
+    return evaluatePermission({ ...context, owner }, action, policy);
     
-    // 재생 중인 트랙이 없으면 허용
-    if (!currentTrackOwner) {
-      return {
-        allowed: true,
-        reason: 'no_current_track',
-        message: '현재 재생 중인 트랙이 없습니다.'
-      };
-    }
-    
-    // 5. 트랙 소유자 본인은 항상 자신의 트랙을 제어 가능
-    if (currentTrackOwner.userId === userId) {
-      return {
-        allowed: true,
-        reason: 'track_owner',
-        message: '자신이 요청한 트랙을 제어할 수 있습니다.'
-      };
+  } catch (error) {
+    logger.error('음악 제어 권한 확인 중 오류:', error);
+    return {
+      allowed: false,
+      reason: 'error',
+      message: '권한 확인 중 오류가 발생했습니다.'
+    };
+  }
+}
+
+/**
+ * 대기열 편집 권한 확인
+ * 편집으로 순서가 밀리거나 건너뛰어지는 트랙마다 제어 권한을 확인해 모두 허용되어야 허용
+ * (자신이 요청한 트랙과 자동 재생 트랙은 제한 없음)
+ * @param {string} guildId - 길드 ID
+ * @param {string} userId - 요청 사용자 ID
+ * @param {Array<Object>} affectedTracks - 영향을 받는 트랙 목록
+ * @returns {Promise<Object>} 권한 확인 결과
+ */
+async function canEditQueue(guildId, userId, affectedTracks) {
+  try {
+    const policy = await getPermissionPolicy(guildId);
+    const context = await getPermissionContext(guildId, userId, policy);
+    
+    const otherTracks = affectedTracks.filter(track => 
+      track.requestedBy?.id && track.requestedBy.id !== userId
+    );
+    
+    if (otherTracks.length === 0) {
+      // 관리자/음성 채널 확인만 거치도록 본인 트랙으로 판단
+      return evaluatePermission({
+        ...context,
+        owner: { userId, rank: context.userRank, tag: null, trackTitle: null }
+      }, 'edit', policy);
     }
     
-    // 6. 순위 기반 권한 확인 (핵심 로직)
-    const userRank = await getUserRank(guildId, userId);
-    const ownerRank = currentTrackOwner.rank;
-    
-    // 더 높은 순위(낮은 숫자)를 가진 사용자가 제어 가능
-    if (userRank < ownerRank) {
-      return {
-        allowed: true,
-        reason: 'higher_rank',
-        message: `${userRank}위가 ${ownerRank}위의 음악을 제어할 수 있습니다.`,
-        userRank,
-        ownerRank,
-        trackOwner: currentTrackOwner.tag,
-        trackTitle: currentTrackOwner.trackTitle
+    let result = null;
+    for (const track of otherTracks) {
+      const owner = {
+        userId: track.requestedBy.id,
+        rank: await getRequesterRank(guildId, track.requestedBy, policy.rankSource),
+        tag: track.requestedBy.tag,
+        trackTitle: track.title
       };
+      
+      result = evaluatePermission({ ...context, owner }, 'edit', policy);
+      if (!result.allowed) {
+        return {
+          ...result,
+          message: result.reason === 'insufficient_rank'
+            ? `${owner.rank}위 ${owner.tag}님의 "${owner.trackTitle}"에 영향을 주는 편집은 할 수 없습니다. (현재 순위: ${context.userRank}위)`
+            : result.message
+        };
+      }
     }
     
-    // 7. 권한 없음
-    return {
-      allowed: false,
-      reason: 'insufficient_rank',
-      message: `${ownerRank}위 ${currentTrackOwner.tag}님의 음악을 제어할 권한이 없습니다. (현재 순위: ${userRank}위)`,
-      userRank,
-      ownerRank,
-      trackOwner: currentTrackOwner.tag,
-      trackTitle: currentTrackOwner.trackTitle
-    };
+    return result;
     
   } catch (error) {
-    logger.error('음악 제어 권한 확인 중 오류:', error);
+    logger.error('대기열 편집 권한 확인 중 오류:', error);
     return {
       allowed: false,
       reason: 'error',
@@ -293,6 +452,29 @@ async function canControlMusic(guildId, userId, action, options = {}) {
   }
 }
 
+/**
+ * 권한 판단 미리보기 (관리자용)
+ * 실제 재생 상태와 관계없이 actor가 owner의 트랙에 action을 수행할 때의 판단 과정을 설명
+ * 음성 채널 참여는 충족된 것으로 가정
+ * @param {string} guildId - 길드 ID
+ * @param {string} actorId - 동작을 수행할 사용자 ID
+ * @param {string} ownerId - 트랙 요청자 ID
+ * @param {string} action - 수행할 액션 ('skip', 'stop', 'control', 'add')
+ * @param {Object} policy - 판단할 정책 (생략 시 현재 길드 정책)
+ * @returns {Promise<Object>} 권한 확인 결과 (steps 포함)
+ */
+async function explainPermission(guildId, actorId, ownerId, action = 'skip', policy = null) {
+  const activePolicy = policy || await getPermissionPolicy(guildId);
+  const context = await getPermissionContext(guildId, actorId, activePolicy);
+  const ownerRank = await getUserRank(guildId, ownerId, activePolicy.rankSource);
+  
+  return evaluatePermission({
+    ...context,
+    inVoice: true,
+    owner: { userId: ownerId, rank: ownerRank, tag: `<@${ownerId}>`, trackTitle: null }
+  }, action, activePolicy);
+}
+
 /**
  * 사용자의 음악 권한 정보 조회
  * @param {string} guildId - 길드 ID
@@ -301,31 +483,29 @@ async function canControlMusic(guildId, userId, action, options = {}) {
  */
 async function getUserMusicPermissions(guildId, userId) {
   try {
-    const isAdmin = await isUserAdmin(guildId, userId);
-    const userRank = await getUserRank(guildId, userId);
-    const inVoice = await isUserInVoiceChannel(guildId, userId);
-    const currentTrackOwner = await getCurrentTrackOwner(guildId);
-    
-    // 현재 제어 가능한 트랙이 있는지 확인
-    let canControlCurrentTrack = false;
-    if (currentTrackOwner) {
-      if (isAdmin || currentTrackOwner.userId === userId || userRank < currentTrackOwner.rank) {
-        canControlCurrentTrack = true;
-      }
-    }
+    const policy = await getPermissionPolicy(guildId);
+    const context = await getPermissionContext(guildId, userId, policy);
+    const currentTrackOwner = await getCurrentTrackOwner(guildId, policy.rankSource);
+    const { isAdmin, isDj, userRank, inVoice } = context;
+    
+    // 현재 제어 가능한 트랙이 있는지 확인 (음성 채널 참여는 별도 표시)
+    const canControlCurrentTrack = !!currentTrackOwner &&
+      evaluatePermission({ ...context, inVoice: true, owner: currentTrackOwner }, 'control', policy).allowed;
     
     return {
       userId,
       guildId,
       isAdmin,
+      isDj,
+      policy,
       rank: userRank,
       inVoiceChannel: inVoice,
       permissions: {
-        canAdd: true, // 모든 사용자가 곡 추가 가능
+        canAdd: evaluatePermission({ ...context, owner: null }, 'add', policy).allowed,
         canSkip: canControlCurrentTrack && inVoice,
         canStop: canControlCurrentTrack && inVoice,
         canControlVolume: canControlCurrentTrack && inVoice,
-        canControlQueue: isAdmin // 대기열 조작은 관리자만
+        canControlQueue: isAdmin || isDj // 대기열 조작은 관리자와 DJ만
       },
       currentTrack: currentTrackOwner ? {
         owner: currentTrackOwner.tag,
@@ -341,6 +521,8 @@ async function getUserMusicPermissions(guildId, userId) {
       userId,
       guildId,
       isAdmin: false,
+      isDj: false,
+      policy: musicSettings.DEFAULT_MUSIC_SETTINGS.permissions,
       rank: 9999,
       inVoiceChannel: false,
       permissions: {
@@ -444,7 +626,12 @@ module.exports = {
   getCurrentTrackOwner,
   isUserAdmin,
   isUserInVoiceChannel,
+  isUserDj,
+  getPermissionPolicy,
+  evaluatePermission,
   canControlMusic,
+  canEditQueue,
+  explainPermission,
   getUserMusicPermissions,
   logMusicPermissionAction,
   getMusicPermissionStats
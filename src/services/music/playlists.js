@@ -0,0 +1,244 @@
+/**
+ * 사용자 저장 플레이리스트 서비스
+ * 사용자별로 곡 목록을 이름으로 저장하고, 공유된 플레이리스트는 길드 전체가 불러올 수 있음
+ */
+
+const db = require('../database');
+const dbUtils = require('../database/utils');
+const logger = require('../../utils/logger');
+
+// 플레이리스트 제한 설정
+const PLAYLIST_LIMITS = {
+  MAX_TRACKS: parseInt(process.env.MUSIC_SAVED_PLAYLIST_MAX_TRACKS) || 100,  // 플레이리스트당 최대 곡 수
+  MAX_PER_USER: parseInt(process.env.MUSIC_SAVED_PLAYLIST_MAX_PER_USER) || 25, // 사용자당 최대 플레이리스트 수
+  MAX_NAME_LENGTH: 100
+};
+
+/**
+ * 저장용 트랙 메타데이터만 추출
+ * @param {Object} track - 트랙 정보 (getTrackInfo 결과 또는 대기열 트랙)
+ * @returns {Object} 저장할 트랙 메타데이터
+ */
+function toStoredTrack(track) {
+  return {
+    title: track.title,
+    url: track.url,
+    duration: track.duration || 0,
+    thumbnail: track.thumbnail || null,
+    channelTitle: track.channelTitle || null,
+    source: track.source || 'youtube'
+  };
+}
+
+/**
+ * 플레이리스트 저장 (같은 이름이 있으면 덮어씀)
+ * @param {string} guildId - 길드 ID
+ * @param {Object} owner - 소유자 Discord 사용자 객체
+ * @param {string} name - 플레이리스트 이름
+ * @param {Array} tracks - 트랙 목록
+ * @returns {Promise<Object>} 저장 결과
+ */
+async function savePlaylist(guildId, owner, name, tracks) {
+  try {
+    const trimmedName = name.trim().slice(0, PLAYLIST_LIMITS.MAX_NAME_LENGTH);
+    if (!trimmedName) {
+      return { success: false, message: '플레이리스트 이름을 입력해주세요.' };
+    }
+
+    if (tracks.length === 0) {
+      return { success: false, message: '저장할 곡이 없습니다.' };
+    }
+
+    const user = await dbUtils.findOrCreateUser(owner.id, guildId, {
+      username: owner.username,
+      discriminator: owner.discriminator,
+      displayName: owner.displayName || owner.username
+    });
+
+    // 새 플레이리스트인 경우 개수 제한 확인
+    const existing = await db.query(
+      'SELECT id FROM music_playlists WHERE guild_id = $1 AND owner_id = $2 AND name = $3',
+      [guildId, user.id, trimmedName]
+    );
+
+    if (existing.rows.length === 0) {
+      const countResult = await db.query(
+        'SELECT COUNT(*) FROM music_playlists WHERE guild_id = $1 AND owner_id = $2',
+        [guildId, user.id]
+      );
+
+      if (parseInt(countResult.rows[0].count) >= PLAYLIST_LIMITS.MAX_PER_USER) {
+        return {
+          success: false,
+          message: `플레이리스트는 최대 ${PLAYLIST_LIMITS.MAX_PER_USER}개까지 저장할 수 있습니다.`
+        };
+      }
+    }
+
+    const storedTracks = tracks.slice(0, PLAYLIST_LIMITS.MAX_TRACKS).map(toStoredTrack);
+
+    await db.query(`
+      INSERT INTO music_playlists (guild_id, owner_id, name, tracks, track_count)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (guild_id, owner_id, name) DO UPDATE SET
+        tracks = EXCLUDED.tracks,
+        track_count = EXCLUDED.track_count,
+        updated_at = NOW()
+    `, [guildId, user.id, trimmedName, JSON.stringify(storedTracks), storedTracks.length]);
+
+    logger.info(`플레이리스트 저장: ${trimmedName} (${storedTracks.length}곡, 소유자: ${owner.id})`);
+
+    return {
+      success: true,
+      name: trimmedName,
+      trackCount: storedTracks.length,
+      overwritten: existing.rows.length > 0,
+      truncated: Math.max(0, tracks.length - storedTracks.length)
+    };
+
+  } catch (error) {
+    logger.error('플레이리스트 저장 중 오류:', error);
+    return { success: false, message: '플레이리스트 저장 중 오류가 발생했습니다.' };
+  }
+}
+
+/**
+ * 불러올 플레이리스트 조회
+ * 소유자를 지정하지 않으면 본인 플레이리스트를 먼저 찾고, 없으면 공유된 플레이리스트에서 찾음
+ * @param {string} guildId - 길드 ID
+ * @param {string} requesterId - 요청자 Discord ID
+ * @param {string} name - 플레이리스트 이름
+ * @param {string|null} ownerId - 소유자 Discord ID (선택)
+ * @returns {Promise<Object>} 조회 결과
+ */
+async function findPlaylist(guildId, requesterId, name, ownerId = null) {
+  try {
+    const targetOwnerId = ownerId || requesterId;
+
+    let result = await db.query(`
+      SELECT p.*, u.discord_id AS owner_discord_id, u.display_name AS owner_name
+      FROM music_playlists p
+      JOIN users u ON p.owner_id = u.id
+      WHERE p.guild_id = $1 AND u.discord_id = $2 AND p.name = $3
+    `, [guildId, targetOwnerId, name.trim()]);
+
+    // 소유자 미지정 시 공유 플레이리스트에서 이름으로 검색
+    if (result.rows.length === 0 && !ownerId) {
+      result = await db.query(`
+        SELECT p.*, u.discord_id AS owner_discord_id, u.display_name AS owner_name
+        FROM music_playlists p
+        JOIN users u ON p.owner_id = u.id
+        WHERE p.guild_id = $1 AND p.is_shared = TRUE AND p.name = $2
+        ORDER BY p.updated_at DESC
+      `, [guildId, name.trim()]);
+
+      if (result.rows.length > 1) {
+        return {
+          success: false,
+          message: `같은 이름의 공유 플레이리스트가 ${result.rows.length}개 있습니다. 소유자를 지정해주세요.`
+        };
+      }
+    }
+
+    const playlist = result.rows[0];
+    if (!playlist) {
+      return { success: false, message: `플레이리스트 "${name}"을(를) 찾을 수 없습니다.` };
+    }
+
+    // 다른 사용자의 비공개 플레이리스트는 불러올 수 없음
+    if (playlist.owner_discord_id !== requesterId && !playlist.is_shared) {
+      return { success: false, message: '공유되지 않은 플레이리스트입니다.' };
+    }
+
+    return { success: true, playlist };
+
+  } catch (error) {
+    logger.error('플레이리스트 조회 중 오류:', error);
+    return { success: false, message: '플레이리스트 조회 중 오류가 발생했습니다.' };
+  }
+}
+
+/**
+ * 사용자가 볼 수 있는 플레이리스트 목록 조회 (본인 + 공유)
+ * @param {string} guildId - 길드 ID
+ * @param {string} userId - 사용자 Discord ID
+ * @returns {Promise<Object>} { own, shared }
+ */
+async function listPlaylists(guildId, userId) {
+  try {
+    const result = await db.query(`
+      SELECT p.id, p.name, p.is_shared, p.track_count, p.updated_at,
+             u.discord_id AS owner_discord_id, u.display_name AS owner_name
+      FROM music_playlists p
+      JOIN users u ON p.owner_id = u.id
+      WHERE p.guild_id = $1 AND (u.discord_id = $2 OR p.is_shared = TRUE)
+      ORDER BY p.updated_at DESC
+    `, [guildId, userId]);
+
+    return {
+      own: result.rows.filter(row => row.owner_discord_id === userId),
+      shared: result.rows.filter(row => row.owner_discord_id !== userId)
+    };
+
+  } catch (error) {
+    logger.error('플레이리스트 목록 조회 중 오류:', error);
+    return { own: [], shared: [] };
+  }
+}
+
+/**
+ * 본인 플레이리스트 삭제
+ * @param {string} guildId - 길드 ID
+ * @param {string} userId - 사용자 Discord ID
+ * @param {string} name - 플레이리스트 이름
+ * @returns {Promise<boolean>} 삭제 여부
+ */
+async function deletePlaylist(guildId, userId, name) {
+  try {
+    const result = await db.query(`
+      DELETE FROM music_playlists p
+      USING users u
+      WHERE p.owner_id = u.id AND p.guild_id = $1 AND u.discord_id = $2 AND p.name = $3
+    `, [guildId, userId, name.trim()]);
+
+    return result.rowCount > 0;
+
+  } catch (error) {
+    logger.error('플레이리스트 삭제 중 오류:', error);
+    return false;
+  }
+}
+
+/**
+ * 본인 플레이리스트 공유 여부 설정
+ * @param {string} guildId - 길드 ID
+ * @param {string} userId - 사용자 Discord ID
+ * @param {string} name - 플레이리스트 이름
+ * @param {boolean} shared - 공유 여부
+ * @returns {Promise<boolean>} 변경 여부
+ */
+async function setPlaylistShared(guildId, userId, name, shared) {
+  try {
+    const result = await db.query(`
+      UPDATE music_playlists p
+      SET is_shared = $4, updated_at = NOW()
+      FROM users u
+      WHERE p.owner_id = u.id AND p.guild_id = $1 AND u.discord_id = $2 AND p.name = $3
+    `, [guildId, userId, name.trim(), shared]);
+
+    return result.rowCount > 0;
+
+  } catch (error) {
+    logger.error('플레이리스트 공유 설정 중 오류:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  savePlaylist,
+  findPlaylist,
+  listPlaylists,
+  deletePlaylist,
+  setPlaylistShared,
+  PLAYLIST_LIMITS
+};
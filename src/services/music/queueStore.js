@@ -0,0 +1,108 @@
+/**
+ * 음악 대기열 영속화 저장소
+ * 봇 재시작/배포/크래시 이후에도 대기열을 복구할 수 있도록 PostgreSQL에 저장
+ */
+
+const db = require('../database');
+const logger = require('../../utils/logger');
+
+/**
+ * 길드 대기열 상태 저장 (upsert)
+ * @param {string} guildId - 길드 ID
+ * @param {Object} state - 저장할 상태
+ * @param {Array} state.queue - 대기열 (0번 = 현재 트랙)
+ * @param {string} state.repeatMode - 반복 모드
+ * @param {number} state.volume - 볼륨 (0-1)
+ * @param {string|null} state.voiceChannelId - 마지막 음성 채널 ID
+ * @param {string|null} state.textChannelId - 마지막 텍스트 채널 ID
+ * @returns {Promise<boolean>} 저장 성공 여부
+ */
+async function saveQueueState(guildId, state) {
+  try {
+    await db.query(`
+      INSERT INTO music_queue_state
+      (guild_id, queue, repeat_mode, volume, voice_channel_id, text_channel_id, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (guild_id) DO UPDATE SET
+        queue = EXCLUDED.queue,
+        repeat_mode = EXCLUDED.repeat_mode,
+        volume = EXCLUDED.volume,
+        voice_channel_id = COALESCE(EXCLUDED.voice_channel_id, music_queue_state.voice_channel_id),
+        text_channel_id = COALESCE(EXCLUDED.text_channel_id, music_queue_state.text_channel_id),
+        updated_at = NOW()
+    `, [
+      guildId,
+      JSON.stringify(state.queue || []),
+      state.repeatMode || 'off',
+      state.volume ?? 0.5,
+      state.voiceChannelId || null,
+      state.textChannelId || null
+    ]);
+
+    return true;
+
+  } catch (error) {
+    logger.error('대기열 상태 저장 중 오류:', error);
+    return false;
+  }
+}
+
+/**
+ * 저장된 모든 길드의 대기열 상태 조회
+ * @returns {Promise<Array>} 길드별 대기열 상태 목록
+ */
+async function loadQueueStates() {
+  try {
+    const result = await db.query(`
+      SELECT guild_id, queue, repeat_mode, volume, voice_channel_id, text_channel_id, updated_at
+      FROM music_queue_state
+      WHERE jsonb_array_length(queue) > 0
+      ORDER BY updated_at DESC
+    `);
+
+    return result.rows.map(row => ({
+      guildId: row.guild_id,
+      queue: (row.queue || []).map(deserializeTrack),
+      repeatMode: row.repeat_mode || 'off',
+      volume: parseFloat(row.volume) || 0.5,
+      voiceChannelId: row.voice_channel_id,
+      textChannelId: row.text_channel_id,
+      updatedAt: row.updated_at
+    }));
+
+  } catch (error) {
+    logger.error('대기열 상태 조회 중 오류:', error);
+    return [];
+  }
+}
+
+/**
+ * 길드 대기열 상태 삭제
+ * @param {string} guildId - 길드 ID
+ */
+async function deleteQueueState(guildId) {
+  try {
+    await db.query('DELETE FROM music_queue_state WHERE guild_id = $1', [guildId]);
+  } catch (error) {
+    logger.error('대기열 상태 삭제 중 오류:', error);
+  }
+}
+
+/**
+ * JSON으로 복원된 트랙 객체 정규화
+ * @param {Object} track - 저장된 트랙
+ * @returns {Object} 트랙 객체
+ */
+function deserializeTrack(track) {
+  return {
+    ...track,
+    addedAt: track.addedAt ? new Date(track.addedAt) : new Date(),
+    requestedBy: track.requestedBy || { id: null, tag: '알 수 없음', rank: 9999 }
+  };
+}
+
+module.exports = {
+  saveQueueState,
+  loadQueueStates,
+  deleteQueueState
+};
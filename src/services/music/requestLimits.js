@@ -0,0 +1,147 @@
+/**
+ * 순위 등급별 곡 요청 제한
+ * 요청자 순위 등급(상위 3위/상위 10위/순위권/순위 없음)마다 최대 곡 길이, 최대 대기 곡 수,
+ * 시간당 요청 곡 수를 제한. 관리자와 DJ 역할은 제한 없음
+ */
+
+const db = require('../database');
+const musicSettings = require('./settings');
+const permissions = require('./permissions');
+const fairQueue = require('./fairQueue');
+const logger = require('../../utils/logger');
+
+const UNRANKED_RANK = 9999; // getUserRank의 순위 없음 기본값
+
+const TIER_LABELS = {
+  top3: '상위 3위',
+  top10: '상위 10위',
+  ranked: '순위권',
+  unranked: '순위 없음'
+};
+
+/**
+ * 순위에 해당하는 등급 조회
+ * @param {number} rank - 요청자 순위
+ * @param {Object} tiers - 등급별 제한 (requestLimits.tiers)
+ * @returns {Object} { id, label, maxRank, maxDuration, maxQueued, maxPerHour }
+ */
+function getTier(rank, tiers) {
+  if (!rank || rank >= UNRANKED_RANK) {
+    return { id: 'unranked', label: TIER_LABELS.unranked, ...tiers.unranked };
+  }
+
+  const id = ['top3', 'top10'].find(candidate => rank <= tiers[candidate].maxRank) || 'ranked';
+  return { id, label: TIER_LABELS[id], ...tiers[id] };
+}
+
+/**
+ * 최근 1시간 동안 요청한 곡 수 (재생목록은 추가된 곡 수만큼 계산)
+ * @param {string} guildId - 길드 ID
+ * @param {string} requesterId - 요청자 Discord ID
+ * @returns {Promise<Object>} { count, oldest } (oldest: 가장 오래된 요청 시각)
+ */
+async function getHourlyRequests(guildId, requesterId) {
+  try {
+    const result = await db.query(`
+      SELECT
+        COALESCE(SUM(COALESCE((a.details->>'added')::INTEGER, 1)), 0) AS count,
+        MIN(a.timestamp) AS oldest
+      FROM activities a
+      JOIN users u ON u.id = a.user_id
+      WHERE a.guild_id = $1
+        AND u.discord_id = $2
+        AND a.activity_type = 'music_queue'
+        AND a.timestamp > NOW() - INTERVAL '1 hour'
+    `, [guildId, requesterId]);
+
+    return {
+      count: parseInt(result.rows[0].count, 10) || 0,
+      oldest: result.rows[0].oldest
+    };
+  } catch (error) {
+    logger.error('시간당 요청 수 조회 중 오류:', error);
+    return { count: 0, oldest: null };
+  }
+}
+
+/**
+ * 요청 곡들에 등급별 제한 적용
+ * 길이 제한을 넘는 곡은 제외하고, 남은 대기/시간당 한도만큼만 허용
+ * @param {string} guildId - 길드 ID
+ * @param {Object} requestedBy - 요청자 정보
+ * @param {number} rank - 요청자 순위
+ * @param {Array<Object>} trackInfos - 요청 곡 정보 (duration: 초, 0은 라이브)
+ * @param {Array<Object>} upcoming - 현재 대기 중인 트랙 (현재 곡 제외)
+ * @returns {Promise<Object>} { allowed, tooLong, limited, tier, error }
+ *   allowed: 추가 가능한 곡, tooLong: 길이 초과로 제외된 곡 수, limited: 한도 초과로 제외된 곡 수,
+ *   error: 추가 가능한 곡이 없을 때 어떤 제한에 걸렸는지 설명하는 오류 결과
+ */
+async function applyRequestLimits(guildId, requestedBy, rank, trackInfos, upcoming) {
+  const unlimited = { allowed: trackInfos, tooLong: 0, limited: 0, tier: null, error: null };
+
+  const settings = await musicSettings.getMusicSettings(guildId);
+  if (!settings.requestLimits.enabled) {
+    return unlimited;
+  }
+
+  const [isAdmin, isDj] = await Promise.all([
+    permissions.isUserAdmin(guildId, requestedBy.id),
+    permissions.isUserDj(guildId, requestedBy.id, settings.permissions.djRoleId)
+  ]);
+  if (isAdmin || isDj) {
+    return unlimited;
+  }
+
+  const tier = getTier(rank, settings.requestLimits.tiers);
+  const musicPlayer = require('./index');
+
+  // 1. 곡 길이 (라이브 스트림은 길이 제한 없음)
+  const withinDuration = tier.maxDuration
+    ? trackInfos.filter(info => !info.duration || info.duration <= tier.maxDuration)
+    : trackInfos;
+
+  // 2. 대기 곡 수와 시간당 요청 수 한도
+  const queued = fairQueue.countRequesterTracks(upcoming, requestedBy.id);
+  const queueCapacity = tier.maxQueued ? Math.max(0, tier.maxQueued - queued) : Infinity;
+
+  const hourly = tier.maxPerHour ? await getHourlyRequests(guildId, requestedBy.id) : null;
+  const hourlyCapacity = tier.maxPerHour ? Math.max(0, tier.maxPerHour - hourly.count) : Infinity;
+
+  const allowed = withinDuration.slice(0, Math.min(queueCapacity, hourlyCapacity));
+  const result = {
+    allowed,
+    tooLong: trackInfos.length - withinDuration.length,
+    limited: withinDuration.length - allowed.length,
+    tier,
+    error: null
+  };
+
+  if (allowed.length > 0) {
+    return result;
+  }
+
+  let message;
+  if (withinDuration.length === 0) {
+    const longest = Math.max(...trackInfos.map(info => info.duration || 0));
+    message = `${tier.label} 등급은 ${musicPlayer.formatTime(tier.maxDuration)} 이하의 곡만 추가할 수 있습니다. (요청한 곡: ${musicPlayer.formatTime(longest)})`;
+  } else if (queueCapacity === 0) {
+    message = `${tier.label} 등급은 대기열에 최대 ${tier.maxQueued}곡까지 추가할 수 있습니다. (현재 대기 중: ${queued}곡)`;
+  } else {
+    const waitMinutes = hourly.oldest
+      ? Math.max(1, Math.ceil((new Date(hourly.oldest).getTime() + 60 * 60 * 1000 - Date.now()) / 60000))
+      : 60;
+    message = `${tier.label} 등급은 1시간에 최대 ${tier.maxPerHour}곡까지 요청할 수 있습니다. (${waitMinutes}분 후 다시 시도해주세요)`;
+  }
+
+  return {
+    ...result,
+    error: { status: 'error', message, code: 'REQUEST_LIMIT' }
+  };
+}
+
+module.exports = {
+  TIER_LABELS,
+  getTier,
+  getHourlyRequests,
+  applyRequestLimits
+};
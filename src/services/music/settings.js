@@ -0,0 +1,130 @@
+/**
+ * 길드별 음악 설정
+ * guilds.settings.music (JSONB)에 저장된 값을 환경 변수 기본값 위에 병합해 사용
+ */
+
+const db = require('../database');
+const logger = require('../../utils/logger');
+
+// 환경 변수 기반 기본 설정
+const DEFAULT_MUSIC_SETTINGS = {
+  voteSkip: {
+    enabled: process.env.MUSIC_VOTE_SKIP_ENABLED === 'true',              // 투표 건너뛰기 사용 여부
+    threshold: parseFloat(process.env.MUSIC_VOTE_SKIP_THRESHOLD) || 0.5,  // 필요 득표 비율 (0-1)
+    rankWeighted: process.env.MUSIC_VOTE_SKIP_RANK_WEIGHTED === 'true'    // 순위 가중치 적용 여부
+  },
+  autoplay: {
+    enabled: process.env.MUSIC_AUTOPLAY_ENABLED === 'true',                 // 대기열 소진 시 자동 재생
+    repeatWindow: parseInt(process.env.MUSIC_AUTOPLAY_REPEAT_WINDOW) || 20  // 최근 N곡 이내 곡 제외
+  },
+  fairQueue: {
+    enabled: process.env.MUSIC_FAIR_QUEUE_ENABLED === 'true',                  // 요청자별 라운드 로빈 사용 여부
+    maxTracksPerUser: parseInt(process.env.MUSIC_FAIR_QUEUE_MAX_PER_USER) || 0, // 1인 최대 대기 곡 수 (0은 제한 없음)
+    rankWeighted: process.env.MUSIC_FAIR_QUEUE_RANK_WEIGHTED === 'true',       // 순위 가중치 적용 여부
+    rankTiers: [                                                               // 순위 구간별 슬롯 가중치
+      { maxRank: 3, weight: 2 },
+      { maxRank: 10, weight: 1.5 }
+    ]
+  },
+  crossfade: {
+    duration: Math.min(12, parseInt(process.env.MUSIC_CROSSFADE_DURATION) || 0) // 곡 전환 크로스페이드 길이 (초, 0은 사용 안 함)
+  },
+  permissions: {
+    mode: process.env.MUSIC_PERMISSION_MODE === 'equal' ? 'equal' : 'rank',              // 'rank': 높은 순위가 낮은 순위 제어, 'equal': 모두 동등
+    rankSource: process.env.MUSIC_PERMISSION_RANK_SOURCE === 'lifetime' ? 'lifetime' : 'current', // 순위 기준 (현재 시즌/누적)
+    djRoleId: null,        // 순위와 관계없이 모든 음악을 제어하는 역할
+    minRankToQueue: 0,     // 곡 추가 가능 최소 순위 (0은 제한 없음)
+    minRankToControl: 0    // 다른 사람의 음악을 제어할 수 있는 최소 순위 (0은 제한 없음)
+  },
+  requestLimits: {
+    enabled: process.env.MUSIC_REQUEST_LIMITS_ENABLED === 'true', // 순위 등급별 요청 제한 사용 여부
+    tiers: {                                                      // 등급별 제한 (0은 제한 없음, 길이는 초)
+      top3: { maxRank: 3, maxDuration: 0, maxQueued: 0, maxPerHour: 0 },
+      top10: { maxRank: 10, maxDuration: 3600, maxQueued: 10, maxPerHour: 30 },
+      ranked: { maxDuration: 1200, maxQueued: 5, maxPerHour: 15 },
+      unranked: { maxDuration: 600, maxQueued: 2, maxPerHour: 5 }
+    }
+  }
+};
+
+/**
+ * 길드 음악 설정 조회
+ * @param {string} guildId - 길드 ID
+ * @returns {Promise<Object>} 기본값이 병합된 음악 설정
+ */
+async function getMusicSettings(guildId) {
+  try {
+    const result = await db.query(
+      'SELECT settings FROM guilds WHERE guild_id = $1',
+      [guildId]
+    );
+
+    return mergeSettings(DEFAULT_MUSIC_SETTINGS, result.rows[0]?.settings?.music || {});
+
+  } catch (error) {
+    logger.error('음악 설정 조회 중 오류:', error);
+    return mergeSettings(DEFAULT_MUSIC_SETTINGS, {});
+  }
+}
+
+/**
+ * 길드 음악 설정의 특정 항목 갱신
+ * @param {string} guildId - 길드 ID
+ * @param {string} section - 설정 항목 (예: 'voteSkip')
+ * @param {Object} values - 변경할 값
+ * @returns {Promise<Object|null>} 갱신된 음악 설정, 실패 시 null
+ */
+async function updateMusicSettings(guildId, section, values) {
+  try {
+    const result = await db.query(
+      'SELECT settings FROM guilds WHERE guild_id = $1',
+      [guildId]
+    );
+
+    const stored = result.rows[0]?.settings?.music || {};
+    const updated = {
+      ...stored,
+      [section]: { ...(stored[section] || {}), ...values }
+    };
+
+    await db.query(
+      `UPDATE guilds
+       SET settings = jsonb_set(
+         COALESCE(settings, '{}'),
+         '{music}',
+         $2
+       ),
+       updated_at = NOW()
+       WHERE guild_id = $1`,
+      [guildId, JSON.stringify(updated)]
+    );
+
+    logger.info(`음악 설정 변경 (길드: ${guildId}, 항목: ${section}):`, values);
+
+    return mergeSettings(DEFAULT_MUSIC_SETTINGS, updated);
+
+  } catch (error) {
+    logger.error('음악 설정 갱신 중 오류:', error);
+    return null;
+  }
+}
+
+/**
+ * 항목 단위로 기본값과 저장값 병합
+ * @param {Object} defaults - 기본 설정
+ * @param {Object} stored - 저장된 설정
+ * @returns {Object} 병합된 설정
+ */
+function mergeSettings(defaults, stored) {
+  const merged = {};
+  for (const [section, values] of Object.entries(defaults)) {
+    merged[section] = { ...values, ...(stored[section] || {}) };
+  }
+  return merged;
+}
+
+module.exports = {
+  getMusicSettings,
+  updateMusicSettings,
+  DEFAULT_MUSIC_SETTINGS
+};
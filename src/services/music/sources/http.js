@@ -0,0 +1,212 @@
+/**
+ * HTTP 오디오 URL 소스 제공자
+ * 직접 링크된 오디오 파일이나 인터넷 라디오 스트림을 FFmpeg로 재생
+ * 봇이 실행되는 호스트의 내부망(공유기 관리 페이지, 로컬 서비스 등)에 접근하지 못하도록
+ * 루프백/사설/링크 로컬 주소로 연결되는 URL은 거부
+ */
+
+const path = require('path');
+const dns = require('dns').promises;
+const net = require('net');
+const youtubeAPI = require('../youtube-api');
+const { probeMedia } = require('./probe');
+const logger = require('../../../utils/logger');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_CHECK_TIMEOUT = 10000; // 리다이렉트 확인 타임아웃 (ms)
+
+// 공인 인터넷이 아닌 주소 대역
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],       // 현재 네트워크
+  ['10.0.0.0', 8],      // 사설
+  ['100.64.0.0', 10],   // CGNAT
+  ['127.0.0.0', 8],     // 루프백
+  ['169.254.0.0', 16],  // 링크 로컬 (클라우드 메타데이터 포함)
+  ['172.16.0.0', 12],   // 사설
+  ['192.0.0.0', 24],    // IETF 예약
+  ['192.168.0.0', 16],  // 사설
+  ['198.18.0.0', 15],   // 벤치마크
+  ['224.0.0.0', 4],     // 멀티캐스트
+  ['240.0.0.0', 4]      // 예약 + 브로드캐스트
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],          // 지정되지 않은 주소
+  ['::1', 128],         // 루프백
+  ['fc00::', 7],        // 고유 로컬
+  ['fe80::', 10],       // 링크 로컬
+  ['ff00::', 8]         // 멀티캐스트
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// 끊긴 HTTP 스트림 재연결 옵션 (FFmpeg 입력 옵션)
+const RECONNECT_OPTIONS = [
+  '-reconnect', '1',
+  '-reconnect_streamed', '1',
+  '-reconnect_delay_max', '5'
+];
+
+/**
+ * URL에서 표시용 파일 이름 추출
+ * @param {string} url - 오디오 URL
+ * @returns {string} 파일 이름 또는 호스트 이름
+ */
+function titleFromUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const fileName = decodeURIComponent(path.basename(parsed.pathname));
+    return fileName || parsed.hostname;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * 내부망 주소 여부
+ * @param {string} address - IP 주소
+ * @returns {boolean} 차단 대상 여부
+ */
+function isBlockedAddress(address) {
+  // IPv4 매핑 IPv6 주소 (::ffff:127.0.0.1)는 BlockList가 IPv4 대역으로 판별
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  return BLOCKED_ADDRESSES.check(address, family);
+}
+
+/**
+ * URL의 호스트가 공인 주소로만 연결되는지 확인
+ * @param {string} url - 오디오 URL
+ * @returns {Promise<boolean>} 허용 여부
+ */
+async function isPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    return !isBlockedAddress(hostname);
+  }
+
+  try {
+    const addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !isBlockedAddress(address));
+  } catch (error) {
+    logger.warn(`HTTP 소스 호스트 조회 실패: ${hostname} (${error.code || error.message})`);
+    return false;
+  }
+}
+
+/**
+ * 리다이렉트를 따라가며 모든 경유지가 공인 주소인지 확인
+ * FFmpeg는 리다이렉트를 자동으로 따라가므로 최종 URL을 미리 구해 그 주소로 재생
+ * @param {string} url - 오디오 URL
+ * @returns {Promise<string|null>} 최종 URL, 내부망 주소를 거치면 null
+ */
+async function resolvePublicUrl(url) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!/^https?:$/i.test(new URL(current).protocol) || !await isPublicUrl(current)) {
+      logger.warn(`내부망 주소로 연결되는 HTTP 소스 거부: ${current}`);
+      return null;
+    }
+
+    let response;
+    try {
+      response = await fetch(current, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REDIRECT_CHECK_TIMEOUT)
+      });
+    } catch (error) {
+      logger.warn(`HTTP 소스 연결 실패: ${current} (${error.message})`);
+      return null;
+    }
+
+    // 라디오 스트림은 끝나지 않으므로 본문은 읽지 않음
+    await response.body?.cancel().catch(() => {});
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return current;
+    }
+
+    current = new URL(location, current).href;
+  }
+
+  logger.warn(`HTTP 소스 리다이렉트 횟수 초과: ${url}`);
+  return null;
+}
+
+module.exports = {
+  name: 'http',
+
+  /**
+   * 처리 가능 여부 (YouTube가 아닌 http/https URL)
+   * @param {string} query - URL 또는 검색어
+   * @returns {boolean} 처리 가능 여부
+   */
+  canHandle(query) {
+    const trimmed = query.trim();
+    if (!/^https?:\/\/\S+$/i.test(trimmed)) {
+      return false;
+    }
+
+    return !youtubeAPI.extractVideoId(trimmed) && !/(^|\.)youtube\.com$|^youtu\.be$/i.test(new URL(trimmed).hostname);
+  },
+
+  /**
+   * URL의 오디오 메타데이터 조회
+   * @param {string} query - 오디오 URL
+   * @returns {Promise<Object|null>} 트랙 정보 (오디오가 아니면 null)
+   */
+  async resolve(query) {
+    const url = await resolvePublicUrl(query.trim());
+    if (!url) {
+      return null;
+    }
+
+    const metadata = await probeMedia(url);
+    if (!metadata) {
+      return null;
+    }
+
+    const tags = metadata.tags;
+    const title = tags.artist && tags.title
+      ? `${tags.artist} - ${tags.title}`
+      : (tags.title || tags['icy-name'] || titleFromUrl(url));
+
+    return {
+      title,
+      url,
+      duration: metadata.duration, // 라디오 스트림은 0
+      thumbnail: null,
+      channelTitle: new URL(url).hostname,
+      source: 'http'
+    };
+  },
+
+  /**
+   * HTTP URL은 검색을 지원하지 않음
+   * @returns {Promise<Array>} 빈 목록
+   */
+  async search() {
+    return [];
+  },
+
+  /**
+   * URL을 FFmpeg 입력으로 제공
+   * @param {Object} track - 트랙
+   * @returns {Promise<Object>} { input, inputOptions }
+   */
+  async createInput(track) {
+    // 저장된 대기열에서 복구된 트랙이나 DNS 변경에 대비해 재생 직전에도 확인
+    if (!await isPublicUrl(track.url)) {
+      throw new Error(`내부망 주소로 연결되는 HTTP 소스는 재생할 수 없습니다: ${track.url}`);
+    }
+
+    return {
+      input: track.url,
+      inputOptions: RECONNECT_OPTIONS
+    };
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * 음악 소스 제공자 레지스트리
+ * 각 제공자는 { name, canHandle, resolve, search, createInput } 형태
+ * - resolve: URL/검색어 → 트랙 정보 (source 필드 포함)
+ * - search: 검색어 → 트랙 정보 목록
+ * - createInput: 트랙 → FFmpeg 입력 ({ input, process?, processName?, inputOptions? })
+ */
+
+const youtube = require('./youtube');
+const local = require('./local');
+const http = require('./http');
+const logger = require('../../../utils/logger');
+
+// 검색어 판별 순서 (명시적 접두사/URL 우선, YouTube는 검색어 기본 제공자)
+const PROVIDERS = [local, http, youtube];
+
+/**
+ * 이름으로 제공자 조회 (저장된 트랙에 source가 없으면 YouTube)
+ * @param {string} name - 제공자 이름
+ * @returns {Object} 제공자
+ */
+function getProvider(name) {
+  return PROVIDERS.find(provider => provider.name === name) || youtube;
+}
+
+/**
+ * 검색어/URL을 처리할 제공자 선택
+ * @param {string} query - URL 또는 검색어
+ * @returns {Object} 제공자
+ */
+function findProvider(query) {
+  return PROVIDERS.find(provider => provider.canHandle(query)) || youtube;
+}
+
+/**
+ * 검색어/URL로 트랙 정보 조회
+ * @param {string} query - URL 또는 검색어
+ * @returns {Promise<Object|null>} 트랙 정보
+ */
+async function resolve(query) {
+  const provider = findProvider(query);
+
+  try {
+    return await provider.resolve(query);
+  } catch (error) {
+    logger.error(`트랙 정보 조회 실패 (소스: ${provider.name}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 제공자별 검색
+ * @param {string} query - 검색어
+ * @param {Object} options - 검색 옵션
+ * @param {string} options.source - 제공자 이름 (기본: 검색어로 판별)
+ * @param {number} options.limit - 최대 결과 수
+ * @returns {Promise<Array>} 트랙 정보 목록
+ */
+async function search(query, options = {}) {
+  const provider = options.source ? getProvider(options.source) : findProvider(query);
+
+  try {
+    return await provider.search(query, options.limit || 5);
+  } catch (error) {
+    logger.error(`검색 실패 (소스: ${provider.name}):`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  getProvider,
+  findProvider,
+  resolve,
+  search,
+  youtube,
+  local,
+  http
+};
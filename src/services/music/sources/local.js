@@ -0,0 +1,210 @@
+/**
+ * 로컬 미디어 라이브러리 소스 제공자
+ * MUSIC_LIBRARY_DIR 아래의 mp3/flac/ogg 파일을 태그 메타데이터로 검색해 재생
+ * 트랙 URL 형식: local:<라이브러리 기준 상대 경로>
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { probeMedia } = require('./probe');
+const logger = require('../../../utils/logger');
+
+const LIBRARY_DIR = process.env.MUSIC_LIBRARY_DIR ? path.resolve(process.env.MUSIC_LIBRARY_DIR) : null;
+const SUPPORTED_EXTENSIONS = ['.mp3', '.flac', '.ogg'];
+const URL_PREFIX = 'local:';
+const INDEX_TTL = 10 * 60 * 1000; // 10분마다 변경된 파일 다시 색인
+
+// 라이브러리 색인 (상대 경로 -> { mtimeMs, trackInfo })
+const libraryIndex = new Map();
+let lastIndexedAt = 0;
+let indexing = null;
+
+/**
+ * 라이브러리 디렉터리의 지원 파일 목록 (재귀)
+ * @param {string} dir - 탐색할 디렉터리
+ * @returns {Promise<Array<string>>} 절대 경로 목록
+ */
+async function listAudioFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listAudioFiles(fullPath));
+    } else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * 파일 태그로 트랙 정보 생성
+ * @param {string} relativePath - 라이브러리 기준 상대 경로
+ * @returns {Promise<Object>} 트랙 정보
+ */
+async function buildTrackInfo(relativePath) {
+  const metadata = await probeMedia(path.join(LIBRARY_DIR, relativePath));
+  const tags = metadata?.tags || {};
+  const fallbackTitle = path.basename(relativePath, path.extname(relativePath));
+
+  return {
+    title: tags.artist && tags.title ? `${tags.artist} - ${tags.title}` : (tags.title || fallbackTitle),
+    url: `${URL_PREFIX}${relativePath}`,
+    duration: metadata?.duration || 0,
+    thumbnail: null,
+    channelTitle: tags.album || tags.artist || '로컬 라이브러리',
+    source: 'local',
+    // 검색용 텍스트 (태그 + 파일 경로)
+    searchText: [tags.artist, tags.title, tags.album, relativePath].filter(Boolean).join(' ').toLowerCase()
+  };
+}
+
+/**
+ * 라이브러리 색인 갱신 (새 파일/변경된 파일만 태그 재조회)
+ * @returns {Promise<void>}
+ */
+async function refreshIndex() {
+  if (!LIBRARY_DIR) return;
+  if (Date.now() - lastIndexedAt < INDEX_TTL) return;
+
+  // 동시에 여러 요청이 들어와도 색인은 한 번만 수행
+  if (!indexing) {
+    indexing = (async () => {
+      const files = await listAudioFiles(LIBRARY_DIR);
+      const seen = new Set();
+
+      for (const file of files) {
+        const relativePath = path.relative(LIBRARY_DIR, file);
+        const stat = await fs.stat(file);
+        seen.add(relativePath);
+
+        const cached = libraryIndex.get(relativePath);
+        if (!cached || cached.mtimeMs !== stat.mtimeMs) {
+          libraryIndex.set(relativePath, {
+            mtimeMs: stat.mtimeMs,
+            trackInfo: await buildTrackInfo(relativePath)
+          });
+        }
+      }
+
+      for (const relativePath of libraryIndex.keys()) {
+        if (!seen.has(relativePath)) {
+          libraryIndex.delete(relativePath);
+        }
+      }
+
+      lastIndexedAt = Date.now();
+      logger.info(`로컬 음악 라이브러리 색인 완료: ${libraryIndex.size}곡 (${LIBRARY_DIR})`);
+    })().finally(() => {
+      indexing = null;
+    });
+  }
+
+  await indexing;
+}
+
+/**
+ * 라이브러리 기준 상대 경로를 안전한 절대 경로로 변환
+ * @param {string} relativePath - 상대 경로
+ * @returns {string|null} 절대 경로 (라이브러리 밖이면 null)
+ */
+function resolveLibraryPath(relativePath) {
+  if (!LIBRARY_DIR) return null;
+
+  const absolutePath = path.resolve(LIBRARY_DIR, relativePath);
+  if (!absolutePath.startsWith(LIBRARY_DIR + path.sep)) {
+    return null;
+  }
+
+  return absolutePath;
+}
+
+/**
+ * 검색용 필드를 제외한 트랙 정보
+ * @param {Object} trackInfo - 색인된 트랙 정보
+ * @returns {Object} 트랙 정보
+ */
+function publicTrackInfo(trackInfo) {
+  const { searchText, ...info } = trackInfo;
+  return info;
+}
+
+module.exports = {
+  name: 'local',
+
+  /**
+   * 처리 가능 여부 (local: 접두사)
+   * @param {string} query - URL 또는 검색어
+   * @returns {boolean} 처리 가능 여부
+   */
+  canHandle(query) {
+    return query.trim().toLowerCase().startsWith(URL_PREFIX);
+  },
+
+  /**
+   * 파일 경로 또는 검색어로 트랙 정보 조회
+   * @param {string} query - local:<경로> 또는 local:<검색어>
+   * @returns {Promise<Object|null>} 트랙 정보
+   */
+  async resolve(query) {
+    if (!LIBRARY_DIR) {
+      throw new Error('로컬 음악 라이브러리가 설정되지 않았습니다 (MUSIC_LIBRARY_DIR)');
+    }
+
+    const term = query.trim().slice(URL_PREFIX.length).trim();
+
+    // 정확한 파일 경로인 경우
+    const absolutePath = resolveLibraryPath(term);
+    if (absolutePath && SUPPORTED_EXTENSIONS.includes(path.extname(term).toLowerCase())) {
+      const exists = await fs.access(absolutePath).then(() => true).catch(() => false);
+      if (exists) {
+        return publicTrackInfo(await buildTrackInfo(path.relative(LIBRARY_DIR, absolutePath)));
+      }
+    }
+
+    const [first] = await this.search(term, 1);
+    return first || null;
+  },
+
+  /**
+   * 라이브러리 검색 (모든 검색어 단어가 태그 또는 경로에 포함된 곡)
+   * @param {string} query - 검색어
+   * @param {number} limit - 최대 결과 수
+   * @returns {Promise<Array>} 트랙 정보 목록
+   */
+  async search(query, limit = 5) {
+    if (!LIBRARY_DIR) return [];
+
+    await refreshIndex();
+
+    const terms = query.replace(/^local:/i, '').toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+
+    for (const { trackInfo } of libraryIndex.values()) {
+      if (terms.every(term => trackInfo.searchText.includes(term))) {
+        results.push(publicTrackInfo(trackInfo));
+        if (results.length >= limit) break;
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * 파일 경로를 FFmpeg 입력으로 제공
+   * @param {Object} track - 트랙
+   * @returns {Promise<Object>} { input }
+   */
+  async createInput(track) {
+    const absolutePath = resolveLibraryPath(track.url.slice(URL_PREFIX.length));
+    if (!absolutePath) {
+      throw new Error(`라이브러리 밖의 파일은 재생할 수 없습니다: ${track.url}`);
+    }
+
+    await fs.access(absolutePath);
+    return { input: absolutePath };
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * ffprobe 기반 미디어 메타데이터 조회
+ * 로컬 파일과 HTTP 오디오 URL의 길이/태그 정보를 읽는 데 사용
+ */
+
+const { spawn } = require('child_process');
+const logger = require('../../../utils/logger');
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const PROBE_TIMEOUT = 15000; // 15초
+
+/**
+ * 미디어 길이와 태그 조회
+ * @param {string} target - 파일 경로 또는 URL
+ * @param {number} timeoutMs - 타임아웃 (ms)
+ * @returns {Promise<Object|null>} { duration, tags } 또는 실패 시 null
+ */
+function probeMedia(target, timeoutMs = PROBE_TIMEOUT) {
+  return new Promise((resolve) => {
+    const probe = spawn(FFPROBE_PATH, [
+      '-v', 'error',
+      '-show_entries', 'format=duration:format_tags',
+      '-of', 'json',
+      target
+    ], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const timer = setTimeout(() => {
+      logger.warn(`ffprobe 타임아웃: ${target}`);
+      probe.kill('SIGKILL');
+    }, timeoutMs);
+
+    probe.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    probe.on('error', (error) => {
+      clearTimeout(timer);
+      logger.warn('ffprobe 실행 실패:', error.message);
+      resolve(null);
+    });
+
+    probe.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        const format = JSON.parse(output).format || {};
+        // 태그 키는 포맷마다 대소문자가 달라 소문자로 통일
+        const tags = {};
+        for (const [key, value] of Object.entries(format.tags || {})) {
+          tags[key.toLowerCase()] = value;
+        }
+
+        resolve({
+          duration: Math.round(parseFloat(format.duration)) || 0,
+          tags
+        });
+      } catch (parseError) {
+        logger.warn('ffprobe 출력 파싱 실패:', parseError.message);
+        resolve(null);
+      }
+    });
+  });
+}
+
+module.exports = {
+  probeMedia
+};
@@ -0,0 +1,105 @@
+/**
+ * YouTube 소스 제공자
+ * YouTube Data API로 메타데이터를 조회하고 yt-dlp로 오디오를 스트리밍
+ */
+
+const { spawn } = require('child_process');
+const youtubeAPI = require('../youtube-api');
+const logger = require('../../../utils/logger');
+
+const YTDLP_PATH = process.env.YTDLP_PATH || '/usr/local/bin/yt-dlp';
+
+/**
+ * YouTube 비디오 정보를 트랙 정보로 변환
+ * @param {Object} videoInfo - YouTube API 비디오 정보
+ * @returns {Object} 트랙 정보
+ */
+function toTrackInfo(videoInfo) {
+  return {
+    title: videoInfo.title,
+    url: videoInfo.url,
+    duration: videoInfo.durationSeconds,
+    thumbnail: videoInfo.thumbnails?.medium?.url || videoInfo.thumbnails?.default?.url,
+    channelTitle: videoInfo.channelTitle,
+    publishedAt: videoInfo.publishedAt,
+    source: 'youtube'
+  };
+}
+
+module.exports = {
+  name: 'youtube',
+
+  /**
+   * 처리 가능 여부 (다른 제공자가 처리하지 않는 모든 검색어의 기본 제공자)
+   * @returns {boolean} 항상 true
+   */
+  canHandle() {
+    return true;
+  },
+
+  /**
+   * URL 또는 검색어로 트랙 정보 조회
+   * @param {string} query - YouTube URL 또는 검색어
+   * @returns {Promise<Object|null>} 트랙 정보
+   */
+  async resolve(query) {
+    const videoInfo = await youtubeAPI.getVideoFromQuery(query);
+    return toTrackInfo(videoInfo);
+  },
+
+  /**
+   * 검색
+   * @param {string} query - 검색어
+   * @param {number} limit - 최대 결과 수
+   * @returns {Promise<Array>} 트랙 정보 목록
+   */
+  async search(query, limit = 5) {
+    const results = await youtubeAPI.searchVideos(query, limit);
+    // 검색 결과에는 재생 시간이 없으므로 상세 정보를 한번에 조회
+    const videos = await youtubeAPI.getVideosInfo(results.map(result => result.id));
+    return videos.map(toTrackInfo);
+  },
+
+  /**
+   * yt-dlp 프로세스를 생성해 FFmpeg 입력으로 제공
+   * @param {Object} track - 트랙
+   * @returns {Promise<Object>} { input, process, processName }
+   */
+  async createInput(track) {
+    // YouTube API로 비디오 정보 확인
+    let verifiedUrl = track.url;
+    try {
+      const videoInfo = await youtubeAPI.getVideoFromQuery(track.url);
+      logger.info(`✅ YouTube API 확인: ${videoInfo.title} (${youtubeAPI.formatDuration(videoInfo.durationSeconds)})`);
+      verifiedUrl = videoInfo.url;
+    } catch (apiError) {
+      logger.warn('YouTube API 실패, 원본 URL 사용:', apiError.message);
+    }
+
+    // yt-dlp 프로세스 (오디오 URL 추출 및 스트림)
+    const ytdlpProcess = spawn(YTDLP_PATH, [
+      verifiedUrl,
+      '--format', 'bestaudio[ext=webm]/bestaudio/best',
+      '--no-playlist',
+      '--quiet',
+      '--no-warnings',
+      '--buffer-size', '16384',
+      '--http-chunk-size', '524288',
+      '--retries', '5',
+      '--fragment-retries', '5',
+      '--ignore-errors',
+      '--no-abort-on-error',
+      '--output', '-'  // stdout으로 출력
+    ], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    return {
+      input: 'pipe:0',
+      process: ytdlpProcess,
+      processName: 'yt-dlp'
+    };
+  },
+
+  toTrackInfo
+};
@@ -0,0 +1,270 @@
+/**
+ * 음악 재생 통계
+ * music_logs의 재생 시작(play_start), 건너뛰기(play_skip), 중지(play_stop) 기록을 기간별로 집계
+ * 건너뛴 곡은 건너뛴 위치까지만 재생 시간으로 계산
+ */
+
+const db = require('../database');
+const dbUtils = require('../database/utils');
+const { getCurrentSeason } = require('../season');
+const guildTimezone = require('../guild/timezone');
+const logger = require('../../utils/logger');
+
+// 통계 기간
+const STATS_PERIODS = {
+  day: { label: '최근 24시간', days: 1 },
+  week: { label: '최근 7일', days: 7 },
+  season: { label: '현재 시즌' },
+  all: { label: '전체 기간' }
+};
+
+const TOP_LIMIT = 5;
+
+/**
+ * 기간 시작 시점 계산
+ * @param {string} period - 기간 (day, week, season, all)
+ * @returns {Object} { since: Date|null, error?: Object }
+ */
+function getPeriodStart(period) {
+  if (period === 'season') {
+    const season = getCurrentSeason();
+    if (!season) {
+      return {
+        since: null,
+        error: { status: 'error', message: '진행 중인 시즌이 없습니다.', code: 'NO_ACTIVE_SEASON' }
+      };
+    }
+    return { since: new Date(season.start_date) };
+  }
+
+  const days = STATS_PERIODS[period]?.days;
+  return { since: days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null };
+}
+
+/**
+ * 건너뛰기/중지 시점을 반영한 재생 기록 CTE
+ * 재생 시작 기록별로 같은 트랙의 다음 건너뛰기/중지 위치를 찾아 실제 재생 시간을 계산
+ * 파라미터: $1 길드 ID, $2 시작 시점 (null이면 전체)
+ */
+const PLAYS_CTE = `
+  WITH plays AS (
+    SELECT
+      s.track_url,
+      s.track_title,
+      s.requester_id,
+      s.timestamp,
+      e.action_type AS end_action,
+      e.controller_id AS ended_by,
+      COALESCE((e.details->>'position')::INTEGER, s.track_duration, 0) AS listened
+    FROM music_logs s
+    LEFT JOIN LATERAL (
+      SELECT action_type, controller_id, details
+      FROM music_logs e
+      WHERE e.guild_id = s.guild_id
+        AND e.track_url = s.track_url
+        AND e.action_type IN ('play_skip', 'play_stop')
+        AND e.timestamp >= s.timestamp
+        AND e.timestamp < s.timestamp + make_interval(secs => COALESCE(s.track_duration, 0) + 60)
+      ORDER BY e.timestamp
+      LIMIT 1
+    ) e ON TRUE
+    WHERE s.guild_id = $1
+      AND s.action_type = 'play_start'
+      AND ($2::TIMESTAMPTZ IS NULL OR s.timestamp >= $2)
+  )
+`;
+
+/**
+ * 길드 음악 통계 조회
+ * @param {string} guildId - 길드 ID
+ * @param {string} period - 기간 (day, week, season, all)
+ * @returns {Promise<Object>} 통계 결과
+ */
+async function getGuildStats(guildId, period = 'week') {
+  const { since, error } = getPeriodStart(period);
+  if (error) {
+    return error;
+  }
+
+  try {
+    const params = [guildId, since];
+    const timeZone = await guildTimezone.getGuildTimezone(guildId); // 시간대별 집계 기준
+
+    const [totals, topTracks, topRequesters, mostSkipped, busiestHours] = await Promise.all([
+      db.query(`${PLAYS_CTE}
+        SELECT
+          COUNT(*) AS plays,
+          COUNT(DISTINCT track_url) AS unique_tracks,
+          COUNT(DISTINCT requester_id) AS requesters,
+          COUNT(*) FILTER (WHERE end_action = 'play_skip') AS skips,
+          COALESCE(SUM(listened), 0) AS listened
+        FROM plays
+      `, params),
+
+      db.query(`${PLAYS_CTE}
+        SELECT track_url, MAX(track_title) AS title, COUNT(*) AS plays
+        FROM plays
+        GROUP BY track_url
+        ORDER BY plays DESC, MAX(timestamp) DESC
+        LIMIT $3
+      `, [...params, TOP_LIMIT]),
+
+      db.query(`${PLAYS_CTE}
+        SELECT
+          COALESCE(u.display_name, u.username) AS name,
+          u.discord_id,
+          COUNT(*) AS plays,
+          COUNT(*) FILTER (WHERE p.end_action = 'play_skip') AS skips,
+          COALESCE(SUM(p.listened), 0) AS listened
+        FROM plays p
+        JOIN users u ON u.id = p.requester_id
+        GROUP BY u.id
+        ORDER BY plays DESC
+        LIMIT $3
+      `, [...params, TOP_LIMIT]),
+
+      db.query(`${PLAYS_CTE}
+        SELECT
+          track_url,
+          MAX(track_title) AS title,
+          COUNT(*) FILTER (WHERE end_action = 'play_skip') AS skips,
+          COUNT(*) AS plays
+        FROM plays
+        GROUP BY track_url
+        HAVING COUNT(*) FILTER (WHERE end_action = 'play_skip') > 0
+        ORDER BY skips DESC, plays DESC
+        LIMIT $3
+      `, [...params, TOP_LIMIT]),
+
+      db.query(`${PLAYS_CTE}
+        SELECT EXTRACT(HOUR FROM timestamp AT TIME ZONE $3)::INTEGER AS hour, COUNT(*) AS plays
+        FROM plays
+        GROUP BY hour
+        ORDER BY plays DESC, hour
+        LIMIT 3
+      `, [...params, timeZone])
+    ]);
+
+    const toNumber = value => parseInt(value, 10) || 0;
+    const row = totals.rows[0];
+
+    return {
+      status: 'success',
+      period,
+      periodLabel: STATS_PERIODS[period].label,
+      since,
+      totals: {
+        plays: toNumber(row.plays),
+        uniqueTracks: toNumber(row.unique_tracks),
+        requesters: toNumber(row.requesters),
+        skips: toNumber(row.skips),
+        listened: toNumber(row.listened)
+      },
+      topTracks: topTracks.rows.map(track => ({
+        title: track.title,
+        url: track.track_url,
+        plays: toNumber(track.plays)
+      })),
+      topRequesters: topRequesters.rows.map(requester => ({
+        name: requester.name,
+        discordId: requester.discord_id,
+        plays: toNumber(requester.plays),
+        skips: toNumber(requester.skips),
+        skipRate: toNumber(requester.skips) / toNumber(requester.plays),
+        listened: toNumber(requester.listened)
+      })),
+      mostSkipped: mostSkipped.rows.map(track => ({
+        title: track.title,
+        url: track.track_url,
+        skips: toNumber(track.skips),
+        plays: toNumber(track.plays)
+      })),
+      busiestHours: busiestHours.rows.map(hour => ({
+        hour: hour.hour,
+        plays: toNumber(hour.plays)
+      }))
+    };
+  } catch (error) {
+    logger.error('음악 통계 조회 중 오류:', error);
+    return {
+      status: 'error',
+      message: '음악 통계를 불러오는 중 오류가 발생했습니다.',
+      code: 'STATS_ERROR'
+    };
+  }
+}
+
+/**
+ * 사용자 개인 음악 통계 조회
+ * @param {string} guildId - 길드 ID
+ * @param {string} discordId - 사용자 Discord ID
+ * @param {string} period - 기간 (day, week, season, all)
+ * @returns {Promise<Object>} 통계 결과
+ */
+async function getUserStats(guildId, discordId, period = 'week') {
+  const { since, error } = getPeriodStart(period);
+  if (error) {
+    return error;
+  }
+
+  try {
+    const userId = await dbUtils.getUserIdByDiscordId(discordId, guildId);
+    if (!userId) {
+      return { status: 'success', period, plays: 0, skipped: 0, skipRate: 0, listened: 0, skipsMade: 0, favorite: null };
+    }
+
+    const params = [guildId, since, userId];
+
+    const [totals, favorite] = await Promise.all([
+      db.query(`${PLAYS_CTE}
+        SELECT
+          COUNT(*) FILTER (WHERE requester_id = $3) AS plays,
+          COUNT(*) FILTER (WHERE requester_id = $3 AND end_action = 'play_skip') AS skipped,
+          COALESCE(SUM(listened) FILTER (WHERE requester_id = $3), 0) AS listened,
+          COUNT(*) FILTER (WHERE ended_by = $3 AND end_action = 'play_skip') AS skips_made
+        FROM plays
+      `, params),
+
+      db.query(`${PLAYS_CTE}
+        SELECT MAX(track_title) AS title, track_url, COUNT(*) AS plays
+        FROM plays
+        WHERE requester_id = $3
+        GROUP BY track_url
+        ORDER BY plays DESC
+        LIMIT 1
+      `, params)
+    ]);
+
+    const toNumber = value => parseInt(value, 10) || 0;
+    const row = totals.rows[0];
+    const plays = toNumber(row.plays);
+    const skipped = toNumber(row.skipped);
+
+    return {
+      status: 'success',
+      period,
+      plays,
+      skipped,
+      skipRate: plays > 0 ? skipped / plays : 0,
+      listened: toNumber(row.listened),
+      skipsMade: toNumber(row.skips_made),
+      favorite: favorite.rows[0]
+        ? { title: favorite.rows[0].title, url: favorite.rows[0].track_url, plays: toNumber(favorite.rows[0].plays) }
+        : null
+    };
+  } catch (error) {
+    logger.error('개인 음악 통계 조회 중 오류:', error);
+    return {
+      status: 'error',
+      message: '개인 음악 통계를 불러오는 중 오류가 발생했습니다.',
+      code: 'STATS_ERROR'
+    };
+  }
+}
+
+module.exports = {
+  STATS_PERIODS,
+  getPeriodStart,
+  getGuildStats,
+  getUserStats
+};
@@ -3,15 +3,72 @@
  * 기존 라이브러리 의존성을 제거하고 API 직접 호출로 개선
  */
 const https = require('https');
+const { spawn } = require('child_process');
 const logger = require('../../utils/logger');
+const metadataCache = require('./metadataCache');
+
+// 엔드포인트별 할당량 비용 (YouTube Data API v3 기준)
+const QUOTA_COSTS = {
+    search: 100,
+    videos: 1,
+    playlistItems: 1
+};
+
+const YTDLP_TIMEOUT = 30000; // yt-dlp 검색/조회 제한 시간 (ms)
 
 class YouTubeAPIService {
     constructor() {
         this.apiKey = process.env.YOUTUBE_API_KEY;
+        this.dailyQuota = parseInt(process.env.YOUTUBE_API_DAILY_QUOTA) || 10000;
+        this.ytdlpPath = process.env.YTDLP_PATH || '/usr/local/bin/yt-dlp';
+        
+        // 당일 할당량 사용 추정치 (태평양 시간 자정에 초기화되는 API 기준에 맞춤)
+        this.quotaUsage = { date: null, units: 0, calls: {} };
+        this.quotaExceededDate = null;
         
         if (!this.apiKey) {
-            logger.warn('YouTube API 키가 설정되지 않았습니다. YOUTUBE_API_KEY 환경변수를 확인하세요.');
+            logger.warn('YouTube API 키가 설정되지 않았습니다. 검색과 비디오 정보 조회에 yt-dlp를 사용합니다.');
+        }
+    }
+
+    /**
+     * 할당량 기준 날짜 (YouTube Data API는 태평양 시간 자정에 초기화)
+     */
+    getQuotaDate() {
+        return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+    }
+
+    /**
+     * API 호출의 할당량 사용량 기록
+     */
+    recordQuotaUsage(endpoint) {
+        const today = this.getQuotaDate();
+        if (this.quotaUsage.date !== today) {
+            this.quotaUsage = { date: today, units: 0, calls: {} };
         }
+
+        this.quotaUsage.units += QUOTA_COSTS[endpoint] || 1;
+        this.quotaUsage.calls[endpoint] = (this.quotaUsage.calls[endpoint] || 0) + 1;
+    }
+
+    /**
+     * 메타데이터 캐시 적중률과 당일 할당량 사용 추정치
+     */
+    getUsageStats() {
+        // 날짜가 바뀐 뒤 호출이 없었으면 0으로 표시
+        const today = this.getQuotaDate();
+        const usage = this.quotaUsage.date === today ? this.quotaUsage : { units: 0, calls: {} };
+
+        return {
+            cache: metadataCache.getStats(),
+            quota: {
+                date: today,
+                units: usage.units,
+                limit: this.dailyQuota,
+                exhausted: this.quotaExceededDate === today,
+                calls: { ...usage.calls }
+            }
+        };
     }
 
     /**
@@ -23,10 +80,57 @@ class YouTubeAPIService {
         return match ? match[1] : null;
     }
 
+    /**
+     * YouTube URL에서 재생목록 ID 추출
+     * 자동 생성 믹스(RD로 시작)는 playlistItems API로 조회할 수 없으므로 제외
+     */
+    extractPlaylistId(url) {
+        const match = url.match(/[?&]list=([a-zA-Z0-9_-]+)/);
+        if (!match || match[1].startsWith('RD')) {
+            return null;
+        }
+        return match[1];
+    }
+
     /**
      * 검색어로 YouTube 검색 수행
+     * Data API를 쓸 수 없으면(키 없음, 할당량 소진, 오류) yt-dlp 검색으로 대체
      */
     async searchVideos(query, maxResults = 5) {
+        // 같은 검색어의 이전 결과가 충분하면 검색(100 유닛) 대신 캐시 사용
+        const cachedIds = await metadataCache.getQueryResults(query, maxResults);
+        if (cachedIds) {
+            const videos = await this.getVideosInfo(cachedIds.slice(0, maxResults));
+            if (videos.length > 0) {
+                logger.debug(`YouTube 검색 캐시 사용: ${query} (${videos.length}개)`);
+                return videos;
+            }
+        }
+
+        let videos;
+        if (this.isApiAvailable()) {
+            try {
+                videos = await this.searchWithApi(query, maxResults);
+                logger.info(`YouTube 검색 (백엔드: Data API): "${query}" ${videos.length}개 결과`);
+            } catch (error) {
+                this.handleApiError(error);
+                logger.warn(`YouTube API 검색 실패, yt-dlp로 대체: ${error.message}`);
+            }
+        }
+
+        if (!videos) {
+            videos = await this.searchWithYtDlp(query, maxResults);
+            logger.info(`YouTube 검색 (백엔드: yt-dlp): "${query}" ${videos.length}개 결과`);
+        }
+
+        metadataCache.saveQueryResults(query, videos.map(video => video.id));
+        return videos;
+    }
+
+    /**
+     * Data API 검색 (search 엔드포인트, 100 유닛)
+     */
+    async searchWithApi(query, maxResults) {
         if (!this.apiKey) {
             throw new Error('YouTube API 키가 설정되지 않았습니다');
         }
@@ -35,58 +139,354 @@ class YouTubeAPIService {
         const apiUrl = `https://www.googleapis.com/youtube/v3/search?part=snippet&type=video&maxResults=${maxResults}&q=${encodedQuery}&key=${this.apiKey}`;
 
         logger.debug('YouTube 검색 시작:', query);
+        this.recordQuotaUsage('search');
+        const response = await this.fetchJson(apiUrl);
 
-        return new Promise((resolve, reject) => {
-            https.get(apiUrl, (res) => {
-                let data = '';
+        return (response.items || []).map(item => ({
+            id: item.id.videoId,
+            title: item.snippet.title,
+            channelTitle: item.snippet.channelTitle,
+            publishedAt: item.snippet.publishedAt,
+            thumbnails: item.snippet.thumbnails,
+            url: `https://www.youtube.com/watch?v=${item.id.videoId}`
+        }));
+    }
 
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
+    /**
+     * yt-dlp 검색 (ytsearchN:)
+     * --flat-playlist 결과는 업로드 날짜가 없고 재생 시간/채널이 빠지기도 하므로 비디오 캐시에 저장하지 않음
+     * (검색어 → ID 목록만 캐시되고, 캐시 적중 시 전체 정보를 다시 조회해 저장)
+     */
+    async searchWithYtDlp(query, maxResults) {
+        const output = await this.runYtDlp([
+            `ytsearch${maxResults}:${query}`,
+            '--flat-playlist',
+            '--dump-json',
+            '--no-warnings'
+        ]);
 
-                res.on('end', () => {
-                    try {
-                        const response = JSON.parse(data);
+        const videos = this.parseYtDlpOutput(output)
+            .filter(info => info.id)
+            .map(info => this.fromYtDlpInfo(info));
 
-                        if (response.error) {
-                            reject(new Error(`YouTube API 오류: ${response.error.message}`));
-                            return;
-                        }
+        return videos;
+    }
 
-                        const videos = response.items.map(item => ({
-                            id: item.id.videoId,
-                            title: item.snippet.title,
-                            channelTitle: item.snippet.channelTitle,
-                            publishedAt: item.snippet.publishedAt,
-                            thumbnails: item.snippet.thumbnails,
-                            url: `https://www.youtube.com/watch?v=${item.id.videoId}`
-                        }));
+    /**
+     * 비디오 ID로 상세 정보 조회 (캐시 우선)
+     */
+    async getVideoInfo(videoId) {
+        const cached = await metadataCache.getVideo(videoId);
+        if (cached) {
+            logger.debug('YouTube 비디오 정보 캐시 사용:', cached.title);
+            return cached;
+        }
 
-                        logger.debug(`YouTube 검색 완료: ${videos.length}개 결과`);
-                        resolve(videos);
+        logger.debug('YouTube 비디오 정보 조회:', videoId);
+        const [video] = await this.fetchVideosInfo([videoId]);
+        if (!video) {
+            throw new Error('비디오를 찾을 수 없습니다');
+        }
 
-                    } catch (parseError) {
-                        reject(new Error(`JSON 파싱 오류: ${parseError.message}`));
-                    }
-                });
-            }).on('error', (error) => {
-                reject(new Error(`네트워크 오류: ${error.message}`));
+        metadataCache.saveVideos([video]);
+        logger.debug('YouTube 비디오 정보 조회 완료:', video.title);
+        return video;
+    }
+
+    /**
+     * 여러 비디오 ID의 상세 정보를 한번에 조회 (최대 50개)
+     * 비공개/삭제/지역 차단된 비디오는 결과에서 빠짐
+     */
+    async getVideosInfo(videoIds) {
+        if (videoIds.length === 0) {
+            return [];
+        }
+
+        // 캐시에 없는 비디오만 조회하고 요청 순서대로 반환
+        const cached = await metadataCache.getVideos(videoIds);
+        const missingIds = videoIds.filter(videoId => !cached.has(videoId));
+
+        if (missingIds.length > 0) {
+            const fetched = await this.fetchVideosInfo(missingIds);
+            fetched.forEach(video => cached.set(video.id, video));
+            metadataCache.saveVideos(fetched);
+        }
+
+        return videoIds.filter(videoId => cached.has(videoId)).map(videoId => cached.get(videoId));
+    }
+
+    /**
+     * 비디오 상세 정보 조회 (Data API 우선, 실패 시 yt-dlp)
+     */
+    async fetchVideosInfo(videoIds) {
+        if (this.isApiAvailable()) {
+            try {
+                const videos = await this.fetchVideosFromApi(videoIds);
+                logger.debug(`YouTube 비디오 조회 (백엔드: Data API): ${videos.length}/${videoIds.length}개`);
+                return videos;
+            } catch (error) {
+                this.handleApiError(error);
+                logger.warn(`YouTube API 비디오 조회 실패, yt-dlp로 대체: ${error.message}`);
+            }
+        }
+
+        const videos = await this.fetchVideosFromYtDlp(videoIds);
+        logger.info(`YouTube 비디오 조회 (백엔드: yt-dlp): ${videos.length}/${videoIds.length}개`);
+        return videos;
+    }
+
+    /**
+     * 여러 비디오 정보를 API로 직접 조회
+     */
+    async fetchVideosFromApi(videoIds) {
+        if (!this.apiKey) {
+            throw new Error('YouTube API 키가 설정되지 않았습니다');
+        }
+
+        const apiUrl = `https://www.googleapis.com/youtube/v3/videos?part=snippet,contentDetails&id=${videoIds.join(',')}&key=${this.apiKey}`;
+        this.recordQuotaUsage('videos');
+        const response = await this.fetchJson(apiUrl);
+
+        return (response.items || []).map(video => ({
+            id: video.id,
+            title: video.snippet.title,
+            channelTitle: video.snippet.channelTitle,
+            description: video.snippet.description,
+            duration: video.contentDetails.duration,
+            durationSeconds: this.parseDuration(video.contentDetails.duration),
+            publishedAt: video.snippet.publishedAt,
+            thumbnails: video.snippet.thumbnails,
+            url: `https://www.youtube.com/watch?v=${video.id}`
+        }));
+    }
+
+    /**
+     * 여러 비디오 정보를 yt-dlp로 하나씩 조회 (재생할 수 없는 비디오는 제외)
+     */
+    async fetchVideosFromYtDlp(videoIds) {
+        const videos = [];
+
+        for (const videoId of videoIds) {
+            try {
+                const output = await this.runYtDlp([
+                    `https://www.youtube.com/watch?v=${videoId}`,
+                    '--dump-json',
+                    '--no-playlist',
+                    '--no-warnings'
+                ]);
+                const [info] = this.parseYtDlpOutput(output);
+                if (info) {
+                    videos.push(this.fromYtDlpInfo(info));
+                }
+            } catch (error) {
+                logger.debug(`yt-dlp 비디오 조회 실패 (${videoId}): ${error.message}`);
+            }
+        }
+
+        return videos;
+    }
+
+    /**
+     * Data API 사용 가능 여부 (키가 있고 오늘 할당량이 소진되지 않음)
+     */
+    isApiAvailable() {
+        return !!this.apiKey && this.quotaExceededDate !== this.getQuotaDate();
+    }
+
+    /**
+     * API 오류 처리 - 할당량 소진이면 태평양 시간 자정까지 API 호출 중단
+     */
+    handleApiError(error) {
+        if (/quota/i.test(error.message)) {
+            this.quotaExceededDate = this.getQuotaDate();
+            logger.warn('YouTube API 할당량 소진, 오늘은 yt-dlp로 검색합니다.');
+        }
+    }
+
+    /**
+     * yt-dlp 실행 후 표준 출력 반환
+     */
+    runYtDlp(args, timeoutMs = YTDLP_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const ytdlp = spawn(this.ytdlpPath, args, {
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            let output = '';
+            let errorOutput = '';
+            const timer = setTimeout(() => {
+                ytdlp.kill('SIGKILL');
+            }, timeoutMs);
+
+            ytdlp.stdout.on('data', (data) => {
+                output += data.toString();
+            });
+
+            ytdlp.stderr.on('data', (data) => {
+                errorOutput += data.toString();
+            });
+
+            ytdlp.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new Error(`yt-dlp 실행 실패: ${error.message}`));
+            });
+
+            ytdlp.on('close', (code, signal) => {
+                clearTimeout(timer);
+                if (signal === 'SIGKILL') {
+                    reject(new Error('yt-dlp 시간 초과'));
+                } else if (code !== 0) {
+                    reject(new Error(`yt-dlp 오류 (코드 ${code}): ${errorOutput.trim().split('\n').pop()}`));
+                } else {
+                    resolve(output);
+                }
             });
         });
     }
 
     /**
-     * 비디오 ID로 상세 정보 조회
+     * yt-dlp JSON 출력(줄 단위) 파싱
      */
-    async getVideoInfo(videoId) {
+    parseYtDlpOutput(output) {
+        return output
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (parseError) {
+                    logger.debug(`yt-dlp 출력 파싱 실패: ${parseError.message}`);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * yt-dlp 메타데이터를 Data API와 같은 비디오 정보 형태로 변환
+     */
+    fromYtDlpInfo(info) {
+        const durationSeconds = Math.round(info.duration || 0);
+        const uploadDate = /^\d{8}$/.test(info.upload_date || '')
+            ? `${info.upload_date.slice(0, 4)}-${info.upload_date.slice(4, 6)}-${info.upload_date.slice(6, 8)}T00:00:00Z`
+            : null;
+
+        return {
+            id: info.id,
+            title: info.title,
+            channelTitle: info.channel || info.uploader || '',
+            duration: this.toIsoDuration(durationSeconds),
+            durationSeconds,
+            publishedAt: uploadDate,
+            thumbnails: {
+                default: { url: `https://i.ytimg.com/vi/${info.id}/default.jpg` },
+                medium: { url: `https://i.ytimg.com/vi/${info.id}/mqdefault.jpg` },
+                high: { url: `https://i.ytimg.com/vi/${info.id}/hqdefault.jpg` }
+            },
+            url: `https://www.youtube.com/watch?v=${info.id}`
+        };
+    }
+
+    /**
+     * 재생목록 항목 조회 (playlistItems 엔드포인트 페이징)
+     * @param {string} playlistId - 재생목록 ID
+     * @param {number} maxItems - 최대 조회 항목 수
+     * @returns {Promise<Object>} { items, totalResults }
+     */
+    async getPlaylistItems(playlistId, maxItems = 50) {
         if (!this.apiKey) {
             throw new Error('YouTube API 키가 설정되지 않았습니다');
         }
 
-        const apiUrl = `https://www.googleapis.com/youtube/v3/videos?part=snippet,contentDetails&id=${videoId}&key=${this.apiKey}`;
+        logger.debug(`YouTube 재생목록 조회 시작: ${playlistId} (최대 ${maxItems}개)`);
 
-        logger.debug('YouTube 비디오 정보 조회:', videoId);
+        const items = [];
+        let pageToken = null;
+        let totalResults = 0;
+
+        do {
+            const pageSize = Math.min(50, maxItems - items.length);
+            let apiUrl = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet,status&maxResults=${pageSize}&playlistId=${playlistId}&key=${this.apiKey}`;
+            if (pageToken) {
+                apiUrl += `&pageToken=${pageToken}`;
+            }
+
+            this.recordQuotaUsage('playlistItems');
+            const response = await this.fetchJson(apiUrl);
+            totalResults = response.pageInfo?.totalResults || totalResults;
+
+            for (const item of response.items || []) {
+                items.push({
+                    videoId: item.snippet.resourceId?.videoId,
+                    title: item.snippet.title,
+                    privacyStatus: item.status?.privacyStatus
+                });
+            }
+
+            pageToken = response.nextPageToken;
+        } while (pageToken && items.length < maxItems);
 
+        logger.debug(`YouTube 재생목록 조회 완료: ${items.length}/${totalResults}개`);
+        return { items, totalResults };
+    }
+
+    /**
+     * 재생목록을 재생 가능한 비디오 목록으로 확장
+     * @param {string} playlistId - 재생목록 ID
+     * @param {Object} options - { limit, maxDurationSeconds }
+     * @returns {Promise<Object>} { videos, skipped, truncated, totalResults }
+     */
+    async getPlaylistVideos(playlistId, options = {}) {
+        const limit = options.limit || 50;
+        const maxDurationSeconds = options.maxDurationSeconds || 0;
+
+        const { items, totalResults } = await this.getPlaylistItems(playlistId, limit);
+        const skipped = { private: 0, deleted: 0, tooLong: 0, unavailable: 0 };
+
+        // 비공개/삭제된 항목은 상세 조회 전에 걸러냄
+        const candidates = [];
+        for (const item of items) {
+            if (!item.videoId || item.title === 'Deleted video') {
+                skipped.deleted++;
+            } else if (item.privacyStatus === 'private' || item.title === 'Private video') {
+                skipped.private++;
+            } else {
+                candidates.push(item.videoId);
+            }
+        }
+
+        // 50개 단위로 상세 정보(재생 시간) 조회
+        const infoById = new Map();
+        for (let i = 0; i < candidates.length; i += 50) {
+            const batch = await this.getVideosInfo(candidates.slice(i, i + 50));
+            batch.forEach(video => infoById.set(video.id, video));
+        }
+
+        const videos = [];
+        for (const videoId of candidates) {
+            const video = infoById.get(videoId);
+            if (!video || video.durationSeconds === 0) {
+                // 지역 차단, 라이브 등 재생할 수 없는 항목
+                skipped.unavailable++;
+            } else if (maxDurationSeconds > 0 && video.durationSeconds > maxDurationSeconds) {
+                skipped.tooLong++;
+            } else {
+                videos.push(video);
+            }
+        }
+
+        return {
+            videos,
+            skipped,
+            truncated: Math.max(0, totalResults - items.length),
+            totalResults
+        };
+    }
+
+    /**
+     * API 요청 후 JSON 응답 반환
+     */
+    fetchJson(apiUrl) {
         return new Promise((resolve, reject) => {
             https.get(apiUrl, (res) => {
                 let data = '';
@@ -104,26 +504,7 @@ class YouTubeAPIService {
                             return;
                         }
 
-                        if (!response.items || response.items.length === 0) {
-                            reject(new Error('비디오를 찾을 수 없습니다'));
-                            return;
-                        }
-
-                        const video = response.items[0];
-                        const result = {
-                            id: video.id,
-                            title: video.snippet.title,
-                            channelTitle: video.snippet.channelTitle,
-                            description: video.snippet.description,
-                            duration: video.contentDetails.duration,
-                            durationSeconds: this.parseDuration(video.contentDetails.duration),
-                            publishedAt: video.snippet.publishedAt,
-                            thumbnails: video.snippet.thumbnails,
-                            url: `https://www.youtube.com/watch?v=${video.id}`
-                        };
-
-                        logger.debug('YouTube 비디오 정보 조회 완료:', result.title);
-                        resolve(result);
+                        resolve(response);
 
                     } catch (parseError) {
                         reject(new Error(`JSON 파싱 오류: ${parseError.message}`));
@@ -179,6 +560,17 @@ class YouTubeAPIService {
         return hours * 3600 + minutes * 60 + seconds;
     }
 
+    /**
+     * 초 단위 시간을 ISO 8601 duration으로 변환 (yt-dlp 결과를 API 형태로 맞출 때 사용)
+     */
+    toIsoDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+
+        return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${secs || (!hours && !minutes) ? `${secs}S` : ''}`;
+    }
+
     /**
      * 초 단위 시간을 HH:MM:SS 형식으로 변환
      */
@@ -199,7 +591,10 @@ class YouTubeAPIService {
      */
     async checkApiStatus() {
         try {
-            const testVideo = await this.getVideoInfo('dQw4w9WgXcQ'); // Rick Roll 비디오로 테스트
+            const [testVideo] = await this.fetchVideosFromApi(['dQw4w9WgXcQ']); // Rick Roll 비디오로 테스트
+            if (!testVideo) {
+                throw new Error('테스트 비디오를 찾을 수 없습니다');
+            }
             return {
                 status: 'ok',
                 apiKey: this.apiKey ? '설정됨' : '없음',
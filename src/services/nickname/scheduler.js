@@ -7,6 +7,7 @@ const cron = require('node-cron');
 const logger = require('../../utils/logger');
 const db = require('../database');
 const { forceNicknameSync, getCacheStats, clearExpiredCache } = require('../../utils/nickname');
+const { DEFAULT_TIMEZONE } = require('../../utils/timezone');
 
 class NicknameSyncScheduler {
   constructor(client) {
@@ -27,7 +28,7 @@ class NicknameSyncScheduler {
       await this.runFullSync();
     }, {
       scheduled: true,
-      timezone: 'Asia/Seoul'
+      timezone: DEFAULT_TIMEZONE
     });
 
     // 2. 매시간 만료된 캐시 정리
@@ -35,7 +36,7 @@ class NicknameSyncScheduler {
       this.cleanupCache();
     }, {
       scheduled: true,
-      timezone: 'Asia/Seoul'
+      timezone: DEFAULT_TIMEZONE
     });
 
     // 3. 매 10분마다 활성 사용자 동기화 (선택사항)
@@ -43,7 +44,7 @@ class NicknameSyncScheduler {
       await this.runActiveUserSync();
     }, {
       scheduled: false, // 기본적으로 비활성화
-      timezone: 'Asia/Seoul'
+      timezone: DEFAULT_TIMEZONE
     });
 
     this.schedules.set('fullSync', fullSyncSchedule);
@@ -6,6 +6,8 @@ const cron = require('node-cron');
 const db = require('../database');
 const logger = require('../../utils/logger');
 const dbUtils = require('../database/utils');
+const guildTimezone = require('../guild/timezone');
+const { DEFAULT_TIMEZONE, getDateKey, addDays, getDayRange } = require('../../utils/timezone');
 
 /**
  * 시즌 관리자 클래스
@@ -78,9 +80,11 @@ class SeasonManager {
   async createNewSeason(guildId = null) {
     try {
       const now = new Date();
+      // 길드 지정이 없으면 이어지는 시즌의 길드 시간대 사용
+      const timeZone = await guildTimezone.getGuildTimezone(guildId || this.currentSeason?.guild_id);
       
-      // 2주 후 일요일 자정으로 종료일 설정
-      const endDate = this.calculateSeasonEndDate(now);
+      // 길드 시간대 기준 2주 후 자정으로 종료일 설정
+      const endDate = this.calculateSeasonEndDate(now, timeZone);
       
       // 시즌 이름 생성 (시즌 번호 형식)
       const seasonName = await this.generateSeasonName(guildId);
@@ -116,7 +120,7 @@ class SeasonManager {
       await this.resetUserScores(guildId);
       
       // 시즌 시작 이벤트 로깅
-      logger.info(`🆕 새 시즌 생성: ${seasonName} (${now.toLocaleDateString('ko-KR')} ~ ${endDate.toLocaleDateString('ko-KR')})`);
+      logger.info(`🆕 새 시즌 생성: ${seasonName} (${now.toLocaleDateString('ko-KR', { timeZone })} ~ ${endDate.toLocaleDateString('ko-KR', { timeZone })}, ${timeZone})`);
       
       return newSeason;
       
@@ -334,18 +338,12 @@ class SeasonManager {
   }
 
   /**
-   * 시즌 종료일 계산 (정확히 2주 후)
+   * 시즌 종료일 계산 (시작일로부터 14일 뒤 자정, 길드 시간대 기준)
+   * 서머타임 전환이 끼어 있어도 현지 자정에 끝나도록 달력 날짜로 계산
    */
-  calculateSeasonEndDate(startDate) {
-    const endDate = new Date(startDate);
-    
-    // 정확히 2주(14일) 추가
-    endDate.setDate(endDate.getDate() + 14);
-    
-    // 자정으로 설정
-    endDate.setHours(0, 0, 0, 0);
-    
-    return endDate;
+  calculateSeasonEndDate(startDate, timeZone = DEFAULT_TIMEZONE) {
+    const endKey = addDays(getDateKey(startDate, timeZone), 14);
+    return getDayRange(endKey, timeZone).start;
   }
 
   /**
@@ -381,15 +379,16 @@ class SeasonManager {
    */
   startSeasonScheduler() {
     try {
-      // 매일 자정에 시즌 만료 체크
-      this.cronJob = cron.schedule('0 0 * * *', async () => {
+      // 종료일은 길드 시간대 자정으로 저장되므로 15분마다 만료 체크
+      // (30분/45분 단위 오프셋 시간대의 자정도 놓치지 않음)
+      this.cronJob = cron.schedule('*/15 * * * *', async () => {
         await this.checkSeasonExpiration();
       }, {
         scheduled: true,
-        timezone: "Asia/Seoul"
+        timezone: DEFAULT_TIMEZONE
       });
       
-      logger.info('⏰ 시즌 스케줄러 시작됨 (매일 자정 체크)');
+      logger.info('⏰ 시즌 스케줄러 시작됨 (15분마다 종료 시각 체크)');
       
     } catch (error) {
       logger.error('시즌 스케줄러 시작 중 에러:', error);
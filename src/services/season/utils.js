@@ -4,6 +4,7 @@
  */
 const db = require('../database');
 const logger = require('../../utils/logger');
+const { DEFAULT_TIMEZONE, getDateKey, addDays, getDayRange, getZonedParts } = require('../../utils/timezone');
 
 /**
  * 시즌 정보 포맷팅
@@ -285,29 +286,27 @@ function generateSeasonSummary(season, rankings, stats) {
 }
 
 /**
- * 다음 시즌 예측 정보
+ * 다음 시즌 예측 정보 (길드 시간대 기준 날짜)
  */
-function predictNextSeason(currentSeason) {
+function predictNextSeason(currentSeason, timeZone = DEFAULT_TIMEZONE) {
   if (!currentSeason || currentSeason.status !== 'active') {
     return null;
   }
 
-  const endDate = new Date(currentSeason.end_date);
-  const nextStartDate = new Date(endDate);
-  nextStartDate.setDate(nextStartDate.getDate() + 1);
+  const nextStartKey = addDays(getDateKey(new Date(currentSeason.end_date), timeZone), 1);
+  const nextStartDate = getDayRange(nextStartKey, timeZone).start;
   
-  const nextEndDate = new Date(nextStartDate);
-  nextEndDate.setDate(nextEndDate.getDate() + 14);
+  let nextEndKey = addDays(nextStartKey, 14);
   
   // 다음 일요일로 조정
-  const daysUntilSunday = (7 - nextEndDate.getDay()) % 7;
-  nextEndDate.setDate(nextEndDate.getDate() + daysUntilSunday);
-  nextEndDate.setHours(0, 0, 0, 0);
+  const weekday = getZonedParts(getDayRange(nextEndKey, timeZone).start, timeZone).weekday;
+  nextEndKey = addDays(nextEndKey, (7 - weekday) % 7);
+  const nextEndDate = getDayRange(nextEndKey, timeZone).start;
 
   return {
     seasonNumber: currentSeason.season_number + 1,
-    predictedStartDate: nextStartDate.toLocaleDateString('ko-KR'),
-    predictedEndDate: nextEndDate.toLocaleDateString('ko-KR'),
+    predictedStartDate: nextStartDate.toLocaleDateString('ko-KR', { timeZone }),
+    predictedEndDate: nextEndDate.toLocaleDateString('ko-KR', { timeZone }),
     daysUntilStart: Math.max(Math.ceil((nextStartDate - new Date()) / (1000 * 60 * 60 * 24)), 0)
   };
 }
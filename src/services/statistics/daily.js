@@ -1,11 +1,14 @@
 /**
  * 일일 통계 집계 시스템
  * 성능 최적화를 위한 데이터 집계, 스케줄링, 데이터 보존 정책을 관리합니다.
+ * 하루의 경계는 길드 시간대 자정이며, 길드마다 현지 새벽 1시 이후에 전날을 집계합니다.
  */
 
 const cron = require('node-cron');
 const db = require('../database');
 const logger = require('../../utils/logger');
+const guildTimezone = require('../guild/timezone');
+const { DEFAULT_TIMEZONE, getDateKey, getZonedHour, addDays, getDayRange } = require('../../utils/timezone');
 const { getOptimizationConfig, performCleanup } = require('../../config/optimization');
 
 class DailyStatsManager {
@@ -13,9 +16,11 @@ class DailyStatsManager {
     this.isInitialized = false;
     this.aggregationInProgress = false;
     this.cleanupInProgress = false;
+    this.lastAggregated = new Map(); // guildId -> 마지막으로 집계한 날짜 키
     this.config = {
-      aggregationTime: '0 1 * * *', // 새벽 1시
-      cleanupTime: '0 2 * * 0',     // 일요일 새벽 2시
+      aggregationCheckTime: '*/15 * * * *', // 길드별 집계 시각 확인 (15분마다)
+      aggregationHour: 1,                   // 길드 현지 새벽 1시 이후 전날 집계
+      cleanupTime: '0 2 * * 0',             // 일요일 새벽 2시 (기본 시간대)
       retentionDays: 30,            // 상세 데이터 보관 일수
       aggregationDays: 90,          // 집계 데이터 보관 일수
       batchSize: 100                // 배치 처리 크기
@@ -47,30 +52,36 @@ class DailyStatsManager {
   }
 
   /**
-   * 어제 데이터 집계 확인 및 수행
+   * 어제 데이터 집계 확인 및 수행 (길드 시간대 기준 어제)
    */
   async checkAndAggregateYesterday() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
+    const guilds = await guildTimezone.getAllGuildTimezones();
 
-    try {
-      // 어제 데이터가 이미 집계되었는지 확인
-      const existingStats = await db.query(
-        'SELECT COUNT(*) FROM daily_stats WHERE date = $1',
-        [yesterday]
-      );
+    for (const { guildId, timeZone } of guilds) {
+      const yesterday = addDays(getDateKey(new Date(), timeZone), -1);
+
+      try {
+        // 어제 데이터가 이미 집계되었는지 확인
+        const existingStats = await db.query(
+          'SELECT COUNT(*) FROM daily_stats WHERE date = $1 AND guild_id = $2',
+          [yesterday, guildId]
+        );
 
-      const hasStats = parseInt(existingStats.rows[0].count) > 0;
+        const hasStats = parseInt(existingStats.rows[0].count) > 0;
 
-      if (!hasStats) {
-        logger.info('Yesterday\'s data not aggregated yet, starting aggregation...');
-        await this.aggregateDailyStats(yesterday);
-      } else {
-        logger.info('Yesterday\'s data already aggregated');
+        if (hasStats) {
+          this.lastAggregated.set(guildId, yesterday);
+          continue;
+        }
+
+        // 집계에 실패하면 완료로 기록하지 않아 스케줄러가 다시 시도하도록 함
+        logger.info(`Yesterday's data not aggregated yet for guild ${guildId}, starting aggregation...`);
+        if (await this.aggregateGuildDailyStats(guildId, yesterday, timeZone)) {
+          this.lastAggregated.set(guildId, yesterday);
+        }
+      } catch (error) {
+        logger.error('Error checking yesterday\'s aggregation', { error: error.stack, guildId });
       }
-    } catch (error) {
-      logger.error('Error checking yesterday\'s aggregation', { error: error.stack });
     }
   }
 
@@ -78,29 +89,72 @@ class DailyStatsManager {
    * 스케줄러 시작
    */
   startSchedulers() {
-    // 일일 집계 스케줄러 (매일 새벽 1시)
-    cron.schedule(this.config.aggregationTime, async () => {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      await this.aggregateDailyStats(yesterday);
+    // 일일 집계 스케줄러 (길드마다 현지 새벽 1시가 다르므로 주기적으로 확인)
+    cron.schedule(this.config.aggregationCheckTime, async () => {
+      await this.aggregateDueGuilds();
+    }, {
+      timezone: DEFAULT_TIMEZONE
     });
 
     // 데이터 정리 스케줄러 (매주 일요일 새벽 2시)
     cron.schedule(this.config.cleanupTime, async () => {
       await this.performDataCleanup();
+    }, {
+      timezone: DEFAULT_TIMEZONE
     });
 
     logger.info('Daily statistics schedulers started', {
-      aggregation: this.config.aggregationTime,
-      cleanup: this.config.cleanupTime
+      aggregation: `${this.config.aggregationHour}:00 (guild local time)`,
+      cleanup: this.config.cleanupTime,
+      timezone: DEFAULT_TIMEZONE
     });
   }
 
   /**
-   * 특정 날짜의 일일 통계 집계
-   * @param {Date} date - 집계할 날짜
+   * 현지 집계 시각이 지난 길드의 전날 통계 집계
+   */
+  async aggregateDueGuilds() {
+    const now = new Date();
+    const guilds = await guildTimezone.getAllGuildTimezones();
+
+    for (const { guildId, timeZone } of guilds) {
+      if (getZonedHour(now, timeZone) < this.config.aggregationHour) {
+        continue;
+      }
+
+      const yesterday = addDays(getDateKey(now, timeZone), -1);
+      if (this.lastAggregated.get(guildId) === yesterday) {
+        continue;
+      }
+
+      if (await this.aggregateGuildDailyStats(guildId, yesterday, timeZone)) {
+        this.lastAggregated.set(guildId, yesterday);
+      }
+    }
+  }
+
+  /**
+   * 특정 날짜의 일일 통계 집계 (모든 길드)
+   * @param {Date|string} date - 집계할 날짜 (Date는 기본 시간대 기준 날짜, 문자열은 'YYYY-MM-DD')
    */
   async aggregateDailyStats(date) {
+    const dateKey = typeof date === 'string' ? date : getDateKey(date, DEFAULT_TIMEZONE);
+    const guilds = await guildTimezone.getAllGuildTimezones();
+
+    let success = true;
+    for (const { guildId, timeZone } of guilds) {
+      success = await this.aggregateGuildDailyStats(guildId, dateKey, timeZone) && success;
+    }
+    return success;
+  }
+
+  /**
+   * 길드의 특정 날짜 일일 통계 집계
+   * @param {string} guildId - 길드 ID
+   * @param {string} dateKey - 집계할 날짜 ('YYYY-MM-DD', 길드 시간대 기준)
+   * @param {string} timeZone - 길드 시간대
+   */
+  async aggregateGuildDailyStats(guildId, dateKey, timeZone) {
     if (this.aggregationInProgress) {
       logger.warn('Aggregation already in progress, skipping');
       return false;
@@ -108,34 +162,30 @@ class DailyStatsManager {
 
     this.aggregationInProgress = true;
 
-    const targetDate = new Date(date);
-    targetDate.setHours(0, 0, 0, 0);
+    // 서머타임 전환일은 23시간 또는 25시간
+    const { start: targetDate, end: endDate } = getDayRange(dateKey, timeZone);
 
-    const endDate = new Date(targetDate);
-    endDate.setDate(endDate.getDate() + 1);
-
-    const dateStr = targetDate.toISOString().split('T')[0];
-    logger.info(`Starting daily stats aggregation for ${dateStr}`);
+    logger.info(`Starting daily stats aggregation for ${dateKey} (guild: ${guildId}, ${timeZone})`);
 
     try {
       // 기존 집계 데이터 삭제 (재집계 시)
       await db.query(
-        'DELETE FROM daily_stats WHERE date = $1',
-        [targetDate]
+        'DELETE FROM daily_stats WHERE date = $1 AND guild_id = $2',
+        [dateKey, guildId]
       );
 
       // 해당 날짜에 활동한 모든 사용자 조회
       const activeUsersResult = await db.query(
         `SELECT DISTINCT user_id, guild_id FROM activities 
-         WHERE timestamp >= $1 AND timestamp < $2`,
-        [targetDate, endDate]
+         WHERE guild_id = $1 AND timestamp >= $2 AND timestamp < $3`,
+        [guildId, targetDate, endDate]
       );
 
       const activeUsers = activeUsersResult.rows;
-      logger.info(`Found ${activeUsers.length} active users for ${dateStr}`);
+      logger.info(`Found ${activeUsers.length} active users for ${dateKey} (guild: ${guildId})`);
 
       if (activeUsers.length === 0) {
-        logger.info(`No activity data for ${dateStr}, skipping aggregation`);
+        logger.info(`No activity data for ${dateKey} (guild: ${guildId}), skipping aggregation`);
         return true;
       }
 
@@ -145,21 +195,22 @@ class DailyStatsManager {
 
       for (let i = 0; i < totalBatches; i++) {
         const batch = activeUsers.slice(i * batchSize, (i + 1) * batchSize);
-        await this.processBatch(batch, targetDate, endDate);
+        await this.processBatch(batch, dateKey, targetDate, endDate);
         
-        logger.debug(`Processed batch ${i + 1}/${totalBatches} for ${dateStr}`);
+        logger.debug(`Processed batch ${i + 1}/${totalBatches} for ${dateKey}`);
       }
 
-      // 길드별 요약 통계 생성
-      await this.generateGuildSummary(targetDate);
+      // 길드 요약 통계 생성
+      await this.generateGuildSummary(guildId, dateKey);
 
-      logger.info(`Daily stats aggregation completed for ${dateStr}`);
+      logger.info(`Daily stats aggregation completed for ${dateKey} (guild: ${guildId})`);
       return true;
 
     } catch (error) {
       logger.error('Error aggregating daily stats', { 
         error: error, 
-        date: dateStr 
+        date: dateKey,
+        guildId
       });
       return false;
     } finally {
@@ -170,10 +221,11 @@ class DailyStatsManager {
   /**
    * 사용자 배치 처리
    * @param {Array} batch - 처리할 사용자 배치
-   * @param {Date} startDate - 시작 날짜
-   * @param {Date} endDate - 종료 날짜
+   * @param {string} dateKey - 집계 날짜 ('YYYY-MM-DD')
+   * @param {Date} startDate - 시작 시각
+   * @param {Date} endDate - 종료 시각
    */
-  async processBatch(batch, startDate, endDate) {
+  async processBatch(batch, dateKey, startDate, endDate) {
     const transaction = await db.beginTransaction();
 
     try {
@@ -201,7 +253,7 @@ class DailyStatsManager {
             total_score, total_activities
           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
           [
-            startDate,
+            dateKey,
             user_id,
             guild_id,
             aggregatedData.voice.score,
@@ -364,15 +416,16 @@ class DailyStatsManager {
   }
 
   /**
-   * 길드별 요약 통계 생성
-   * @param {Date} date - 날짜
+   * 길드 요약 통계 생성
+   * @param {string} guildId - 길드 ID
+   * @param {string} dateKey - 날짜 ('YYYY-MM-DD')
    */
-  async generateGuildSummary(date) {
+  async generateGuildSummary(guildId, dateKey) {
     try {
       // 기존 길드 요약 삭제
       await db.query(
-        'DELETE FROM guild_daily_summary WHERE date = $1',
-        [date]
+        'DELETE FROM guild_daily_summary WHERE date = $1 AND guild_id = $2',
+        [dateKey, guildId]
       );
 
       // 길드별 요약 생성
@@ -393,11 +446,11 @@ class DailyStatsManager {
            ORDER BY total_score DESC LIMIT 1) as top_user_id,
           MAX(total_score) as top_user_score
         FROM daily_stats ds
-        WHERE date = $1
+        WHERE date = $1 AND guild_id = $2
         GROUP BY date, guild_id
-      `, [date]);
+      `, [dateKey, guildId]);
 
-      logger.debug(`Generated guild summary for ${date.toISOString().split('T')[0]}`);
+      logger.debug(`Generated guild summary for ${dateKey} (guild: ${guildId})`);
     } catch (error) {
       logger.error('Error generating guild summary', { error: error.stack });
     }
@@ -422,13 +475,15 @@ class DailyStatsManager {
           other_score, other_count,
           total_score, total_activities
         FROM daily_stats 
-        WHERE user_id = $1 AND date >= CURRENT_DATE - INTERVAL '${days} days'
+        WHERE user_id = $1 AND date >= $2
       `;
 
-      const params = [userId];
+      // 기준일은 길드 시간대의 오늘
+      const timeZone = await guildTimezone.getGuildTimezone(guildId);
+      const params = [userId, addDays(getDateKey(new Date(), timeZone), -days)];
 
       if (guildId) {
-        query += ' AND guild_id = $2';
+        query += ' AND guild_id = $3';
         params.push(guildId);
       }
 
@@ -454,14 +509,17 @@ class DailyStatsManager {
    */
   async getGuildSummaryStats(guildId, days = 30) {
     try {
+      // 기준일은 길드 시간대의 오늘
+      const timeZone = await guildTimezone.getGuildTimezone(guildId);
+
       const result = await db.query(`
         SELECT 
           date, active_users, total_score, total_activities,
           avg_score_per_user, top_user_id, top_user_score
         FROM guild_daily_summary 
-        WHERE guild_id = $1 AND date >= CURRENT_DATE - INTERVAL '${days} days'
+        WHERE guild_id = $1 AND date >= $2
         ORDER BY date
-      `, [guildId]);
+      `, [guildId, addDays(getDateKey(new Date(), timeZone), -days)]);
 
       return result.rows;
     } catch (error) {
@@ -561,24 +619,23 @@ class DailyStatsManager {
    * @param {Date} endDate - 종료 날짜 (선택)
    */
   async triggerManualAggregation(startDate = null, endDate = null) {
-    const start = startDate || new Date(Date.now() - 24 * 60 * 60 * 1000); // 어제
-    const end = endDate || new Date(start);
+    // 날짜는 기본 시간대 기준 달력 날짜로 해석하고, 각 길드는 자기 시간대의 하루로 집계
+    const startKey = getDateKey(startDate || new Date(Date.now() - 24 * 60 * 60 * 1000), DEFAULT_TIMEZONE); // 어제
+    const endKey = endDate ? getDateKey(endDate, DEFAULT_TIMEZONE) : startKey;
 
     logger.info('Starting manual aggregation', {
-      startDate: start.toISOString().split('T')[0],
-      endDate: end.toISOString().split('T')[0]
+      startDate: startKey,
+      endDate: endKey
     });
 
     const results = [];
-    const currentDate = new Date(start);
 
-    while (currentDate <= end) {
-      const success = await this.aggregateDailyStats(new Date(currentDate));
+    for (let dateKey = startKey; dateKey <= endKey; dateKey = addDays(dateKey, 1)) {
+      const success = await this.aggregateDailyStats(dateKey);
       results.push({
-        date: currentDate.toISOString().split('T')[0],
+        date: dateKey,
         success
       });
-      currentDate.setDate(currentDate.getDate() + 1);
     }
 
     return results;
@@ -7,6 +7,7 @@ const path = require('path');
 const cron = require('node-cron');
 const { promisify } = require('util');
 const logger = require('./logger');
+const { DEFAULT_TIMEZONE } = require('./timezone');
 
 const stat = promisify(fs.stat);
 const readdir = promisify(fs.readdir);
@@ -103,7 +104,7 @@ class LogRotationManager {
       }
     }, {
       scheduled: true,
-      timezone: "Asia/Seoul"
+      timezone: DEFAULT_TIMEZONE
     });
 
     logger.info(`로그 로테이션 스케줄 설정: ${this.schedule}`);
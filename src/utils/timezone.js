@@ -0,0 +1,191 @@
+/**
+ * 시간대 계산 유틸리티
+ * 호스트 시간대(TZ)와 관계없이 IANA 시간대 기준으로 시각, 날짜, 하루 범위를 계산
+ * 서머타임 전환일에는 하루가 23시간 또는 25시간이 될 수 있으므로 자정을 직접 계산해 사용
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Seoul';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// 시간대별 DateTimeFormat 캐시 (생성 비용이 큼)
+const formatters = new Map();
+
+/**
+ * 시간대용 DateTimeFormat 조회
+ * @param {string} timeZone - IANA 시간대
+ * @returns {Intl.DateTimeFormat} 포매터
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * 올바른 IANA 시간대인지 확인
+ * @param {string} timeZone - 시간대 (예: 'Asia/Seoul')
+ * @returns {boolean} 사용 가능 여부
+ */
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 시간대 기준 날짜/시각 구성 요소
+ * @param {Date} date - 시각
+ * @param {string} timeZone - IANA 시간대
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } (month: 1-12, weekday: 0=일요일)
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * 시간대 기준 시(0-23)
+ * @param {Date} date - 시각
+ * @param {string} timeZone - IANA 시간대
+ * @returns {number} 시
+ */
+function getZonedHour(date, timeZone = DEFAULT_TIMEZONE) {
+  return getZonedParts(date, timeZone).hour;
+}
+
+/**
+ * 시각의 UTC 오프셋
+ * @param {Date} date - 시각
+ * @param {string} timeZone - IANA 시간대
+ * @returns {number} 오프셋 (분, 예: 서울 540)
+ */
+function getTimezoneOffset(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const truncated = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - truncated) / 60000);
+}
+
+/**
+ * 시간대의 벽시계 시각을 실제 시각으로 변환
+ * 서머타임으로 건너뛴 시각은 건너뛴 만큼 뒤로 밀고, 두 번 있는 시각은 앞쪽을 사용
+ * @param {Object} wallTime - { year, month, day, hour, minute, second } (month: 1-12)
+ * @param {string} timeZone - IANA 시간대
+ * @returns {Date} 시각
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIMEZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // 전환은 몇 달 간격이므로 하루 앞뒤 오프셋이 가능한 해석을 모두 포함
+  const offsetBefore = getTimezoneOffset(new Date(asUtc - DAY_MS), timeZone);
+  const offsetAfter = getTimezoneOffset(new Date(asUtc + DAY_MS), timeZone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => ({ offset, time: asUtc - offset * 60000 }))
+    .filter(({ offset, time }) => getTimezoneOffset(new Date(time), timeZone) === offset)
+    .map(({ time }) => time);
+
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+
+  // 존재하지 않는 시각 (서머타임 시작) - 전환 전 오프셋으로 해석하면 전환 후 시각이 됨
+  return new Date(asUtc - offsetBefore * 60000);
+}
+
+/**
+ * 시간대 기준 날짜 키
+ * @param {Date} date - 시각
+ * @param {string} timeZone - IANA 시간대
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getDateKey(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 날짜 키에 일 수 더하기 (달력 기준이므로 시간대 영향 없음)
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} days - 더할 일 수 (음수 가능)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * 시간대 기준 하루의 시작과 끝
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string} timeZone - IANA 시간대
+ * @returns {Object} { start, end } (end는 다음 날 시작, 서머타임 전환일은 23/25시간)
+ */
+function getDayRange(dateKey, timeZone = DEFAULT_TIMEZONE) {
+  const toStart = key => {
+    const [year, month, day] = key.split('-').map(Number);
+    return zonedTimeToUtc({ year, month, day }, timeZone);
+  };
+
+  return {
+    start: toStart(dateKey),
+    end: toStart(addDays(dateKey, 1))
+  };
+}
+
+/**
+ * 시각이 속한 하루의 시작 (시간대 기준 자정)
+ * @param {Date} date - 시각
+ * @param {string} timeZone - IANA 시간대
+ * @returns {Date} 하루 시작 시각
+ */
+function startOfDay(date, timeZone = DEFAULT_TIMEZONE) {
+  return getDayRange(getDateKey(date, timeZone), timeZone).start;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  getZonedHour,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  getDateKey,
+  addDays,
+  getDayRange,
+  startOfDay
+};
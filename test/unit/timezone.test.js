@@ -0,0 +1,133 @@
+/**
+ * 시간대 계산 단위 테스트
+ * 서머타임 전환일의 하루 범위, 존재하지 않거나 두 번 있는 시각, 시간대 가중치, 시즌 종료 시각
+ */
+
+const {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  getDateKey,
+  addDays,
+  getDayRange,
+  startOfDay
+} = require('@/utils/timezone');
+const { getTimeBand } = require('@/services/activity/scoring');
+const { DEFAULT_SCORING_RULES } = require('@/services/activity/scoringRules');
+const { seasonManager } = require('@/services/season');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('시간대 유틸리티', () => {
+  test('IANA 시간대만 허용한다', () => {
+    expect(isValidTimezone('Asia/Seoul')).toBe(true);
+    expect(isValidTimezone('America/New_York')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(isValidTimezone(null)).toBe(false);
+  });
+
+  test('호스트 시간대와 관계없이 지정한 시간대의 시각을 계산한다', () => {
+    const instant = new Date('2026-01-15T15:30:00Z');
+
+    expect(getZonedParts(instant, 'Asia/Seoul')).toMatchObject({ year: 2026, month: 1, day: 16, hour: 0, minute: 30 });
+    expect(getZonedParts(instant, 'America/New_York')).toMatchObject({ day: 15, hour: 10, weekday: 4 });
+    expect(getDateKey(instant, 'Asia/Seoul')).toBe('2026-01-16');
+    expect(getDateKey(instant, 'America/Los_Angeles')).toBe('2026-01-15');
+  });
+
+  test('서머타임에 따라 UTC 오프셋이 바뀐다', () => {
+    expect(getTimezoneOffset(new Date('2026-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+    expect(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+    expect(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'Asia/Seoul')).toBe(540);
+    expect(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'Asia/Kathmandu')).toBe(345);
+  });
+
+  test('날짜 키는 달력 기준으로 더한다', () => {
+    expect(addDays('2026-02-27', 2)).toBe('2026-03-01');
+    expect(addDays('2028-02-28', 1)).toBe('2028-02-29');
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+  });
+
+  describe('서머타임 시작 (시계가 앞으로 감)', () => {
+    test('뉴욕의 전환일은 23시간이다', () => {
+      const { start, end } = getDayRange('2026-03-08', 'America/New_York');
+
+      expect(start.toISOString()).toBe('2026-03-08T05:00:00.000Z');
+      expect(end.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+      expect(end - start).toBe(23 * HOUR_MS);
+    });
+
+    test('존재하지 않는 시각은 전환 후 시각으로 밀린다', () => {
+      const result = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York');
+
+      expect(result.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+      expect(getZonedParts(result, 'America/New_York')).toMatchObject({ hour: 3, minute: 30 });
+    });
+
+    test('자정이 없는 날은 첫 시각이 하루의 시작이다', () => {
+      // 산티아고는 자정에 01시로 넘어감
+      const { start } = getDayRange('2026-09-06', 'America/Santiago');
+
+      expect(getZonedParts(start, 'America/Santiago')).toMatchObject({ day: 6, hour: 1, minute: 0 });
+      expect(getDateKey(new Date(start - 1), 'America/Santiago')).toBe('2026-09-05');
+    });
+  });
+
+  describe('서머타임 종료 (시계가 뒤로 감)', () => {
+    test('뉴욕의 전환일은 25시간이다', () => {
+      const { start, end } = getDayRange('2026-11-01', 'America/New_York');
+
+      expect(start.toISOString()).toBe('2026-11-01T04:00:00.000Z');
+      expect(end - start).toBe(25 * HOUR_MS);
+    });
+
+    test('두 번 있는 시각은 앞쪽을 사용한다', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York').toISOString())
+        .toBe('2026-11-01T05:30:00.000Z');
+      expect(zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Berlin').toISOString())
+        .toBe('2026-10-25T00:30:00.000Z');
+    });
+
+    test('반복되는 시간 동안에도 같은 날의 시작을 반환한다', () => {
+      const firstPass = new Date('2026-11-01T05:30:00Z');  // 01:30 EDT
+      const secondPass = new Date('2026-11-01T06:30:00Z'); // 01:30 EST
+
+      expect(startOfDay(firstPass, 'America/New_York')).toEqual(startOfDay(secondPass, 'America/New_York'));
+    });
+  });
+});
+
+describe('길드 시간대 기준 점수 시간대', () => {
+  const rules = DEFAULT_SCORING_RULES;
+
+  test('같은 시각도 길드 시간대에 따라 다른 시간대 배율을 받는다', () => {
+    const instant = new Date('2026-01-15T11:00:00Z'); // 서울 20시, 뉴욕 06시
+
+    expect(getTimeBand(rules, instant, 'Asia/Seoul')).toMatchObject({ start: 18, end: 23 });
+    expect(getTimeBand(rules, instant, 'America/New_York')).toMatchObject({ start: 6, end: 9 });
+  });
+
+  test('서머타임 전후로 같은 UTC 시각의 현지 시각이 바뀐다', () => {
+    // 뉴욕 기준 겨울 08:30 EST(아침), 여름 09:30 EDT(주간)
+    expect(getTimeBand(rules, new Date('2026-03-07T13:30:00Z'), 'America/New_York')).toMatchObject({ start: 6, end: 9 });
+    expect(getTimeBand(rules, new Date('2026-03-09T13:30:00Z'), 'America/New_York')).toMatchObject({ start: 9, end: 18 });
+  });
+});
+
+describe('시즌 종료 시각', () => {
+  test('서머타임 전환이 끼어 있어도 14일 뒤 현지 자정에 끝난다', () => {
+    // 뉴욕 2026-03-01 12:00 EST 시작, 03-08 서머타임 시작
+    const endDate = seasonManager.calculateSeasonEndDate(new Date('2026-03-01T17:00:00Z'), 'America/New_York');
+
+    expect(endDate.toISOString()).toBe('2026-03-15T04:00:00.000Z');
+    expect(getZonedParts(endDate, 'America/New_York')).toMatchObject({ month: 3, day: 15, hour: 0, minute: 0 });
+  });
+
+  test('서머타임이 없는 시간대는 정확히 현지 자정이다', () => {
+    const endDate = seasonManager.calculateSeasonEndDate(new Date('2026-10-18T16:00:00Z'), 'Asia/Seoul');
+
+    expect(endDate.toISOString()).toBe('2026-11-01T15:00:00.000Z');
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * 음성 세션 추적 단위 테스트
+ * 같은 사용자가 두 서버의 음성 채널에 동시에 있을 때 세션이 서버별로 분리되는지,
+ * 중간 저장과 재시작 후 복구가 봇이 꺼져 있던 시간을 제외하고 처리되는지 확인
+ */
+
+jest.mock('@/services/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  close: jest.fn()
+}));
+
+jest.mock('@/services/database/utils', () => ({
+  findOrCreateUser: jest.fn(async () => ({})),
+  getUserIdByDiscordId: jest.fn(async () => 1),
+  updateUserScore: jest.fn()
+}));
+
+const db = require('@/services/database');
+const voice = require('@/services/activity/voice');
+
+const START = new Date('2026-10-18T03:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+let nextRecordId;
+let sessionQueries;
+let openSessionRows;
+
+/**
+ * 테스트용 길드와 음성 채널
+ */
+function createChannel(guildId, channelId) {
+  const members = new Map();
+  members.filter = fn => ({ size: [...members.values()].filter(fn).length });
+
+  return { id: channelId, name: channelId, guild: { id: guildId }, members };
+}
+
+/**
+ * 채널 상태 기준 음성 상태 (채널이 없으면 음성 채널 밖)
+ */
+function voiceState(channel, userId, guildId = channel?.guild.id) {
+  return {
+    id: userId,
+    guild: { id: guildId },
+    channelId: channel?.id || null,
+    channel: channel || null,
+    member: { id: userId, user: { id: userId, bot: false, tag: `${userId}#0001` } },
+    mute: false,
+    selfMute: false,
+    deaf: false,
+    selfDeaf: false
+  };
+}
+
+async function join(channel, userId) {
+  channel.members.set(userId, { id: userId, user: { id: userId, bot: false } });
+  await voice.trackVoiceActivity(voiceState(null, userId, channel.guild.id), voiceState(channel, userId));
+}
+
+async function leave(channel, userId) {
+  channel.members.delete(userId);
+  await voice.trackVoiceActivity(voiceState(channel, userId), voiceState(null, userId, channel.guild.id));
+}
+
+/**
+ * 재시작 직후 클라이언트 (길드별 음성 상태)
+ */
+function createClient(states) {
+  const guilds = new Map();
+  for (const state of states) {
+    if (!guilds.has(state.guild.id)) {
+      guilds.set(state.guild.id, { id: state.guild.id, voiceStates: { cache: new Map() } });
+    }
+    guilds.get(state.guild.id).voiceStates.cache.set(state.id, state);
+  }
+  return { guilds: { cache: guilds } };
+}
+
+function minutesFromStart(minutes) {
+  return new Date(START.getTime() + minutes * MINUTE_MS);
+}
+
+function advance(minutes) {
+  jest.setSystemTime(new Date(Date.now() + minutes * MINUTE_MS));
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(START);
+
+  nextRecordId = 1;
+  sessionQueries = [];
+  openSessionRows = [];
+
+  db.query.mockReset();
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('vs.end_time IS NULL')) {
+      return { rows: openSessionRows };
+    }
+    if (sql.includes('INSERT INTO voice_sessions')) {
+      return { rows: [{ id: nextRecordId++ }] };
+    }
+    if (sql.includes('voice_sessions')) {
+      sessionQueries.push({ sql, params });
+    }
+    return { rows: [] };
+  });
+
+  db.transaction.mockReset();
+  db.transaction.mockImplementation(async callback => callback(async (sql, params) => {
+    sessionQueries.push({ sql, params });
+    return { rows: [] };
+  }));
+});
+
+afterEach(async () => {
+  // 남은 세션 정리 (모듈 상태가 테스트 간에 이어지지 않도록)
+  for (const guildId of ['guild-a', 'guild-b']) {
+    for (const session of voice.getActiveSessions(guildId).values()) {
+      await voice.trackVoiceActivity(
+        voiceState(createChannel(guildId, session.channelId), session.userId),
+        voiceState(null, session.userId, guildId)
+      );
+    }
+  }
+  jest.useRealTimers();
+});
+
+describe('두 서버에 동시에 있는 사용자의 음성 세션', () => {
+  test('서버마다 별도 세션이 생긴다', async () => {
+    const lobbyA = createChannel('guild-a', 'lobby-a');
+    const lobbyB = createChannel('guild-b', 'lobby-b');
+
+    await join(lobbyA, 'user-1');
+    advance(5);
+    await join(lobbyB, 'user-1');
+
+    const sessionA = voice.getActiveSessions('guild-a', 'user-1');
+    const sessionB = voice.getActiveSessions('guild-b', 'user-1');
+
+    expect(sessionA).toMatchObject({ guildId: 'guild-a', channelId: 'lobby-a', startTime: START, recordId: 1 });
+    expect(sessionB).toMatchObject({ guildId: 'guild-b', channelId: 'lobby-b', recordId: 2 });
+    expect(sessionB.startTime - sessionA.startTime).toBe(5 * MINUTE_MS);
+  });
+
+  test('한 서버에서 나가도 다른 서버 세션은 유지된다', async () => {
+    const lobbyA = createChannel('guild-a', 'lobby-a');
+    const lobbyB = createChannel('guild-b', 'lobby-b');
+
+    await join(lobbyA, 'user-1');
+    await join(lobbyB, 'user-1');
+    advance(10);
+    await leave(lobbyA, 'user-1');
+
+    expect(voice.getActiveSessions('guild-a', 'user-1')).toBeNull();
+    expect(voice.getActiveSessions('guild-b', 'user-1')).toMatchObject({ channelId: 'lobby-b', recordId: 2 });
+
+    // 서버 A의 세션 기록만 종료됨
+    const closed = sessionQueries.filter(({ sql }) => sql.includes('is_active = FALSE'));
+    expect(closed).toHaveLength(1);
+    expect(closed[0].params[0]).toBe(1);
+  });
+
+  test('다른 서버의 입장은 구간을 나누지 않는다', async () => {
+    const lobbyA = createChannel('guild-a', 'lobby');
+    const lobbyB = createChannel('guild-b', 'lobby'); // 채널 ID가 같아도 서버가 다르면 별개
+
+    await join(lobbyA, 'user-1');
+    advance(3);
+    await join(lobbyB, 'user-2');
+    advance(3);
+    await join(lobbyA, 'user-3');
+
+    expect(voice.getActiveSessions('guild-a', 'user-1').segments).toEqual([
+      { startTime: START, endTime: new Date(START.getTime() + 6 * MINUTE_MS), humanCount: 1 }
+    ]);
+    expect(voice.getActiveSessions('guild-a', 'user-1').humanCount).toBe(2);
+    expect(voice.getActiveSessions('guild-b', 'user-2').segments).toEqual([]);
+  });
+
+  test('음성 상태 변경은 해당 서버 세션에만 반영된다', async () => {
+    const lobbyA = createChannel('guild-a', 'lobby-a');
+    const lobbyB = createChannel('guild-b', 'lobby-b');
+
+    await join(lobbyA, 'user-1');
+    await join(lobbyB, 'user-1');
+    advance(2);
+
+    await voice.trackVoiceActivity(voiceState(lobbyB, 'user-1'), { ...voiceState(lobbyB, 'user-1'), selfMute: true });
+
+    expect(voice.getActiveSessions('guild-a', 'user-1').lastActivity).toEqual(START);
+    expect(voice.getActiveSessions('guild-b', 'user-1').lastActivity).toEqual(new Date(START.getTime() + 2 * MINUTE_MS));
+  });
+
+  test('서버별 세션 목록과 통계는 해당 서버 세션만 포함한다', async () => {
+    const lobbyA = createChannel('guild-a', 'lobby-a');
+    const lobbyB = createChannel('guild-b', 'lobby-b');
+
+    await join(lobbyA, 'user-1');
+    await join(lobbyA, 'user-2');
+    await join(lobbyB, 'user-1');
+
+    expect([...voice.getActiveSessions('guild-a').keys()]).toEqual(['user-1', 'user-2']);
+    expect([...voice.getActiveSessions('guild-b').keys()]).toEqual(['user-1']);
+
+    const statsB = await voice.getVoiceStats('guild-b');
+    expect(statsB.active_sessions).toBe(1);
+
+    const statsQuery = sessionQueries.find(({ sql }) => sql.includes('total_sessions'));
+    expect(statsQuery.params).toEqual(['guild-b']);
+  });
+});
+
+describe('진행 중 음성 세션 중간 저장과 재시작 복구', () => {
+  function closedSessionQuery() {
+    return sessionQueries.find(({ sql }) => sql.includes('is_active = FALSE'));
+  }
+
+  function userScoreQuery() {
+    return sessionQueries.find(({ sql }) => sql.includes('UPDATE users'));
+  }
+
+  test('중간 저장은 지금까지의 구간과 시간을 기록한다', async () => {
+    const lobbyA = createChannel('guild-a', 'lobby-a');
+
+    await join(lobbyA, 'user-1');
+    advance(10);
+    await join(lobbyA, 'user-2');
+    advance(5);
+
+    expect(await voice.checkpointActiveSessions()).toBe(2);
+
+    const checkpoint = sessionQueries.find(({ sql, params }) => sql.includes('last_checkpoint_at = $7') && params[0] === 1);
+    const [recordId, duration, aloneTime, withOthersTime, , segments, checkpointAt] = checkpoint.params;
+
+    expect(recordId).toBe(1);
+    expect(duration).toBe(15 * 60);
+    expect(aloneTime).toBe(10 * 60);
+    expect(withOthersTime).toBe(5 * 60);
+    expect(JSON.parse(segments)).toEqual([
+      { startTime: START.toISOString(), endTime: minutesFromStart(10).toISOString(), humanCount: 1 },
+      { startTime: minutesFromStart(10).toISOString(), endTime: minutesFromStart(15).toISOString(), humanCount: 2 }
+    ]);
+    expect(checkpointAt).toEqual(minutesFromStart(15));
+
+    // 중간 저장은 세션을 바꾸지 않음
+    expect(voice.getActiveSessions('guild-a', 'user-1').segments).toHaveLength(1);
+  });
+
+  test('음성 채널을 떠난 사용자의 세션은 마지막 중간 저장 시점에 종료된다', async () => {
+    openSessionRows = [{
+      id: 7,
+      guild_id: 'guild-a',
+      channel_id: 'lobby-a',
+      start_time: minutesFromStart(-60),
+      last_checkpoint_at: minutesFromStart(-20),
+      segments: [
+        { startTime: minutesFromStart(-60).toISOString(), endTime: minutesFromStart(-20).toISOString(), humanCount: 2 }
+      ],
+      discord_id: 'user-1'
+    }];
+
+    const stats = await voice.recoverActiveSessions(createClient([]));
+
+    expect(stats).toEqual({ resumed: 0, closed: 1, started: 0 });
+    expect(voice.getActiveSessions('guild-a', 'user-1')).toBeNull();
+
+    const [recordId, endTime, duration, , aloneTime, withOthersTime, score] = closedSessionQuery().params;
+    expect(recordId).toBe(7);
+    expect(endTime).toEqual(minutesFromStart(-20));
+    expect(duration).toBe(40 * 60);
+    expect(aloneTime).toBe(0);
+    expect(withOthersTime).toBe(40 * 60);
+    expect(score).toBeGreaterThan(0);
+
+    // 사용자 점수와 음성 시간도 마지막 중간 저장 시점까지만 반영
+    expect(userScoreQuery().params).toEqual([40 * 60, score, minutesFromStart(-20), 'user-1', 'guild-a']);
+  });
+
+  test('같은 채널에 남아 있는 사용자는 봇이 꺼져 있던 시간을 빼고 세션을 이어간다', async () => {
+    const lobbyA = createChannel('guild-a', 'lobby-a');
+    lobbyA.members.set('user-1', { id: 'user-1', user: { id: 'user-1', bot: false } });
+
+    // 20분 동안 함께 있다가 중간 저장 후 봇이 40분 동안 꺼져 있었음
+    openSessionRows = [{
+      id: 7,
+      guild_id: 'guild-a',
+      channel_id: 'lobby-a',
+      start_time: minutesFromStart(-60),
+      last_checkpoint_at: minutesFromStart(-40),
+      segments: [
+        { startTime: minutesFromStart(-60).toISOString(), endTime: minutesFromStart(-40).toISOString(), humanCount: 2 }
+      ],
+      discord_id: 'user-1'
+    }];
+
+    const stats = await voice.recoverActiveSessions(createClient([voiceState(lobbyA, 'user-1')]));
+
+    expect(stats).toEqual({ resumed: 1, closed: 0, started: 0 });
+    expect(voice.getActiveSessions('guild-a', 'user-1')).toMatchObject({
+      recordId: 7,
+      startTime: minutesFromStart(-60),
+      segmentStart: START,
+      humanCount: 1
+    });
+
+    advance(10);
+    await leave(lobbyA, 'user-1');
+
+    const [recordId, , duration, , aloneTime, withOthersTime] = closedSessionQuery().params;
+    expect(recordId).toBe(7);
+    expect(duration).toBe(30 * 60); // 꺼져 있던 40분 제외
+    expect(aloneTime).toBe(10 * 60);
+    expect(withOthersTime).toBe(20 * 60);
+    expect(userScoreQuery().params[0]).toBe(30 * 60);
+  });
+
+  test('기록 없이 음성 채널에 있는 사용자는 새 세션을 시작한다', async () => {
+    const lobbyB = createChannel('guild-b', 'lobby-b');
+    lobbyB.members.set('user-2', { id: 'user-2', user: { id: 'user-2', bot: false } });
+    const botState = { ...voiceState(lobbyB, 'bot-1'), member: { id: 'bot-1', user: { id: 'bot-1', bot: true } } };
+
+    const stats = await voice.recoverActiveSessions(createClient([voiceState(lobbyB, 'user-2'), botState]));
+
+    expect(stats).toEqual({ resumed: 0, closed: 0, started: 1 });
+    expect(voice.getActiveSessions('guild-b', 'user-2')).toMatchObject({
+      channelId: 'lobby-b',
+      startTime: START,
+      recordId: 1,
+      humanCount: 1
+    });
+    expect(voice.getActiveSessions('guild-b', 'bot-1')).toBeNull();
+  });
+});